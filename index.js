@@ -31,7 +31,8 @@ export class Taist {
         enabled: this.options.trace,
         depth: this.options.depth
       },
-      tracer: this.tracer
+      tracer: this.tracer,
+      retry: this.options.retry
     });
 
     this.formatter = new OutputFormatter({
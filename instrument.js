@@ -46,7 +46,10 @@ import {
   startTrace,
   getCorrelationId,
   setCorrelationId,
-  clearCorrelationId
+  clearCorrelationId,
+  getTestId,
+  setTestId,
+  clearTestId
 } from './lib/trace-context.js';
 import { getGlobalReporter } from './lib/trace-reporter.js';
 import {
@@ -436,7 +439,10 @@ export {
   generateId,
   getCorrelationId,
   setCorrelationId,
-  clearCorrelationId
+  clearCorrelationId,
+  getTestId,
+  setTestId,
+  clearTestId
 };
 
 // Export default tracer
@@ -0,0 +1,296 @@
+/**
+ * Cassettes - Record and replay the calls of boundary functions
+ *
+ * The transform wraps every exported function of instrumented modules, so
+ * it can stand in for the ones a test shouldn't really call (database,
+ * HTTP client wrappers):
+ *
+ * - record: call through and save each result or error
+ * - replay: serve the saved results without calling through
+ *
+ * A cassette is one NDJSON file per function and argument list,
+ * `<dir>/<name>.<args hash>.ndjson`: a line with the name and arguments,
+ * then one line per call with its outcome, appended as the call settles.
+ * Replay serves them in the same order and repeats the last one.
+ * A replayed call with arguments that were never recorded throws a
+ * CassetteMismatchError, which the TOON output shows together with the
+ * arguments that were recorded.
+ *
+ * Only functions matching the configured names are recorded - never the
+ * code under test:
+ *
+ * @example
+ * {
+ *   "cassettes": {
+ *     "functions": ["Db.*", "HttpClient.*"],
+ *     "dir": ".taist/cassettes"
+ *   }
+ * }
+ *
+ * TAIST_MODE=record|replay turns it on; TAIST_CASSETTE_FUNCTIONS="Db.*,HttpClient.*"
+ * and TAIST_CASSETTE_DIR override the file.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadConfigSync, wildcardToRegex } from './config-loader.js';
+import { logger } from './logger.js';
+import { encodeValue, decodeValue, toDisplayValue } from './trace-serializer.js';
+
+const MODES = ['record', 'replay'];
+
+/** Recorded argument lists a mismatch error lists */
+const MAX_RECORDED = 5;
+
+/**
+ * Thrown on replay when a call's arguments were never recorded. `replay`
+ * carries what the TOON output shows: the call and the recorded calls.
+ */
+export class CassetteMismatchError extends Error {
+  /**
+   * @param {string} name - Trace name of the function
+   * @param {Array} args - Encoded arguments of the call
+   * @param {Array<Array>} recorded - Encoded arguments of its recordings
+   * @param {string} dir - Cassette directory
+   */
+  constructor(name, args, recorded, dir) {
+    super(`No recording of ${name}(${previewArgs(args)}) in ${dir}`);
+    this.name = 'CassetteMismatchError';
+    this.replay = {
+      fn: name,
+      args: previewArgs(args),
+      recorded: recorded.slice(0, MAX_RECORDED).map(previewArgs),
+      more: Math.max(0, recorded.length - MAX_RECORDED),
+      dir
+    };
+  }
+}
+
+export class Cassette {
+  /**
+   * @param {Object} options
+   * @param {'record'|'replay'} options.mode
+   * @param {string[]} options.functions - Trace names to record or replay (`*` wildcards)
+   * @param {string} [options.dir] - Default: .taist/cassettes
+   */
+  constructor(options) {
+    this.mode = options.mode;
+    this.dir = options.dir || '.taist/cassettes';
+    this.functions = options.functions.map(wildcardToRegex);
+    this.recordings = new Set(); // keys this process started recording
+    this.loaded = new Map(); // key → recording read from disk (null: none)
+    this.cursors = new Map(); // key → next call to replay
+  }
+
+  /**
+   * Whether calls of a function go through the cassette
+   * @param {string} name - Trace name
+   * @returns {boolean}
+   */
+  matches(name) {
+    return this.functions.some(regex => regex.test(name));
+  }
+
+  /**
+   * Cassette file of a call
+   * @param {string} name - Trace name
+   * @param {Array} args - Encoded arguments
+   * @returns {string}
+   */
+  file(name, args) {
+    const hash = crypto.createHash('sha1').update(stableStringify(args)).digest('hex').slice(0, 12);
+    return path.join(this.dir, `${fileName(name)}.${hash}.ndjson`);
+  }
+
+  /**
+   * Make a call through the cassette. Functions that don't match are
+   * called directly.
+   * @param {string} name - Trace name
+   * @param {Array} args - Call arguments
+   * @param {Function} invoke - Calls the real function
+   * @returns {*} What the function returned, or its recording
+   */
+  call(name, args, invoke) {
+    if (!this.matches(name)) return invoke();
+    const encoded = encodeValue(args);
+    const file = this.file(name, encoded);
+    return this.mode === 'record'
+      ? this.record(name, encoded, file, invoke)
+      : this.replay(name, encoded, file);
+  }
+
+  /** @private */
+  record(name, args, file, invoke) {
+    const save = (outcome) => {
+      try {
+        if (this.recordings.has(file)) {
+          fs.appendFileSync(file, JSON.stringify(outcome) + '\n');
+        } else {
+          // The first call this run replaces an older recording
+          fs.mkdirSync(this.dir, { recursive: true });
+          fs.writeFileSync(file, `${JSON.stringify({ name, args })}\n${JSON.stringify(outcome)}\n`);
+          this.recordings.add(file);
+        }
+      } catch (err) {
+        logger.warn(`Could not record ${name}: ${err.message}`);
+      }
+    };
+
+    let result;
+    try {
+      result = invoke();
+    } catch (err) {
+      save({ error: encodeValue(err) });
+      throw err;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        value => {
+          save({ async: true, result: encodeValue(value) });
+          return value;
+        },
+        err => {
+          save({ async: true, error: encodeValue(err) });
+          throw err;
+        }
+      );
+    }
+    save({ result: encodeValue(result) });
+    return result;
+  }
+
+  /** @private */
+  replay(name, args, file) {
+    const recording = this.load(file);
+    if (!recording) {
+      const recorded = this.recorded(name);
+      const error = new CassetteMismatchError(name, args, recorded.map(other => other.args), this.dir);
+      // Reject if the function was recorded returning promises, so callers see it where they await
+      if (recorded.some(other => other.calls[0]?.async)) return Promise.reject(error);
+      throw error;
+    }
+
+    const index = this.cursors.get(file) || 0;
+    this.cursors.set(file, index + 1);
+    const outcome = recording.calls[Math.min(index, recording.calls.length - 1)];
+    if ('error' in outcome) {
+      const error = decodeValue(outcome.error);
+      if (outcome.async) return Promise.reject(error);
+      throw error;
+    }
+    const result = decodeValue(outcome.result);
+    return outcome.async ? Promise.resolve(result) : result;
+  }
+
+  /** @private */
+  load(file) {
+    if (!this.loaded.has(file)) {
+      let recording = null;
+      try {
+        const [header, ...lines] = fs.readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+        const calls = [];
+        for (const line of lines) {
+          try {
+            calls.push(JSON.parse(line));
+          } catch {
+            // Cut off by a crash mid-write
+          }
+        }
+        if (calls.length > 0) recording = { ...JSON.parse(header), calls };
+      } catch {
+        // Not recorded
+      }
+      this.loaded.set(file, recording);
+    }
+    return this.loaded.get(file);
+  }
+
+  /**
+   * Recordings of a function, for mismatch errors
+   * @private
+   */
+  recorded(name) {
+    const pattern = new RegExp(`^${escapeRegex(fileName(name))}\\.[0-9a-f]{12}\\.ndjson$`);
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir).filter(file => pattern.test(file)).sort();
+    } catch {
+      // No cassettes yet
+    }
+    return files
+      .map(file => this.load(path.join(this.dir, file)))
+      .filter(recording => recording?.name === name);
+  }
+}
+
+/**
+ * Cassette settings from the `cassettes` section of .taistrc.json and env
+ * @param {string} [startDir] - Where to look for .taistrc.json
+ * @returns {{mode?: string, functions?: string[], dir?: string}}
+ */
+export function loadCassetteConfig(startDir) {
+  let config = {};
+  try {
+    config = { ...loadConfigSync(startDir).cassettes };
+  } catch {
+    // Unreadable config - env only
+  }
+
+  if (process.env.TAIST_MODE) {
+    config.mode = process.env.TAIST_MODE;
+  }
+  if (process.env.TAIST_CASSETTE_FUNCTIONS) {
+    config.functions = process.env.TAIST_CASSETTE_FUNCTIONS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  if (process.env.TAIST_CASSETTE_DIR) {
+    config.dir = process.env.TAIST_CASSETTE_DIR;
+  }
+  return config;
+}
+
+/**
+ * The cassette of a process, or null unless TAIST_MODE is record or replay
+ * @param {Object} [config] - Default: loadCassetteConfig()
+ * @returns {Cassette|null}
+ */
+export function createCassette(config = loadCassetteConfig()) {
+  if (!config.mode) return null;
+  if (!MODES.includes(config.mode)) {
+    logger.warn(`Unknown TAIST_MODE "${config.mode}" (expected ${MODES.join(' or ')}) - calls go through`);
+    return null;
+  }
+  if (!config.functions?.length) {
+    logger.warn(`TAIST_MODE=${config.mode} needs the functions to ${config.mode}: TAIST_CASSETTE_FUNCTIONS or "cassettes.functions" in .taistrc.json`);
+    return null;
+  }
+  return new Cassette({ mode: config.mode, functions: config.functions, dir: config.dir });
+}
+
+/**
+ * JSON with sorted object keys, so equal arguments hash alike
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Encoded arguments as they'd be written in a call: 42, "a", {"id":1}
+ */
+function previewArgs(args) {
+  return JSON.stringify(toDisplayValue(args)).slice(1, -1);
+}
+
+function fileName(name) {
+  return name.replace(/[^\w.-]/g, '_');
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default { Cassette, CassetteMismatchError, createCassette, loadCassetteConfig };
@@ -0,0 +1,165 @@
+/**
+ * Chrome Trace Formatter - Converts collected traces into the Chrome Trace Event format
+ *
+ * The TOON trace tree shows call nesting; this shows time. Each call becomes a
+ * complete ("X") event, so a run can be opened in chrome://tracing or Perfetto
+ * (ui.perfetto.dev) to see which requests overlapped and where time went.
+ *
+ * Tracks: one process per worker pid, one thread per correlationId (falling back
+ * to the root traceId), so concurrent requests are laid out side by side.
+ *
+ * @see https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+
+import { toDisplayValue } from './trace-serializer.js';
+
+/** Process id used for records that don't say which worker sent them */
+const UNKNOWN_PID = 0;
+
+export class ChromeTraceFormatter {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.pretty] - Indent the JSON output
+   */
+  constructor(options = {}) {
+    this.options = {
+      pretty: false,
+      ...options
+    };
+  }
+
+  /**
+   * Format traces as a Chrome Trace Event JSON document
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @returns {string}
+   */
+  format(traces) {
+    return JSON.stringify(this.toTraceFile(traces), null, this.options.pretty ? 2 : 0);
+  }
+
+  /**
+   * Build the JSON object form ({ traceEvents, displayTimeUnit })
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @returns {Object}
+   */
+  toTraceFile(traces) {
+    return {
+      traceEvents: this.toEvents(traces),
+      displayTimeUnit: 'ms'
+    };
+  }
+
+  /**
+   * Convert trace records into trace events: metadata events naming each
+   * process/thread track, then one event per call ordered by start time.
+   *
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @returns {Array} Trace events (timestamps and durations in microseconds)
+   */
+  toEvents(traces) {
+    const calls = this._pairCalls(traces);
+    const tracks = new Map(); // pid -> Map(track key -> tid)
+    const events = [];
+    // Records without timestamps (e.g. ExecutionTracer.exportForToon) are laid out back to back
+    let cursor = 0;
+
+    for (const { entry, end } of calls) {
+      const record = entry || end;
+      const duration = end?.duration ?? 0;
+      let startMs;
+      if (entry?.timestamp !== undefined) {
+        startMs = entry.timestamp;
+      } else if (end?.timestamp !== undefined) {
+        startMs = end.timestamp - duration;
+      } else {
+        startMs = cursor;
+        cursor += duration;
+      }
+
+      const pid = record.workerId ?? UNKNOWN_PID;
+      if (!tracks.has(pid)) tracks.set(pid, new Map());
+      const threads = tracks.get(pid);
+      const trackKey = record.correlationId || record.traceId || record.id || '';
+      if (!threads.has(trackKey)) threads.set(trackKey, threads.size + 1);
+
+      const failed = end?.type === 'error' || Boolean(end?.error);
+      const args = { depth: record.depth ?? 0 };
+      if (record.args !== undefined) args.args = toDisplayValue(record.args);
+      if (failed) {
+        args.error = toDisplayValue(end.error);
+      } else if (end && end.result !== undefined) {
+        args.result = toDisplayValue(end.result);
+      }
+
+      const event = {
+        name: record.name,
+        cat: failed ? 'taist,error' : 'taist',
+        ph: 'X',
+        ts: toMicros(startMs),
+        dur: toMicros(duration),
+        pid,
+        tid: threads.get(trackKey),
+        args
+      };
+      if (!end) {
+        // Entry without exit - the call never finished (or its exit was dropped)
+        event.ph = 'B';
+        delete event.dur;
+      }
+
+      events.push({ startMs, event });
+    }
+
+    events.sort((a, b) => a.startMs - b.startMs);
+
+    const metadata = [];
+    for (const [pid, threads] of tracks) {
+      metadata.push({
+        name: 'process_name', ph: 'M', pid, tid: 0,
+        args: { name: pid === UNKNOWN_PID ? 'taist' : `worker ${pid}` }
+      });
+      for (const [trackKey, tid] of threads) {
+        metadata.push({ name: 'thread_name', ph: 'M', pid, tid, args: { name: trackKey || 'main' } });
+        metadata.push({ name: 'thread_sort_index', ph: 'M', pid, tid, args: { sort_index: tid } });
+      }
+    }
+
+    return [...metadata, ...events.map(({ event }) => event)];
+  }
+
+  /**
+   * Pair each call's entry record with its exit/error record (they share an id).
+   * Records without an id stand alone.
+   * @private
+   */
+  _pairCalls(traces) {
+    const byId = new Map();
+    const calls = [];
+
+    for (const trace of traces) {
+      const isEntry = trace.type === 'entry' || trace.type === 'enter';
+      let call = trace.id ? byId.get(trace.id) : undefined;
+      if (!call) {
+        call = {};
+        calls.push(call);
+        if (trace.id) byId.set(trace.id, call);
+      }
+      if (isEntry) {
+        call.entry = trace;
+      } else {
+        call.end = trace;
+      }
+    }
+
+    return calls;
+  }
+}
+
+/**
+ * Milliseconds to integer microseconds (trace event timestamps are µs)
+ */
+function toMicros(ms) {
+  return Math.round(ms * 1000);
+}
+
+export default ChromeTraceFormatter;
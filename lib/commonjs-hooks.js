@@ -0,0 +1,79 @@
+/**
+ * CommonJS Hooks - instruments require()d and imported CommonJS modules
+ *
+ * ESM loader hooks never see CommonJS source (the load hook gets `source: null`
+ * and Node compiles the file itself), so CommonJS files are transformed at the
+ * one place every one of them passes through: Module.prototype._compile.
+ * This runs in the main thread, installed by the module patcher.
+ */
+
+import Module from "module";
+import { pathToFileURL } from "url";
+import { shouldInstrument, getRelativePath } from "./config-loader.js";
+import { transformSource, COMMONJS_RUNTIME_KEY } from "./transform.js";
+import { getGlobalReporter } from "./trace-reporter.js";
+import {
+  getContext,
+  runWithContext,
+  generateId,
+  getCorrelationId,
+} from "./trace-context.js";
+import { extractSourceMap, inlineSourceMapComment } from "./source-maps.js";
+import { logger } from "./logger.js";
+
+let installed = false;
+
+/**
+ * Patch the CommonJS compiler to instrument modules matching the config.
+ * Safe to call more than once - only the first call installs the patch.
+ * @param {Object} config - Taist config with include/exclude patterns
+ */
+export function installCommonJSHooks(config) {
+  if (installed) return;
+  installed = true;
+
+  // Instrumented CommonJS modules pick the shared tracing runtime up from here
+  globalThis[COMMONJS_RUNTIME_KEY] = {
+    getGlobalReporter,
+    getContext,
+    runWithContext,
+    generateId,
+    getCorrelationId,
+  };
+
+  const originalCompile = Module.prototype._compile;
+
+  Module.prototype._compile = function (content, filename) {
+    const relativePath = getRelativePath(filename);
+
+    if (
+      !shouldInstrument(relativePath, config) ||
+      filename.includes("/taist/lib/") ||
+      filename.includes("/taist/node_modules/")
+    ) {
+      return originalCompile.call(this, content, filename);
+    }
+
+    try {
+      const { code: source, map: inputMap } = extractSourceMap(content, pathToFileURL(filename).href);
+
+      const { code, map } = transformSource(source, {
+        filename,
+        format: "commonjs",
+        useReporter: true,
+        sourceMap: true,
+        inputMap,
+      });
+
+      // Nothing to instrument - compile the original (keeping its source map comment)
+      if (map) {
+        logger.debug("[cjs] Transformed:", relativePath);
+        content = `${code}\n${inlineSourceMapComment(map)}\n`;
+      }
+    } catch (err) {
+      console.warn("[TAIST] Failed to transform", relativePath, ":", err.message);
+    }
+
+    return originalCompile.call(this, content, filename);
+  };
+}
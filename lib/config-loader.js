@@ -5,6 +5,10 @@
  * 1. .taistrc.json in current directory
  * 2. .taistrc.json in parent directories (up to project root)
  * 3. Default: instrument nothing (explicit opt-in)
+ *
+ * TAIST_INCLUDE (comma-separated module patterns) replaces the include
+ * patterns, and TAIST_EXCLUDE adds exclude patterns - `taist monitor
+ * --include/--exclude` passes them this way.
  */
 
 import fs from "node:fs";
@@ -25,6 +29,14 @@ export const defaultConfig = {
  * Find and load config file, walking up directory tree
  */
 export async function loadConfig(startDir = process.cwd()) {
+  return loadConfigSync(startDir);
+}
+
+/**
+ * Synchronous loadConfig, for code that can't await (e.g. worker-side
+ * singletons created on first use)
+ */
+export function loadConfigSync(startDir = process.cwd()) {
   let currentDir = startDir;
   const root = path.parse(currentDir).root;
 
@@ -35,11 +47,11 @@ export async function loadConfig(startDir = process.cwd()) {
       const content = fs.readFileSync(configPath, "utf-8");
       const config = JSON.parse(content);
 
-      return {
+      return applyEnv({
         ...defaultConfig,
         ...config,
         configPath,
-      };
+      });
     } catch {
       // File not found or invalid, try parent
       currentDir = path.dirname(currentDir);
@@ -47,7 +59,22 @@ export async function loadConfig(startDir = process.cwd()) {
   }
 
   // No config found, use defaults
-  return { ...defaultConfig, configPath: null };
+  return applyEnv({ ...defaultConfig, configPath: null });
+}
+
+/**
+ * Apply the TAIST_INCLUDE / TAIST_EXCLUDE overrides
+ */
+function applyEnv(config) {
+  const include = parsePatterns(process.env.TAIST_INCLUDE);
+  const exclude = parsePatterns(process.env.TAIST_EXCLUDE);
+  if (include.length > 0) config.include = include;
+  if (exclude.length > 0) config.exclude = [...(config.exclude || []), ...exclude];
+  return config;
+}
+
+function parsePatterns(value) {
+  return (value || "").split(",").map((p) => p.trim()).filter(Boolean);
 }
 
 /**
@@ -90,6 +117,15 @@ export function matchGlob(str, pattern) {
   return regex.test(str);
 }
 
+/**
+ * Regex for a trace-name pattern, where `*` matches anything (dots included):
+ * "Cache.*", "*.findAll"
+ */
+export function wildcardToRegex(pattern) {
+  const source = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
 /**
  * Get the relative path from cwd for matching
  */
@@ -101,4 +137,4 @@ export function getRelativePath(absolutePath) {
   return absolutePath;
 }
 
-export default { loadConfig, shouldInstrument, matchGlob, defaultConfig };
+export default { loadConfig, loadConfigSync, shouldInstrument, matchGlob, wildcardToRegex, defaultConfig };
@@ -0,0 +1,143 @@
+/**
+ * Coverage Summary - Per-file coverage from an istanbul coverage map
+ *
+ * Both Vitest coverage providers (v8 and istanbul) write the same istanbul
+ * JSON report (coverage-final.json), so it's read here without either
+ * provider's libraries. Line coverage follows istanbul: a line's count is
+ * the highest count of the statements starting on it.
+ *
+ * The summary goes into test results as `coverage`: the totals the TOON and
+ * compact formats print, plus every file's counts and uncovered line ranges
+ * for JSON output.
+ */
+
+import path from 'path';
+
+/** Report file written by the `json` coverage reporter */
+export const COVERAGE_FILE = 'coverage-final.json';
+
+/**
+ * Summarize an istanbul coverage map
+ * @param {Object} coverageMap - Contents of coverage-final.json (file path → file coverage)
+ * @param {Object} [options]
+ * @param {string} [options.root] - File paths are reported relative to this directory (default: process.cwd())
+ * @param {string[]|null} [options.changed] - Absolute paths of changed files (see changedFiles in git-changes.js)
+ * @returns {Object} - { percent, covered, total, statements, functions, branches, files }
+ */
+export function summarizeCoverage(coverageMap, options = {}) {
+  const root = options.root || process.cwd();
+  const changed = options.changed ? new Set(options.changed.map(file => path.resolve(file))) : null;
+  const totals = { lines: counts(), statements: counts(), functions: counts(), branches: counts() };
+  const files = [];
+
+  for (const [key, data] of Object.entries(coverageMap || {})) {
+    const absolute = path.resolve(root, data.path || key);
+    const file = summarizeFile(data);
+
+    for (const metric of Object.keys(totals)) {
+      totals[metric].covered += file[metric].covered;
+      totals[metric].total += file[metric].total;
+    }
+
+    files.push({
+      file: path.relative(root, absolute) || absolute,
+      changed: changed ? changed.has(absolute) : null,
+      ...withPercent(file.lines),
+      statements: withPercent(file.statements),
+      functions: withPercent(file.functions),
+      branches: withPercent(file.branches),
+      uncovered: file.uncovered
+    });
+  }
+
+  files.sort((a, b) => a.file.localeCompare(b.file));
+
+  return {
+    ...withPercent(totals.lines),
+    statements: withPercent(totals.statements),
+    functions: withPercent(totals.functions),
+    branches: withPercent(totals.branches),
+    files
+  };
+}
+
+/**
+ * Least-covered files with uncovered lines. Only changed files are picked
+ * when any of the covered files changed.
+ * @param {Object} coverage - Result of summarizeCoverage()
+ * @param {number} [limit] - Maximum files (default: 5)
+ * @returns {Array} - File summaries, least covered first
+ */
+export function coverageHotspots(coverage, limit = 5) {
+  const incomplete = (coverage.files || []).filter(file => file.uncovered.length > 0);
+  const changed = incomplete.filter(file => file.changed);
+  const candidates = changed.length > 0 ? changed : incomplete;
+
+  return candidates
+    .sort((a, b) => a.percent - b.percent || (b.total - b.covered) - (a.total - a.covered))
+    .slice(0, limit);
+}
+
+/**
+ * Format line ranges: [[12, 18], [30, 30]] → "12-18,30"
+ * @param {Array<[number, number]>} ranges
+ * @returns {string}
+ */
+export function formatRanges(ranges) {
+  return ranges.map(([start, end]) => (start === end ? String(start) : `${start}-${end}`)).join(',');
+}
+
+function summarizeFile(data) {
+  const statements = Object.values(data.s || {});
+  const functions = Object.values(data.f || {});
+  const branches = Object.values(data.b || {}).flat();
+
+  const lines = new Map();
+  for (const [id, location] of Object.entries(data.statementMap || {})) {
+    const line = location.start.line;
+    const count = data.s?.[id] || 0;
+    if (!lines.has(line) || lines.get(line) < count) lines.set(line, count);
+  }
+
+  return {
+    lines: countHits([...lines.values()]),
+    statements: countHits(statements),
+    functions: countHits(functions),
+    branches: countHits(branches),
+    uncovered: uncoveredRanges(lines)
+  };
+}
+
+function counts() {
+  return { covered: 0, total: 0 };
+}
+
+function countHits(hits) {
+  return { covered: hits.filter(count => count > 0).length, total: hits.length };
+}
+
+function withPercent({ covered, total }) {
+  // Nothing to cover counts as fully covered, as in istanbul
+  const percent = total === 0 ? 100 : Math.round((covered / total) * 10000) / 100;
+  return { percent, covered, total };
+}
+
+// A range runs on over lines without statements (blank lines, comments, braces)
+// until the next covered line
+function uncoveredRanges(lines) {
+  const ranges = [];
+  let open = null;
+  for (const [line, count] of [...lines].sort((a, b) => a[0] - b[0])) {
+    if (count > 0) {
+      open = null;
+    } else if (open) {
+      open[1] = line;
+    } else {
+      open = [line, line];
+      ranges.push(open);
+    }
+  }
+  return ranges;
+}
+
+export default summarizeCoverage;
@@ -3,11 +3,14 @@
  * Captures function calls, arguments, return values, and errors
  */
 
+import { getGlobalRedactor } from './redaction.js';
+
 export class ExecutionTracer {
   constructor(options = {}) {
     this.enabled = options.enabled !== false;
     this.depth = options.depth || 2;
     this.maxEntries = options.maxEntries || 1000;
+    this.redactor = options.redactor || getGlobalRedactor();
 
     // Trace buffer (circular buffer)
     this.traces = [];
@@ -189,6 +192,8 @@ export class ExecutionTracer {
    * Add trace to buffer (circular buffer)
    */
   addTrace(entry) {
+    this.redactor.redactTrace(entry);
+
     if (this.traces.length < this.maxEntries) {
       this.traces.push(entry);
     } else {
@@ -0,0 +1,44 @@
+/**
+ * Git Changes - Files changed in the working tree
+ *
+ * Used to point coverage hotspots at the code being worked on. Everything is
+ * best-effort: outside a git checkout (or without git) callers get null and
+ * carry on without change information.
+ */
+
+import { execFileSync } from 'child_process';
+import path from 'path';
+
+/**
+ * Files changed since a ref, plus untracked files
+ * @param {Object} [options]
+ * @param {string} [options.ref] - Compare the working tree with this ref (default: 'HEAD')
+ * @param {string} [options.cwd] - Directory inside the checkout (default: process.cwd())
+ * @returns {string[]|null} - Absolute paths, or null when git can't tell
+ */
+export function changedFiles(options = {}) {
+  const ref = options.ref || 'HEAD';
+  const cwd = options.cwd || process.cwd();
+
+  try {
+    const top = git(['rev-parse', '--show-toplevel'], cwd).trim();
+    const names = [
+      ...git(['diff', '--name-only', ref, '--'], top).split('\n'),
+      ...git(['ls-files', '--others', '--exclude-standard'], top).split('\n')
+    ];
+    return [...new Set(names.filter(Boolean))].map(name => path.join(top, name));
+  } catch {
+    return null;
+  }
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf-8',
+    stdio: ['ignore', 'pipe', 'ignore'],
+    maxBuffer: 16 * 1024 * 1024
+  });
+}
+
+export default changedFiles;
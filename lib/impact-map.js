@@ -0,0 +1,170 @@
+/**
+ * Impact Map - Which tests exercised which functions, for `--impacted`
+ *
+ * Built after a traced run from the calls each test made: traces carry the
+ * running test's testId when taist/vitest-setup is loaded, and entry traces
+ * of transformed modules name their source file. Kept in
+ * `.taist/impact-map.json` with both indexes:
+ *
+ *   { version,
+ *     tests: [{ file, name }],
+ *     functions: { function name: [test index, ...] },
+ *     files: { source file: [test index, ...] } }
+ *
+ * Test and source files are relative to the working directory. Each run
+ * replaces the entries of the tests it ran and keeps the others, so a
+ * partial run doesn't forget the rest of the suite.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getRelativePath } from './config-loader.js';
+
+const MAP_VERSION = 1;
+
+/**
+ * Default map file: TAIST_IMPACT_MAP or .taist/impact-map.json
+ * @returns {string}
+ */
+export function defaultImpactFile() {
+  return process.env.TAIST_IMPACT_MAP || path.join(process.cwd(), '.taist', 'impact-map.json');
+}
+
+export class ImpactMap {
+  constructor() {
+    this.tests = new Map(); // "file > name" → { file, name, functions: Set, files: Set }
+  }
+
+  /**
+   * Load a saved map; an empty map if there is none or it can't be read.
+   * Tests whose file was deleted since are dropped.
+   * @param {string} [file] - Map file (default: defaultImpactFile())
+   * @returns {ImpactMap}
+   */
+  static load(file = defaultImpactFile()) {
+    const map = new ImpactMap();
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (data.version !== MAP_VERSION) return map;
+
+      const tests = (data.tests || []).map(test => ({ ...test, functions: new Set(), files: new Set() }));
+      for (const [index, field] of [[data.functions, 'functions'], [data.files, 'files']]) {
+        for (const [key, indexes] of Object.entries(index || {})) {
+          for (const i of indexes) tests[i]?.[field].add(key);
+        }
+      }
+      for (const test of tests) {
+        if (fs.existsSync(path.resolve(test.file))) map.tests.set(testKey(test), test);
+      }
+    } catch {
+      // No map yet, or unreadable - start empty
+    }
+    return map;
+  }
+
+  /**
+   * Save the map
+   * @param {string} [file] - Map file (default: defaultImpactFile())
+   */
+  save(file = defaultImpactFile()) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(this.toJSON()));
+  }
+
+  /** Whether no tests are known yet */
+  isEmpty() {
+    return this.tests.size === 0;
+  }
+
+  /**
+   * Replace the entries of the tests that ran with the calls they made.
+   * Nothing changes when no trace was attributed to a test - without
+   * taist/vitest-setup every test would look like it called nothing.
+   * @param {Array<{id: string, file: string, name: string}>} tests - Tests that ran (id: Vitest task id)
+   * @param {Iterable<Object>} traces - Trace records of the run
+   * @returns {boolean} - Whether the map was updated
+   */
+  update(tests, traces) {
+    const calls = new Map(); // testId → { functions, files }
+    for (const trace of traces) {
+      if (!trace.testId || (trace.type !== 'entry' && trace.type !== 'enter')) continue;
+      if (!calls.has(trace.testId)) calls.set(trace.testId, { functions: new Set(), files: new Set() });
+      const called = calls.get(trace.testId);
+      called.functions.add(trace.name);
+      if (trace.file) called.files.add(getRelativePath(trace.file));
+    }
+    if (calls.size === 0) return false;
+
+    for (const test of tests) {
+      const entry = {
+        file: getRelativePath(path.resolve(test.file)),
+        name: test.name,
+        ...(calls.get(test.id) || { functions: new Set(), files: new Set() })
+      };
+      this.tests.set(testKey(entry), entry);
+    }
+    return true;
+  }
+
+  /**
+   * Tests that called a function defined in one of the files
+   * @param {Iterable<string>} files - Source files (absolute or relative to the working directory)
+   * @returns {{tests: Array<{file: string, name: string}>, unknown: string[]}} - unknown: files no test called into
+   */
+  testsForFiles(files) {
+    const wanted = new Set([...files].map(file => getRelativePath(path.resolve(file))));
+    const known = new Set();
+    const tests = [];
+
+    for (const test of this.tests.values()) {
+      const hits = [...test.files].filter(file => wanted.has(file));
+      if (hits.length === 0) continue;
+      hits.forEach(file => known.add(file));
+      tests.push({ file: test.file, name: test.name });
+    }
+
+    return { tests, unknown: [...wanted].filter(file => !known.has(file)) };
+  }
+
+  toJSON() {
+    const tests = [...this.tests.values()].sort((a, b) => testKey(a).localeCompare(testKey(b)));
+    const index = (field) => {
+      const byKey = {};
+      tests.forEach((test, i) => {
+        for (const key of test[field]) (byKey[key] ||= []).push(i);
+      });
+      return Object.fromEntries(Object.entries(byKey).sort(([a], [b]) => a.localeCompare(b)));
+    };
+
+    return {
+      version: MAP_VERSION,
+      tests: tests.map(({ file, name }) => ({ file, name })),
+      functions: index('functions'),
+      files: index('files')
+    };
+  }
+}
+
+/**
+ * Keep the distinct calls each test makes as a collector receives them,
+ * so calls the collector evicts later still count
+ * @param {import('events').EventEmitter} collector - TraceCollector
+ * @returns {Map<string, Object>} - Entry traces of tests, for ImpactMap.update()
+ */
+export function collectTestCalls(collector) {
+  const calls = new Map();
+  collector.on('trace', (trace) => {
+    if (!trace.testId || trace.type !== 'entry') return;
+    const key = `${trace.testId}\0${trace.name}\0${trace.file}`;
+    if (!calls.has(key)) {
+      calls.set(key, { testId: trace.testId, type: 'entry', name: trace.name, file: trace.file });
+    }
+  });
+  return calls;
+}
+
+function testKey(test) {
+  return `${test.file} > ${test.name}`;
+}
+
+export default ImpactMap;
@@ -0,0 +1,141 @@
+/**
+ * Import Graph - Which test files import which sources, for `--changed`
+ *
+ * Recorded from the modules Vitest's loader saw in a run (its Vite module
+ * graph) and kept in `.taist/import-graph.json`, so the next run can pick
+ * the tests that transitively import a changed file without loading
+ * anything. Each run replaces the imports of the modules it loaded and
+ * keeps the rest, so running a subset of tests doesn't lose the others.
+ *
+ * Graph file:
+ *   { version, tests: [file, ...], imports: { file: [imported file, ...] } }
+ * Paths are absolute.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const GRAPH_VERSION = 1;
+
+/**
+ * Default graph file: TAIST_IMPORT_GRAPH or .taist/import-graph.json
+ * @returns {string}
+ */
+export function defaultGraphFile() {
+  return process.env.TAIST_IMPORT_GRAPH || path.join(process.cwd(), '.taist', 'import-graph.json');
+}
+
+export class ImportGraph {
+  constructor() {
+    this.tests = new Set();
+    this.imports = new Map(); // file → Set of files it imports
+  }
+
+  /**
+   * Load a saved graph; an empty graph if there is none or it can't be read.
+   * Test files deleted since are dropped.
+   * @param {string} [file] - Graph file (default: defaultGraphFile())
+   * @returns {ImportGraph}
+   */
+  static load(file = defaultGraphFile()) {
+    const graph = new ImportGraph();
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      if (data.version !== GRAPH_VERSION) return graph;
+
+      for (const test of data.tests || []) {
+        if (fs.existsSync(test)) graph.tests.add(test);
+      }
+      for (const [importer, imported] of Object.entries(data.imports || {})) {
+        graph.imports.set(importer, new Set(imported));
+      }
+    } catch {
+      // No graph yet, or unreadable - start empty
+    }
+    return graph;
+  }
+
+  /**
+   * Save the graph
+   * @param {string} [file] - Graph file (default: defaultGraphFile())
+   */
+  save(file = defaultGraphFile()) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(this.toJSON()));
+  }
+
+  /** Whether no tests are known yet */
+  isEmpty() {
+    return this.tests.size === 0;
+  }
+
+  /**
+   * Record a test file
+   * @param {string} file
+   */
+  addTest(file) {
+    this.tests.add(path.resolve(file));
+  }
+
+  /**
+   * Replace what a module imports
+   * @param {string} importer
+   * @param {Iterable<string>} imported
+   */
+  setImports(importer, imported) {
+    this.imports.set(path.resolve(importer), new Set([...imported].map(file => path.resolve(file))));
+  }
+
+  /**
+   * Record the modules a Vite module graph loaded, with their imports.
+   * Modules outside the project (node_modules, virtual modules) are skipped.
+   * @param {Object} moduleGraph - Vite ModuleGraph
+   */
+  addModuleGraph(moduleGraph) {
+    const isSource = (file) => file && path.isAbsolute(file) && !file.includes('/node_modules/');
+
+    for (const mod of moduleGraph.idToModuleMap.values()) {
+      if (!isSource(mod.file)) continue;
+      const imported = [...mod.importedModules].map(dep => dep.file).filter(isSource);
+      this.setImports(mod.file, imported);
+    }
+  }
+
+  /**
+   * Test files that are among the changed files or transitively import one
+   * @param {Iterable<string>} changed - Changed files
+   * @returns {string[]} - Known test files, sorted
+   */
+  affectedTests(changed) {
+    const importers = new Map(); // file → files importing it
+    for (const [importer, imported] of this.imports) {
+      for (const file of imported) {
+        if (!importers.has(file)) importers.set(file, new Set());
+        importers.get(file).add(importer);
+      }
+    }
+
+    const seen = new Set();
+    const queue = [...changed].map(file => path.resolve(file));
+    while (queue.length > 0) {
+      const file = queue.pop();
+      if (seen.has(file)) continue;
+      seen.add(file);
+      queue.push(...(importers.get(file) || []));
+    }
+
+    return [...this.tests].filter(test => seen.has(test)).sort();
+  }
+
+  toJSON() {
+    return {
+      version: GRAPH_VERSION,
+      tests: [...this.tests].sort(),
+      imports: Object.fromEntries(
+        [...this.imports].map(([importer, imported]) => [importer, [...imported].sort()])
+      )
+    };
+  }
+}
+
+export default ImportGraph;
@@ -9,6 +9,7 @@ import { shouldInstrument, getRelativePath } from "./config-loader.js";
 import { transformSource } from "./transform.js";
 import { fileURLToPath } from "url";
 import path from "path";
+import { extractSourceMap, inlineSourceMapComment } from "./source-maps.js";
 
 let config = null;
 
@@ -46,8 +47,10 @@ export async function resolve(specifier, context, nextResolve) {
 export async function load(url, context, nextLoad) {
   const result = await nextLoad(url, context);
 
-  // Only transform JavaScript/TypeScript modules
-  if (result.format !== "module") {
+  // Only transform ES modules - "module-typescript" is TypeScript that Node
+  // strips itself (--experimental-strip-types) after the hooks have run.
+  // CommonJS is handled by the compile hook (see commonjs-hooks.js).
+  if (result.format !== "module" && result.format !== "module-typescript") {
     return result;
   }
 
@@ -89,18 +92,27 @@ export async function load(url, context, nextLoad) {
         ? result.source
         : result.source.toString();
 
-    const transformed = transformSource(source, {
+    const { code, map: inputMap } = extractSourceMap(source, url);
+
+    const { code: transformed, map } = transformSource(code, {
       filename: filePath,
       useReporter: true, // Use trace-reporter instead of service-tracer
       traceReporterPath, // Full path to trace-reporter.js
       traceContextPath, // Full path to trace-context.js for context propagation
+      sourceMap: true,
+      inputMap,
     });
 
+    // Nothing to instrument - keep the original source (and its source map comment)
+    if (!map) {
+      return result;
+    }
+
     debug("Transformed successfully:", relativePath);
 
     return {
       ...result,
-      source: transformed,
+      source: `${transformed}\n${inlineSourceMapComment(map)}\n`,
     };
   } catch (err) {
     console.warn("[TAIST] Failed to transform", relativePath, ":", err.message);
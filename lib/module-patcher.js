@@ -6,7 +6,7 @@
  *
  * Features:
  * - Works with any test runner (Vitest, Jest, Mocha, etc.)
- * - Intercepts both ESM and CJS modules
+ * - Intercepts both ESM (loader hooks) and CJS (compile hook) modules
  * - Reads configuration from .taistrc.json
  * - Sends traces to collector via Unix socket
  */
@@ -15,6 +15,7 @@ import { register } from "module";
 import { loadConfig } from "./config-loader.js";
 import { logger } from "./logger.js";
 import { getGlobalReporter } from "./trace-reporter.js";
+import { installCommonJSHooks } from "./commonjs-hooks.js";
 
 // Register the hooks
 const config = await loadConfig();
@@ -31,6 +32,13 @@ if (process.env.TAIST_ENABLED === "true" && config.include?.length > 0) {
   });
   logger.debug("[patcher] Hooks registered");
 
+  // CommonJS modules never reach the ESM load hook with their source
+  installCommonJSHooks(config);
+
+  // Instrumented modules carry inline source maps - enable them so stack
+  // traces point at the original file/line instead of the injected preamble
+  process.setSourceMapsEnabled?.(true);
+
   // Pre-connect the reporter eagerly to avoid connection timing issues
   // This ensures the socket is connected before any traces are generated
   if (process.env.TAIST_COLLECTOR_SOCKET) {
@@ -0,0 +1,252 @@
+/**
+ * OTLP Exporter - Converts collected traces into OpenTelemetry spans (OTLP/JSON)
+ *
+ * Each traced call becomes one span: the entry record supplies the start time
+ * and arguments, the exit/error record the duration, result and status.
+ * Taist IDs are hashed into OTLP trace/span IDs, so parent links survive and
+ * exporting the same run twice produces the same IDs.
+ *
+ * Output can be written to a file (one ExportTraceServiceRequest per line, as read
+ * by the collector's otlpjsonfile receiver) or pushed to an OTLP/HTTP endpoint
+ * such as a local Jaeger or Tempo.
+ *
+ * @example
+ * const exporter = new OtlpExporter({ serviceName: 'orders-api' });
+ * await exporter.push(collector.getTraces());
+ */
+
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { toDisplayValue } from "./trace-serializer.js";
+
+export const DEFAULT_OTLP_ENDPOINT = "http://localhost:4318/v1/traces";
+
+// OTLP enum values (proto JSON mapping accepts the integer form)
+const SPAN_KIND_INTERNAL = 1;
+const STATUS_CODE_UNSET = 0;
+const STATUS_CODE_ERROR = 2;
+
+/**
+ * Hash a Taist ID into a fixed-length lowercase hex OTLP ID
+ * @param {string} value - Taist id/traceId/correlationId
+ * @param {number} bytes - 16 for trace IDs, 8 for span IDs
+ */
+function otlpId(value, bytes) {
+  return crypto.createHash("sha256").update(String(value)).digest("hex").slice(0, bytes * 2);
+}
+
+/**
+ * Convert milliseconds since the epoch to an integer nanosecond string.
+ * Done in BigInt - nanosecond timestamps are beyond Number precision.
+ */
+function toUnixNano(ms) {
+  const whole = Math.floor(ms);
+  return (BigInt(whole) * 1000000n + BigInt(Math.round((ms - whole) * 1e6))).toString();
+}
+
+/**
+ * Build an OTLP KeyValue attribute
+ */
+function attribute(key, value) {
+  if (typeof value === "boolean") {
+    return { key, value: { boolValue: value } };
+  }
+  if (Number.isInteger(value)) {
+    return { key, value: { intValue: String(value) } };
+  }
+  if (typeof value === "number") {
+    return { key, value: { doubleValue: value } };
+  }
+  return { key, value: { stringValue: typeof value === "string" ? value : JSON.stringify(value) } };
+}
+
+/**
+ * Resolve the OTLP/HTTP traces endpoint, honouring the standard OpenTelemetry env vars
+ * @param {string} [endpoint] - Explicit endpoint
+ * @returns {string}
+ */
+export function resolveOtlpEndpoint(endpoint) {
+  if (endpoint) return endpoint;
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+    return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  }
+  if (process.env.OTEL_EXPORTER_OTLP_ENDPOINT) {
+    return `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, "")}/v1/traces`;
+  }
+  return DEFAULT_OTLP_ENDPOINT;
+}
+
+export class OtlpExporter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.serviceName] - service.name resource attribute (default: OTEL_SERVICE_NAME or 'taist')
+   * @param {string} [options.endpoint] - OTLP/HTTP traces endpoint for push()
+   * @param {Object} [options.headers] - Extra HTTP headers for push()
+   * @param {number} [options.timeout] - HTTP timeout in ms (default: 5000)
+   * @param {Object} [options.resourceAttributes] - Extra resource attributes
+   */
+  constructor(options = {}) {
+    this.options = {
+      serviceName: options.serviceName || process.env.OTEL_SERVICE_NAME || "taist",
+      endpoint: resolveOtlpEndpoint(options.endpoint),
+      headers: options.headers || {},
+      timeout: options.timeout || 5000,
+      resourceAttributes: options.resourceAttributes || {},
+    };
+  }
+
+  /**
+   * Convert trace records into OTLP spans
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @returns {Array} OTLP Span objects, ordered by start time
+   */
+  toSpans(traces) {
+    // entry/exit/error records of one call share its id
+    const calls = new Map();
+    for (const trace of traces) {
+      if (!trace.id) continue;
+      if (!calls.has(trace.id)) calls.set(trace.id, {});
+      const call = calls.get(trace.id);
+      if (trace.type === "entry" || trace.type === "enter") {
+        call.entry = trace;
+      } else if (trace.type === "exit" || trace.type === "error") {
+        call.end = trace;
+      }
+    }
+
+    const spans = [];
+    for (const [id, { entry, end }] of calls) {
+      const record = entry || end;
+      if (!record) continue;
+
+      const duration = end?.duration ?? 0;
+      const startMs = entry ? entry.timestamp : end.timestamp - duration;
+      const endMs = end ? startMs + duration : startMs;
+
+      // Same grouping as the TOON trace tree: a request's calls share one trace
+      const group = record.correlationId || record.traceId || id;
+
+      const attributes = [
+        attribute("code.function", record.name),
+        attribute("taist.depth", record.depth ?? 0),
+      ];
+      if (record.correlationId) {
+        attributes.push(attribute("taist.correlation_id", record.correlationId));
+      }
+      if (entry?.args !== undefined) {
+        attributes.push(attribute("taist.args", toDisplayValue(entry.args)));
+      }
+      if (end?.type === "exit" && end.result !== undefined) {
+        attributes.push(attribute("taist.result", toDisplayValue(end.result)));
+      }
+      if (!end) {
+        // Entry without exit - the call never finished (or its exit was dropped)
+        attributes.push(attribute("taist.incomplete", true));
+      }
+
+      const span = {
+        traceId: otlpId(group, 16),
+        spanId: otlpId(id, 8),
+        name: record.name,
+        kind: SPAN_KIND_INTERNAL,
+        startTimeUnixNano: toUnixNano(startMs),
+        endTimeUnixNano: toUnixNano(endMs),
+        attributes,
+        status: { code: STATUS_CODE_UNSET },
+      };
+      if (record.parentId) {
+        span.parentSpanId = otlpId(record.parentId, 8);
+      }
+
+      if (end?.type === "error") {
+        const error = typeof end.error === "string" ? { message: end.error } : end.error || {};
+        span.status = { code: STATUS_CODE_ERROR, message: error.message || "" };
+        span.events = [{
+          name: "exception",
+          timeUnixNano: span.endTimeUnixNano,
+          attributes: [
+            attribute("exception.type", error.name || "Error"),
+            attribute("exception.message", error.message || ""),
+          ],
+        }];
+      }
+
+      spans.push({ startMs, span });
+    }
+
+    return spans.sort((a, b) => a.startMs - b.startMs).map(({ span }) => span);
+  }
+
+  /**
+   * Build an OTLP ExportTraceServiceRequest
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @returns {Object}
+   */
+  toOtlp(traces) {
+    const resourceAttributes = { "service.name": this.options.serviceName, ...this.options.resourceAttributes };
+    return {
+      resourceSpans: [{
+        resource: {
+          attributes: Object.entries(resourceAttributes).map(([key, value]) => attribute(key, value)),
+        },
+        scopeSpans: [{
+          scope: { name: "taist" },
+          spans: this.toSpans(traces),
+        }],
+      }],
+    };
+  }
+
+  /**
+   * Write traces as OTLP/JSON - one request per line (JSON Lines)
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @param {string} filePath - Output file
+   * @param {Object} [options]
+   * @param {boolean} [options.append] - Append to an existing file instead of replacing it
+   * @returns {Object} The exported request
+   */
+  writeFile(traces, filePath, options = {}) {
+    const payload = this.toOtlp(traces);
+    const line = JSON.stringify(payload) + "\n";
+    if (options.append) {
+      fs.appendFileSync(filePath, line);
+    } else {
+      fs.writeFileSync(filePath, line);
+    }
+    return payload;
+  }
+
+  /**
+   * Push traces to an OTLP/HTTP receiver (JSON encoding)
+   * @param {Array} traces - Records from TraceCollector.getTraces()
+   * @returns {Promise<{status: number, spans: number, rejectedSpans: number}>}
+   */
+  async push(traces) {
+    const payload = this.toOtlp(traces);
+    const spans = payload.resourceSpans[0].scopeSpans[0].spans.length;
+
+    const response = await fetch(this.options.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...this.options.headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.options.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(`OTLP export to ${this.options.endpoint} failed: ${response.status} ${response.statusText}`);
+    }
+
+    // Receivers may accept the request but drop some spans
+    let rejectedSpans = 0;
+    try {
+      const body = await response.json();
+      rejectedSpans = Number(body?.partialSuccess?.rejectedSpans || 0);
+    } catch {
+      // Empty or non-JSON body - nothing was rejected
+    }
+
+    return { status: response.status, spans, rejectedSpans };
+  }
+}
+
+export default OtlpExporter;
@@ -1,15 +1,17 @@
 /**
  * Output Formatter - Multi-format test result formatter
- * Supports TOON, JSON, and Compact output formats
+ * Supports TOON, JSON, Compact and Chrome trace-event output formats
  */
 
 import { ToonFormatter } from './toon-formatter.js';
+import { ChromeTraceFormatter } from './chrome-trace-formatter.js';
 
 export class OutputFormatter {
   constructor(options = {}) {
     this.formatType = options.format || 'toon';
     this.options = options;
     this.toonFormatter = new ToonFormatter(options);
+    this.chromeTraceFormatter = new ChromeTraceFormatter(options);
   }
 
   /**
@@ -25,8 +27,10 @@ export class OutputFormatter {
         return this.formatJson(results);
       case 'compact':
         return this.formatCompact(results);
+      case 'chrome-trace':
+        return this.formatChromeTrace(results);
       default:
-        throw new Error(`Unknown format: ${this.formatType}. Use: toon, json, or compact`);
+        throw new Error(`Unknown format: ${this.formatType}. Use: toon, json, compact, or chrome-trace`);
     }
   }
 
@@ -50,8 +54,11 @@ export class OutputFormatter {
         skipped: 0
       },
       failures: (results.failures || []).map(f => this.formatFailureForJson(f)),
+      flaky: results.flaky || [],
       trace: results.trace || [],
+      sampling: results.sampling || null,
       coverage: results.coverage || null,
+      affected: results.affected || null,
       duration: results.duration || 0,
       timestamp: new Date().toISOString()
     };
@@ -80,6 +87,10 @@ export class OutputFormatter {
       }
     }
 
+    if (stats.flaky > 0) {
+      parts.push(`${stats.flaky} flaky`);
+    }
+
     if (results.coverage) {
       parts.push(`cov:${Math.round(results.coverage.percent)}%`);
     }
@@ -91,6 +102,13 @@ export class OutputFormatter {
     return parts.join(' ');
   }
 
+  /**
+   * Format traces as a Chrome Trace Event timeline (chrome://tracing, Perfetto)
+   */
+  formatChromeTrace(results) {
+    return this.chromeTraceFormatter.format(results.trace || []);
+  }
+
   /**
    * Determine overall status
    */
@@ -111,7 +129,8 @@ export class OutputFormatter {
       location: failure.location || null,
       diff: failure.diff || null,
       stack: this.formatStackForJson(failure.stack),
-      path: failure.path || null
+      path: failure.path || null,
+      ...(failure.replay && { replay: failure.replay })
     };
   }
 
@@ -0,0 +1,327 @@
+/**
+ * Redaction - Masks secrets and PII in captured args, results and errors
+ *
+ * Traces carry raw function arguments and return values, which end up in
+ * trace files, CI logs and LLM prompts. Every trace is redacted in the worker,
+ * before it is sent to the collector or written to disk.
+ *
+ * Three kinds of rules:
+ * - key patterns: values under matching object keys (password, token,
+ *   authorization, ...) are replaced with [REDACTED]
+ * - value patterns: matching substrings of any string (JWTs, bearer tokens,
+ *   emails, card numbers, ...) are replaced with [REDACTED:<name>]
+ * - per-function overrides: redact whole args/results of specific functions,
+ *   add key patterns, or turn redaction off
+ *
+ * Configured by the `redact` section of .taistrc.json:
+ *
+ * @example
+ * {
+ *   "redact": {
+ *     "keys": ["dob", "^phone"],
+ *     "patterns": [{ "name": "iban", "pattern": "\\bGB\\d{2}[A-Z]{4}\\d{14}\\b" }],
+ *     "functions": {
+ *       "AuthService.login": { "args": [1] },
+ *       "TokenService.*": { "result": true },
+ *       "HealthCheck.*": { "enabled": false }
+ *     }
+ *   }
+ * }
+ *
+ * Redaction is on by default. Disable it with `"redact": false` or TAIST_REDACT=false.
+ */
+
+import { loadConfigSync, wildcardToRegex } from './config-loader.js';
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Object keys whose values are always redacted (case-insensitive regex sources)
+ */
+export const DEFAULT_REDACT_KEYS = [
+  'passw(or)?d',
+  '^pwd$',
+  'passphrase',
+  'secret',
+  'token',
+  'api[-_]?key',
+  '^auth$',
+  'authorization',
+  'cookie',
+  'session[-_]?(id|key|token)',
+  'credential',
+  'private[-_]?key',
+  'access[-_]?key',
+  '^ssn$',
+  'card[-_]?(number|num|no)$',
+  '^cvc$',
+  '^cvv$'
+];
+
+/**
+ * Substrings redacted wherever they appear in a string
+ */
+export const DEFAULT_REDACT_PATTERNS = [
+  { name: 'private-key', pattern: '-----BEGIN [A-Z ]*PRIVATE KEY-----[\\s\\S]*?-----END [A-Z ]*PRIVATE KEY-----' },
+  { name: 'bearer', pattern: '\\bBearer\\s+[A-Za-z0-9._~+/-]+=*' },
+  { name: 'jwt', pattern: '\\beyJ[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*' },
+  { name: 'aws-key', pattern: '\\bAKIA[0-9A-Z]{16}\\b' },
+  { name: 'email', pattern: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b' },
+  // Only Luhn-valid numbers, so ids and timestamps survive
+  { name: 'card', pattern: '\\b[3-6]\\d{3}(?:[ -]?\\d){9,15}\\b', validate: isLuhnValid }
+];
+
+export class Redactor {
+  /**
+   * @param {Object|boolean} [config] - The `redact` section of .taistrc.json (false disables)
+   * @param {boolean} [config.enabled] - Default: true
+   * @param {boolean} [config.defaults] - Include the built-in keys and patterns (default: true)
+   * @param {Array<string>} [config.keys] - Extra key patterns (case-insensitive regex sources)
+   * @param {Array<string|{name: string, pattern: string}>} [config.patterns] - Extra value patterns
+   * @param {Object<string, Object>} [config.functions] - Overrides by function name (`*` wildcards):
+   *   { enabled, args: true | number[], result: true, keys }
+   */
+  constructor(config = {}) {
+    if (config === false) config = { enabled: false };
+    if (config === true || config == null) config = {};
+
+    this.enabled = config.enabled !== false;
+    const defaults = config.defaults !== false;
+
+    this.keys = compileKeys([...(defaults ? DEFAULT_REDACT_KEYS : []), ...(config.keys || [])]);
+    this.patterns = [
+      ...(defaults ? DEFAULT_REDACT_PATTERNS : []),
+      ...(config.patterns || []).map(p => (typeof p === 'string' ? { name: null, pattern: p } : p))
+    ].map(({ name, pattern, validate }) => ({ name, regex: new RegExp(pattern, 'g'), validate }));
+
+    this.functions = Object.entries(config.functions || {}).map(([pattern, rule]) => ({
+      regex: wildcardToRegex(pattern),
+      rule
+    }));
+    this.rules = new Map(); // function name -> resolved rule
+  }
+
+  /**
+   * Redact a trace record in place (args, result, error)
+   * @param {Object} trace
+   * @returns {Object} The same trace
+   */
+  redactTrace(trace) {
+    if (!this.enabled) return trace;
+
+    const rule = this.ruleFor(trace.name);
+    if (!rule.enabled) return trace;
+
+    if (trace.args !== undefined) {
+      trace.args = this.redactArgs(trace.args, rule);
+    }
+    if (trace.result !== undefined) {
+      trace.result = rule.result ? REDACTED : this.redactValue(trace.result, rule.keys);
+    }
+    if (trace.error !== undefined) {
+      trace.error = this.redactValue(trace.error, rule.keys);
+    }
+    if (trace.data !== undefined) {
+      trace.data = this.redactValue(trace.data, rule.keys);
+    }
+    return trace;
+  }
+
+  /**
+   * Resolve the rule for a function: overrides matching its name, merged in
+   * config order. Functions whose own name mentions a sensitive key
+   * (hashPassword, verifyToken) have their args and result redacted entirely.
+   * @param {string} name - Trace name, e.g. "UserService.login"
+   * @returns {{enabled: boolean, args: boolean|Array<number>, result: boolean, keys: Array<RegExp>}}
+   */
+  ruleFor(name = '') {
+    if (this.rules.has(name)) return this.rules.get(name);
+
+    const method = String(name).split('.').pop();
+    const sensitive = /^[\w$]+$/.test(method) && this.keys.some(key => key.test(method));
+    const rule = { enabled: true, args: sensitive, result: sensitive, keys: this.keys };
+
+    for (const { regex, rule: override } of this.functions) {
+      if (!regex.test(name)) continue;
+      if (override.enabled !== undefined) rule.enabled = override.enabled !== false;
+      if (override.args !== undefined) rule.args = override.args;
+      if (override.result !== undefined) rule.result = override.result;
+      if (override.keys) rule.keys = [...rule.keys, ...compileKeys(override.keys)];
+    }
+
+    this.rules.set(name, rule);
+    return rule;
+  }
+
+  /**
+   * Redact an argument list
+   * @private
+   */
+  redactArgs(args, rule) {
+    if (rule.args === true) {
+      return Array.isArray(args) ? args.map(() => REDACTED) : REDACTED;
+    }
+    if (!Array.isArray(args)) {
+      return this.redactValue(args, rule.keys);
+    }
+    const positions = Array.isArray(rule.args) ? new Set(rule.args) : null;
+    return args.map((arg, i) => (positions?.has(i) ? REDACTED : this.redactValue(arg, rule.keys)));
+  }
+
+  /**
+   * Return a copy of value with sensitive keys and substrings masked.
+   * Objects, arrays, Maps, Sets and Errors are copied (keeping their
+   * prototype), objects with toJSON are replaced by their redacted JSON, and
+   * other built-ins (Date, Buffer, ...) are returned as they are.
+   *
+   * @param {*} value
+   * @param {Array<RegExp>} [keys] - Key patterns (default: the configured ones)
+   * @returns {*}
+   */
+  redactValue(value, keys = this.keys, copies = new Map()) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    // A cycle points at the ancestor's copy, so the copy keeps the cycle
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+    if (!isCopyable(value)) {
+      return value;
+    }
+    // ORM documents, Luxon dates, ...: the serializer sends what toJSON returns, so redact that
+    if (typeof value.toJSON === 'function' && !(value instanceof Error)) {
+      let json;
+      try {
+        json = value.toJSON();
+      } catch (err) {
+        return `[Unreadable: ${err?.message ?? err}]`;
+      }
+      if (json !== value) return this.redactValue(json, keys, copies);
+    }
+
+    const next = item => this.redactValue(item, keys, copies);
+    const sensitive = key => typeof key === 'string' && keys.some(pattern => pattern.test(key));
+    const redact = (key, item) => (item != null && sensitive(key) ? REDACTED : next(item));
+
+    let copy;
+    if (Array.isArray(value)) copy = [];
+    else if (value instanceof Map) copy = new Map();
+    else if (value instanceof Set) copy = new Set();
+    else copy = Object.create(Object.getPrototypeOf(value));
+
+    copies.set(value, copy);
+    try {
+      if (Array.isArray(value)) {
+        for (const item of value) copy.push(next(item));
+      } else if (value instanceof Map) {
+        for (const [key, item] of value) copy.set(next(key), redact(key, item));
+      } else if (value instanceof Set) {
+        for (const item of value) copy.add(next(item));
+      } else {
+        const skip = value instanceof Error ? ['name', 'message', 'stack', 'cause'] : [];
+        if (value instanceof Error) {
+          copy.name = value.name;
+          copy.message = this.redactString(String(value.message));
+          if (value.stack) copy.stack = this.redactString(String(value.stack));
+          if (value.cause !== undefined) copy.cause = next(value.cause);
+        }
+        for (const key of Object.keys(value)) {
+          if (skip.includes(key)) continue;
+          // defineProperty, so setters inherited from a class prototype don't run
+          Object.defineProperty(copy, key, {
+            value: redact(key, value[key]),
+            enumerable: true,
+            writable: true,
+            configurable: true
+          });
+        }
+      }
+      return copy;
+    } finally {
+      copies.delete(value);
+    }
+  }
+
+  /**
+   * Mask value-pattern matches in a string
+   * @param {string} text
+   * @returns {string}
+   */
+  redactString(text) {
+    let result = text;
+    for (const { name, regex, validate } of this.patterns) {
+      regex.lastIndex = 0;
+      result = result.replace(regex, match => {
+        if (validate && !validate(match)) return match;
+        return name ? `[REDACTED:${name}]` : REDACTED;
+      });
+    }
+    return result;
+  }
+}
+
+// Global redactor key for cross-module singleton (same approach as the reporter)
+const TAIST_REDACTOR_KEY = '__taist_global_redactor__';
+
+/**
+ * Get the redactor configured by .taistrc.json and TAIST_REDACT.
+ * Loaded once per process.
+ * @returns {Redactor}
+ */
+export function getGlobalRedactor() {
+  if (!globalThis[TAIST_REDACTOR_KEY]) {
+    let config = {};
+    try {
+      config = loadConfigSync().redact ?? {};
+    } catch {
+      // Unreadable config - keep the safe defaults
+    }
+    if (process.env.TAIST_REDACT === 'false') {
+      config = false;
+    }
+    globalThis[TAIST_REDACTOR_KEY] = new Redactor(config);
+  }
+  return globalThis[TAIST_REDACTOR_KEY];
+}
+
+/**
+ * Reset the global redactor so the next call reloads config (for testing)
+ */
+export function resetGlobalRedactor() {
+  globalThis[TAIST_REDACTOR_KEY] = null;
+}
+
+function compileKeys(sources) {
+  return sources.map(source => new RegExp(source, 'i'));
+}
+
+/**
+ * Containers that are copied when redacting; other built-ins hold no keys to redact
+ */
+function isCopyable(value) {
+  return !(value instanceof Date || value instanceof RegExp || ArrayBuffer.isView(value) ||
+    value instanceof ArrayBuffer || value instanceof Promise || value instanceof WeakMap ||
+    value instanceof WeakSet);
+}
+
+function isLuhnValid(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+export default Redactor;
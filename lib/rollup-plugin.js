@@ -83,7 +83,7 @@ export function taistPlugin(options = {}) {
       }
 
       // Skip non-JS/TS files
-      if (!id.match(/\.[jt]sx?$/)) {
+      if (!id.match(/\.([jt]sx?|[mc]ts)$/)) {
         return null;
       }
 
@@ -104,7 +104,8 @@ export function taistPlugin(options = {}) {
 
       try {
         // Transform the source
-        const transformed = transformSource(code, {
+        // Rollup chains the returned map with maps from earlier plugins itself
+        const { code: transformed, map } = transformSource(code, {
           filename: id,
           useReporter: true,
           // Use package paths - these should be externalized or bundled with the app
@@ -112,11 +113,17 @@ export function taistPlugin(options = {}) {
           traceContextPath: null,  // Uses default 'taist/lib/trace-context.js'
           excludeFunctions: config.excludeFunctions,
           maxDepth: config.maxDepth,
+          sourceMap: true,
         });
 
+        // Nothing to instrument
+        if (!map) {
+          return null;
+        }
+
         return {
           code: transformed,
-          map: null, // TODO: Add sourcemap support
+          map,
         };
       } catch (err) {
         this.warn(`Failed to transform ${relativePath}: ${err.message}`);
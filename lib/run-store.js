@@ -0,0 +1,307 @@
+/**
+ * Run Store - Persistent history of test and trace runs
+ *
+ * Each run is saved as `.taist/runs/<id>.json` (results plus run metadata, in
+ * the same shape as `--format json` output so `taist diff` can read it), and
+ * summarized in `.taist/runs/index.json` so history can be listed without
+ * reading every run.
+ *
+ * Written by `taist test`, `taist trace`, `taist run` and each watch iteration;
+ * read by `taist history` and by WatchHandler to continue trends across sessions.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+
+export class RunStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.dir] - Store directory (default: TAIST_HISTORY_DIR or .taist/runs)
+   * @param {number} [options.maxRuns] - Oldest runs beyond this are pruned on save (default: 100)
+   */
+  constructor(options = {}) {
+    this.options = {
+      dir: options.dir || process.env.TAIST_HISTORY_DIR || path.join(process.cwd(), '.taist', 'runs'),
+      maxRuns: options.maxRuns ?? 100
+    };
+    this.dir = path.resolve(this.options.dir);
+  }
+
+  /**
+   * Save a run and add it to the index.
+   * new_failures/fixed are computed against the previous run of the same command,
+   * including runs from earlier sessions.
+   *
+   * @param {Object} results - Test results (stats, failures, tests, trace)
+   * @param {Object} [meta]
+   * @param {string} [meta.command] - 'test' | 'trace' | 'run' | 'watch'
+   * @param {Array<string>} [meta.changes] - Files that triggered a watch iteration
+   * @param {number} [meta.duration] - Run duration in ms
+   * @param {number} [meta.iteration] - Watch iteration
+   * @param {number} [meta.exitCode] - Exit code of the command
+   * @param {string} [meta.args] - Command line that was run (taist run)
+   * @returns {Object} The index entry
+   */
+  save(results, meta = {}) {
+    const command = meta.command || 'test';
+    const index = this._readIndex();
+    const previous = [...index.runs].reverse().find(run => run.command === command);
+
+    const entry = {
+      id: this._createId(),
+      command,
+      timestamp: new Date().toISOString(),
+      duration: meta.duration ?? results.duration ?? 0,
+      summary: summarizeResults(results, previous ? previous.summary.failed_tests : null)
+    };
+    if (meta.iteration !== undefined) entry.iteration = meta.iteration;
+    if (meta.changes) entry.changes = meta.changes;
+    if (meta.exitCode !== undefined) entry.exitCode = meta.exitCode;
+    if (meta.args) entry.args = meta.args;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeJson(this._runFile(entry.id), {
+      ...entry,
+      stats: results.stats || { total: 0, passed: 0, failed: 0, skipped: 0 },
+      failures: results.failures || [],
+      flaky: results.flaky || [],
+      tests: results.tests || [],
+      trace: results.trace || [],
+      coverage: results.coverage || null
+    });
+
+    index.runs.push(entry);
+    this._writeIndex(index);
+
+    if (this.options.maxRuns > 0 && index.runs.length > this.options.maxRuns) {
+      this.prune({ keep: this.options.maxRuns });
+    }
+
+    return entry;
+  }
+
+  /**
+   * List runs, oldest first
+   * @param {Object} [options]
+   * @param {string} [options.command] - Only runs of this command
+   * @param {number} [options.limit] - Only the most recent N runs
+   * @returns {Array<Object>} Index entries
+   */
+  list(options = {}) {
+    let runs = this._readIndex().runs;
+    if (options.command) {
+      runs = runs.filter(run => run.command === options.command);
+    }
+    if (options.limit) {
+      runs = runs.slice(-options.limit);
+    }
+    return runs;
+  }
+
+  /**
+   * Read a saved run
+   * @param {string} id - Run id, a unique prefix of one, or 'latest'
+   * @returns {Object} The run (index entry fields plus results)
+   */
+  get(id) {
+    const entry = this.resolve(id);
+    try {
+      return JSON.parse(fs.readFileSync(this._runFile(entry.id), 'utf-8'));
+    } catch (err) {
+      throw new Error(`Run ${entry.id} is in the index but cannot be read: ${err.message}`);
+    }
+  }
+
+  /**
+   * Find the index entry for a run id, unique id prefix, or 'latest'
+   * @param {string} id
+   * @returns {Object} Index entry
+   */
+  resolve(id) {
+    const runs = this._readIndex().runs;
+    if (id === 'latest') {
+      if (runs.length === 0) throw new Error('No runs recorded');
+      return runs[runs.length - 1];
+    }
+
+    const matches = runs.filter(run => run.id.startsWith(id));
+    if (matches.length === 0) {
+      throw new Error(`No run matching "${id}"`);
+    }
+    const exact = matches.find(run => run.id === id);
+    if (!exact && matches.length > 1) {
+      throw new Error(`"${id}" matches ${matches.length} runs - use a longer prefix`);
+    }
+    return exact || matches[0];
+  }
+
+  /**
+   * Delete old runs
+   * @param {Object} [options]
+   * @param {number} [options.keep] - Keep only the most recent N runs
+   * @param {number} [options.olderThan] - Delete runs older than this many ms
+   * @returns {Array<string>} Ids of deleted runs
+   */
+  prune(options = {}) {
+    const index = this._readIndex();
+    const cutoff = options.olderThan !== undefined ? Date.now() - options.olderThan : null;
+    const keepFrom = options.keep !== undefined ? Math.max(0, index.runs.length - options.keep) : 0;
+
+    const removed = [];
+    index.runs = index.runs.filter((run, i) => {
+      const expired = i < keepFrom || (cutoff !== null && Date.parse(run.timestamp) < cutoff);
+      if (expired) {
+        fs.rmSync(this._runFile(run.id), { force: true });
+        removed.push(run.id);
+      }
+      return !expired;
+    });
+
+    if (removed.length > 0) {
+      this._writeIndex(index);
+    }
+    return removed;
+  }
+
+  /**
+   * Summary of recent runs, with the trend across them
+   * @param {Object} [options] - Same as list()
+   * @returns {{runs: number, current: Object|undefined, trend: string}}
+   */
+  getSummary(options = {}) {
+    const runs = this.list(options);
+    return {
+      runs: runs.length,
+      current: runs[runs.length - 1],
+      trend: analyzeTrend(runs)
+    };
+  }
+
+  /**
+   * Tests that were flaky (passed on a retry) in recorded runs, most often flaky first
+   * @param {Object} [options] - Same as list()
+   * @returns {Array<{test: string, flaky: number, failed: number, runs: number, lastSeen: string}>}
+   *   flaky/failed count the runs where the test passed on a retry/failed outright
+   */
+  flakyTests(options = {}) {
+    const runs = this.list(options);
+    const byTest = new Map();
+
+    for (const run of runs) {
+      for (const test of run.summary.flaky || []) {
+        if (!byTest.has(test)) {
+          byTest.set(test, { test, flaky: 0, failed: 0, runs: runs.length, lastSeen: null });
+        }
+        const entry = byTest.get(test);
+        entry.flaky++;
+        entry.lastSeen = run.timestamp;
+      }
+    }
+
+    for (const run of runs) {
+      for (const test of run.summary.failed_tests || []) {
+        if (byTest.has(test)) byTest.get(test).failed++;
+      }
+    }
+
+    return [...byTest.values()].sort((a, b) => (b.flaky + b.failed) - (a.flaky + a.failed));
+  }
+
+  _runFile(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  _createId() {
+    // Sortable by time, short enough to type: 20261019-083712-a1b2
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    let id;
+    do {
+      id = `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+    } while (fs.existsSync(this._runFile(id))); // Runs saved in the same second
+    return id;
+  }
+
+  _readIndex() {
+    const file = path.join(this.dir, INDEX_FILE);
+    if (!fs.existsSync(file)) {
+      return { version: INDEX_VERSION, runs: [] };
+    }
+    try {
+      const index = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return { version: INDEX_VERSION, runs: Array.isArray(index.runs) ? index.runs : [] };
+    } catch (err) {
+      throw new Error(`Cannot read run history index ${file}: ${err.message}`);
+    }
+  }
+
+  _writeIndex(index) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeJson(path.join(this.dir, INDEX_FILE), index);
+  }
+}
+
+/**
+ * Summarize results for the history index (same shape as WatchHandler history entries)
+ * @param {Object} results - Test results
+ * @param {Array<string>|null} previousFailures - Failing tests of the previous run, if any
+ * @returns {Object} { pass, fail, total, new_failures, fixed, key_errors, failed_tests, flaky }
+ */
+export function summarizeResults(results, previousFailures = null) {
+  const failedTests = (results.failures || []).map(f => f.test);
+  const flakyTests = (results.flaky || []).map(f => f.test);
+  const current = new Set(failedTests);
+  const previous = new Set(previousFailures || []);
+
+  return {
+    pass: results.stats?.passed || 0,
+    fail: results.stats?.failed || 0,
+    total: results.stats?.total || 0,
+    new_failures: previousFailures ? failedTests.filter(test => !previous.has(test)) : [],
+    fixed: previousFailures ? [...previous].filter(test => !current.has(test)) : [],
+    key_errors: (results.failures || []).slice(0, 3).map(extractErrorMessage),
+    failed_tests: failedTests,
+    flaky: flakyTests
+  };
+}
+
+/**
+ * Analyze the trend in failure counts across history entries
+ * @param {Array<{summary: {fail: number}}>} entries - Oldest first
+ * @returns {'improving' | 'degrading' | 'stable'}
+ */
+export function analyzeTrend(entries) {
+  if (entries.length < 2) {
+    return 'stable';
+  }
+
+  const first = entries[0].summary.fail;
+  const last = entries[entries.length - 1].summary.fail;
+
+  if (last < first) return 'improving';
+  if (last > first) return 'degrading';
+  return 'stable';
+}
+
+function extractErrorMessage(failure) {
+  if (failure.error) {
+    if (typeof failure.error === 'string') return failure.error;
+    if (failure.error.message) return failure.error.message;
+    return String(failure.error);
+  }
+  return 'Unknown error';
+}
+
+/**
+ * Write JSON via a temp file and rename, so readers never see a partial file
+ */
+function writeJson(file, data) {
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(data));
+  fs.renameSync(temp, file);
+}
+
+export default RunStore;
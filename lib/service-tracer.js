@@ -5,6 +5,8 @@
 
 import { ExecutionTracer } from './execution-tracer.js';
 import { ToonFormatter } from './toon-formatter.js';
+import { stringifyMessage } from './trace-serializer.js';
+import { SERVICE_SPOOL_PREFIX, defaultSpoolDir } from './trace-spool.js';
 import fs from 'fs';
 import path from 'path';
 import { EventEmitter } from 'events';
@@ -19,6 +21,7 @@ export class ServiceTracer extends EventEmitter {
       maxEntries: options.maxEntries || parseInt(process.env.TAIST_MAX_ENTRIES) || 10000,
       outputFormat: options.outputFormat || process.env.TAIST_FORMAT || 'toon',
       outputFile: options.outputFile || process.env.TAIST_OUTPUT_FILE,
+      spoolFile: options.spoolFile,
       outputInterval: options.outputInterval || parseInt(process.env.TAIST_OUTPUT_INTERVAL) || 30000,
       includePatterns: options.includePatterns || this.parsePatterns(process.env.TAIST_INCLUDE),
       excludePatterns: options.excludePatterns || this.parsePatterns(process.env.TAIST_EXCLUDE),
@@ -61,7 +64,7 @@ export class ServiceTracer extends EventEmitter {
    * Setup automatic output interval
    */
   setupOutputInterval() {
-    if (this.options.outputInterval > 0 && this.options.outputFile) {
+    if (this.options.outputInterval > 0 && (this.options.outputFile || this.options.spoolFile)) {
       this.outputTimer = setInterval(() => {
         this.writeOutput();
       }, this.options.outputInterval);
@@ -347,80 +350,33 @@ export class ServiceTracer extends EventEmitter {
    * Format output based on configured format
    */
   formatOutput(insights) {
-    switch (this.options.outputFormat) {
-      case 'toon':
-        return this.formatToon(insights);
-      case 'json':
-        return JSON.stringify(insights, null, 2);
-      case 'compact':
-        return this.formatCompact(insights);
-      default:
-        return this.formatHuman(insights);
-    }
+    return formatInsights(insights, this._formatOptions(this.options.outputFormat));
   }
 
   /**
    * Format as TOON
    */
   formatToon(insights) {
-    const lines = [];
-    const s = insights.stats;
-
-    lines.push(`[TAIST] up:${Math.floor(insights.uptime/1000)}s calls:${s.totalCalls} err:${s.totalErrors}`);
-
-    if (s.slowOperations > 0) {
-      lines.push(`[SLOW] ${s.slowOperations} ops >${this.options.slowOpThreshold}ms`);
-    }
-
-    if (s.bugsDetected > 0) {
-      lines.push(`[BUGS] ${s.bugsDetected} detected`);
-      insights.traces.bugs.slice(0, 3).forEach(bug => {
-        lines.push(`  • ${bug.type}`);
-      });
-    }
-
-    const topFuncs = Object.entries(insights.traces.topFunctions).slice(0, 3);
-    if (topFuncs.length > 0) {
-      lines.push(`[TOP] ${topFuncs.map(([fn, cnt]) => `${fn.split('.').pop()}:${cnt}`).join(' ')}`);
-    }
-
-    if (insights.traces.errors.length > 0) {
-      lines.push(`[ERR] ${insights.traces.errors.slice(0, 3).map(e => e.error.substring(0, 20)).join(', ')}`);
-    }
-
-    return lines.join('\n');
+    return formatInsights(insights, this._formatOptions('toon'));
   }
 
   /**
    * Format as compact
    */
   formatCompact(insights) {
-    const s = insights.stats;
-    return `TAIST: ${s.totalCalls} calls, ${s.totalErrors} errors, ${s.slowOperations} slow, ${s.bugsDetected} bugs (${Math.floor(insights.uptime/1000)}s)`;
+    return formatInsights(insights, this._formatOptions('compact'));
   }
 
   /**
    * Format as human-readable
    */
   formatHuman(insights) {
-    const lines = [];
-    lines.push('='.repeat(60));
-    lines.push('TAIST SERVICE MONITORING');
-    lines.push('='.repeat(60));
-    lines.push(`Uptime: ${Math.floor(insights.uptime/1000)} seconds`);
-    lines.push(`Total Calls: ${insights.stats.totalCalls}`);
-    lines.push(`Errors: ${insights.stats.totalErrors}`);
-    lines.push(`Slow Operations: ${insights.stats.slowOperations}`);
-    lines.push(`Bugs Detected: ${insights.stats.bugsDetected}`);
-
-    if (Object.keys(insights.traces.topFunctions).length > 0) {
-      lines.push('\nTop Functions:');
-      Object.entries(insights.traces.topFunctions).forEach(([fn, count]) => {
-        lines.push(`  ${fn}: ${count}`);
-      });
-    }
+    return formatInsights(insights, this._formatOptions('human'));
+  }
 
-    return lines.join('\n');
+  /** @private */
+  _formatOptions(format) {
+    return { format, slowOpThreshold: this.options.slowOpThreshold };
   }
 
   /**
@@ -429,8 +385,18 @@ export class ServiceTracer extends EventEmitter {
   writeOutput() {
     const insights = this.getInsights();
 
-    // If writing to file, write JSON format for vitest-runner to read
-    if (this.options.outputFile) {
+    // Snapshot of all traces so far as one spool batch, replacing the last one
+    if (this.options.spoolFile) {
+      try {
+        const message = { type: 'batch', workerId: process.pid, data: this.getTracesForOutput() };
+        fs.mkdirSync(path.dirname(this.options.spoolFile), { recursive: true });
+        fs.writeFileSync(this.options.spoolFile, stringifyMessage(message) + '\n');
+        this.emit('output-written', this.options.spoolFile);
+      } catch (error) {
+        this.emit('output-error', error);
+      }
+    } else if (this.options.outputFile) {
+      // If writing to file, write JSON format
       try {
         const traces = this.getTracesForOutput();
         const jsonOutput = JSON.stringify({ traces, insights }, null, 2);
@@ -520,6 +486,88 @@ export class ServiceTracer extends EventEmitter {
   }
 }
 
+/**
+ * Format service insights (ServiceTracer.getInsights(), or TraceMonitor's for
+ * `taist monitor`)
+ * @param {Object} insights
+ * @param {Object} [options]
+ * @param {'toon'|'json'|'compact'|'human'} [options.format] - Default: 'toon'
+ * @param {number} [options.slowOpThreshold] - Shown with the slow operation count (default: 100)
+ * @returns {string}
+ */
+export function formatInsights(insights, options = {}) {
+  const { format = 'toon', slowOpThreshold = 100 } = options;
+  switch (format) {
+    case 'toon':
+      return formatToon(insights, slowOpThreshold);
+    case 'json':
+      return JSON.stringify(insights, null, 2);
+    case 'compact':
+      return formatCompact(insights);
+    default:
+      return formatHuman(insights);
+  }
+}
+
+function formatToon(insights, slowOpThreshold) {
+  const lines = [];
+  const s = insights.stats;
+
+  lines.push(`[TAIST] up:${Math.floor(insights.uptime/1000)}s calls:${s.totalCalls} err:${s.totalErrors}`);
+
+  if (s.slowOperations > 0) {
+    const slowest = [...insights.traces.slowOps]
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, 3)
+      .map(op => `${op.method.split('.').pop()}:${Math.round(op.duration)}ms`);
+    lines.push(`[SLOW] ${s.slowOperations} ops >${slowOpThreshold}ms${slowest.length > 0 ? ` ${slowest.join(' ')}` : ''}`);
+  }
+
+  if (s.bugsDetected > 0) {
+    lines.push(`[BUGS] ${s.bugsDetected} detected`);
+    insights.traces.bugs.slice(0, 3).forEach(bug => {
+      lines.push(`  • ${bug.type}`);
+    });
+  }
+
+  const topFuncs = Object.entries(insights.traces.topFunctions).slice(0, 3);
+  if (topFuncs.length > 0) {
+    lines.push(`[TOP] ${topFuncs.map(([fn, cnt]) => `${fn.split('.').pop()}:${cnt}`).join(' ')}`);
+  }
+
+  if (insights.traces.errors.length > 0) {
+    lines.push(`[ERR] ${insights.traces.errors.slice(0, 3).map(e => String(e.error).substring(0, 20)).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+function formatCompact(insights) {
+  const s = insights.stats;
+  return `TAIST: ${s.totalCalls} calls, ${s.totalErrors} errors, ${s.slowOperations} slow, ${s.bugsDetected} bugs (${Math.floor(insights.uptime/1000)}s)`;
+}
+
+function formatHuman(insights) {
+  const lines = [];
+  lines.push('='.repeat(60));
+  lines.push('TAIST SERVICE MONITORING');
+  lines.push('='.repeat(60));
+  lines.push(`Uptime: ${Math.floor(insights.uptime/1000)} seconds`);
+  lines.push(`Total Calls: ${insights.stats.totalCalls}`);
+  lines.push(`Errors: ${insights.stats.totalErrors}`);
+  lines.push(`Slow Operations: ${insights.stats.slowOperations}`);
+  lines.push(`Bugs Detected: ${insights.stats.bugsDetected}`);
+
+  if (Object.keys(insights.traces.topFunctions).length > 0) {
+    lines.push('\nTop Functions:');
+    Object.entries(insights.traces.topFunctions).forEach(([fn, count]) => {
+      lines.push(`  ${fn}: ${count}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
 // Singleton instance for global usage
 let globalTracer = null;
 
@@ -529,10 +577,10 @@ let globalTracer = null;
 export function getGlobalTracer(options) {
   if (!globalTracer) {
     // When running in a worker/forked process with tracing enabled,
-    // automatically set up file-based trace output for aggregation
+    // spool the traces for the parent to aggregate (see trace-spool.js)
     if (process.env.TAIST_ENABLED === 'true' && !process.env.TAIST_OUTPUT_FILE) {
-      const traceDir = process.env.TAIST_TRACE_DIR || '/tmp';
-      process.env.TAIST_OUTPUT_FILE = `${traceDir}/taist-trace-${process.pid}.json`;
+      const spoolFile = path.join(defaultSpoolDir(), `${SERVICE_SPOOL_PREFIX}${process.pid}.ndjson`);
+      options = { spoolFile, ...options };
     }
     globalTracer = new ServiceTracer(options);
   }
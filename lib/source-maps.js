@@ -0,0 +1,74 @@
+/**
+ * Source map helpers shared by the ESM and CommonJS hooks
+ *
+ * Instrumented modules are loaded straight from memory, so their maps are
+ * inlined - chained through any map an earlier compile step left behind.
+ */
+
+import fs from "fs";
+
+// Works in the loader hooks thread too, where logger.js may not
+const debug = (...args) => {
+  if (process.env.TAIST_DEBUG === '1' || process.env.TAIST_DEBUG === 'true') {
+    console.error("[TAIST] [source-maps]", ...args);
+  }
+};
+
+// Trailing source map comment left by an earlier loader or compiler (e.g. tsx, tsc)
+const SOURCE_MAP_COMMENT = /\n?\/\/[#@] sourceMappingURL=(\S+)\s*$/;
+
+/**
+ * Split a trailing sourceMappingURL comment off the source and load the map it
+ * points to, so the instrumented output can be chained back to the real original.
+ * Supports inline data: URLs and .map files next to the module.
+ * @param {string} source - Module source
+ * @param {string} url - Module URL (base for relative map and source paths)
+ * @returns {{ code: string, map: object|null }}
+ */
+export function extractSourceMap(source, url) {
+  const match = SOURCE_MAP_COMMENT.exec(source);
+  if (!match) {
+    return { code: source, map: null };
+  }
+
+  const code = source.slice(0, match.index);
+
+  try {
+    const mapUrl = new URL(match[1], url);
+    let json;
+
+    if (mapUrl.protocol === "data:") {
+      const comma = mapUrl.href.indexOf(",");
+      const meta = mapUrl.href.slice("data:".length, comma);
+      const payload = mapUrl.href.slice(comma + 1);
+      json = meta.endsWith(";base64")
+        ? Buffer.from(payload, "base64").toString("utf-8")
+        : decodeURIComponent(payload);
+    } else if (mapUrl.protocol === "file:") {
+      json = fs.readFileSync(mapUrl, "utf-8");
+    } else {
+      return { code, map: null };
+    }
+
+    const map = JSON.parse(json);
+
+    // Make sources absolute - the chained map is inlined, so relative
+    // paths would otherwise resolve against the module instead of the .map file
+    const base = new URL(map.sourceRoot || "", mapUrl.protocol === "data:" ? url : mapUrl);
+    map.sources = map.sources.map((src) => (src == null ? src : new URL(src, base).href));
+    delete map.sourceRoot;
+
+    return { code, map };
+  } catch (err) {
+    debug("Failed to load source map for", url, err.message);
+    return { code, map: null };
+  }
+}
+
+/**
+ * Encode a source map as an inline sourceMappingURL comment
+ */
+export function inlineSourceMapComment(map) {
+  const base64 = Buffer.from(JSON.stringify(map)).toString("base64");
+  return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${base64}`;
+}
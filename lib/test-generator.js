@@ -0,0 +1,347 @@
+/**
+ * Test Generator - Regression tests from recorded calls
+ *
+ * Turns the recorded calls of one function in a saved run into a Vitest
+ * file that pins its behavior before a refactor: each distinct call becomes
+ * a test that calls the function with the recorded args and expects the
+ * recorded result (deep equality) or error. The calls the function made to
+ * other traced functions are listed as a commented `vi.spyOn` scaffold with
+ * their recorded results, for isolating the function from them.
+ *
+ * Where the function is defined comes from the `file` of its entry traces
+ * (transform-instrumented modules), or from the caller. The module's exports
+ * are read, not run, to tell functions from class methods.
+ *
+ * Class instances in results are expected as `expect.objectContaining`
+ * with their recorded fields. Calls whose values the reporter summarized or
+ * redacted, or that hold values source code can't recreate (functions,
+ * symbols, cycles, class instances as arguments), become `it.todo` entries.
+ *
+ * @example
+ * const source = generateTests(loadRunTraces('run.json'), { fn: 'Orders.create', outFile: 'test/orders.pinned.test.js' });
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { REDACTED } from './redaction.js';
+import { ToonFormatter } from './toon-formatter.js';
+import { TAG, TYPED_ARRAYS, isTagged, describeTag, toDisplayValue } from './trace-serializer.js';
+import { extractModuleName, findExports } from './transform.js';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const INDENT = '  ';
+const MAX_INLINE = 60; // Longer arrays and objects are written one item per line
+
+/** Marks left by value-summarizer.js and redaction.js ([REDACTED], [REDACTED:<name>], also inside strings) */
+const SUMMARIZED = /\.\.\.\(\d+ (chars|more)\)$|^\[\w+: \d+ (keys|items|bytes)\]$/;
+const REDACTED_MARK = REDACTED.slice(0, -1);
+const SUMMARIZED_REASON = 'summarized value (record with a larger TAIST_MAX_ARG_SIZE / TAIST_MAX_RESULT_SIZE)';
+
+/**
+ * A recorded value that source code can't recreate
+ */
+class NotReproducible extends Error {}
+
+/**
+ * Generate a Vitest file for the recorded calls of a function.
+ *
+ * @param {Array} traces - Trace records of a run (see loadRunTraces)
+ * @param {Object} options
+ * @param {string} options.fn - Trace name of the function, e.g. 'OrderService.createOrder'
+ * @param {string} [options.importPath] - Module to import it from (default: its recorded source file)
+ * @param {string} [options.outFile] - Where the tests will be written; relative imports start there (default: the working directory)
+ * @param {string} [options.from] - Run file, named in the header comment
+ * @param {number} [options.limit=20] - Max distinct calls to turn into tests
+ * @returns {{source: string, tests: number, todo: number, skipped: number}} - skipped: distinct calls beyond the limit
+ */
+export function generateTests(traces, options) {
+  const { fn, limit = 20 } = options;
+  const calls = new ToonFormatter().mergeCallRecords(traces)
+    .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+
+  const recorded = calls.filter(call => call.name === fn && (call.type === 'exit' || call.type === 'error'));
+  if (recorded.length === 0) {
+    const names = [...new Set(calls.map(call => call.name).filter(Boolean))].sort();
+    const known = names.length > 0 ? ` (recorded: ${names.slice(0, 10).join(', ')}${names.length > 10 ? ', ...' : ''})` : '';
+    throw new Error(`No recorded calls of ${fn}${known}`);
+  }
+
+  const target = resolveTarget(fn, recorded.find(call => call.file)?.file, options);
+  const children = new Map(); // call id → calls it made
+  for (const call of calls) {
+    if (!call.parentId) continue;
+    if (!children.has(call.parentId)) children.set(call.parentId, []);
+    children.get(call.parentId).push(call);
+  }
+
+  // One test per distinct call
+  const tests = new Map();
+  for (const call of recorded) {
+    const test = buildTest(call, target, children.get(call.id) || []);
+    if (!tests.has(test.key)) tests.set(test.key, test);
+  }
+  const kept = [...tests.values()].slice(0, limit);
+  const skipped = tests.size - kept.length;
+
+  const mocks = kept.some(test => test.mocks);
+  const lines = [
+    '/**',
+    ` * Regression tests for ${fn}, generated by \`taist gen-tests\``,
+    ` * from the calls recorded in ${options.from || 'a traced run'}. They pin that`,
+    ' * behavior - update them when it changes on purpose.',
+    ...(skipped > 0 ? [` * ${skipped} more distinct calls were left out (--limit ${limit}).`] : []),
+    ' */',
+    '',
+    `import { describe, it, expect${mocks ? ', vi' : ''} } from 'vitest';`,
+    target.importLine,
+    '',
+    `describe(${quote(`${fn} (recorded)`)}, () => {`
+  ];
+  if (target.setup) lines.push(...target.setup.map(line => INDENT + line), '');
+
+  kept.forEach((test, i) => {
+    if (i > 0) lines.push('');
+    lines.push(...test.lines.map(line => (line ? INDENT + line : line)));
+  });
+  lines.push('});', '');
+
+  return {
+    source: lines.join('\n'),
+    tests: kept.filter(test => !test.todo).length,
+    todo: kept.filter(test => test.todo).length,
+    skipped
+  };
+}
+
+/**
+ * How the generated tests reach the function: its import and the call expression
+ */
+function resolveTarget(fn, file, options) {
+  if (!options.importPath && !file) {
+    throw new Error(`Pass --import <module>: the traces don't say where ${fn} is defined`);
+  }
+
+  const exports = file ? readExports(file) : null;
+  const segments = fn.split('.');
+  // Transformed modules prefix names with the module name, unless it is the export's own
+  const prefixed = file && segments.length > 1 && segments[0] === extractModuleName(file);
+  const [exported, ...members] = prefixed ? segments.slice(1) : segments;
+
+  // Traces name aliased exports by their local name
+  const entry = exports?.find(item => item.local === exported) || exports?.find(item => item.name === exported);
+  const from = quote(options.importPath || importSpecifier(file, options.outFile));
+  const isDefault = entry?.name === 'default';
+  // Default exports are imported under their local name, 'target' when anonymous
+  const local = isDefault ? (exported === 'default' ? 'target' : exported) : (entry?.name || exported);
+  const importLine = isDefault
+    ? `import ${local} from ${from};`
+    : `import { ${local} } from ${from};`;
+
+  // Class methods are instrumented on the prototype, so they need an instance
+  const isClass = entry ? entry.type === 'class' : /^[A-Z]/.test(exported);
+  if (isClass && members.length > 0) {
+    return {
+      importLine,
+      setup: [
+        '// A fresh instance per test - add the constructor arguments it needs',
+        `const subject = () => new ${local}();`
+      ],
+      call: args => `subject()${memberPath(members)}(${args})`
+    };
+  }
+
+  return { importLine, call: args => `${local}${memberPath(members)}(${args})` };
+}
+
+function readExports(file) {
+  try {
+    return findExports(fs.readFileSync(file, 'utf-8'), { filename: file });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Import specifier for a file, relative to the directory of the test file
+ */
+function importSpecifier(file, outFile) {
+  const dir = outFile ? path.dirname(path.resolve(outFile)) : process.cwd();
+  const relative = path.relative(dir, file).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+function memberPath(members) {
+  return members.map(member => (IDENTIFIER.test(member) ? `.${member}` : `[${quote(member)}]`)).join('');
+}
+
+/**
+ * Test lines for one recorded call; key identifies equal calls
+ */
+function buildTest(call, target, callees) {
+  const title = `${call.name.split('.').pop()}(${preview(call.args)})`;
+  let body;
+  try {
+    const args = (call.args || []).map(arg => toSource(arg, 2)).join(', ');
+    const invocation = target.call(args);
+    body = call.type === 'error'
+      ? [`await expect(async () => ${invocation}).rejects.toThrow(${quote(errorMessage(call.error))});`]
+      : [`expect(await ${invocation}).toEqual(${toSource(call.result, 2, { expected: true })});`];
+  } catch (err) {
+    if (!(err instanceof NotReproducible)) throw err;
+    return { key: `todo:${title}:${err.message}`, todo: true, lines: [`it.todo(${quote(`${title} - ${err.message}`)});`] };
+  }
+
+  const scaffold = callees.length === 0 ? [] : [
+    '// Traced callees, in call order - mock them to test this call in isolation:',
+    ...callees.map(mockLine),
+    ''
+  ];
+  return {
+    key: body.join('\n'),
+    mocks: callees.length > 0,
+    lines: [
+      `it(${quote(title)}, async () => {`,
+      ...[...scaffold, ...body].map(line => (line ? INDENT + line : line)),
+      '});'
+    ]
+  };
+}
+
+/**
+ * Commented-out mock of a callee with its recorded outcome
+ */
+function mockLine(callee) {
+  const segments = callee.name.split('.');
+  const method = segments.pop();
+  const object = segments.pop() || 'module';
+  const spy = `vi.spyOn(${object}, ${quote(method)})`;
+  try {
+    if (callee.type === 'error') {
+      return `// ${spy}.mockRejectedValueOnce(new Error(${quote(errorMessage(callee.error))}));`;
+    }
+    if (callee.type === 'exit') {
+      return `// ${spy}.mockResolvedValueOnce(${oneLine(toSource(callee.result, 0))});`;
+    }
+    return `// ${callee.name}: no recorded outcome`;
+  } catch (err) {
+    if (!(err instanceof NotReproducible)) throw err;
+    return `// ${callee.name}: result not reproducible (${err.message})`;
+  }
+}
+
+/**
+ * JavaScript source that recreates a recorded (tagged) value. Tagged values
+ * are read from a run file, so only what they can legitimately hold makes it
+ * into the source.
+ * @param {*} value - Trace value (see trace-serializer.js)
+ * @param {number} depth - Indent level of the line the value starts on
+ * @param {Object} [options]
+ * @param {boolean} [options.expected] - The value is compared with toEqual,
+ *   so class instances can be matched by their fields
+ * @returns {string}
+ * @throws {NotReproducible}
+ */
+export function toSource(value, depth = 0, options = {}) {
+  const pad = INDENT.repeat(depth + 1);
+  const close = INDENT.repeat(depth);
+  const list = (items, open, end) => {
+    if (items.length === 0) return `${open}${end}`;
+    const inline = open === '{' ? `{ ${items.join(', ')} }` : `${open}${items.join(', ')}${end}`;
+    if (inline.length <= MAX_INLINE && !inline.includes('\n')) return inline;
+    return `${open}\n${items.map(item => pad + item).join(',\n')}\n${close}${end}`;
+  };
+
+  if (value === null) return 'null';
+  switch (typeof value) {
+    case 'string':
+      if (value.includes(REDACTED_MARK)) throw new NotReproducible('redacted value');
+      if (SUMMARIZED.test(value)) throw new NotReproducible(SUMMARIZED_REASON);
+      return quote(value);
+    case 'number':
+      return Object.is(value, -0) ? '-0' : String(value);
+    case 'boolean':
+      return String(value);
+    case 'undefined':
+      return 'undefined';
+  }
+
+  const nested = (item) => toSource(item, depth + 1, options);
+
+  if (Array.isArray(value)) {
+    return list(value.map(nested), '[', ']');
+  }
+
+  if (!isTagged(value)) {
+    if ('...' in value) throw new NotReproducible(SUMMARIZED_REASON);
+    // Class instances are recorded as their fields plus the class name
+    const { __type: type, ...fields } = value;
+    if (typeof type === 'string' && !options.expected) throw new NotReproducible(`${type} instance`);
+    const entries = Object.entries(typeof type === 'string' ? fields : value)
+      .map(([key, item]) => `${IDENTIFIER.test(key) ? key : quote(key)}: ${nested(item)}`);
+    return typeof type === 'string'
+      ? `expect.objectContaining(${list(entries, '{', '}')})`
+      : list(entries, '{', '}');
+  }
+
+  switch (value[TAG]) {
+    case 'Undefined':
+      return 'undefined';
+    case 'Number':
+      if (!['NaN', 'Infinity', '-Infinity'].includes(value.value)) throw new NotReproducible('malformed Number value');
+      return value.value;
+    case 'BigInt':
+      if (typeof value.value !== 'string' || !/^-?\d+$/.test(value.value)) throw new NotReproducible('malformed BigInt value');
+      return `${value.value}n`;
+    case 'Date':
+      return `new Date(${quote(value.value ?? 'Invalid Date')})`;
+    case 'RegExp':
+      return `new RegExp(${quote(value.source)}, ${quote(value.flags)})`;
+    case 'Buffer':
+      return `Buffer.from(${quote(value.data)}, 'base64')`;
+    case 'TypedArray': {
+      if (value.type !== 'ArrayBuffer' && !Object.hasOwn(TYPED_ARRAYS, value.type)) {
+        throw new NotReproducible('malformed TypedArray value');
+      }
+      const buffer = `Uint8Array.from(Buffer.from(${quote(value.data)}, 'base64')).buffer`;
+      return value.type === 'ArrayBuffer' ? buffer : `new ${value.type}(${buffer})`;
+    }
+    case 'Map':
+      if (value.entries.some(([key]) => key === '...')) throw new NotReproducible(SUMMARIZED_REASON);
+      return `new Map(${list(value.entries.map(([key, item]) => `[${nested(key)}, ${nested(item)}]`), '[', ']')})`;
+    case 'Set':
+      return `new Set(${list(value.values.map(nested), '[', ']')})`;
+    case 'Error':
+      return `new Error(${quote(value.message ?? '')})`;
+    case 'Object':
+      return toSource(value.value, depth, options);
+    default:
+      throw new NotReproducible(`${describeTag(value)} value`);
+  }
+}
+
+function errorMessage(error) {
+  if (!error) return '';
+  if (typeof error === 'string') return error;
+  return error.message ?? '';
+}
+
+/**
+ * Short readable args for test titles
+ */
+function preview(args = []) {
+  const text = args.map(arg => JSON.stringify(toDisplayValue(arg)) ?? 'undefined').join(', ');
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function oneLine(source) {
+  return source.replace(/\n\s*/g, ' ');
+}
+
+/**
+ * Single-quoted string literal
+ */
+function quote(text) {
+  return `'${JSON.stringify(String(text)).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+export default { generateTests, toSource };
@@ -3,6 +3,10 @@
  * Converts test results to a token-efficient format for AI consumption
  */
 
+import { analyzeTrend } from './run-store.js';
+import { describeTag, isTagged, toDisplayValue } from './trace-serializer.js';
+import { coverageHotspots, formatRanges } from './coverage-summary.js';
+
 export class ToonFormatter {
   constructor(options = {}) {
     this.options = {
@@ -12,6 +16,9 @@ export class ToonFormatter {
       maxStackFrames: options.maxStackFrames || 2,
       maxObjectKeys: options.maxObjectKeys || 3,
       maxArrayItems: options.maxArrayItems || 2,
+      maxFailureTraces: options.maxFailureTraces ?? 20,
+      maxCoverageFiles: options.maxCoverageFiles ?? 5,
+      maxCoverageRanges: options.maxCoverageRanges ?? 6,
       ...options
     };
 
@@ -53,7 +60,7 @@ export class ToonFormatter {
 
     // Show passing tests when running small batches (≤10 tests)
     if (total > 0 && total <= 10) {
-      const passingTests = tests.filter(t => t.state === 'pass');
+      const passingTests = tests.filter(t => t.state === 'pass' && !t.flaky);
       for (const test of passingTests) {
         const duration = Math.round(test.duration);
         const shortName = this.shortenTestName(test.name);
@@ -61,6 +68,11 @@ export class ToonFormatter {
       }
     }
 
+    // Flaky tests passed, but only on a retry - always shown
+    for (const flaky of results.flaky || []) {
+      lines.push(`~ ${this.shortenTestName(flaky.test)} (flaky ${flaky.retries}/${flaky.maxRetries})`);
+    }
+
     // Failures
     if (results.failures && results.failures.length > 0) {
       lines.push('');
@@ -96,7 +108,37 @@ export class ToonFormatter {
   formatHeader(results) {
     const passed = results.stats?.passed || 0;
     const total = results.stats?.total || 0;
-    return `===TESTS: ${passed}/${total}===`;
+    const notes = [this.formatAffected(results.affected), this.formatDropped(results.sampling)].filter(Boolean);
+    return `===TESTS: ${passed}/${total}${notes.map(note => ` | ${note}`).join('')}===`;
+  }
+
+  /**
+   * Describe a `--changed` or `--impacted` run's selection
+   * @param {Object} [affected] - { changed, tests, impacted } (see VitestRunner.describeAffected)
+   * @returns {string} - e.g. "changed files: 3 | affected test files: 2", or '' for a full run
+   */
+  formatAffected(affected) {
+    if (!affected) return '';
+    const changed = `changed files: ${affected.changed.length}`;
+    if (affected.impacted !== undefined) {
+      if (!affected.tests) return `${changed} | impacted tests: all (no impact map yet)`;
+      if (affected.impacted) return `${changed} | impacted tests: ${affected.impacted.length}`;
+    }
+    const tests = affected.tests ? affected.tests.length : 'all (no import graph yet)';
+    return `${changed} | affected test files: ${tests}`;
+  }
+
+  /**
+   * Describe traces dropped by sampling, tail retention or the collector's maxTraces limit
+   * @param {Object} [sampling] - { sampledOut, tailDropped, evicted } (see TraceCollector.getStats)
+   * @returns {string} - e.g. "sampled out: 120 | evicted: 3", or '' when nothing was dropped
+   */
+  formatDropped(sampling) {
+    const parts = [];
+    if (sampling?.sampledOut > 0) parts.push(`sampled out: ${sampling.sampledOut}`);
+    if (sampling?.tailDropped > 0) parts.push(`tail dropped: ${sampling.tailDropped}`);
+    if (sampling?.evicted > 0) parts.push(`evicted: ${sampling.evicted}`);
+    return parts.join(' | ');
   }
 
   /**
@@ -113,8 +155,10 @@ export class ToonFormatter {
       lines.push(`  @${this.formatLocation(failure.location)}`);
     }
 
-    // Error message
-    if (failure.error) {
+    // Error message (replay misses list what was recorded instead)
+    if (failure.replay) {
+      lines.push(...this.formatReplayMiss(failure.replay));
+    } else if (failure.error) {
       const msg = this.cleanErrorMessage(failure.error);
       lines.push(`  ${msg}`);
     }
@@ -142,6 +186,44 @@ export class ToonFormatter {
       }
     }
 
+    // Calls made by this test
+    if (failure.trace && failure.trace.length > 0 && this.options.maxFailureTraces > 0) {
+      lines.push('  trace:');
+      lines.push(...this.formatFailureTrace(failure.trace));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Format a call replay found no recording of (see cassette.js)
+   * @param {Object} replay - CassetteMismatchError details
+   * @returns {Array<string>} - Lines indented below the failure
+   */
+  formatReplayMiss(replay) {
+    const call = (args) => this.truncate(`${replay.fn}(${args})`, 80);
+    const recorded = replay.recorded.length > 0
+      ? replay.recorded.map(call).join(', ') + (replay.more > 0 ? ` +${replay.more} more` : '')
+      : `none in ${replay.dir} (record with TAIST_MODE=record)`;
+    return [
+      `  replay miss: ${call(replay.args)}`,
+      `  recorded: ${recorded}`
+    ];
+  }
+
+  /**
+   * Format the calls a failing test made, one line per call in start order
+   * @param {Array} traces - The test's trace objects
+   * @returns {Array<string>} - Lines indented below the failure
+   */
+  formatFailureTrace(traces) {
+    const calls = this.mergeCallRecords(traces).sort((a, b) => a.timestamp - b.timestamp);
+    const shown = calls.slice(0, this.options.maxFailureTraces);
+    const lines = shown.map(trace => this.formatTraceLine(trace, (trace.depth || 0) + 2));
+
+    if (calls.length > shown.length) {
+      lines.push(`    ... and ${calls.length - shown.length} more calls`);
+    }
     return lines;
   }
 
@@ -171,13 +253,25 @@ export class ToonFormatter {
   }
 
   /**
-   * Format coverage information
+   * Format coverage information: line totals, then the least-covered
+   * (changed, if any changed) files with their uncovered line ranges
    */
   formatCoverage(coverage) {
     const percent = Math.round(coverage.percent || 0);
     const covered = coverage.covered || 0;
     const total = coverage.total || 0;
-    return `COV: ${percent}% (${covered}/${total})`;
+    const lines = [`COV: ${percent}% (${covered}/${total})`];
+
+    for (const file of coverageHotspots(coverage, this.options.maxCoverageFiles)) {
+      const ranges = file.uncovered.slice(0, this.options.maxCoverageRanges);
+      const more = file.uncovered.length > ranges.length
+        ? `...+${file.uncovered.length - ranges.length}`
+        : '';
+      const changed = file.changed ? ' *' : '';
+      lines.push(`  ${file.file}${changed} ${Math.round(file.percent)}% L${formatRanges(ranges)}${more}`);
+    }
+
+    return lines.join('\n');
   }
 
   /**
@@ -235,6 +329,10 @@ export class ToonFormatter {
       return String(value);
     }
 
+    if (isTagged(value)) {
+      return this.truncate(describeTag(value), 40);
+    }
+
     if (Array.isArray(value)) {
       if (value.length === 0) return '[]';
       const items = value
@@ -378,6 +476,34 @@ export class ToonFormatter {
     return groups;
   }
 
+  /**
+   * Merge each call's entry record with its exit/error record.
+   * The entry keeps the start timestamp; the outcome adds duration, result or error.
+   * Calls that never completed keep just their entry.
+   *
+   * @param {Array} traces - Array of trace objects
+   * @returns {Array} - One trace object per call
+   */
+  mergeCallRecords(traces) {
+    const entries = new Map();
+    const merged = [];
+
+    for (const trace of traces) {
+      if (trace.id && trace.type === 'entry') {
+        const call = { ...trace };
+        entries.set(trace.id, call);
+        merged.push(call);
+      } else if (trace.id && entries.has(trace.id) && (trace.type === 'exit' || trace.type === 'error')) {
+        const { timestamp, args, ...outcome } = trace;
+        Object.assign(entries.get(trace.id), outcome);
+      } else {
+        merged.push(trace);
+      }
+    }
+
+    return merged;
+  }
+
   /**
    * Format a trace tree showing nested call hierarchy
    * Groups traces by traceId and shows depth-based indentation
@@ -386,6 +512,7 @@ export class ToonFormatter {
    * @param {Object} options - Formatting options
    * @param {number} options.maxGroups - Max request groups to show (default: 10)
    * @param {boolean} options.showHeader - Show header with stats (default: true)
+   * @param {Object} options.sampling - Dropped trace counts for the header ({ sampledOut, tailDropped, evicted })
    * @returns {string} - Formatted trace tree output
    */
   formatTraceTree(traces, options = {}) {
@@ -409,8 +536,8 @@ export class ToonFormatter {
       }
     }
 
-    // Sort by timestamp
-    const sorted = [...traces].sort((a, b) => a.timestamp - b.timestamp);
+    // One line per call, sorted by start time
+    const sorted = this.mergeCallRecords(traces).sort((a, b) => a.timestamp - b.timestamp);
 
     // Group by traceId
     const groups = this.groupTracesByRequest(sorted);
@@ -428,7 +555,8 @@ export class ToonFormatter {
       lines.push('='.repeat(60));
       lines.push('TRACE OUTPUT');
       lines.push('='.repeat(60));
-      lines.push(`Traces: ${traces.length} | Requests: ${groups.size}`);
+      const dropped = this.formatDropped(options.sampling);
+      lines.push(`Traces: ${sorted.length} | Requests: ${groups.size}${dropped ? ` | ${dropped}` : ''}`);
       lines.push('');
     }
 
@@ -450,14 +578,7 @@ export class ToonFormatter {
       lines.push(`--- ${rootName} ---`);
 
       for (const trace of groupTraces) {
-        const indent = '  '.repeat((trace.depth || 0) + 1);
-        const ms = trace.duration != null ? `${Math.round(trace.duration)}ms` : '';
-        const err = trace.error ? `ERR: ${this.truncate(trace.error.message || trace.error, 40)}` : '';
-        const ret = !err && trace.result != null
-          ? this.truncate(JSON.stringify(trace.result), 40)
-          : '';
-
-        lines.push(`${indent}fn:${trace.name} depth:${trace.depth} ${ms} ${err || ret}`.trimEnd());
+        lines.push(this.formatTraceLine(trace, (trace.depth || 0) + 1));
       }
       lines.push('');
       shown++;
@@ -466,6 +587,125 @@ export class ToonFormatter {
     return lines.join('\n');
   }
 
+  /**
+   * Format one call of a trace tree: name, depth, duration and result or error
+   * @param {Object} trace - Merged trace object
+   * @param {number} level - Indentation level
+   * @returns {string}
+   */
+  formatTraceLine(trace, level) {
+    const indent = '  '.repeat(level);
+    const ms = trace.duration != null ? `${Math.round(trace.duration)}ms` : '';
+    const err = trace.error ? `ERR: ${this.truncate(trace.error.message || trace.error, 40)}` : '';
+    const ret = !err && trace.result != null
+      ? this.truncate(JSON.stringify(toDisplayValue(trace.result)), 40)
+      : '';
+
+    return `${indent}fn:${trace.name} depth:${trace.depth} ${ms} ${err || ret}`.trimEnd();
+  }
+
+  /**
+   * Format a trace diff (see diffRuns in trace-diff.js)
+   *
+   * @param {Object} diff - Result of diffRuns()
+   * @param {Object} options - Formatting options
+   * @param {number} options.maxItems - Max entries per section (default: 10)
+   * @returns {string} - Formatted diff output
+   */
+  formatTraceDiff(diff, options = {}) {
+    const maxItems = options.maxItems ?? 10;
+    const { summary } = diff;
+    const lines = [];
+
+    const counts = [
+      `+${summary.added}`,
+      `-${summary.removed}`,
+      `~${summary.changed}`,
+      `err:+${summary.newErrors}/-${summary.fixedErrors}`,
+      `slow:${summary.regressions}`
+    ];
+    lines.push(`===DIFF: ${counts.join(' ')}===`);
+    lines.push(`calls: ${summary.callsBefore}→${summary.callsAfter}`);
+
+    const section = (title, items, format) => {
+      if (items.length === 0) return;
+      lines.push('');
+      lines.push(`${title}:`);
+      for (const item of items.slice(0, maxItems)) {
+        lines.push(`  ${format(item)}`);
+      }
+      if (items.length > maxItems) {
+        lines.push(`  ... and ${items.length - maxItems} more`);
+      }
+    };
+
+    section('NEW', diff.added, item => `+ ${item.path} x${item.count}`);
+    section('GONE', diff.removed, item => `- ${item.path} x${item.count}`);
+    section('CHANGED', diff.changed, item => {
+      const parts = [`~ ${item.path}`];
+      if (item.calls) {
+        parts.push(`calls:${item.calls.before}→${item.calls.after}`);
+      }
+      if (item.result) {
+        const value = v => this.truncate(JSON.stringify(toDisplayValue(v)), 40);
+        parts.push(`ret:${value(item.result.before)}→${value(item.result.after)}`);
+      }
+      return parts.join(' ');
+    });
+    section('ERRORS', diff.newErrors, item => `! ${item.path} ERR: ${this.truncate(item.error)}`);
+    section('FIXED', diff.fixedErrors, item => `✓ ${item.path} was: ${this.truncate(item.error)}`);
+    section('SLOW', diff.regressions, item => {
+      const pct = item.before > 0 ? ` (+${Math.round((item.after / item.before - 1) * 100)}%)` : '';
+      return `▲ ${item.path} ${Math.round(item.before)}ms→${Math.round(item.after)}ms${pct}`;
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format run history (see RunStore.list), oldest first
+   *
+   * @param {Array} runs - Run store index entries
+   * @returns {string} - Formatted history
+   */
+  formatRunHistory(runs) {
+    const lines = [`===HISTORY: ${runs.length} runs | trend: ${analyzeTrend(runs)}===`];
+
+    for (const run of runs) {
+      const { summary } = run;
+      const time = run.timestamp ? run.timestamp.slice(0, 19).replace('T', ' ') : '?';
+      const parts = [run.id, run.command, time, `${summary.pass}/${summary.total}`];
+      if (summary.fail > 0) parts.push(`fail:${summary.fail}`);
+      parts.push(`${Math.round(run.duration || 0)}ms`);
+      if (summary.new_failures?.length > 0) parts.push(`new:${summary.new_failures.length}`);
+      if (summary.fixed?.length > 0) parts.push(`fixed:${summary.fixed.length}`);
+      if (summary.flaky?.length > 0) parts.push(`flaky:${summary.flaky.length}`);
+      lines.push(parts.join(' '));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Format chronically flaky tests (see RunStore.flakyTests)
+   *
+   * @param {Array} tests - Result of RunStore.flakyTests()
+   * @param {number} runs - Number of runs the counts cover
+   * @returns {string} - Formatted list
+   */
+  formatFlakyTests(tests, runs) {
+    const lines = [`===FLAKY: ${tests.length} tests in ${runs} runs===`];
+
+    for (const test of tests) {
+      const parts = [`~ ${test.test}`, `flaky:${test.flaky}`];
+      if (test.failed > 0) parts.push(`fail:${test.failed}`);
+      if (test.lastSeen) parts.push(`last:${test.lastSeen.slice(0, 16).replace('T', ' ')}`);
+      lines.push(parts.join(' '));
+    }
+
+    return lines.join('\n');
+  }
+
   /**
    * Print trace tree to console with optional TOON summary
    * Convenience method for test afterAll hooks
@@ -1,16 +1,56 @@
 import net from "node:net";
+import http from "node:http";
 import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
 import crypto from "node:crypto";
 import { EventEmitter } from "node:events";
+import { OtlpExporter } from "./otlp-exporter.js";
+import { decodeValue, VALUE_FIELDS } from "./trace-serializer.js";
+import { TailRetention } from "./trace-retention.js";
+import { WireDecoder, negotiate } from "./wire-protocol.js";
+import { SPOOL_PREFIX, readSpool, removeSpoolDir } from "./trace-spool.js";
+import { TraceViewer } from "./trace-viewer.js";
+
+/** Largest HTTP ingest body accepted */
+const MAX_HTTP_BODY = 64 * 1024 * 1024;
+
+/** TCP clients must send their auth line, at most this long, within AUTH_TIMEOUT ms */
+const MAX_AUTH_LINE = 4096;
+const AUTH_TIMEOUT = 5000;
 
 /**
  * TraceCollector - Unix domain socket server for aggregating traces from multiple worker processes.
  *
  * Architecture:
  * - Main process starts the collector before spawning test workers
- * - Workers connect via Unix socket and send NDJSON trace messages
+ * - Workers connect via Unix socket and send NDJSON trace messages, or binary
+ *   frames once negotiated (see wire-protocol.js)
  * - Collector aggregates, deduplicates, and filters traces
  * - After tests complete, main process retrieves aggregated traces
+ *
+ * Processes in another container or network namespace can't reach the Unix
+ * socket. For them the collector can also listen on TCP (`port`), speaking the
+ * same protocol, and accept messages at HTTP `POST /traces` (`httpPort`). Both
+ * require the shared-secret `token` when one is set: TCP clients send
+ * `{ "type": "auth", "token": "..." }` first, HTTP clients an
+ * `Authorization: Bearer <token>` header.
+ *
+ * Values in args/result/error/data arrive as tagged JSON (see trace-serializer.js)
+ * and are kept that way, so traces can be written out as JSON. Pass
+ * `{ decode: true }` to getTraces() for live BigInt, Date, Map, Error, ... values.
+ *
+ * With `retention: { mode: 'tail' }` the maxTraces budget goes to interesting
+ * requests: each request's records are held until its root call ends, then
+ * kept or dropped together (see trace-retention.js). Held records show up in
+ * getTraces() once decided, at the latest when the collector stops.
+ *
+ * Workers that couldn't reach the collector spool their traces to disk (see
+ * trace-spool.js). Pass getSpoolDir() to them as TAIST_SPOOL_DIR; the spooled
+ * traces are ingested when the collector stops, or with ingestSpool().
+ *
+ * With `viewerPort`, a local web page shows the traces live as they arrive
+ * (see trace-viewer.js).
  */
 export class TraceCollector extends EventEmitter {
   constructor(options = {}) {
@@ -19,11 +59,31 @@ export class TraceCollector extends EventEmitter {
     this.socketPath = options.socketPath || this._getDefaultSocketPath();
     this.filter = options.filter || (() => true);
     this.maxTraces = options.maxTraces || 10000;
+    this.retentionConfig = options.retention?.mode === "tail" ? options.retention : null;
+    this.retention = this.retentionConfig && new TailRetention(this.retentionConfig);
+    this.retentionTimer = null; // Decides overdue requests while no records arrive
+
+    // Optional network listeners (unset = off, 0 = any free port)
+    this.host = options.host || "127.0.0.1";
+    this.port = options.port;
+    this.httpPort = options.httpPort;
+    this.token = options.token ?? process.env.TAIST_COLLECTOR_TOKEN ?? null;
+    this.viewerPort = options.viewerPort;
+    this.viewerHost = options.viewerHost || "127.0.0.1";
+
+    // Where workers spool traces they couldn't send
+    this.spoolDir = options.spoolDir || path.join(os.tmpdir(), `taist-spool-${this.sessionId}`);
 
     this.traces = [];
     this.traceIds = new Set(); // For deduplication
+    this.sampledOut = 0; // Dropped by sampling in the workers
+    this.evicted = 0; // Dropped here beyond maxTraces
     this.server = null;
+    this.tcpServer = null;
+    this.httpServer = null;
+    this.viewer = null;
     this.connections = new Set();
+    this.stopping = false;
     this.started = false;
   }
 
@@ -48,65 +108,159 @@ export class TraceCollector extends EventEmitter {
       }
     }
 
-    return new Promise((resolve, reject) => {
-      this.server = net.createServer((socket) => {
-        this._handleConnection(socket);
-      });
+    this.server = net.createServer((socket) => {
+      this._handleConnection(socket);
+    });
+    await this._listen(this.server, this.socketPath);
+
+    try {
+      if (this.port != null) {
+        this.tcpServer = net.createServer((socket) => {
+          if (this.token) {
+            this._authenticate(socket);
+          } else {
+            this._handleConnection(socket);
+          }
+        });
+        await this._listen(this.tcpServer, this.port, this.host);
+      }
+      if (this.httpPort != null) {
+        this.httpServer = http.createServer((req, res) => this._handleHttp(req, res));
+        await this._listen(this.httpServer, this.httpPort, this.host);
+      }
+      if (this.viewerPort != null) {
+        this.viewer = new TraceViewer(this, { host: this.viewerHost });
+        await this.viewer.listen(this.viewerPort);
+      }
+    } catch (err) {
+      this._closeServers();
+      this.server.close();
+      throw err;
+    }
 
-      this.server.on("error", (err) => {
+    if (this.retention?.timeout > 0) {
+      this.retentionTimer = setInterval(() => this._retain(this.retention.expire()), Math.min(this.retention.timeout, 1000));
+      this.retentionTimer.unref();
+    }
+
+    this.started = true;
+    this.stopping = false;
+    this.emit("started", {
+      socketPath: this.socketPath,
+      tcpUrl: this.getTcpUrl(),
+      httpUrl: this.getHttpUrl(),
+      viewerUrl: this.getViewerUrl()
+    });
+  }
+
+  _listen(server, ...address) {
+    return new Promise((resolve, reject) => {
+      server.on("error", (err) => {
         if (!this.started) {
           reject(err);
         } else {
           this.emit("error", err);
         }
       });
-
-      this.server.listen(this.socketPath, () => {
-        this.started = true;
-        this.emit("started", { socketPath: this.socketPath });
-        resolve();
-      });
+      server.listen(...address, resolve);
     });
   }
 
-  _handleConnection(socket) {
+  /**
+   * Read a TCP client's auth line before anything it sends is decoded: a
+   * client without the token can't make the collector buffer or inflate
+   * frames. Anything but a valid auth line of at most MAX_AUTH_LINE bytes
+   * within AUTH_TIMEOUT drops the socket.
+   */
+  _authenticate(socket) {
     this.connections.add(socket);
-    let buffer = "";
+    let buffer = Buffer.alloc(0);
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      socket.off("data", onData);
+      socket.off("close", onClose);
+      socket.off("error", onError);
+    };
+    const reject = () => {
+      cleanup();
+      this.connections.delete(socket);
+      this.emit("authError", { remoteAddress: socket.remoteAddress });
+      socket.destroy();
+    };
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      const newline = buffer.indexOf(0x0a);
+      if (newline > MAX_AUTH_LINE || (newline === -1 && buffer.length > MAX_AUTH_LINE)) {
+        reject();
+        return;
+      }
+      if (newline === -1) return; // The rest of the line is still coming
+
+      let message = null;
+      try {
+        message = JSON.parse(buffer.subarray(0, newline).toString("utf-8"));
+      } catch {
+        // Not an auth line
+      }
+      if (message?.type !== "auth" || !this._checkToken(message.token)) {
+        reject();
+        return;
+      }
+      cleanup();
+      this._handleConnection(socket, buffer.subarray(newline + 1));
+    };
+    const onClose = () => {
+      cleanup();
+      this.connections.delete(socket);
+    };
+    const onError = (err) => {
+      onClose();
+      this.emit("connectionError", err);
+    };
+
+    const timer = setTimeout(reject, AUTH_TIMEOUT);
+    timer.unref();
+    socket.on("data", onData);
+    socket.on("close", onClose);
+    socket.on("error", onError);
+  }
+
+  /**
+   * @param {net.Socket} socket
+   * @param {Buffer} [received] - What an authenticated client sent after its auth line
+   */
+  _handleConnection(socket, received) {
+    this.connections.add(socket);
+    const decoder = new WireDecoder();
     const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
 
-    socket.on("data", (chunk) => {
-      const data = chunk.toString();
-      buffer += data;
+    if (received?.length > 0) {
+      for (const item of decoder.push(received)) {
+        this._processItem(item, socket);
+      }
+    }
 
+    socket.on("data", (chunk) => {
       if (lifecycleDebug) {
-        console.log(`[LIFECYCLE collector] [${Date.now()}] RAW DATA received, length:`, data.length, 'buffer now:', buffer.length);
+        console.log(`[LIFECYCLE collector] [${Date.now()}] RAW DATA received, length:`, chunk.length, 'buffer now:', decoder.buffer.length + chunk.length);
       }
 
-      // Process complete NDJSON lines
-      const lines = buffer.split("\n");
-      buffer = lines.pop(); // Keep incomplete line in buffer
-
-      for (const line of lines) {
-        if (line.trim()) {
-          this._processMessage(line);
-        }
+      // Process complete NDJSON lines and binary frames
+      for (const item of decoder.push(chunk)) {
+        this._processItem(item, socket);
       }
     });
 
     socket.on("close", () => {
       if (lifecycleDebug) {
-        console.log('[LIFECYCLE collector] Socket closed, remaining buffer:', buffer.length, 'chars');
+        console.log('[LIFECYCLE collector] Socket closed, remaining buffer:', decoder.buffer.length, 'bytes');
       }
       // Process any remaining complete lines in buffer
       // The buffer may contain multiple NDJSON messages if data arrived in chunks
       // that didn't end with newlines
-      if (buffer.trim()) {
-        const lines = buffer.split('\n');
-        for (const line of lines) {
-          if (line.trim()) {
-            this._processMessage(line);
-          }
-        }
+      for (const item of decoder.end()) {
+        this._processItem(item, socket);
       }
       this.connections.delete(socket);
     });
@@ -120,24 +274,25 @@ export class TraceCollector extends EventEmitter {
     });
   }
 
-  _processMessage(line) {
+  _processItem(item, socket) {
+    if (item.error) {
+      this.emit("parseError", { error: item.error, line: item.line });
+    } else if (item.message) {
+      try {
+        this._handleMessage(item.message, socket);
+      } catch (err) {
+        this.emit("parseError", { error: err, line: "<frame>" });
+      }
+    } else {
+      this._processMessage(item.line, socket);
+    }
+  }
+
+  _processMessage(line, socket) {
     const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
 
     try {
-      const message = JSON.parse(line);
-
-      if (message.type === "trace") {
-        this._addTrace(message.data);
-      } else if (message.type === "batch") {
-        if (lifecycleDebug) {
-          console.log('[LIFECYCLE collector] Processing batch of', message.data?.length, 'traces');
-        }
-        for (const trace of message.data) {
-          this._addTrace(trace);
-        }
-      } else if (message.type === "flush") {
-        this.emit("flush", { workerId: message.workerId });
-      }
+      this._handleMessage(JSON.parse(line), socket);
     } catch (err) {
       if (lifecycleDebug) {
         console.log('[LIFECYCLE collector] PARSE ERROR:', err.message, 'line:', line.slice(0, 100));
@@ -146,13 +301,92 @@ export class TraceCollector extends EventEmitter {
     }
   }
 
-  _addTrace(trace) {
+  _handleMessage(message, socket) {
+    const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
+
+    if (message.type === "trace") {
+      this._addTrace(message.data, message.workerId);
+    } else if (message.type === "batch") {
+      if (lifecycleDebug) {
+        console.log('[LIFECYCLE collector] Processing batch of', message.data?.length, 'traces');
+      }
+      this.sampledOut += message.sampledOut || 0;
+      for (const trace of message.data) {
+        this._addTrace(trace, message.workerId);
+      }
+    } else if (message.type === "hello") {
+      // Reporter offers a newer protocol - answer with what we both speak
+      try {
+        socket?.write(JSON.stringify(negotiate(message)) + "\n");
+      } catch {
+        // Socket closed - the reporter stays on NDJSON
+      }
+    } else if (message.type === "flush") {
+      this.emit("flush", { workerId: message.workerId });
+    }
+  }
+
+  /**
+   * HTTP ingest: POST /traces with NDJSON messages (or binary frames) as the body.
+   * Answers with NDJSON: an ack, plus a shutdown message while the collector stops.
+   */
+  _handleHttp(req, res) {
+    const reply = (status, messages) => {
+      res.writeHead(status, { "Content-Type": "application/x-ndjson" });
+      res.end(messages.map(m => JSON.stringify(m) + "\n").join(""));
+    };
+
+    if (req.url.split("?")[0] !== "/traces") {
+      return reply(404, [{ type: "error", message: "Not found" }]);
+    }
+    if (req.method !== "POST") {
+      return reply(405, [{ type: "error", message: "Use POST" }]);
+    }
+    if (this.token) {
+      const header = req.headers.authorization || "";
+      const token = header.startsWith("Bearer ") ? header.slice(7) : req.headers["x-taist-token"];
+      if (!this._checkToken(token)) {
+        this.emit("authError", { remoteAddress: req.socket.remoteAddress });
+        return reply(401, [{ type: "error", message: "Invalid token" }]);
+      }
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_HTTP_BODY) {
+        reply(413, [{ type: "error", message: "Body too large" }]);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (res.headersSent) return;
+      const decoder = new WireDecoder();
+      const items = [...decoder.push(Buffer.concat(chunks)), ...decoder.end()];
+      for (const item of items) {
+        this._processItem(item, null);
+      }
+      const messages = [{ type: "ack", messages: items.length }];
+      if (this.stopping) messages.push({ type: "shutdown" });
+      reply(202, messages);
+    });
+  }
+
+  _checkToken(token) {
+    if (typeof token !== "string") return false;
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(token);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  _addTrace(trace, workerId) {
     const debug = process.env.TAIST_DEBUG === 'true';
     const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
 
-    // Generate trace ID for deduplication
-    const traceId =
-      trace.id || `${trace.name}-${trace.timestamp}-${trace.type}`;
+    const traceId = this._dedupeKey(trace);
 
     if (this.traceIds.has(traceId)) {
       if (debug || lifecycleDebug) {
@@ -175,28 +409,135 @@ export class TraceCollector extends EventEmitter {
       console.log('[collector] RECEIVED:', trace.name, 'depth:', trace.depth, 'correlationId:', trace.correlationId);
     }
 
+    // Remember which worker sent the record (timeline exports use it as the process)
+    if (workerId !== undefined && trace.workerId === undefined) {
+      trace.workerId = workerId;
+    }
+
+    if (this.retention) {
+      // Claim the dedupe key while the record is held
+      this.traceIds.add(traceId);
+      this._retain(this.retention.add(trace));
+      return;
+    }
+
+    this._store(trace);
+  }
+
+  /**
+   * Store records tail retention kept, and forget the ones it dropped
+   */
+  _retain({ kept, dropped }) {
+    for (const trace of dropped) {
+      this.traceIds.delete(this._dedupeKey(trace));
+    }
+    for (const trace of kept) {
+      this._store(trace);
+    }
+  }
+
+  _store(trace) {
     // Enforce max traces (circular buffer behavior)
     if (this.traces.length >= this.maxTraces) {
       const removed = this.traces.shift();
-      this.traceIds.delete(removed.id || `${removed.name}-${removed.timestamp}-${removed.type}`);
+      this.traceIds.delete(this._dedupeKey(removed));
+      this.evicted++;
     }
 
     this.traces.push(trace);
-    this.traceIds.add(traceId);
+    this.traceIds.add(this._dedupeKey(trace));
     this.emit("trace", trace);
   }
 
-  getTraces() {
-    return [...this.traces];
+  /**
+   * Key used to drop duplicate records. A call's entry, exit and error records
+   * share its id, so the record type is part of the key - keying on the id
+   * alone kept only the entry, and with it no duration, result or error
+   * (the trace tree merges the records back into one line per call).
+   */
+  _dedupeKey(trace) {
+    return trace.id
+      ? `${trace.id}:${trace.type}`
+      : `${trace.name}-${trace.timestamp}-${trace.type}`;
+  }
+
+  /**
+   * Get the collected traces
+   * @param {Object} [options]
+   * @param {boolean} [options.decode] - Decode tagged values (BigInt, Date, Map, Error, ...) into live values
+   * @returns {Array<Object>}
+   */
+  getTraces(options = {}) {
+    if (!options.decode) {
+      return [...this.traces];
+    }
+    return this.traces.map(trace => {
+      const decoded = { ...trace };
+      for (const field of VALUE_FIELDS) {
+        if (trace[field] !== undefined) decoded[field] = decodeValue(trace[field]);
+      }
+      return decoded;
+    });
   }
 
   getTraceCount() {
     return this.traces.length;
   }
 
+  /**
+   * Counts of kept and dropped traces
+   * @returns {{traces: number, sampledOut: number, evicted: number, tailDropped: number, pending: number}}
+   */
+  getStats() {
+    return {
+      traces: this.traces.length,
+      sampledOut: this.sampledOut,
+      evicted: this.evicted,
+      tailDropped: this.retention?.dropped ?? 0,
+      pending: this.retention?.getPendingCount() ?? 0
+    };
+  }
+
+  /**
+   * Decide every request tail retention is still holding
+   */
+  flushRetention() {
+    if (this.retention) {
+      this._retain(this.retention.flush());
+    }
+  }
+
   clearTraces() {
     this.traces = [];
     this.traceIds.clear();
+    this.sampledOut = 0;
+    this.evicted = 0;
+    if (this.retentionConfig) {
+      this.retention = new TailRetention(this.retentionConfig);
+    }
+  }
+
+  /**
+   * Export collected traces as OpenTelemetry spans (OTLP/JSON).
+   * Accepts the OtlpExporter options (serviceName, endpoint, headers, timeout) plus:
+   * @param {Object} options
+   * @param {string} [options.file] - Write the spans to this file
+   * @param {boolean} [options.push] - Push to options.endpoint, the OTEL_EXPORTER_OTLP_* env vars or localhost:4318
+   * @returns {Promise<{request: Object, push?: {status: number, spans: number, rejectedSpans: number}}>}
+   */
+  async exportOtlp(options = {}) {
+    const { file, push, ...exporterOptions } = options;
+    const exporter = new OtlpExporter(exporterOptions);
+    const traces = this.getTraces();
+
+    const result = { request: exporter.toOtlp(traces) };
+    if (file) {
+      exporter.writeFile(traces, file);
+    }
+    if (push || options.endpoint) {
+      result.push = await exporter.push(traces);
+    }
+    return result;
   }
 
   /**
@@ -210,6 +551,7 @@ export class TraceCollector extends EventEmitter {
     }
 
     const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
+    this.stopping = true;
 
     if (lifecycleDebug) {
       console.log(`[LIFECYCLE collector] [${Date.now()}] stop() called, connections:`, this.connections.size);
@@ -293,6 +635,16 @@ export class TraceCollector extends EventEmitter {
 
     this.connections.clear();
 
+    // Workers that lost the connection (or never had one) left their traces on disk
+    this.ingestSpool();
+
+    // Requests still open when the workers went away are decided on what arrived
+    clearInterval(this.retentionTimer);
+    this.retentionTimer = null;
+    this.flushRetention();
+
+    this._closeServers();
+
     // Close server
     this.server.close(() => {
       this.started = false;
@@ -315,15 +667,85 @@ export class TraceCollector extends EventEmitter {
     });
   }
 
+  _closeServers() {
+    this.viewer?.close();
+    this.viewer = null;
+    this.tcpServer?.close();
+    this.tcpServer = null;
+    if (this.httpServer) {
+      this.httpServer.close();
+      this.httpServer.closeAllConnections?.();
+      this.httpServer = null;
+    }
+  }
+
   getSocketPath() {
     return this.socketPath;
   }
 
+  /**
+   * Directory workers spool to, for TAIST_SPOOL_DIR
+   * @returns {string}
+   */
+  getSpoolDir() {
+    return this.spoolDir;
+  }
+
+  /**
+   * Read and delete the workers' spool files, adding their traces.
+   * Traces that also arrived over the socket are dropped as duplicates.
+   * @returns {number} Spooled messages read
+   */
+  ingestSpool() {
+    const lines = readSpool(this.spoolDir, { prefix: SPOOL_PREFIX });
+    for (const line of lines) {
+      // A worker killed mid-write leaves a cut-off last line - reported as a parseError
+      this._processMessage(line, null);
+    }
+    removeSpoolDir(this.spoolDir);
+    return lines.length;
+  }
+
+  /**
+   * URL of the TCP listener, for TAIST_COLLECTOR_URL
+   * @returns {string|null} - e.g. "tcp://127.0.0.1:7777", or null when not listening on TCP
+   */
+  getTcpUrl() {
+    const address = this.tcpServer?.address();
+    return address ? `tcp://${formatHost(this.host)}:${address.port}` : null;
+  }
+
+  /**
+   * URL of the HTTP ingest endpoint, for TAIST_COLLECTOR_URL
+   * @returns {string|null} - e.g. "http://127.0.0.1:7778/traces", or null when not listening on HTTP
+   */
+  getHttpUrl() {
+    const address = this.httpServer?.address();
+    return address ? `http://${formatHost(this.host)}:${address.port}/traces` : null;
+  }
+
+  /**
+   * URL of the live trace viewer page
+   * @returns {string|null} - e.g. "http://127.0.0.1:4173/", or null without a viewerPort
+   */
+  getViewerUrl() {
+    const address = this.viewer?.server?.address();
+    return address ? `http://${formatHost(this.viewerHost)}:${address.port}/` : null;
+  }
+
   isRunning() {
     return this.started;
   }
 }
 
+/**
+ * Host for a URL: IPv6 addresses go in brackets, "any" addresses become localhost
+ */
+function formatHost(host) {
+  if (host === "0.0.0.0" || host === "::") return "localhost";
+  return host.includes(":") ? `[${host}]` : host;
+}
+
 /**
  * Create a default filter that excludes taist's own traces
  */
@@ -18,6 +18,7 @@ import { AsyncLocalStorage } from 'async_hooks';
 const TAIST_CONTEXT_KEY = '__taist_trace_context__';
 const TAIST_COUNTER_KEY = '__taist_id_counter__';
 const TAIST_CORRELATION_KEY = '__taist_correlation_id__';
+const TAIST_TEST_KEY = '__taist_test_context__';
 
 if (!globalThis[TAIST_CONTEXT_KEY]) {
   globalThis[TAIST_CONTEXT_KEY] = new AsyncLocalStorage();
@@ -29,9 +30,15 @@ if (globalThis[TAIST_COUNTER_KEY] === undefined) {
 if (!globalThis[TAIST_CORRELATION_KEY]) {
   globalThis[TAIST_CORRELATION_KEY] = { current: null };
 }
+// Running test, set by the test runner's setup file. Kept apart from the
+// trace context, which every traced call replaces with its own.
+if (!globalThis[TAIST_TEST_KEY]) {
+  globalThis[TAIST_TEST_KEY] = new AsyncLocalStorage();
+}
 
 // Global storage for trace context (shared via globalThis)
 export const traceContext = globalThis[TAIST_CONTEXT_KEY];
+const testContext = globalThis[TAIST_TEST_KEY];
 
 /**
  * Generate a unique trace/span ID
@@ -88,6 +95,37 @@ export function clearCorrelationId() {
   globalThis[TAIST_CORRELATION_KEY].current = null;
 }
 
+/**
+ * Get the ID of the currently running test, if a test runner set one
+ * @returns {string|null}
+ */
+export function getTestId() {
+  return testContext.getStore()?.testId ?? null;
+}
+
+/**
+ * Set the ID of the currently running test.
+ *
+ * Every trace reported while it is set is tagged with this testId, so test
+ * reporters can attribute traces to the test that produced them. Call this
+ * before each test (taist/vitest-setup does this for Vitest).
+ *
+ * Stored in the async context of the caller, so concurrent tests, and timers
+ * or promises a test leaves behind, keep their own test's ID.
+ *
+ * @param {string|null} id - The test ID to set
+ */
+export function setTestId(id) {
+  testContext.enterWith({ testId: id });
+}
+
+/**
+ * Clear the current test ID. Call this after each test.
+ */
+export function clearTestId() {
+  testContext.enterWith({ testId: null });
+}
+
 /**
  * Run a function within a new trace context
  * @param {Object} context - The context to use
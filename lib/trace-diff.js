@@ -0,0 +1,200 @@
+/**
+ * Trace Diff - Compares the execution of two runs
+ *
+ * WatchHandler compares which tests pass; this compares what the code did.
+ * Calls are aligned by their path in the call tree (root name > ... > name),
+ * so the same call site lines up across runs even though trace IDs differ.
+ *
+ * Reports calls that appeared or disappeared, changed return values or call
+ * counts, new and fixed errors, and duration regressions.
+ *
+ * @example
+ * const diff = diffRuns(loadRunTraces('before.json'), loadRunTraces('after.json'));
+ * console.log(new ToonFormatter().formatTraceDiff(diff));
+ */
+
+import fs from 'fs';
+import { ToonFormatter } from './toon-formatter.js';
+
+const PATH_SEPARATOR = ' > ';
+
+/**
+ * Read the traces of a saved run.
+ * Accepts `--format json` output (`{ trace: [...] }`), `{ traces: [...] }`,
+ * or a bare array of trace records.
+ *
+ * @param {string} filePath - Run file
+ * @returns {Array} Trace records
+ */
+export function loadRunTraces(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read run file ${filePath}: ${err.message}`);
+  }
+
+  const traces = Array.isArray(data) ? data : data?.trace ?? data?.traces;
+  if (!Array.isArray(traces)) {
+    throw new Error(`No traces in ${filePath}. Save runs with --format json.`);
+  }
+  return traces;
+}
+
+/**
+ * Index calls by their call tree path.
+ *
+ * @param {Array} traces - Trace records (entry/exit/error)
+ * @returns {Map<string, {path: string, name: string, count: number, results: Array<string>, errors: Array<string>, durations: Array<number>}>}
+ */
+export function indexCallsByPath(traces) {
+  const calls = new ToonFormatter().mergeCallRecords(traces)
+    .sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+
+  const byId = new Map();
+  for (const call of calls) {
+    if (call.id) byId.set(call.id, call);
+  }
+
+  const paths = new Map();
+  const pathOf = (call) => {
+    if (paths.has(call)) return paths.get(call);
+    const parent = call.parentId ? byId.get(call.parentId) : undefined;
+    // Guard against malformed parent cycles
+    paths.set(call, call.name);
+    const path = parent ? pathOf(parent) + PATH_SEPARATOR + call.name : call.name;
+    paths.set(call, path);
+    return path;
+  };
+
+  const index = new Map();
+  for (const call of calls) {
+    const path = pathOf(call);
+    if (!index.has(path)) {
+      index.set(path, { path, name: call.name, count: 0, results: [], errors: [], durations: [] });
+    }
+    const node = index.get(path);
+    node.count++;
+
+    if (call.type === 'error' || call.error) {
+      node.errors.push(errorMessage(call.error));
+    } else if (call.type === 'exit' || call.duration != null) {
+      node.results.push(JSON.stringify(call.result ?? null));
+    }
+    if (call.duration != null) {
+      node.durations.push(call.duration);
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Compare the calls of two runs.
+ *
+ * @param {Array} before - Trace records of the baseline run
+ * @param {Array} after - Trace records of the new run
+ * @param {Object} [options]
+ * @param {number} [options.regressionThreshold=0.2] - Relative slowdown that counts as a regression
+ * @param {number} [options.minRegressionMs=1] - Ignore slowdowns smaller than this (timer noise)
+ * @returns {Object} Diff with summary, added, removed, changed, newErrors, fixedErrors, regressions
+ */
+export function diffRuns(before, after, options = {}) {
+  const regressionThreshold = options.regressionThreshold ?? 0.2;
+  const minRegressionMs = options.minRegressionMs ?? 1;
+
+  const a = indexCallsByPath(before);
+  const b = indexCallsByPath(after);
+
+  const diff = {
+    added: [],
+    removed: [],
+    changed: [],
+    newErrors: [],
+    fixedErrors: [],
+    regressions: []
+  };
+
+  for (const [path, node] of b) {
+    const base = a.get(path);
+    if (!base) {
+      diff.added.push({ path, count: node.count });
+      for (const error of unique(node.errors)) {
+        diff.newErrors.push({ path, error });
+      }
+      continue;
+    }
+
+    const change = { path };
+    if (node.count !== base.count) {
+      change.calls = { before: base.count, after: node.count };
+    }
+    const i = node.results.findIndex((result, n) => n < base.results.length && result !== base.results[n]);
+    if (i !== -1) {
+      change.result = { before: JSON.parse(base.results[i]), after: JSON.parse(node.results[i]) };
+    }
+    if (change.calls || change.result) {
+      diff.changed.push(change);
+    }
+
+    const baseErrors = new Set(base.errors);
+    for (const error of unique(node.errors)) {
+      if (!baseErrors.has(error)) diff.newErrors.push({ path, error });
+    }
+    const errors = new Set(node.errors);
+    for (const error of unique(base.errors)) {
+      if (!errors.has(error)) diff.fixedErrors.push({ path, error });
+    }
+
+    const beforeMs = average(base.durations);
+    const afterMs = average(node.durations);
+    if (beforeMs != null && afterMs != null &&
+        afterMs - beforeMs >= minRegressionMs &&
+        afterMs > beforeMs * (1 + regressionThreshold)) {
+      diff.regressions.push({ path, before: beforeMs, after: afterMs });
+    }
+  }
+
+  for (const [path, node] of a) {
+    if (!b.has(path)) {
+      diff.removed.push({ path, count: node.count });
+    }
+  }
+
+  // Worst slowdowns first
+  diff.regressions.sort((x, y) => (y.after - y.before) - (x.after - x.before));
+
+  diff.summary = {
+    callsBefore: sum(a, 'count'),
+    callsAfter: sum(b, 'count'),
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length,
+    newErrors: diff.newErrors.length,
+    fixedErrors: diff.fixedErrors.length,
+    regressions: diff.regressions.length
+  };
+
+  return diff;
+}
+
+function errorMessage(error) {
+  if (!error) return 'Error';
+  if (typeof error === 'string') return error;
+  return error.message || error.name || 'Error';
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function average(values) {
+  if (values.length === 0) return null;
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function sum(index, key) {
+  let total = 0;
+  for (const node of index.values()) total += node[key];
+  return total;
+}
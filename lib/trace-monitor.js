@@ -0,0 +1,86 @@
+/**
+ * Trace Monitor - Running summary of a collector's traces for `taist monitor`
+ *
+ * Counts calls, errors and slow calls as the collector receives them, and
+ * builds the same insights as ServiceTracer.getInsights(), so they print
+ * with formatInsights() in every monitor format. Only counts and the most
+ * recent errors and slow calls are kept: a long-running service is fine
+ * even after the collector evicted its older traces.
+ */
+
+/** Recent errors and slow calls kept for the summary */
+const MAX_RECENT = 10;
+
+export class TraceMonitor {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.slowThreshold] - Calls at least this slow, in ms, are slow operations (default: 100)
+   */
+  constructor(options = {}) {
+    this.slowThreshold = options.slowThreshold ?? 100;
+    this.startTime = Date.now();
+    this.stats = { totalCalls: 0, totalErrors: 0, slowOperations: 0, bugsDetected: 0 };
+    this.byType = {};
+    this.calls = new Map(); // function name → call count
+    this.errors = [];
+    this.slowOps = [];
+  }
+
+  /**
+   * Count a trace record
+   * @param {Object} trace
+   */
+  record(trace) {
+    this.byType[trace.type] = (this.byType[trace.type] || 0) + 1;
+
+    if (trace.type === 'entry' || trace.type === 'enter') {
+      this.stats.totalCalls++;
+      this.calls.set(trace.name, (this.calls.get(trace.name) || 0) + 1);
+      return;
+    }
+
+    if (trace.type === 'error') {
+      this.stats.totalErrors++;
+      pushRecent(this.errors, {
+        method: trace.name,
+        error: trace.error?.message || trace.error,
+        timestamp: trace.timestamp
+      });
+    }
+
+    if ((trace.type === 'exit' || trace.type === 'error') && trace.duration >= this.slowThreshold) {
+      this.stats.slowOperations++;
+      pushRecent(this.slowOps, { method: trace.name, duration: trace.duration });
+    }
+  }
+
+  /**
+   * Insights since the monitor started, shaped like ServiceTracer.getInsights()
+   * @returns {Object}
+   */
+  getInsights() {
+    const topFunctions = Object.fromEntries(
+      [...this.calls].sort((a, b) => b[1] - a[1]).slice(0, 10)
+    );
+
+    return {
+      stats: { ...this.stats, startTime: this.startTime },
+      uptime: Date.now() - this.startTime,
+      traces: {
+        total: Object.values(this.byType).reduce((sum, count) => sum + count, 0),
+        byType: { ...this.byType },
+        topFunctions,
+        errors: [...this.errors],
+        slowOps: [...this.slowOps],
+        bugs: []
+      }
+    };
+  }
+}
+
+function pushRecent(list, item) {
+  list.push(item);
+  if (list.length > MAX_RECENT) list.shift();
+}
+
+export default TraceMonitor;
@@ -1,22 +1,40 @@
 import net from "node:net";
 import { EventEmitter } from "node:events";
 import { logger } from "./logger.js";
+import { getTestId } from "./trace-context.js";
+import { getGlobalRedactor } from "./redaction.js";
+import { summarizeArgs, summarizeValue } from "./value-summarizer.js";
+import { stringifyMessage } from "./trace-serializer.js";
+import { TraceSampler, loadSamplingConfig } from "./trace-sampler.js";
+import { WireEncoder, helloMessage } from "./wire-protocol.js";
+import { TraceSpool } from "./trace-spool.js";
+import { createCassette } from "./cassette.js";
 
 /**
  * TraceReporter - Client that runs in worker processes to send traces to the collector.
  *
  * Features:
- * - Connects to collector via Unix domain socket
+ * - Connects to collector via Unix domain socket, or TCP/HTTP with TAIST_COLLECTOR_URL
  * - Buffers traces locally for batched sending
  * - Auto-flushes on process exit
  * - Handles connection failures gracefully
  * - Reconnects automatically if connection drops
+ * - Encodes BigInt, cycles, Map/Set, Errors, ... as tagged JSON (see trace-serializer.js)
+ * - Samples and rate limits traces under load (see trace-sampler.js)
+ * - Negotiates binary frames with string interning and compression, falling back to NDJSON (see wire-protocol.js)
+ * - Spools batches to disk when the collector can't be reached (see trace-spool.js)
+ * - Records or replays boundary calls with TAIST_MODE (see cassette.js)
  */
 export class TraceReporter extends EventEmitter {
   constructor(options = {}) {
     super();
     this.socketPath =
-      options.socketPath || process.env.TAIST_COLLECTOR_SOCKET;
+      options.socketPath || (options.url ? null : process.env.TAIST_COLLECTOR_SOCKET) || null;
+    // TCP or HTTP collector, for processes that can't reach the Unix socket
+    this.endpoint = this.socketPath
+      ? null
+      : parseCollectorUrl(options.url || process.env.TAIST_COLLECTOR_URL);
+    this.token = options.token ?? process.env.TAIST_COLLECTOR_TOKEN ?? null;
     this.batchSize = options.batchSize || 100;
     this.flushInterval = options.flushInterval || 1000;
     this.maxRetries = options.maxRetries || 3;
@@ -26,10 +44,29 @@ export class TraceReporter extends EventEmitter {
     // Set TAIST_BUFFER_TRACES=true to enable batching for high-throughput scenarios
     this.flushImmediate = options.flushImmediate ?? (process.env.TAIST_BUFFER_TRACES !== 'true');
 
-    // Truncation options to prevent huge payloads
+    // Size budgets (JSON chars) that args and results are summarized to, to prevent huge payloads
     this.maxArgSize = options.maxArgSize ?? (parseInt(process.env.TAIST_MAX_ARG_SIZE) || 1000);
     this.maxResultSize = options.maxResultSize ?? (parseInt(process.env.TAIST_MAX_RESULT_SIZE) || 1000);
 
+    // Masks secrets and PII before traces leave the process (.taistrc.json "redact")
+    this.redactor = options.redactor || getGlobalRedactor();
+
+    // Head sampling and rate limits (.taistrc.json "sampling", TAIST_SAMPLE_RATE, TAIST_RATE_LIMIT)
+    this.sampler = options.sampler || new TraceSampler(options.sampling ?? loadSamplingConfig());
+    this.sampledOutReported = 0; // sampled-out count already sent to the collector
+
+    // Wire protocol: 'binary' offers frames to the collector, 'ndjson' never does
+    this.protocol = options.protocol || process.env.TAIST_WIRE_PROTOCOL || 'binary';
+    this.compression = options.compression || process.env.TAIST_WIRE_COMPRESSION || 'none';
+    this.intern = options.intern ?? (process.env.TAIST_WIRE_INTERN !== 'false');
+    this.encoder = null; // Set once the collector accepts binary frames on this connection
+
+    // Where batches go when the collector can't take them (TAIST_SPOOL_DIR, TAIST_SPOOL)
+    this.spool = options.spool || new TraceSpool({ dir: options.spoolDir });
+
+    // Instrumented calls go through it when TAIST_MODE is record or replay (null: call through)
+    this.cassette = options.cassette !== undefined ? options.cassette : createCassette();
+
     this.buffer = [];
     this.socket = null;
     this.connected = false;
@@ -43,10 +80,10 @@ export class TraceReporter extends EventEmitter {
     this.pendingWriteResolvers = []; // Resolvers to call when pendingWrites reaches 0
     this._flushScheduled = false; // For micro-batching in flushImmediate mode
 
-    logger.debug("[reporter] Created with socketPath:", this.socketPath, "flushImmediate:", this.flushImmediate);
+    logger.debug("[reporter] Created with socketPath:", this.socketPath, "url:", this.endpoint?.url, "flushImmediate:", this.flushImmediate);
 
-    // Auto-setup if socket path is available
-    if (this.socketPath) {
+    // Auto-setup if a collector is configured
+    if (this._hasCollector()) {
       this._setupExitHandlers();
     }
   }
@@ -136,8 +173,35 @@ export class TraceReporter extends EventEmitter {
     });
   }
 
+  _hasCollector() {
+    return Boolean(this.socketPath || this.endpoint);
+  }
+
+  /**
+   * Open a socket to the collector. TCP connections send the token first.
+   * @private
+   */
+  _createSocket(onConnect) {
+    if (!this.endpoint) {
+      return net.createConnection(this.socketPath, onConnect);
+    }
+    const socket = net.createConnection({ host: this.endpoint.host, port: this.endpoint.port }, onConnect);
+    if (this.token) {
+      socket.write(JSON.stringify({ type: "auth", token: this.token }) + "\n");
+    }
+    return socket;
+  }
+
   async connect() {
-    if (this.connected || !this.socketPath) {
+    if (this.connected || !this._hasCollector()) {
+      return this.connectPromise;
+    }
+
+    // HTTP has no connection to keep - every flush is a POST
+    if (this.endpoint?.transport === "http") {
+      this.connected = true;
+      this._startFlushTimer();
+      this.connectPromise = Promise.resolve();
       return this.connectPromise;
     }
 
@@ -149,9 +213,14 @@ export class TraceReporter extends EventEmitter {
     this.connecting = true;
 
     this.connectPromise = new Promise((resolve, reject) => {
-      this.socket = net.createConnection(this.socketPath, () => {
+      this.encoder = null;
+      this.socket = this._createSocket(() => {
         this.connected = true;
         this.connecting = false;
+        if (this.protocol !== 'ndjson') {
+          // Batches stay NDJSON until the collector answers
+          this.socket.write(JSON.stringify(helloMessage({ compression: this.compression, intern: this.intern })) + "\n");
+        }
         this._startFlushTimer();
         this.emit("connected");
         logger.debug("[reporter] Connected to collector");
@@ -168,32 +237,22 @@ export class TraceReporter extends EventEmitter {
         const lines = dataBuffer.split('\n');
         dataBuffer = lines.pop(); // Keep incomplete line
 
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const message = JSON.parse(line);
-              if (message.type === 'shutdown') {
-                logger.debug("[reporter] Received shutdown signal, flushing...");
-                this._handleShutdown();
-              }
-            } catch {
-              // Ignore parse errors
-            }
-          }
-        }
+        this._handleCollectorLines(lines);
       });
 
       this.socket.on("error", (err) => {
         this.connected = false;
         this.connecting = false;
         this.connectPromise = null;
-        this.emit("error", err);
+        // An unhandled 'error' event would throw - and losing the collector is expected
+        if (this.listenerCount("error") > 0) this.emit("error", err);
         reject(err);
       });
 
       this.socket.on("close", () => {
         this.connected = false;
         this.connectPromise = null;
+        this.encoder = null;
         this._stopFlushTimer();
         this.emit("disconnected");
       });
@@ -202,12 +261,34 @@ export class TraceReporter extends EventEmitter {
     return this.connectPromise;
   }
 
+  /**
+   * Handle NDJSON messages from the collector (socket data or HTTP response)
+   * @private
+   */
+  _handleCollectorLines(lines) {
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const message = JSON.parse(line);
+        if (message.type === 'shutdown') {
+          logger.debug("[reporter] Received shutdown signal, flushing...");
+          this._handleShutdown();
+        } else if (message.type === 'welcome' && message.protocol >= 2 && this.socket) {
+          logger.debug("[reporter] Collector accepted binary frames, compression:", message.compression);
+          this.encoder = new WireEncoder(message);
+        }
+      } catch {
+        // Ignore parse errors
+      }
+    }
+  }
+
   /**
    * Start connection eagerly (call at module init time)
    * This ensures the connection is ready before any traces are generated
    */
   connectEager() {
-    if (this.socketPath && !this.connected && !this.connecting) {
+    if (this._hasCollector() && !this.connected && !this.connecting) {
       logger.debug("[reporter] Starting eager connection...");
       this.connect().catch((err) => {
         logger.debug("[reporter] Eager connect failed:", err.message);
@@ -245,6 +326,11 @@ export class TraceReporter extends EventEmitter {
     this.shuttingDown = true;
     this._stopFlushTimer();
 
+    if (this.endpoint?.transport === "http") {
+      this.flush().catch(() => {}).finally(() => this.close());
+      return;
+    }
+
     if (lifecycleDebug) {
       console.log(`[LIFECYCLE reporter] [${Date.now()}] _handleShutdown called, pendingWrites:`, this.pendingWrites, 'buffer:', this.buffer.length);
     }
@@ -277,19 +363,15 @@ export class TraceReporter extends EventEmitter {
       }
 
       // Flush any remaining buffer
-      if (this.buffer.length > 0 && this.socket && this.connected) {
+      if (this._hasPending() && this.socket && this.connected) {
         const traces = this.buffer.splice(0, this.buffer.length);
-        const message = JSON.stringify({
-          type: "batch",
-          workerId: this.workerId,
-          data: traces,
-        });
+        const message = this._batchMessage(traces);
 
         logger.debug("[reporter] Shutdown flushing", traces.length, "traces");
 
         try {
           // Write data
-          const flushed = this.socket.write(message + "\n");
+          const flushed = this.socket.write(message);
 
           if (flushed) {
             // Data was written to kernel buffer, use setImmediate to allow
@@ -309,6 +391,10 @@ export class TraceReporter extends EventEmitter {
           this.close();
         }
       } else {
+        // Lost the connection - the spool is the last chance for what's left
+        if (this._hasPending()) {
+          this._spool(this.buffer.splice(0, this.buffer.length));
+        }
         this._gracefulClose();
       }
     });
@@ -347,28 +433,6 @@ export class TraceReporter extends EventEmitter {
     }
   }
 
-  /**
-   * Truncate a value to prevent huge JSON payloads
-   * @param {*} value - Value to truncate
-   * @param {number} maxSize - Maximum JSON string length
-   * @returns {*} - Original value or truncated placeholder
-   */
-  _truncateValue(value, maxSize) {
-    if (value === undefined || value === null) return value;
-    if (maxSize <= 0) return value; // 0 or negative means no truncation
-    try {
-      const json = JSON.stringify(value);
-      if (json.length <= maxSize) return value;
-      return {
-        __truncated: true,
-        length: json.length,
-        preview: json.slice(0, Math.min(100, maxSize)) + '...'
-      };
-    } catch {
-      return { __error: 'unserializable' };
-    }
-  }
-
   /**
    * Report a single trace event
    */
@@ -384,30 +448,34 @@ export class TraceReporter extends EventEmitter {
     // Update socketPath from env if not set (env may be set after construction)
     // This handles the case where vitest-reporter sets TAIST_COLLECTOR_SOCKET
     // after the reporter was created (e.g., in bundled code loaded early)
-    if (!this.socketPath && process.env.TAIST_COLLECTOR_SOCKET) {
-      this.socketPath = process.env.TAIST_COLLECTOR_SOCKET;
-      logger.debug("[reporter] Late socketPath update from env:", this.socketPath);
+    if (!this._hasCollector() && (process.env.TAIST_COLLECTOR_SOCKET || process.env.TAIST_COLLECTOR_URL)) {
+      this.socketPath = process.env.TAIST_COLLECTOR_SOCKET || null;
+      this.endpoint = this.socketPath ? null : parseCollectorUrl(process.env.TAIST_COLLECTOR_URL);
+      this.token ??= process.env.TAIST_COLLECTOR_TOKEN ?? null;
+      if (!this.spool.dir) this.spool = new TraceSpool();
+      logger.debug("[reporter] Late collector update from env:", this.socketPath || this.endpoint?.url);
       this._setupExitHandlers();
     }
 
-    // Truncate args and result to prevent huge payloads
-    if (trace.args !== undefined) {
-      trace.args = this._truncateValue(trace.args, this.maxArgSize);
-    }
-    if (trace.result !== undefined) {
-      trace.result = this._truncateValue(trace.result, this.maxResultSize);
-    }
-
-    if (lifecycleDebug) {
-      console.log('[LIFECYCLE reporter] BUFFERED:', trace.name, 'depth:', trace.depth, 'correlationId:', trace.correlationId, 'socketPath:', this.socketPath, 'connected:', this.connected);
+    // Attribute the trace to the running test (set by the test runner's setup file)
+    if (trace.testId === undefined) {
+      const testId = getTestId();
+      if (testId) trace.testId = testId;
     }
 
     logger.debug("[reporter] report() called:", trace.name, trace.type);
 
-    this.buffer.push(trace);
+    // Before sampling, which may hold the record until its call ends: held
+    // entries keep their values as passed, bounded, and nothing raw
+    this._prepare(trace);
+
+    // Sampling may drop the record, or release held records along with it
+    for (const admitted of this.sampler.admit(trace)) {
+      this._enqueue(admitted);
+    }
 
     // Connect eagerly on first trace to avoid exit-time connection issues
-    if (!this.connected && !this.connecting && this.socketPath) {
+    if (!this.connected && !this.connecting && this._hasCollector()) {
       this.connect().catch((err) => {
         logger.debug("[reporter] Eager connect failed:", err.message);
       });
@@ -430,25 +498,106 @@ export class TraceReporter extends EventEmitter {
     }
   }
 
+  /**
+   * Redact and summarize the values of a record
+   * @private
+   */
+  _prepare(trace) {
+    // Redact the whole values first - summarizing cuts long strings short,
+    // and a cut-off secret no longer matches its pattern
+    this.redactor.redactTrace(trace);
+
+    // Summarize args and result to prevent huge payloads
+    if (trace.args !== undefined) {
+      trace.args = summarizeArgs(trace.args, this.maxArgSize);
+    }
+    if (trace.result !== undefined) {
+      trace.result = summarizeValue(trace.result, this.maxResultSize);
+    }
+  }
+
+  /**
+   * Buffer a record that passed sampling
+   * @private
+   */
+  _enqueue(trace) {
+    const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
+
+    if (lifecycleDebug) {
+      console.log('[LIFECYCLE reporter] BUFFERED:', trace.name, 'depth:', trace.depth, 'correlationId:', trace.correlationId, 'socketPath:', this.socketPath, 'connected:', this.connected);
+    }
+
+    this.buffer.push(trace);
+  }
+
+  /**
+   * Whether there are traces or a sampled-out count to send
+   * @private
+   */
+  _hasPending() {
+    return this.buffer.length > 0 || this.sampler.sampledOut > this.sampledOutReported;
+  }
+
+  /**
+   * Encode a batch message for the socket, including how many traces were sampled
+   * out since the last one: a binary frame once negotiated, else an NDJSON line
+   * @private
+   */
+  _batchMessage(traces, encoder = this.encoder) {
+    const message = { type: "batch", workerId: this.workerId, data: traces };
+    const sampledOut = this.sampler.sampledOut - this.sampledOutReported;
+    if (sampledOut > 0) {
+      message.sampledOut = sampledOut;
+      this.sampledOutReported += sampledOut;
+    }
+    return encoder ? encoder.encode(message) : stringifyMessage(message) + "\n";
+  }
+
+  /**
+   * Append traces to the spool as one NDJSON batch
+   * @private
+   * @returns {boolean} Whether they were written
+   */
+  _spool(traces) {
+    if (!this.spool.enabled || !this.spool.append(this._batchMessage(traces, null))) {
+      return false;
+    }
+    logger.debug("[reporter] Spooled", traces.length, "traces to", this.spool.file);
+    this.emit("spooled", { count: traces.length });
+    return true;
+  }
+
+  /**
+   * Handle traces that couldn't be sent: spool them unless they already are,
+   * else keep them for the next flush
+   * @private
+   */
+  _requeue(traces, spooled = false) {
+    if (!spooled && !this._spool(traces)) {
+      this.buffer.unshift(...traces);
+    }
+  }
+
   /**
    * Async flush - sends buffered traces to collector
    */
   async flush() {
     const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
 
-    if (this.buffer.length === 0 || this.closed) {
+    if (!this._hasPending() || this.closed) {
       if (lifecycleDebug && this.closed) console.log('[LIFECYCLE reporter] flush() skipped - reporter closed');
       return;
     }
 
     // Ensure connected
-    if (!this.connected && this.socketPath) {
+    if (!this.connected && this._hasCollector()) {
       try {
-        if (lifecycleDebug) console.log('[LIFECYCLE reporter] flush() connecting to:', this.socketPath);
+        if (lifecycleDebug) console.log('[LIFECYCLE reporter] flush() connecting to:', this.socketPath || this.endpoint.url);
         await this.connect();
       } catch (e) {
         if (lifecycleDebug) console.log('[LIFECYCLE reporter] flush() connect failed:', e.message);
-        // Connection failed, keep traces buffered
+        // Connection failed - spool the traces, or keep them buffered
+        this._requeue(this.buffer.splice(0, this.buffer.length));
         return;
       }
     }
@@ -473,11 +622,14 @@ export class TraceReporter extends EventEmitter {
         'pending=', this.socket.pending);
     }
 
-    const message = JSON.stringify({
-      type: "batch",
-      workerId: this.workerId,
-      data: traces,
-    });
+    // Write-ahead mode: on disk before the send, in case the process dies during it
+    const spooled = this.spool.mode === "always" && this._spool(traces);
+
+    if (this.endpoint?.transport === "http") {
+      return this._post(this._batchMessage(traces), traces, spooled);
+    }
+
+    const message = this._batchMessage(traces);
 
     // Track pending write
     this.pendingWrites++;
@@ -486,28 +638,14 @@ export class TraceReporter extends EventEmitter {
     }
 
     return new Promise((resolve, reject) => {
-      const writeResult = this.socket.write(message + "\n", (err) => {
+      const writeResult = this.socket.write(message, (err) => {
         // Write completed (success or error)
-        this.pendingWrites--;
-        if (lifecycleDebug) {
-          console.log(`[LIFECYCLE reporter] [${Date.now()}] pendingWrites--, now:`, this.pendingWrites);
-        }
-
-        // If shutdown is waiting for pending writes, notify it
-        if (this.pendingWrites === 0 && this.pendingWriteResolvers.length > 0) {
-          if (lifecycleDebug) {
-            console.log('[LIFECYCLE reporter] All pending writes complete, notifying shutdown');
-          }
-          const resolvers = this.pendingWriteResolvers.splice(0);
-          for (const resolver of resolvers) {
-            resolver();
-          }
-        }
+        this._writeSettled();
 
         if (err) {
           if (lifecycleDebug) console.log('[LIFECYCLE reporter] WRITE CALLBACK error:', err.message);
-          // Put traces back in buffer on failure
-          this.buffer.unshift(...traces);
+          // Connection dropped - spool the traces, or put them back in the buffer
+          this._requeue(traces, spooled);
           reject(err);
         } else {
           if (lifecycleDebug) console.log('[LIFECYCLE reporter] WRITE CALLBACK success for', traces.length, 'traces');
@@ -521,6 +659,68 @@ export class TraceReporter extends EventEmitter {
     });
   }
 
+  /**
+   * Count a finished write, and wake up a shutdown waiting for the last one
+   * @private
+   */
+  _writeSettled() {
+    const lifecycleDebug = process.env.TAIST_TRACE_LIFECYCLE === 'true';
+
+    this.pendingWrites--;
+    if (lifecycleDebug) {
+      console.log(`[LIFECYCLE reporter] [${Date.now()}] pendingWrites--, now:`, this.pendingWrites);
+    }
+
+    // If shutdown is waiting for pending writes, notify it
+    if (this.pendingWrites === 0 && this.pendingWriteResolvers.length > 0) {
+      if (lifecycleDebug) {
+        console.log('[LIFECYCLE reporter] All pending writes complete, notifying shutdown');
+      }
+      const resolvers = this.pendingWriteResolvers.splice(0);
+      for (const resolver of resolvers) {
+        resolver();
+      }
+    }
+  }
+
+  /**
+   * Send a batch to an HTTP collector. Traces are spooled (or put back in the
+   * buffer) when the collector can't be reached or is busy, and dropped when
+   * it rejects them.
+   * @private
+   */
+  async _post(body, traces, spooled = false) {
+    const headers = { "Content-Type": "application/x-ndjson" };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    this.pendingWrites++;
+    try {
+      let response;
+      try {
+        response = await fetch(this.endpoint.url, { method: "POST", headers, body });
+      } catch (err) {
+        // Network error - spool the traces, or keep them for the next flush
+        this._requeue(traces, spooled);
+        throw err;
+      }
+
+      const text = await response.text();
+      if (!response.ok) {
+        if (response.status === 408 || response.status === 429 || response.status >= 500) {
+          this._requeue(traces, spooled);
+        }
+        throw new Error(`Collector responded with HTTP ${response.status}`);
+      }
+      this.emit("flushed", { count: traces.length });
+      this._handleCollectorLines(text.split("\n"));
+    } catch (err) {
+      logger.debug("[reporter] POST failed:", err.message);
+      throw err;
+    } finally {
+      this._writeSettled();
+    }
+  }
+
   /**
    * Synchronous flush for process exit - best effort
    * This is tricky because we need to ensure data is sent before the process exits,
@@ -529,17 +729,34 @@ export class TraceReporter extends EventEmitter {
   flushSync() {
     logger.debug("[reporter] flushSync() called - buffer:", this.buffer.length, "connected:", this.connected, "connecting:", this.connecting);
 
-    if (this.buffer.length === 0) {
+    if (!this._hasPending()) {
       logger.debug("[reporter] flushSync() - buffer empty, skipping");
       return;
     }
 
+    // A POST can't finish synchronously - spool, or start it and hope the event loop still runs (beforeExit)
+    if (this.endpoint?.transport === "http") {
+      const traces = this.buffer.splice(0, this.buffer.length);
+      if (this._spool(traces)) return;
+      this.buffer.unshift(...traces);
+      this.flush().catch(() => {});
+      return;
+    }
+
+    // Without a live connection, the spool is surer than a socket opened at exit
+    if (!this.connected && this.spool.enabled) {
+      const traces = this.buffer.splice(0, this.buffer.length);
+      if (this._spool(traces)) return;
+      this.buffer.unshift(...traces);
+    }
+
     // If we have an existing socket (even if not fully connected), try to use it
     // The socket may have been created by connect() but not yet emitted 'connect'
-    if (!this.socket && this.socketPath) {
+    if (!this.socket && this._hasCollector()) {
       logger.debug("[reporter] flushSync() - no socket, creating new connection");
       try {
-        this.socket = net.createConnection(this.socketPath);
+        this.encoder = null; // A fresh connection starts on NDJSON
+        this.socket = this._createSocket();
         // Note: socket won't be immediately connected, but we can still write to it
         // and the data will be sent once connection completes
       } catch (err) {
@@ -554,11 +771,8 @@ export class TraceReporter extends EventEmitter {
     }
 
     const traces = this.buffer.splice(0, this.buffer.length);
-    const message = JSON.stringify({
-      type: "batch",
-      workerId: this.workerId,
-      data: traces,
-    });
+    const spooled = this.spool.mode === "always" && this._spool(traces);
+    const message = this._batchMessage(traces);
 
     logger.debug("[reporter] flushSync() - writing", traces.length, "traces");
 
@@ -576,7 +790,7 @@ export class TraceReporter extends EventEmitter {
 
       // Use cork/uncork for batched write
       this.socket.cork();
-      const written = this.socket.write(message + "\n");
+      const written = this.socket.write(message);
       this.socket.uncork();
 
       if (written) {
@@ -591,8 +805,8 @@ export class TraceReporter extends EventEmitter {
       logger.debug("[reporter] flushSync() - socket.end() called, data should be sent");
     } catch (err) {
       logger.debug("[reporter] flushSync() - write error:", err.message);
-      // Put traces back in buffer in case we get another chance
-      this.buffer.unshift(...traces);
+      // Spool the traces, or put them back in case we get another chance
+      this._requeue(traces, spooled);
     }
   }
 
@@ -622,6 +836,35 @@ export class TraceReporter extends EventEmitter {
   }
 }
 
+/**
+ * Parse TAIST_COLLECTOR_URL: tcp://host:port or http(s)://host:port/traces
+ * @param {string} [url]
+ * @returns {{transport: 'tcp'|'http', url: string, host?: string, port?: number}|null}
+ */
+export function parseCollectorUrl(url) {
+  if (!url) return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    logger.debug("[reporter] Invalid TAIST_COLLECTOR_URL:", url);
+    return null;
+  }
+
+  if (parsed.protocol === "tcp:") {
+    const port = parseInt(parsed.port);
+    if (!port) return null;
+    return { transport: "tcp", url, host: parsed.hostname.replace(/^\[|\]$/g, ""), port };
+  }
+  if (parsed.protocol === "http:" || parsed.protocol === "https:") {
+    if (parsed.pathname === "/") parsed.pathname = "/traces";
+    return { transport: "http", url: parsed.toString() };
+  }
+  logger.debug("[reporter] Unsupported TAIST_COLLECTOR_URL protocol:", parsed.protocol);
+  return null;
+}
+
 // Global reporter instance key for cross-module singleton
 // Using globalThis ensures the same instance is shared even when the module
 // is bundled separately (e.g., in Rollup/Vite builds)
@@ -0,0 +1,218 @@
+/**
+ * Trace Retention - Tail-based retention for the trace collector
+ *
+ * By default the collector keeps the newest maxTraces records, so a burst of
+ * uninteresting requests pushes out the one that failed. In tail mode the
+ * collector holds each request's records (grouped by correlationId, or
+ * traceId) until its root call ends, then keeps or drops the whole group:
+ *
+ * - any record is an error (keepErrors, default: true)
+ * - the root took at least slowThreshold ms (default: 100, 0 = off)
+ * - the group called one of `functions` (`*` wildcards)
+ * - otherwise a random `sampleRate` of groups (default: 0)
+ *
+ * Records that arrive after their group was decided follow the decision,
+ * except errors: a late error (say from a server whose batch is flushed after
+ * the client's root ended) is kept, and so is the rest of its group from then on.
+ * Groups whose root never ends are decided after `timeout` ms (checked on
+ * each record and by the collector's timer), when more than `maxPending`
+ * groups are waiting, and when the collector stops.
+ *
+ * Configured by the `retention` section of .taistrc.json:
+ *
+ * @example
+ * {
+ *   "retention": {
+ *     "mode": "tail",
+ *     "slowThreshold": 500,
+ *     "functions": ["Payments.*"],
+ *     "sampleRate": 0.05
+ *   }
+ * }
+ *
+ * TAIST_RETENTION=tail|buffer overrides the mode; TAIST_RETENTION_SLOW_THRESHOLD the threshold.
+ */
+
+import { loadConfigSync, wildcardToRegex } from './config-loader.js';
+
+/** Decisions remembered for late records, oldest forgotten first */
+const MAX_DECIDED = 10000;
+
+export class TailRetention {
+  /**
+   * @param {Object} [config] - The `retention` section of .taistrc.json
+   * @param {boolean} [config.keepErrors] - Keep groups with an error (default: true)
+   * @param {number} [config.slowThreshold] - Keep groups whose root took at least this long, in ms (default: 100, 0 = off)
+   * @param {Array<string>} [config.functions] - Keep groups that called these functions (`*` wildcards)
+   * @param {number} [config.sampleRate] - Fraction of the other groups to keep, 0-1 (default: 0)
+   * @param {number} [config.timeout] - Decide groups whose root hasn't ended after this long, in ms (default: 30000)
+   * @param {number} [config.maxPending] - Max groups waiting for their root (default: 1000)
+   * @param {Function} [config.random] - Random number source for sampleRate (default: Math.random)
+   */
+  constructor(config = {}) {
+    this.keepErrors = config.keepErrors !== false;
+    this.slowThreshold = config.slowThreshold ?? 100;
+    this.functions = (config.functions || []).map(wildcardToRegex);
+    this.sampleRate = Math.min(1, Math.max(0, Number(config.sampleRate) || 0));
+    this.timeout = config.timeout ?? 30000;
+    this.maxPending = config.maxPending ?? 1000;
+    this.random = config.random || Math.random;
+
+    this.dropped = 0; // records dropped with their group
+    this.pending = new Map(); // group key → { records, rootId, root, started }
+    this.decided = new Map(); // group key → kept (true/false)
+  }
+
+  /**
+   * Add a record
+   * @param {Object} trace
+   * @returns {{kept: Array<Object>, dropped: Array<Object>}} Records decided by this call
+   */
+  add(trace) {
+    const result = { kept: [], dropped: [] };
+    const key = groupKey(trace);
+
+    if (key === null) {
+      result.kept.push(trace);
+    } else if (this.decided.has(key)) {
+      const keep = this.decided.get(key) || (this.keepErrors && isError(trace));
+      if (keep) this.decided.set(key, true);
+      this._settle([trace], keep, result);
+    } else {
+      let group = this.pending.get(key);
+      if (!group) {
+        group = { records: [], rootId: null, root: null, started: Date.now() };
+        this.pending.set(key, group);
+      }
+      group.records.push(trace);
+
+      if (group.rootId === null && trace.type === 'entry' && trace.parentId == null) {
+        group.rootId = trace.id;
+      }
+      const ends = trace.type === 'exit' || trace.type === 'error';
+      if (ends && group.rootId !== null && trace.id === group.rootId) {
+        group.root = trace;
+        this._decide(key, result);
+      }
+    }
+
+    this._expire(result);
+    return result;
+  }
+
+  /**
+   * Decide the groups that waited longer than `timeout`, for collectors that
+   * stop receiving records
+   * @returns {{kept: Array<Object>, dropped: Array<Object>}}
+   */
+  expire() {
+    const result = { kept: [], dropped: [] };
+    this._expire(result);
+    return result;
+  }
+
+  /**
+   * Decide every pending group now (e.g. when the collector stops)
+   * @returns {{kept: Array<Object>, dropped: Array<Object>}}
+   */
+  flush() {
+    const result = { kept: [], dropped: [] };
+    for (const key of [...this.pending.keys()]) {
+      this._decide(key, result);
+    }
+    return result;
+  }
+
+  /**
+   * Keep or drop a group
+   * @param {{records: Array<Object>, root: Object|null}} group
+   * @returns {boolean}
+   */
+  shouldKeep(group) {
+    const { records, root } = group;
+    if (this.keepErrors && records.some(isError)) return true;
+    if (this.slowThreshold > 0 && root?.duration >= this.slowThreshold) return true;
+    if (this.functions.length > 0 &&
+        records.some(t => this.functions.some(regex => regex.test(t.name || '')))) {
+      return true;
+    }
+    return this.sampleRate > 0 && this.random() < this.sampleRate;
+  }
+
+  /** Number of groups waiting for their root to end */
+  getPendingCount() {
+    return this.pending.size;
+  }
+
+  /** @private */
+  _decide(key, result) {
+    const group = this.pending.get(key);
+    this.pending.delete(key);
+
+    const keep = this.shouldKeep(group);
+    this.decided.set(key, keep);
+    if (this.decided.size > MAX_DECIDED) {
+      const [oldest] = this.decided.keys();
+      this.decided.delete(oldest);
+    }
+    this._settle(group.records, keep, result);
+  }
+
+  /** @private */
+  _settle(records, keep, result) {
+    if (keep) {
+      result.kept.push(...records);
+    } else {
+      result.dropped.push(...records);
+      this.dropped += records.length;
+    }
+  }
+
+  /**
+   * Decide groups that waited too long, and the oldest beyond maxPending
+   * @private
+   */
+  _expire(result) {
+    const now = Date.now();
+    for (const [key, group] of this.pending) {
+      const overdue = this.timeout > 0 && now - group.started >= this.timeout;
+      if (!overdue && this.pending.size <= this.maxPending) break;
+      this._decide(key, result);
+    }
+  }
+}
+
+/**
+ * Read retention config from .taistrc.json and env vars
+ * @param {string} [startDir] - Where to look for .taistrc.json
+ * @returns {Object}
+ */
+export function loadRetentionConfig(startDir) {
+  let config = {};
+  try {
+    config = { ...loadConfigSync(startDir).retention };
+  } catch {
+    // Unreadable config - keep the default buffer
+  }
+
+  if (process.env.TAIST_RETENTION) {
+    config.mode = process.env.TAIST_RETENTION;
+  }
+  if (process.env.TAIST_RETENTION_SLOW_THRESHOLD) {
+    config.slowThreshold = parseInt(process.env.TAIST_RETENTION_SLOW_THRESHOLD);
+  }
+  return config;
+}
+
+/**
+ * Request a record belongs to, or null for records outside any request
+ */
+function groupKey(trace) {
+  return trace.correlationId || trace.traceId || null;
+}
+
+function isError(trace) {
+  return trace.type === 'error' || Boolean(trace.error);
+}
+
+export default TailRetention;
@@ -0,0 +1,239 @@
+/**
+ * Trace Sampler - Head sampling and rate limiting in the trace reporter
+ *
+ * Under load a single instrumented service can send far more traces than
+ * the collector keeps. The sampler drops traces in the worker, before they
+ * are sent:
+ *
+ * - Head sampling: a fraction of requests is kept completely. The decision
+ *   is a hash of the correlationId (or root traceId), so every call of a
+ *   request - in every worker - gets the same answer.
+ * - Rate limits: calls per second per function. A dropped call's
+ *   descendants are dropped too, so trees are never missing a middle.
+ * - Errors and slow calls are always kept. Entry records of dropped calls
+ *   are held until the call ends, so a kept call still has its entry and
+ *   the entries of its (still running) ancestors. The reporter redacts and
+ *   summarizes records before they get here, so held entries are bounded.
+ *
+ * Configured by the `sampling` section of .taistrc.json:
+ *
+ * @example
+ * {
+ *   "sampling": {
+ *     "rate": 0.1,
+ *     "rateLimits": { "Cache.*": 50, "Logger.log": 10 },
+ *     "keepErrors": true,
+ *     "slowThreshold": 200
+ *   }
+ * }
+ *
+ * Env vars override the file: TAIST_SAMPLE_RATE=0.1,
+ * TAIST_RATE_LIMIT="Cache.*=50,Logger.log=10" (or a number for every function),
+ * TAIST_SAMPLE_SLOW_THRESHOLD=200.
+ */
+
+import { loadConfigSync, wildcardToRegex } from './config-loader.js';
+
+/** Held entries beyond this are dropped for good, oldest first */
+const MAX_HELD = 10000;
+
+export class TraceSampler {
+  /**
+   * @param {Object} [config] - The `sampling` section of .taistrc.json
+   * @param {number} [config.rate] - Fraction of requests to keep, 0-1 (default: 1)
+   * @param {Object<string, number>} [config.rateLimits] - Max calls per second by function name (`*` wildcards)
+   * @param {boolean} [config.keepErrors] - Always keep failed calls (default: true)
+   * @param {number} [config.slowThreshold] - Always keep calls at least this slow, in ms (default: 100, 0 = off)
+   */
+  constructor(config = {}) {
+    this.rate = clampRate(config.rate ?? 1);
+    this.rateLimits = Object.entries(config.rateLimits || {}).map(([pattern, limit]) => ({
+      regex: wildcardToRegex(pattern),
+      limit: Number(limit)
+    }));
+    this.keepErrors = config.keepErrors !== false;
+    this.slowThreshold = config.slowThreshold ?? 100;
+    this.enabled = this.rate < 1 || this.rateLimits.length > 0;
+
+    this.sampledOut = 0; // traces dropped so far
+    this.held = new Map(); // id → entry record of a dropped call that hasn't ended
+    this.released = new Set(); // ids of held entries that were sent after all
+    this.windows = new Map(); // function name → { start, count }
+  }
+
+  /**
+   * Decide what to send for a trace record
+   * @param {Object} trace
+   * @returns {Array<Object>} Records to send now (empty when the record is dropped)
+   */
+  admit(trace) {
+    if (!this.enabled) return [trace];
+
+    const ends = trace.type === 'exit' || trace.type === 'error';
+
+    if (ends && trace.id && this.held.has(trace.id)) {
+      const entry = this.held.get(trace.id);
+      this.held.delete(trace.id);
+      if (this.mustKeep(trace)) {
+        return [...this._release(entry.parentId), entry, trace];
+      }
+      this.sampledOut += 2;
+      return [];
+    }
+
+    if (ends && trace.id && this.released.delete(trace.id)) {
+      return [trace];
+    }
+
+    const dropped = !this.sampleRequest(trace) ||
+      (trace.parentId != null && this.held.has(trace.parentId)) ||
+      (!ends && this._rateLimited(trace.name));
+
+    if (!dropped || this.mustKeep(trace)) {
+      return [trace];
+    }
+
+    if (trace.type === 'entry' && trace.id) {
+      this._hold(trace);
+    } else {
+      this.sampledOut++;
+    }
+    return [];
+  }
+
+  /**
+   * Head sampling decision for the request a record belongs to
+   * @param {Object} trace
+   * @returns {boolean}
+   */
+  sampleRequest(trace) {
+    if (this.rate >= 1) return true;
+    if (this.rate <= 0) return false;
+
+    const key = trace.correlationId || trace.traceId || trace.id || trace.name;
+    return hashFraction(String(key)) < this.rate;
+  }
+
+  /**
+   * Errors and slow calls are kept even when their request is sampled out
+   * @param {Object} trace
+   * @returns {boolean}
+   */
+  mustKeep(trace) {
+    if (this.keepErrors && (trace.type === 'error' || trace.error)) return true;
+    return this.slowThreshold > 0 && trace.duration >= this.slowThreshold;
+  }
+
+  /**
+   * Count a call against its function's limit for the current second
+   * @private
+   */
+  _rateLimited(name = '') {
+    const rule = this.rateLimits.find(({ regex }) => regex.test(name));
+    if (!rule) return false;
+
+    const now = Date.now();
+    let window = this.windows.get(name);
+    if (!window || now - window.start >= 1000) {
+      window = { start: now, count: 0 };
+      this.windows.set(name, window);
+    }
+    window.count++;
+    return window.count > rule.limit;
+  }
+
+  /** @private */
+  _hold(entry) {
+    this.held.set(entry.id, entry);
+    if (this.held.size > MAX_HELD) {
+      const [oldest] = this.held.keys();
+      this.held.delete(oldest);
+      this.sampledOut++;
+    }
+  }
+
+  /**
+   * Take the held entries of a call's running ancestors, outermost first
+   * @private
+   */
+  _release(parentId) {
+    const chain = [];
+    let id = parentId;
+    while (id != null && this.held.has(id)) {
+      const entry = this.held.get(id);
+      this.held.delete(id);
+      this.released.add(id);
+      chain.unshift(entry);
+      id = entry.parentId;
+    }
+    return chain;
+  }
+}
+
+/**
+ * Read sampling config from .taistrc.json and env vars
+ * @param {string} [startDir] - Where to look for .taistrc.json
+ * @returns {Object}
+ */
+export function loadSamplingConfig(startDir) {
+  let config = {};
+  try {
+    config = { ...loadConfigSync(startDir).sampling };
+  } catch {
+    // Unreadable config - sample nothing out
+  }
+
+  if (process.env.TAIST_SAMPLE_RATE) {
+    config.rate = parseRate(process.env.TAIST_SAMPLE_RATE);
+  }
+  if (process.env.TAIST_RATE_LIMIT) {
+    config.rateLimits = parseRateLimits(process.env.TAIST_RATE_LIMIT);
+  }
+  if (process.env.TAIST_SAMPLE_SLOW_THRESHOLD) {
+    config.slowThreshold = parseInt(process.env.TAIST_SAMPLE_SLOW_THRESHOLD);
+  }
+  return config;
+}
+
+/**
+ * Parse "0.1" or "10%"
+ */
+function parseRate(value) {
+  const rate = parseFloat(value);
+  return value.trim().endsWith('%') ? rate / 100 : rate;
+}
+
+/**
+ * Parse "Cache.*=50,Logger.log=10", or "100" for every function
+ */
+function parseRateLimits(value) {
+  if (/^\d+$/.test(value.trim())) {
+    return { '*': parseInt(value) };
+  }
+  const limits = {};
+  for (const part of value.split(',')) {
+    const index = part.lastIndexOf('=');
+    if (index > 0) limits[part.slice(0, index).trim()] = parseInt(part.slice(index + 1));
+  }
+  return limits;
+}
+
+function clampRate(rate) {
+  const value = Number(rate);
+  if (Number.isNaN(value)) return 1;
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * FNV-1a hash of a string, as a fraction in [0, 1)
+ */
+function hashFraction(key) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) / 0x100000000;
+}
+
+export default TraceSampler;
@@ -0,0 +1,416 @@
+/**
+ * Trace Serializer - Tagged JSON for the reporter → collector protocol
+ *
+ * Captured args and results can hold values plain JSON can't carry (BigInt
+ * throws, cycles throw, Map/Set become {}, Dates become strings). They are
+ * encoded as tagged objects instead, so one exotic value can't break a batch:
+ *
+ *   10n                 → { __taist: 'BigInt', value: '10' }
+ *   new Date(0)         → { __taist: 'Date', value: '1970-01-01T00:00:00.000Z' }
+ *   /a+/g               → { __taist: 'RegExp', source: 'a+', flags: 'g' }
+ *   new Error('x', {cause}) → { __taist: 'Error', name, message, stack, cause }
+ *   new Map([[k, v]])   → { __taist: 'Map', entries: [[k, v]] }
+ *   new Set([v])        → { __taist: 'Set', values: [v] }
+ *   Buffer / Uint8Array → { __taist: 'Buffer' | 'TypedArray', type, data: <base64> }
+ *   cycle               → { __taist: 'Circular', ref: <levels up> }
+ *
+ * Symbols, functions, undefined array items, NaN/Infinity and getters that
+ * throw are tagged too. Objects that happen to have a `__taist` key are wrapped in
+ * { __taist: 'Object', value } so they aren't mistaken for tags.
+ *
+ * decodeValue() turns tags back into live values; toDisplayValue() turns them
+ * into readable strings for formatters.
+ */
+
+export const TAG = '__taist';
+
+/**
+ * Encode a value as JSON-safe tagged data
+ * @param {*} value
+ * @returns {*}
+ */
+export function encodeValue(value) {
+  return encode(value, []);
+}
+
+function encode(value, ancestors) {
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'number':
+      return Number.isFinite(value) ? value : tag('Number', { value: String(value) });
+    case 'undefined':
+      return tag('Undefined');
+    case 'bigint':
+      return tag('BigInt', { value: value.toString() });
+    case 'symbol':
+      return tag('Symbol', { description: value.description ?? null });
+    case 'function':
+      return tag('Function', { name: value.name || 'anonymous' });
+  }
+
+  if (value === null) return null;
+
+  const index = ancestors.lastIndexOf(value);
+  if (index !== -1) {
+    return tag('Circular', { ref: ancestors.length - index });
+  }
+
+  if (value instanceof Date) {
+    return tag('Date', { value: Number.isNaN(value.getTime()) ? null : value.toISOString() });
+  }
+  if (value instanceof RegExp) {
+    return tag('RegExp', { source: value.source, flags: value.flags });
+  }
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) {
+    return tag('Buffer', { data: value.toString('base64') });
+  }
+  if (ArrayBuffer.isView(value)) {
+    const bytes = Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+    return tag('TypedArray', { type: value.constructor.name, data: bytes.toString('base64') });
+  }
+  if (value instanceof ArrayBuffer) {
+    return tag('TypedArray', { type: 'ArrayBuffer', data: Buffer.from(value).toString('base64') });
+  }
+  if (value instanceof Promise) return tag('Promise');
+  if (value instanceof WeakMap || value instanceof WeakSet) return tag(value.constructor.name);
+  if (value instanceof Unreadable) return tag('Unreadable', { message: value.message });
+
+  if (typeof value.toJSON === 'function' && !(value instanceof Error)) {
+    const json = readProperty({ get json() { return value.toJSON(); } }, 'json');
+    return json === value ? {} : encode(json, ancestors);
+  }
+
+  ancestors.push(value);
+  try {
+    return encodeContainer(value, ancestors);
+  } finally {
+    ancestors.pop();
+  }
+}
+
+function encodeContainer(value, ancestors) {
+  const next = item => encode(item, ancestors);
+
+  if (Array.isArray(value)) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      items.push(next(readProperty(value, i)));
+    }
+    return items;
+  }
+
+  if (value instanceof Map) {
+    return tag('Map', { entries: [...value].map(([key, item]) => [next(key), next(item)]) });
+  }
+
+  if (value instanceof Set) {
+    return tag('Set', { values: [...value].map(next) });
+  }
+
+  if (value instanceof Error) {
+    const error = tag('Error', { name: value.name || 'Error', message: String(value.message) });
+    if (value.stack) error.stack = String(value.stack);
+    if (value.cause !== undefined) error.cause = next(value.cause);
+
+    const props = {};
+    for (const key of Object.keys(value)) {
+      const item = readProperty(value, key);
+      if (item !== undefined && !['name', 'message', 'stack', 'cause'].includes(key)) {
+        props[key] = next(item);
+      }
+    }
+    if (Object.keys(props).length > 0) error.props = props;
+    return error;
+  }
+
+  const result = {};
+  for (const key of Object.keys(value)) {
+    const item = readProperty(value, key);
+    // Like JSON, drop undefined properties (undefined array items are tagged)
+    if (item !== undefined) result[key] = next(item);
+  }
+  if (Object.hasOwn(value, TAG)) {
+    return tag('Object', { value: result });
+  }
+
+  // Keep the class name, like the summarizer does for instances it shortens
+  const type = typeName(value);
+  return type === 'Object' || result.__type !== undefined ? result : { __type: type, ...result };
+}
+
+/**
+ * Read a property, turning a throwing getter into an Unreadable tag
+ */
+function readProperty(object, key) {
+  try {
+    return object[key];
+  } catch (err) {
+    return new Unreadable(err);
+  }
+}
+
+class Unreadable {
+  constructor(err) {
+    this.message = err?.message ?? String(err);
+  }
+}
+
+function tag(type, fields = {}) {
+  return { [TAG]: type, ...fields };
+}
+
+/**
+ * Trace fields that carry captured values
+ */
+export const VALUE_FIELDS = ['args', 'result', 'error', 'data'];
+
+/**
+ * Encode the captured values of one trace record. Fields are encoded one at
+ * a time, so a field that still can't be encoded (e.g. a revoked Proxy) is
+ * replaced instead of dropping the trace.
+ * @param {Object} trace
+ * @returns {Object}
+ */
+export function encodeTrace(trace) {
+  const encoded = { ...trace };
+  for (const field of VALUE_FIELDS) {
+    if (trace[field] === undefined) continue;
+    try {
+      encoded[field] = encodeValue(trace[field]);
+    } catch (err) {
+      encoded[field] = tag('Unserializable', { message: err?.message ?? String(err) });
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Serialize a protocol message ({ type, workerId, data }) to a JSON line
+ * (without the newline). Trace records in `data` are tag-encoded.
+ * @param {Object} message
+ * @returns {string}
+ */
+export function stringifyMessage(message) {
+  if (message.data === undefined) return JSON.stringify(message);
+
+  const data = Array.isArray(message.data)
+    ? message.data.map(encodeTrace)
+    : encodeTrace(message.data);
+  return JSON.stringify({ ...message, data });
+}
+
+/**
+ * Check whether a value is a tag produced by encodeValue
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isTagged(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    typeof value[TAG] === 'string';
+}
+
+/**
+ * Turn tagged data back into live values (BigInt, Date, Map, Error, ...).
+ * Cycles are restored; functions, symbols and promises come back as placeholders.
+ * @param {*} value
+ * @returns {*}
+ */
+export function decodeValue(value) {
+  return decode(value, []);
+}
+
+function decode(value, ancestors) {
+  if (value === null || typeof value !== 'object') return value;
+
+  const next = item => decode(item, ancestors);
+  const within = (container, fill) => {
+    ancestors.push(container);
+    try {
+      fill();
+    } finally {
+      ancestors.pop();
+    }
+    return container;
+  };
+
+  if (Array.isArray(value)) {
+    const items = [];
+    return within(items, () => value.forEach(item => items.push(next(item))));
+  }
+
+  const object = plain => {
+    const result = {};
+    return within(result, () => {
+      for (const key of Object.keys(plain)) result[key] = next(plain[key]);
+    });
+  };
+
+  if (!isTagged(value)) return object(value);
+
+  switch (value[TAG]) {
+    case 'Undefined':
+      return undefined;
+    case 'Number':
+      return Number(value.value);
+    case 'BigInt':
+      return BigInt(value.value);
+    case 'Symbol':
+      return Symbol(value.description ?? undefined);
+    case 'Date':
+      return new Date(value.value ?? NaN);
+    case 'RegExp':
+      return new RegExp(value.source, value.flags);
+    case 'Buffer':
+      return Buffer.from(value.data, 'base64');
+    case 'TypedArray': {
+      const bytes = Buffer.from(value.data, 'base64');
+      const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      if (value.type === 'ArrayBuffer') return buffer;
+      // Only the built-in views - the type name comes from the wire
+      const View = Object.hasOwn(TYPED_ARRAYS, value.type) ? TYPED_ARRAYS[value.type] : null;
+      try {
+        return View ? new View(buffer) : bytes;
+      } catch (err) {
+        // A byte length that isn't a multiple of the element size
+        if (err instanceof RangeError) return bytes;
+        throw err;
+      }
+    }
+    case 'Map': {
+      const map = new Map();
+      return within(map, () => value.entries.forEach(([key, item]) => map.set(next(key), next(item))));
+    }
+    case 'Set': {
+      const set = new Set();
+      return within(set, () => value.values.forEach(item => set.add(next(item))));
+    }
+    case 'Error': {
+      // Own keys only - an error named "constructor" or "toString" is still an Error
+      const ErrorType = Object.hasOwn(ERROR_TYPES, value.name) ? ERROR_TYPES[value.name] : Error;
+      const error = new ErrorType(value.message);
+      if (error.name !== value.name) error.name = value.name;
+      error.stack = value.stack;
+      return within(error, () => {
+        if (value.cause !== undefined) error.cause = next(value.cause);
+        for (const [key, item] of Object.entries(value.props || {})) error[key] = next(item);
+      });
+    }
+    case 'Object':
+      return object(value.value);
+    case 'Circular':
+      return ancestors[ancestors.length - value.ref] ?? '[Circular]';
+    default:
+      return describeTag(value);
+  }
+}
+
+/**
+ * Views a TypedArray tag can be decoded to, by constructor name
+ */
+export const TYPED_ARRAYS = {
+  Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+  Float32Array, Float64Array, BigInt64Array, BigUint64Array, DataView
+};
+
+const ERROR_TYPES = {
+  Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError
+};
+
+/**
+ * Replace tags with readable strings (and wrapped objects with their value),
+ * for formatters that print or JSON-encode trace values.
+ *
+ *   { __taist: 'BigInt', value: '10' }  → '10n'
+ *   { __taist: 'Map', entries: [...] }  → { __type: 'Map', size: 1, entries: {...} }
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+export function toDisplayValue(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(toDisplayValue);
+  if (!isTagged(value)) return displayObject(value);
+
+  switch (value[TAG]) {
+    case 'Object':
+      return displayObject(value.value);
+    case 'Map': {
+      const primitiveKeys = value.entries.every(([key]) => key === null || typeof key !== 'object');
+      return {
+        __type: 'Map',
+        size: value.entries.length,
+        entries: primitiveKeys
+          ? Object.fromEntries(value.entries.map(([key, item]) => [String(key), toDisplayValue(item)]))
+          : value.entries.map(([key, item]) => [toDisplayValue(key), toDisplayValue(item)])
+      };
+    }
+    case 'Set':
+      return { __type: 'Set', size: value.values.length, values: value.values.map(toDisplayValue) };
+    case 'Error': {
+      const error = { __type: value.name, message: value.message };
+      if (value.props) Object.assign(error, toDisplayValue(value.props));
+      if (value.cause !== undefined) error.cause = toDisplayValue(value.cause);
+      return error;
+    }
+    default:
+      return describeTag(value);
+  }
+}
+
+function displayObject(value) {
+  const result = {};
+  for (const key of Object.keys(value)) result[key] = toDisplayValue(value[key]);
+  return result;
+}
+
+/**
+ * One-line description of a tag: '10n', '/a+/g', 'Buffer(16)', '[Circular]', ...
+ * @param {Object} value - Tagged value
+ * @returns {string}
+ */
+export function describeTag(value) {
+  switch (value[TAG]) {
+    case 'Undefined':
+      return 'undefined';
+    case 'Number':
+      return value.value;
+    case 'BigInt':
+      return `${value.value}n`;
+    case 'Symbol':
+      return `Symbol(${value.description ?? ''})`;
+    case 'Function':
+      return `[Function: ${value.name}]`;
+    case 'Date':
+      return value.value ?? 'Invalid Date';
+    case 'RegExp':
+      return `/${value.source}/${value.flags}`;
+    case 'Buffer':
+      return `Buffer(${Buffer.byteLength(value.data, 'base64')})`;
+    case 'TypedArray':
+      return `${value.type}(${Buffer.byteLength(value.data, 'base64')} bytes)`;
+    case 'Map':
+      return `Map(${value.entries.length})`;
+    case 'Set':
+      return `Set(${value.values.length})`;
+    case 'Error':
+      return `${value.name}: ${value.message}`;
+    case 'Circular':
+      return '[Circular]';
+    case 'Unreadable':
+      return `[Unreadable: ${value.message}]`;
+    case 'Unserializable':
+      return `[Unserializable: ${value.message}]`;
+    default:
+      return `[${value[TAG]}]`;
+  }
+}
+
+function typeName(value) {
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null) return 'Object';
+  return proto.constructor?.name || 'Object';
+}
+
+export default { encodeValue, decodeValue, encodeTrace, stringifyMessage, toDisplayValue, describeTag, isTagged };
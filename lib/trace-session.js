@@ -57,6 +57,7 @@ export class TraceSession {
     return {
       TAIST_ENABLED: 'true',
       TAIST_COLLECTOR_SOCKET: this.collector.getSocketPath(),
+      TAIST_SPOOL_DIR: this.collector.getSpoolDir(),
     };
   }
 
@@ -0,0 +1,123 @@
+/**
+ * Trace Spool - Durable fallback for traces the collector can't take
+ *
+ * When a reporter can't reach its collector (not started yet, gone, socket
+ * dropped), it appends its batches to a per-pid NDJSON file in the spool
+ * directory instead of holding them in memory. Lines are the same `batch`
+ * messages the socket carries, written synchronously, so a worker that
+ * crashes or is SIGKILLed afterwards loses nothing that was spooled.
+ *
+ * The collector ingests and deletes the spool files when it stops. Whoever
+ * starts the collector passes its directory to workers as TAIST_SPOOL_DIR;
+ * without one, nothing is spooled.
+ *
+ * Modes (TAIST_SPOOL):
+ * - fallback (default): spool only what can't be sent
+ * - always: also spool every batch before sending it (the collector drops
+ *   the duplicates), for workers that may die before a send completes
+ * - off: never spool
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/** File name prefix of reporter spool files: traces-<pid>.ndjson */
+export const SPOOL_PREFIX = 'traces-';
+
+/** File name prefix of service tracer snapshots: service-<pid>.ndjson */
+export const SERVICE_SPOOL_PREFIX = 'service-';
+
+const SPOOL_MODES = ['fallback', 'always', 'off'];
+
+/**
+ * Directory service tracer snapshots are spooled to:
+ * TAIST_SPOOL_DIR or <tmp>/taist-spool
+ * @returns {string}
+ */
+export function defaultSpoolDir() {
+  return process.env.TAIST_SPOOL_DIR || path.join(os.tmpdir(), 'taist-spool');
+}
+
+export class TraceSpool {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Spool directory (default: TAIST_SPOOL_DIR)
+   * @param {'fallback'|'always'|'off'} [options.mode] - Default: TAIST_SPOOL or 'fallback'
+   * @param {number} [options.pid] - Names the file (default: process.pid)
+   */
+  constructor(options = {}) {
+    const mode = options.mode || process.env.TAIST_SPOOL || 'fallback';
+    this.mode = SPOOL_MODES.includes(mode) ? mode : 'fallback';
+    this.dir = options.dir || process.env.TAIST_SPOOL_DIR || null;
+    this.file = this.dir && path.join(this.dir, `${SPOOL_PREFIX}${options.pid ?? process.pid}.ndjson`);
+    this.written = 0; // lines appended
+  }
+
+  get enabled() {
+    return this.mode !== 'off' && Boolean(this.dir);
+  }
+
+  /**
+   * Append NDJSON messages. Synchronous, so it works in exit handlers.
+   * @param {string} lines - One or more complete lines
+   * @returns {boolean} Whether the lines were written
+   */
+  append(lines) {
+    if (!this.enabled) return false;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(this.file, lines.endsWith('\n') ? lines : lines + '\n');
+      this.written++;
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+/**
+ * Read and delete the spool files in a directory
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Only files starting with this (default: all .ndjson files)
+ * @param {boolean} [options.remove] - Delete files after reading (default: true)
+ * @returns {Array<string>} NDJSON lines, file by file. A line cut off by a crash is included as is.
+ */
+export function readSpool(dir, options = {}) {
+  const { prefix = '', remove = true } = options;
+
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter(name => name.startsWith(prefix) && name.endsWith('.ndjson'));
+  } catch {
+    return []; // Nothing was spooled
+  }
+
+  const lines = [];
+  for (const name of files.sort()) {
+    const file = path.join(dir, name);
+    try {
+      const content = fs.readFileSync(file, 'utf-8');
+      if (remove) fs.unlinkSync(file);
+      lines.push(...content.split('\n').filter(line => line.trim()));
+    } catch {
+      // Removed by someone else meanwhile
+    }
+  }
+  return lines;
+}
+
+/**
+ * Remove a spool directory if nothing is left in it
+ * @param {string} dir
+ */
+export function removeSpoolDir(dir) {
+  try {
+    fs.rmdirSync(dir);
+  } catch {
+    // Not empty or already gone
+  }
+}
+
+export default TraceSpool;
@@ -0,0 +1,148 @@
+/**
+ * Trace Viewer - Live view of a collector's traces in the browser
+ *
+ * A small HTTP server next to the collector:
+ *
+ *   GET /        The viewer page (trace-viewer.html): a live, collapsible call
+ *                tree per correlationId, filterable by name, errors and duration
+ *   GET /events  Server-Sent Events: a `batch` event with the traces collected
+ *                so far, then a `batch` event with the new ones every 100ms.
+ *                An `end` event says the collector stopped.
+ *
+ * Traces are sent as the collector keeps them, values tagged (see
+ * trace-serializer.js). It's meant for watching a dev server locally: it
+ * binds to 127.0.0.1 unless given a host, and asks for no token.
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+const VIEWER_PAGE = new URL('./trace-viewer.html', import.meta.url);
+
+/** New traces are sent in batches this often (ms) */
+const BATCH_INTERVAL = 100;
+
+/** Comment lines keep idle connections from timing out in proxies (ms) */
+const HEARTBEAT_INTERVAL = 15000;
+
+export class TraceViewer {
+  /**
+   * @param {import('./trace-collector.js').TraceCollector} collector
+   * @param {Object} [options]
+   * @param {string} [options.host] - Address to bind (default: '127.0.0.1')
+   */
+  constructor(collector, options = {}) {
+    this.collector = collector;
+    this.host = options.host || '127.0.0.1';
+    this.server = null;
+    this.clients = new Set(); // open /events responses
+    this.pending = []; // traces not yet sent
+    this.batchTimer = null;
+    this.heartbeatTimer = null;
+    this._onTrace = (trace) => this._queue(trace);
+  }
+
+  /**
+   * Start serving
+   * @param {number} [port] - 0 = any free port
+   */
+  async listen(port = 0) {
+    this.server = http.createServer((req, res) => this._handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.collector.on('trace', this._onTrace);
+    this.heartbeatTimer = setInterval(() => this._write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Send what's pending, tell viewers the collector stopped, and close
+   */
+  close() {
+    if (!this.server) return;
+
+    this.collector.off('trace', this._onTrace);
+    clearInterval(this.heartbeatTimer);
+    this._broadcast();
+    this._write('event: end\ndata: {}\n\n');
+    for (const res of this.clients) res.end();
+    this.clients.clear();
+
+    this.server.close();
+    this.server.closeAllConnections?.();
+    this.server = null;
+  }
+
+  /** @private */
+  _handleRequest(req, res) {
+    const path = req.url.split('?')[0];
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET' });
+      return res.end('Method not allowed\n');
+    }
+    if (path === '/' || path === '/index.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+      return res.end(fs.readFileSync(VIEWER_PAGE));
+    }
+    if (path === '/events') {
+      return this._subscribe(req, res);
+    }
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found\n');
+  }
+
+  /** @private */
+  _subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+
+    // Everything so far first - after a reconnect too, the page drops what it already has
+    res.write('retry: 2000\n\n');
+    res.write(batchEvent(this.collector.getTraces()));
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /** @private */
+  _queue(trace) {
+    if (this.clients.size === 0) return;
+    this.pending.push(trace);
+    this.batchTimer ??= setTimeout(() => this._broadcast(), BATCH_INTERVAL);
+  }
+
+  /** @private */
+  _broadcast() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    if (this.pending.length === 0) return;
+    this._write(batchEvent(this.pending.splice(0)));
+  }
+
+  /** @private */
+  _write(chunk) {
+    for (const res of this.clients) {
+      try {
+        res.write(chunk);
+      } catch {
+        this.clients.delete(res);
+      }
+    }
+  }
+}
+
+function batchEvent(traces) {
+  return `event: batch\ndata: ${JSON.stringify(traces)}\n\n`;
+}
+
+export default TraceViewer;
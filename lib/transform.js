@@ -1,8 +1,19 @@
 /**
  * Shared code transformation logic for Taist instrumentation
- * Used by both the Rollup plugin and ESM loader hooks
+ * Used by the Rollup plugin, the ESM loader hooks and the CommonJS hooks
+ *
+ * Exports are discovered from an acorn AST and rewritten with magic-string,
+ * so only real export statements are touched (never text in strings/comments)
+ * and an accurate source map can be generated for the rewritten module.
+ * TypeScript sources (.ts/.mts/.cts/.tsx) are parsed with the acorn-typescript
+ * plugin; type annotations are left in place for the TS compiler/stripper.
  */
 
+import { Parser } from "acorn";
+import { tsPlugin } from "@sveltejs/acorn-typescript";
+import MagicString from "magic-string";
+import remapping from "@jridgewell/remapping";
+
 /**
  * Extract module name from file path
  * @param {string} filePath - File path or URL
@@ -11,80 +22,383 @@
 export function extractModuleName(filePath) {
   const path = filePath.replace("file://", "");
   const parts = path.split("/");
-  const filename = parts[parts.length - 1].replace(/\.(ts|js|mjs)$/, "");
+  const filename = parts[parts.length - 1].replace(/\.([mc]?[jt]s|tsx)$/, "");
 
   // Capitalize first letter
   return filename.charAt(0).toUpperCase() + filename.slice(1);
 }
 
 /**
- * Check if code has any exports worth instrumenting
- * @param {string} code - Source code
- * @returns {boolean}
+ * Parser options shared by every export scan.
+ * Hashbangs are allowed so CLI entry points can be instrumented as-is.
+ */
+const PARSE_OPTIONS = {
+  ecmaVersion: "latest",
+  sourceType: "module",
+  allowHashBang: true,
+};
+
+const TYPESCRIPT_EXTENSION = /\.([mc]?ts|tsx)$/;
+
+// Extended parsers are built on first use - plain JS never needs them
+const parsers = new Map();
+
+/**
+ * Pick the parser for a source dialect
+ * @param {false|'ts'|'tsx'} typescript - TypeScript dialect, or false for plain JS
+ * @returns {typeof Parser}
  */
-export function hasExports(code) {
-  return /export\s+(async\s+)?(function|const|class)\s+\w+/.test(code) ||
-         /export\s*\{[^}]+\}/.test(code);
+function getParser(typescript) {
+  if (!typescript) return Parser;
+  if (!parsers.has(typescript)) {
+    parsers.set(typescript, Parser.extend(tsPlugin({ jsx: typescript === "tsx" })));
+  }
+  return parsers.get(typescript);
 }
 
 /**
- * Find all exports in the source code
+ * Work out the TypeScript dialect from an explicit option or the file extension
+ * @param {boolean} [typescript] - Force TypeScript parsing on/off
+ * @param {string|null} [filename] - Source file name
+ * @returns {false|'ts'|'tsx'}
+ */
+function typescriptDialect(typescript, filename) {
+  if (typescript === false) return false;
+  if (filename?.endsWith(".tsx")) return "tsx";
+  if (typescript || TYPESCRIPT_EXTENSION.test(filename || "")) return "ts";
+  return false;
+}
+
+/**
+ * Parse module source into an ESTree AST
+ * @param {string} source - Source code
+ * @param {false|'ts'|'tsx'} [typescript] - TypeScript dialect
+ * @returns {import('acorn').Program}
+ */
+function parseModule(source, typescript = false) {
+  return getParser(typescript).parse(source, PARSE_OPTIONS);
+}
+
+/**
+ * Parse CommonJS source, which runs inside Node's function wrapper
+ * (so a top-level `return` is legal)
  * @param {string} source - Source code
- * @returns {Array<{name: string, type: 'function'|'const'|'class'|'object', declaration: string|null}>}
+ * @param {false|'ts'|'tsx'} [typescript] - TypeScript dialect
+ * @returns {import('acorn').Program}
+ */
+function parseScript(source, typescript = false) {
+  return getParser(typescript).parse(source, {
+    ...PARSE_OPTIONS,
+    sourceType: "script",
+    allowReturnOutsideFunction: true,
+  });
+}
+
+/**
+ * Offset just past the directive prologue ("use strict" etc.), so injected
+ * code doesn't turn the directives into plain expression statements
+ * @param {import('acorn').Program} ast
+ * @returns {number}
+ */
+function directivePrologueEnd(ast) {
+  let end = 0;
+  for (const node of ast.body) {
+    if (node.type !== "ExpressionStatement" || node.directive === undefined) break;
+    end = node.end;
+  }
+  return end;
+}
+
+/**
+ * Global the CommonJS preamble reads the tracing runtime from.
+ * The runtime modules are ESM, which require() can't load on every supported
+ * Node version, so the CommonJS hooks publish them here instead.
+ */
+export const COMMONJS_RUNTIME_KEY = "__taist_runtime__";
+
+/**
+ * Runtime export instrumentation for CommonJS, appended to the reporter preamble.
+ * Labels follow the ESM rules: `exports.add` -> Module.add, a class export
+ * instruments its prototype, plain objects have their methods wrapped, and a
+ * function assigned to `module.exports` is labelled by its own name or "default".
+ * The exports object is patched in place so circular require()s see the same object.
+ */
+const COMMONJS_HELPERS = `const __taist_name = (name) => (__taist_module === name ? name : __taist_module + '.' + name);
+const __taist_isClass = (fn) => /^class[\\s{]/.test(Function.prototype.toString.call(fn));
+const __taist_instrumentValue = (value, name) => {
+  if (typeof value === 'function') {
+    return __taist_isClass(value) ? __taist_instrumentClass(value, name) : __taist_wrap(value, name);
+  }
+  if (value && typeof value === 'object') {
+    const proto = Object.getPrototypeOf(value);
+    if (proto === Object.prototype || proto === null) return __taist_instrumentObject(value, name);
+  }
+  return value;
+};
+const __taist_instrumentExports = (exp) => {
+  if (typeof exp === 'function') {
+    const instrumented = __taist_instrumentValue(exp, __taist_name(exp.name || 'default'));
+    // Static helpers (module.exports.sync = ...) move over to the wrapper
+    if (instrumented !== exp) {
+      for (const key of Object.keys(exp)) instrumented[key] = exp[key];
+    }
+    exp = instrumented;
+  } else if (!exp || typeof exp !== 'object') {
+    return exp;
+  }
+  for (const key of Object.keys(exp)) {
+    // Getters are re-exports (e.g. from TypeScript output) - instrumented where declared
+    const descriptor = Object.getOwnPropertyDescriptor(exp, key);
+    if (key === '__esModule' || !descriptor || !('value' in descriptor) || !descriptor.writable) continue;
+    const value = descriptor.value;
+    const name = key === 'default' && typeof value === 'function' && value.name ? value.name : key;
+    const instrumented = __taist_instrumentValue(value, __taist_name(name));
+    if (instrumented !== value) exp[key] = instrumented;
+  }
+  return exp;
+};
+`;
+
+/**
+ * Get the name of an export/import specifier part.
+ * ES2022 allows string literals here (`export { a as "a-b" }`).
+ */
+function specifierName(node) {
+  return node.type === "Identifier" ? node.name : String(node.value);
+}
+
+/**
+ * Render an exported name so it can be used in an `export { ... }` clause
+ */
+function exportedNameCode(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Collect all identifiers bound by a declaration pattern
+ * (`const { a, b: [c, ...d] } = obj` binds a, c and d)
+ */
+function patternNames(pattern, names = []) {
+  switch (pattern.type) {
+    case "Identifier":
+      names.push(pattern.name);
+      break;
+    case "ObjectPattern":
+      for (const prop of pattern.properties) {
+        patternNames(prop.type === "RestElement" ? prop.argument : prop.value, names);
+      }
+      break;
+    case "ArrayPattern":
+      for (const element of pattern.elements) {
+        if (element) patternNames(element, names);
+      }
+      break;
+    case "RestElement":
+      patternNames(pattern.argument, names);
+      break;
+    case "AssignmentPattern":
+      patternNames(pattern.left, names);
+      break;
+  }
+  return names;
+}
+
+// TypeScript expression wrappers that don't change the runtime value
+const TS_EXPRESSION_WRAPPERS = new Set([
+  "TSAsExpression",
+  "TSSatisfiesExpression",
+  "TSNonNullExpression",
+  "TSTypeAssertion",
+]);
+
+// TypeScript declarations with no runtime value
+const TS_TYPE_DECLARATIONS = new Set([
+  "TSInterfaceDeclaration",
+  "TSTypeAliasDeclaration",
+  "TSDeclareFunction",
+]);
+
+/**
+ * Check if an export statement only exports types
+ * (`export type`, `export interface`, `export declare ...`, overload signatures)
+ */
+function isTypeOnlyExport(node) {
+  const decl = node.declaration;
+  return node.exportKind === "type" || Boolean(decl && (decl.declare || TS_TYPE_DECLARATIONS.has(decl.type)));
+}
+
+/**
+ * Classify what a variable initializer holds, using the same type names as findExports()
+ */
+function classifyInit(init) {
+  // `{ ... } satisfies Routes`, `(async () => {}) as Handler`
+  while (init && TS_EXPRESSION_WRAPPERS.has(init.type)) {
+    init = init.expression;
+  }
+  if (!init) return "unknown";
+  switch (init.type) {
+    case "ArrowFunctionExpression":
+    case "FunctionExpression":
+      return "const";
+    case "ClassExpression":
+      return "class";
+    case "ObjectExpression":
+      return "object";
+    default:
+      return "unknown";
+  }
+}
+
+/**
+ * Build a map of every top-level binding in the module.
+ * Used to resolve the type of names exported through `export { name }`.
+ * @returns {Map<string, {type: string, id: object|null, kind: string}>}
+ */
+function collectBindings(ast) {
+  const bindings = new Map();
+
+  for (const node of ast.body) {
+    let decl = node;
+    if (node.type === "ExportNamedDeclaration" || node.type === "ExportDefaultDeclaration") {
+      decl = node.declaration;
+    }
+    if (!decl) continue;
+
+    if (decl.type === "FunctionDeclaration" && decl.id) {
+      bindings.set(decl.id.name, { type: "function", id: decl.id, kind: "const" });
+    } else if (decl.type === "ClassDeclaration" && decl.id) {
+      bindings.set(decl.id.name, { type: "class", id: decl.id, kind: "const" });
+    } else if (decl.type === "VariableDeclaration") {
+      for (const declarator of decl.declarations) {
+        if (declarator.id.type === "Identifier") {
+          bindings.set(declarator.id.name, {
+            type: classifyInit(declarator.init),
+            id: declarator.id,
+            kind: decl.kind,
+          });
+        } else {
+          for (const name of patternNames(declarator.id)) {
+            bindings.set(name, { type: "unknown", id: null, kind: decl.kind });
+          }
+        }
+      }
+    } else if (decl.type === "ImportDeclaration") {
+      for (const spec of decl.specifiers) {
+        bindings.set(spec.local.name, { type: "unknown", id: null, kind: "import" });
+      }
+    } else if ((decl.type === "TSEnumDeclaration" || decl.type === "TSModuleDeclaration") && decl.id?.type === "Identifier") {
+      // Enums and namespaces are runtime objects, but not ones worth wrapping
+      bindings.set(decl.id.name, { type: "unknown", id: null, kind: "const" });
+    }
+  }
+
+  return bindings;
+}
+
+/**
+ * Walk the module's export statements and describe every exported name.
+ *
+ * Each entry carries the AST nodes needed by transformSource() to rewrite it:
+ * - `node`: the export statement
+ * - `binding`: the top-level binding the export refers to (if any)
+ * - `specifier`: the `export { ... }` specifier (named exports only)
+ *
+ * @param {import('acorn').Program} ast - Parsed module
+ * @returns {Array<{name: string, local: string|null, type: string, declaration: string, source?: string, node: object, binding: object|null}>}
  */
-export function findExports(source) {
+function scanExports(ast) {
+  const bindings = collectBindings(ast);
   const exports = [];
-  let match;
-
-  // Match: export function name(...) or export async function name(...)
-  const funcExportRegex = /export\s+(async\s+)?function\s+(\w+)/g;
-  while ((match = funcExportRegex.exec(source)) !== null) {
-    exports.push({ name: match[2], type: "function", declaration: "inline" });
-  }
-
-  // Match: export const name = (...) => or export const name = function
-  const constExportRegex =
-    /export\s+const\s+(\w+)\s*=\s*(?:async\s*)?(?:\([^)]*\)\s*=>|function)/g;
-  while ((match = constExportRegex.exec(source)) !== null) {
-    exports.push({ name: match[1], type: "const", declaration: "inline" });
-  }
-
-  // Match: export const name = { - object literal exports
-  // Negative lookahead to avoid matching functions/arrows already caught above
-  const objectExportRegex = /export\s+const\s+(\w+)\s*=\s*\{/g;
-  while ((match = objectExportRegex.exec(source)) !== null) {
-    const name = match[1];
-    // Skip if already found as a function/const export
-    if (exports.some(e => e.name === name)) continue;
-    exports.push({ name, type: "object", declaration: "inline" });
-  }
-
-  // Match: export class ClassName
-  const classExportRegex = /export\s+class\s+(\w+)/g;
-  while ((match = classExportRegex.exec(source)) !== null) {
-    exports.push({ name: match[1], type: "class", declaration: "inline" });
-  }
-
-  // Match: export { Name1, Name2, ... } - named exports from declarations
-  const namedExportRegex = /export\s*\{([^}]+)\}/g;
-  while ((match = namedExportRegex.exec(source)) !== null) {
-    const names = match[1].split(',').map(n => n.trim().split(/\s+as\s+/)[0].trim());
-    for (const name of names) {
-      if (!name) continue;
-      // Determine type by looking for declaration in source
-      const isClass = new RegExp(`class\\s+${name}\\s*(extends\\s+\\w+\\s*)?[{<]`).test(source);
-      const isFunction = new RegExp(`function\\s+${name}\\s*\\(`).test(source) ||
-                         new RegExp(`(const|let|var)\\s+${name}\\s*=\\s*(async\\s*)?\\(`).test(source) ||
-                         new RegExp(`(const|let|var)\\s+${name}\\s*=\\s*(async\\s+)?function`).test(source);
-      const isObject = new RegExp(`(const|let|var)\\s+${name}\\s*=\\s*\\{`).test(source);
-
-      // Skip if already found as inline export
-      if (exports.some(e => e.name === name)) continue;
-
-      exports.push({
-        name,
-        type: isClass ? "class" : isFunction ? "function" : isObject ? "object" : "unknown",
-        declaration: "named"
+
+  const add = (entry) => exports.push({ local: null, binding: null, ...entry });
+
+  for (const node of ast.body) {
+    // Types are erased at runtime - there is nothing to instrument
+    if ((node.type === "ExportNamedDeclaration" || node.type === "ExportDefaultDeclaration" ||
+      node.type === "ExportAllDeclaration") && isTypeOnlyExport(node)) {
+      continue;
+    }
+
+    if (node.type === "ExportNamedDeclaration") {
+      if (node.source) {
+        // Re-export: `export { a, b as c } from './x'` - instrumented in its own module
+        for (const spec of node.specifiers) {
+          if (spec.exportKind === "type") continue;
+          add({
+            name: specifierName(spec.exported),
+            local: specifierName(spec.local),
+            type: "unknown",
+            declaration: "reexport",
+            source: node.source.value,
+            node,
+          });
+        }
+      } else if (node.declaration) {
+        const decl = node.declaration;
+        if (decl.type === "VariableDeclaration") {
+          for (const declarator of decl.declarations) {
+            const names = declarator.id.type === "Identifier"
+              ? [declarator.id.name]
+              : patternNames(declarator.id);
+            for (const name of names) {
+              const binding = bindings.get(name);
+              add({ name, local: name, type: binding.type, declaration: "inline", node, binding });
+            }
+          }
+        } else if (decl.id?.type === "Identifier") {
+          // export function foo / export class Foo / export enum Color
+          const binding = bindings.get(decl.id.name);
+          add({ name: decl.id.name, local: decl.id.name, type: binding.type, declaration: "inline", node, binding });
+        }
+      } else {
+        // `export { a, b as c }` - resolve each name to its top-level declaration
+        for (const spec of node.specifiers) {
+          if (spec.exportKind === "type") continue;
+          const local = specifierName(spec.local);
+          const binding = bindings.get(local) || null;
+          add({
+            name: specifierName(spec.exported),
+            local,
+            type: binding ? binding.type : "unknown",
+            declaration: "named",
+            node,
+            binding,
+            specifier: spec,
+          });
+        }
+      }
+    } else if (node.type === "ExportDefaultDeclaration") {
+      const decl = node.declaration;
+      if (decl.type === "Identifier") {
+        // `export default name;` behaves like `export { name as default }`
+        const binding = bindings.get(decl.name) || null;
+        add({
+          name: "default",
+          local: decl.name,
+          type: binding ? binding.type : "unknown",
+          declaration: "named",
+          node,
+          binding,
+        });
+      } else if ((decl.type === "FunctionDeclaration" || decl.type === "ClassDeclaration") && decl.id) {
+        const binding = bindings.get(decl.id.name);
+        add({ name: "default", local: decl.id.name, type: binding.type, declaration: "inline", node, binding });
+      } else {
+        // Anonymous default: `export default function () {}`, `export default { ... }`
+        let type = classifyInit(decl);
+        if (decl.type === "FunctionDeclaration" || type === "const") type = "function";
+        // `@decorator export default class {}` - decorators sit before `export`,
+        // so the class can't be wrapped as an expression in place
+        else if (decl.type === "ClassDeclaration") type = decl.start < node.start ? "unknown" : "class";
+        add({ name: "default", type, declaration: "inline", node });
+      }
+    } else if (node.type === "ExportAllDeclaration") {
+      add({
+        name: node.exported ? specifierName(node.exported) : "*",
+        type: "unknown",
+        declaration: "reexport",
+        source: node.source.value,
+        node,
       });
     }
   }
@@ -92,12 +406,65 @@ export function findExports(source) {
   return exports;
 }
 
+/**
+ * Check if code has any exports worth instrumenting
+ * @param {string} code - Source code
+ * @param {object} [options]
+ * @param {string} [options.filename] - Source file name (.ts/.mts/.cts/.tsx parse as TypeScript)
+ * @param {boolean} [options.typescript] - Force TypeScript parsing on/off
+ * @returns {boolean}
+ */
+export function hasExports(code, options = {}) {
+  try {
+    const typescript = typescriptDialect(options.typescript, options.filename);
+    return scanExports(parseModule(code, typescript)).some((e) => e.type !== "unknown");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find all exports in the source code
+ *
+ * Every ESM export form is reported, including default exports, aliases
+ * (`export { a as b }`) and re-exports. Exports that can't be instrumented
+ * (plain values, destructured bindings, re-exports, enums) have type 'unknown'.
+ * TypeScript type-only exports (interfaces, type aliases, `export type`,
+ * `declare` and overload signatures) don't exist at runtime and are omitted.
+ *
+ * @param {string} source - Source code
+ * @param {object} [options]
+ * @param {string} [options.filename] - Source file name (.ts/.mts/.cts/.tsx parse as TypeScript)
+ * @param {boolean} [options.typescript] - Force TypeScript parsing on/off
+ * @returns {Array<{name: string, type: 'function'|'const'|'class'|'object'|'unknown', declaration: 'inline'|'named'|'reexport', local?: string, source?: string}>}
+ */
+export function findExports(source, options = {}) {
+  const typescript = typescriptDialect(options.typescript, options.filename);
+  return scanExports(parseModule(source, typescript)).map((e) => {
+    const entry = { name: e.name, type: e.type, declaration: e.declaration };
+    if (e.local && e.local !== e.name) entry.local = e.local;
+    if (e.source !== undefined) entry.source = e.source;
+    return entry;
+  });
+}
+
 /**
  * Transform source code to wrap exported functions and classes with tracing
+ *
+ * With `options.sourceMap`, returns `{ code, map }` instead of a string. The map
+ * points back at the original source, chained through `options.inputMap` when the
+ * source was itself generated (e.g. by a TypeScript loader). `map` is null when
+ * the source had nothing to instrument and was returned unchanged.
+ *
+ * With `options.format: "commonjs"` the source is treated as a CommonJS module:
+ * its exports are only known once the body has run, so `module.exports` is
+ * instrumented at runtime by a trailer instead of rewriting export statements.
+ * CommonJS output always uses the trace-reporter runtime (see COMMONJS_RUNTIME_KEY).
+ *
  * @param {string} source - Original source code
  * @param {string|object} moduleNameOrOptions - Module name for trace labels, or options object
  * @param {string} [tracerImportPath] - Path to import the tracer from (deprecated, use options)
- * @returns {string} - Transformed source code
+ * @returns {string|{code: string, map: object|null}} - Transformed source code
  */
 export function transformSource(source, moduleNameOrOptions, tracerImportPath) {
   // Support both old API (moduleName, tracerImportPath) and new API (options object)
@@ -111,9 +478,20 @@ export function transformSource(source, moduleNameOrOptions, tracerImportPath) {
   let excludeFunctions = [];
   let maxDepth = 0;
 
+  let filename = null;
+  let sourceMap = false;
+  let inputMap = null;
+  let format = "module";
+  let typescript = false;
+
   if (typeof moduleNameOrOptions === "object") {
     const options = moduleNameOrOptions;
     moduleName = options.moduleName || extractModuleName(options.filename || "unknown");
+    filename = options.filename || null;
+    sourceMap = options.sourceMap || false;
+    inputMap = options.inputMap || null;
+    format = options.format || "module";
+    typescript = typescriptDialect(options.typescript, options.filename);
     useReporter = options.useReporter || false;
     importPath = options.tracerImportPath || "taist/lib/service-tracer.js";
     excludeFunctions = options.excludeFunctions || [];
@@ -130,14 +508,25 @@ export function transformSource(source, moduleNameOrOptions, tracerImportPath) {
     importPath = tracerImportPath;
   }
 
-  const allExports = findExports(source);
+  const commonjs = format === "commonjs";
+  // Entry traces name their source file, for the test impact map (see impact-map.js)
+  const sourceFile = filename && !filename.startsWith("\0")
+    ? filename.replace(/^file:\/\//, "").split("?")[0]
+    : null;
+  if (commonjs && !useReporter) {
+    throw new Error("CommonJS instrumentation requires useReporter");
+  }
+
+  const ast = commonjs ? parseScript(source, typescript) : parseModule(source, typescript);
 
-  // Filter out unknown types (non-function/class exports like variables)
+  // Unknown types (plain values, destructured bindings, re-exports) are left untouched
+  const allExports = commonjs ? [] : scanExports(ast);
   const exports = allExports.filter(e => e.type !== 'unknown');
 
   // If no exports to wrap, return source unchanged
-  if (exports.length === 0) {
-    return source;
+  // (CommonJS exports can't be known statically - skip files that never touch them)
+  if (commonjs ? !/\bexports\b/.test(source) : exports.length === 0) {
+    return sourceMap ? { code: source, map: null } : source;
   }
 
   // Inject the tracer import and wrapper at the top
@@ -147,8 +536,8 @@ export function transformSource(source, moduleNameOrOptions, tracerImportPath) {
     // Use trace-reporter for new APM-style collection with context propagation
     injection = `
 // --- TAIST AUTO-INSTRUMENTATION ---
-import { getGlobalReporter as __taist_getReporter } from "${reporterPath}";
-import { getContext as __taist_getContext, runWithContext as __taist_runWithContext, generateId as __taist_generateId, getCorrelationId as __taist_getCorrelationId } from "${traceContextPath}";
+${commonjs ? `const { getGlobalReporter: __taist_getReporter, getContext: __taist_getContext, runWithContext: __taist_runWithContext, generateId: __taist_generateId, getCorrelationId: __taist_getCorrelationId } = globalThis.${COMMONJS_RUNTIME_KEY};` : `import { getGlobalReporter as __taist_getReporter } from "${reporterPath}";
+import { getContext as __taist_getContext, runWithContext as __taist_runWithContext, generateId as __taist_generateId, getCorrelationId as __taist_getCorrelationId } from "${traceContextPath}";`}
 const __taist_reporter = __taist_getReporter();
 const __taist_debug = process.env.TAIST_DEBUG === 'true';
 const __taist_excludeFunctions = ${JSON.stringify(excludeFunctions)};
@@ -178,9 +567,13 @@ const __taist_wrap = (fn, name) => {
   const wrapped = function(...args) {
     const parentCtx = __taist_getContext();
     const depth = parentCtx.depth;
+    // Recorded or replayed calls (TAIST_MODE) go through the cassette
+    const invoke = () => __taist_reporter.cassette
+      ? __taist_reporter.cassette.call(name, args, () => fn.apply(this, args))
+      : fn.apply(this, args);
     // Check max depth limit (0 = unlimited)
     if (__taist_maxDepth > 0 && depth >= __taist_maxDepth) {
-      return fn.apply(this, args);
+      return invoke();
     }
     if (__taist_debug) console.log('[taist] CALLED:', name);
     const id = __taist_generateId();
@@ -203,6 +596,7 @@ const __taist_wrap = (fn, name) => {
     if (__taist_debug) console.log('[taist] ENTRY:', name, 'depth:', depth, 'correlationId:', correlationId);
     __taist_reporter.report({
       id, name, type: 'entry', args,
+      file: __taist_file,
       timestamp: Date.now(),
       depth,
       parentId: parentCtx.id,
@@ -242,7 +636,7 @@ const __taist_wrap = (fn, name) => {
     // Run the function within the new context
     return __taist_runWithContext(newCtx, () => {
       try {
-        const result = fn.apply(this, args);
+        const result = invoke();
         if (result && typeof result.then === 'function') {
           return result.then(reportSuccess, reportError);
         }
@@ -282,7 +676,8 @@ const __taist_instrumentObject = (obj, name, visited = new WeakSet()) => {
   return obj;
 };
 const __taist_module = "${moduleName}";
-// --- END TAIST ---
+const __taist_file = ${sourceFile ? JSON.stringify(sourceFile) : "undefined"};
+${commonjs ? COMMONJS_HELPERS : ""}// --- END TAIST ---
 
 `;
   } else {
@@ -323,180 +718,202 @@ const __taist_module = "${moduleName}";
 `;
   }
 
-  // Handle shebang - must stay at the very top of the file
-  let shebang = '';
-  let sourceWithoutShebang = source;
-  if (source.startsWith('#!')) {
-    const newlineIndex = source.indexOf('\n');
-    if (newlineIndex !== -1) {
-      shebang = source.slice(0, newlineIndex + 1);
-      sourceWithoutShebang = source.slice(newlineIndex + 1);
-    }
-  }
+  const s = new MagicString(source);
 
-  let transformed = shebang + injection + sourceWithoutShebang;
-
-  // Separate exports by type - each needs different handling
-  const classExports = exports.filter(e => e.type === "class");
-  const objectExports = exports.filter(e => e.type === "object");
-  const functionExports = exports.filter(e => e.type !== "class" && e.type !== "object");
+  // Handle shebang - must stay at the very top of the file
+  const shebangEnd = source.startsWith('#!') ? source.indexOf('\n') + 1 : 0;
+  // ...and "use strict" must stay first in a CommonJS body
+  s.appendLeft(Math.max(shebangEnd, commonjs ? directivePrologueEnd(ast) : 0), injection);
 
-  // For CLASSES: Keep original export, instrument in-place (preserves hoisting)
-  // This avoids TDZ issues with circular dependencies
-  // We'll add __taist_instrumentClass() calls at the end instead of re-exporting
+  if (commonjs) {
+    s.append(`\n\n// --- TAIST INSTRUMENTATION ---\nmodule.exports = __taist_instrumentExports(module.exports);\n`);
+    return emit(s, { sourceMap, filename, moduleName, inputMap });
+  }
 
-  // For OBJECTS: Rename and re-export wrapped version (BUILD-TIME instrumentation)
-  // This is critical for GraphQL resolvers and similar nested object patterns.
-  // Runtime instrumentation doesn't work because bundlers capture the original reference.
-  for (const exp of objectExports) {
-    if (exp.declaration === "inline") {
-      // Inline exports: export const resolver = { ... }
-      // Rename: export const resolver -> const __taist_orig_resolver
-      transformed = transformed.replace(
-        new RegExp(`export\\s+const\\s+${exp.name}\\s*=\\s*\\{`, "g"),
-        `const __taist_orig_${exp.name} = {`
-      );
-    } else if (exp.declaration === "named") {
-      // Named exports: const resolver = { ... }; export { resolver }
-      // Rename: const resolver -> const __taist_orig_resolver
-      transformed = transformed.replace(
-        new RegExp(`\\b(const|let|var)\\s+${exp.name}\\s*=\\s*\\{`, "g"),
-        `$1 __taist_orig_${exp.name} = {`
-      );
+  // Only add module prefix if it differs from the name to avoid "Calculator.Calculator"
+  const nameExpr = (name) =>
+    `(__taist_module === "${name}" ? "${name}" : __taist_module + ".${name}")`;
+
+  // FUNCTIONS and OBJECTS: the local binding is renamed to __taist_orig_<name> and
+  // redefined (wrapped) at the end. Internal references pick up the wrapped version.
+  // local name -> { type, kind, exportNames }
+  const wrapped = new Map();
+  // CLASSES: keep original declaration, instrument in-place at the end.
+  // This preserves hoisting and avoids TDZ issues with circular dependencies.
+  const classes = new Set();
+  // Specifiers for names that lost their `export` keyword but aren't wrapped
+  const trailingExports = [];
+
+  const isWrappable = (e) => e.binding?.id && (e.type === "function" || e.type === "const" || e.type === "object");
+
+  const rename = (e) => {
+    let entry = wrapped.get(e.local);
+    if (!entry) {
+      // Only the name - TypeScript annotations (`handler: Handler`) share the id node
+      s.overwrite(e.binding.id.start, e.binding.id.start + e.local.length, `__taist_orig_${e.local}`);
+      entry = { type: e.type, kind: e.binding.kind, exportNames: [] };
+      wrapped.set(e.local, entry);
     }
+    entry.exportNames.push(e.name);
+  };
+
+  // Group entries by export statement so each statement is rewritten once
+  const byNode = new Map();
+  for (const e of allExports) {
+    if (!byNode.has(e.node)) byNode.set(e.node, []);
+    byNode.get(e.node).push(e);
   }
 
-  // For FUNCTIONS: Rename and re-export (original behavior)
-  for (const exp of functionExports) {
-    if (exp.declaration === "inline") {
-      // Inline exports: export function/const Name
-      if (exp.type === "function") {
-        // Rename: export function foo -> function __taist_orig_foo
-        transformed = transformed.replace(
-          new RegExp(
-            `export\\s+(async\\s+)?function\\s+${exp.name}\\s*\\(`,
-            "g"
-          ),
-          (match, async) => `${async || ""}function __taist_orig_${exp.name}(`
-        );
-      } else if (exp.type === "const") {
-        // Rename: export const foo -> const __taist_orig_foo
-        transformed = transformed.replace(
-          new RegExp(`export\\s+const\\s+${exp.name}\\s*=`, "g"),
-          `const __taist_orig_${exp.name} =`
-        );
+  for (const [node, entries] of byNode) {
+    const decl = node.declaration;
+
+    if (node.type === "ExportNamedDeclaration" && decl) {
+      // Inline exports: export function foo / export const foo = ... / export class Foo
+      const toWrap = entries.filter(isWrappable);
+      for (const e of entries) {
+        if (e.type === "class") classes.add(e.local);
       }
-    } else if (exp.declaration === "named") {
-      // Named exports: function foo {...} then export { foo }
-      if (exp.type === "function") {
-        // Rename: function foo -> function __taist_orig_foo
-        transformed = transformed.replace(
-          new RegExp(`\\bfunction\\s+${exp.name}\\s*\\(`, "g"),
-          `function __taist_orig_${exp.name}(`
-        );
-        // Also handle arrow functions: const foo = (...) =>
-        transformed = transformed.replace(
-          new RegExp(`\\b(const|let|var)\\s+${exp.name}\\s*=`, "g"),
-          `$1 __taist_orig_${exp.name} =`
-        );
+      if (toWrap.length === 0) continue;
+
+      // Drop the `export` keyword: export function foo -> function __taist_orig_foo
+      s.remove(node.start, decl.start);
+      for (const e of entries) {
+        if (toWrap.includes(e)) {
+          rename(e);
+        } else {
+          // Other declarators in the same statement keep being exported
+          trailingExports.push(exportedNameCode(e.name));
+        }
       }
-    }
-  }
-
-  // Remove named export statements for FUNCTIONS and OBJECTS we're replacing (not classes)
-  // Match: export { Name1, Name2 } and remove names we're wrapping
-  const namedFunctionExportNames = functionExports.filter(e => e.declaration === "named").map(e => e.name);
-  const namedObjectExportNames = objectExports.filter(e => e.declaration === "named").map(e => e.name);
-  const allNamedExportsToReplace = [...namedFunctionExportNames, ...namedObjectExportNames];
-  if (allNamedExportsToReplace.length > 0) {
-    transformed = transformed.replace(
-      /export\s*\{([^}]+)\}/g,
-      (match, names) => {
-        const remaining = names.split(',')
-          .map(n => n.trim())
-          .filter(n => {
-            const name = n.split(/\s+as\s+/)[0].trim();
-            return !allNamedExportsToReplace.includes(name);
-          });
-        if (remaining.length === 0) {
-          return '// export moved to end';
+    } else if (node.type === "ExportNamedDeclaration" && !node.source) {
+      // Named exports: function foo {...} then export { foo, bar as baz }
+      // Type-only specifiers (`export { type Foo }`) are kept as they are
+      const kept = node.specifiers
+        .filter((spec) => spec.exportKind === "type")
+        .map((spec) => source.slice(spec.start, spec.end));
+      for (const e of entries) {
+        if (isWrappable(e)) {
+          rename(e);
+        } else {
+          if (e.type === "class") classes.add(e.local);
+          kept.push(source.slice(e.specifier.start, e.specifier.end));
+        }
+      }
+      if (kept.length === 0) {
+        s.remove(node.start, node.end);
+      } else if (kept.length < node.specifiers.length) {
+        s.overwrite(node.start, node.end, `export { ${kept.join(", ")} };`);
+      }
+    } else if (node.type === "ExportDefaultDeclaration") {
+      const [e] = entries;
+      if (e.local) {
+        // export default foo; / export default function foo() {} / export default class Foo {}
+        if (isWrappable(e)) {
+          rename(e);
+          if (decl.type === "Identifier") {
+            s.remove(node.start, node.end);
+          } else {
+            s.remove(node.start, decl.start);
+          }
+        } else if (e.type === "class") {
+          classes.add(e.local);
         }
-        return `export { ${remaining.join(', ')} }`;
+      } else if (e.type !== "unknown") {
+        // Anonymous default: no binding to rename, so wrap the expression in place
+        const helper = {
+          function: "__taist_wrap",
+          class: "__taist_instrumentClass",
+          object: "__taist_instrumentObject",
+        }[e.type];
+        s.prependRight(decl.start, `${helper}(`);
+        // Declarations (`export default function () {}`) have no trailing semicolon
+        s.appendLeft(decl.end, `, ${nameExpr("default")})${node.end === decl.end ? ";" : ""}`);
       }
-    );
+    }
+    // Re-exports are instrumented in the module that declares them
   }
 
-  // Track default exports for FUNCTIONS that need to be moved to after re-exports
-  const defaultExports = [];
+  // TypeScript overload signatures follow their implementation's rename,
+  // otherwise they'd be left declaring (and exporting) a function with no body
+  for (const node of ast.body) {
+    const decl = node.type === "ExportNamedDeclaration" ? node.declaration : node;
+    if (decl?.type !== "TSDeclareFunction" || decl.declare || !wrapped.has(decl.id?.name)) continue;
+    if (node !== decl) s.remove(node.start, decl.start);
+    s.overwrite(decl.id.start, decl.id.end, `__taist_orig_${decl.id.name}`);
+  }
 
-  // Remove `export default Name;` from original location for FUNCTIONS only
-  // (Classes keep their default export in place)
-  for (const exp of functionExports) {
-    // Match: export default Name;
-    if (transformed.match(new RegExp(`export\\s+default\\s+${exp.name}\\s*;`))) {
-      transformed = transformed.replace(
-        new RegExp(`export\\s+default\\s+${exp.name}\\s*;`, "g"),
-        `// export default moved to end`
+  // Add wrapped definitions at the end
+  const functionReexports = [];
+  const objectReexports = [];
+  const aliasExports = [...trailingExports];
+
+  for (const [local, entry] of wrapped) {
+    const exportKeyword = entry.exportNames.includes(local) ? "export " : "";
+    if (entry.type === "object") {
+      // Wraps nested methods like GraphQL resolvers: resolver.Mutation.upsertOrder
+      // Runtime instrumentation doesn't work because bundlers capture original references
+      objectReexports.push(
+        `${exportKeyword}${entry.kind} ${local} = __taist_instrumentObject(__taist_orig_${local}, ${nameExpr(local)});`
       );
-      defaultExports.push(exp.name);
-    }
-    // Match: export default Name (no semicolon, end of file)
-    else if (transformed.match(new RegExp(`export\\s+default\\s+${exp.name}\\s*$`, "m"))) {
-      transformed = transformed.replace(
-        new RegExp(`export\\s+default\\s+${exp.name}\\s*$`, "gm"),
-        `// export default moved to end`
+    } else {
+      functionReexports.push(
+        `${exportKeyword}${entry.kind} ${local} = __taist_wrap(__taist_orig_${local}, ${nameExpr(local)});`
       );
-      defaultExports.push(exp.name);
+    }
+    for (const name of entry.exportNames) {
+      if (name !== local) aliasExports.push(`${local} as ${exportedNameCode(name)}`);
     }
   }
 
-  // Add wrapped re-exports for FUNCTIONS at the end
-  // Only add module prefix if it differs from export name to avoid "Calculator.Calculator"
-  const functionReexports = functionExports
-    .map((exp) => {
-      const nameExpr = `(__taist_module === "${exp.name}" ? "${exp.name}" : __taist_module + ".${exp.name}")`;
-      // Functions use wrapMethod()
-      return `export const ${exp.name} = __taist_wrap(__taist_orig_${exp.name}, ${nameExpr});`;
-    })
-    .join("\n");
-
-  // Add in-place instrumentation for CLASSES (preserves hoisting/TDZ)
   // __taist_instrumentClass mutates the prototype in-place
-  const classInstrumentations = classExports
-    .map((exp) => {
-      const nameExpr = `(__taist_module === "${exp.name}" ? "${exp.name}" : __taist_module + ".${exp.name}")`;
-      return `__taist_instrumentClass(${exp.name}, ${nameExpr});`;
-    })
-    .join("\n");
+  const classInstrumentations = [...classes].map(
+    (name) => `__taist_instrumentClass(${name}, ${nameExpr(name)});`
+  );
 
-  // Add wrapped re-exports for OBJECTS at the end (BUILD-TIME instrumentation)
-  // This wraps nested methods like GraphQL resolvers: resolver.Mutation.upsertOrder
-  // Runtime instrumentation doesn't work because bundlers capture original references
-  const objectReexports = objectExports
-    .map((exp) => {
-      const nameExpr = `(__taist_module === "${exp.name}" ? "${exp.name}" : __taist_module + ".${exp.name}")`;
-      return `export const ${exp.name} = __taist_instrumentObject(__taist_orig_${exp.name}, ${nameExpr});`;
-    })
-    .join("\n");
+  let trailer = `\n\n// --- TAIST INSTRUMENTATION ---\n`;
 
-  transformed += `\n\n// --- TAIST INSTRUMENTATION ---\n`;
+  if (functionReexports.length > 0) {
+    trailer += `// Wrapped function exports\n${functionReexports.join("\n")}\n`;
+  }
 
-  if (functionReexports) {
-    transformed += `// Wrapped function exports\n${functionReexports}\n`;
+  if (objectReexports.length > 0) {
+    trailer += `// Wrapped object exports (build-time instrumentation for nested methods)\n${objectReexports.join("\n")}\n`;
   }
 
-  if (objectReexports) {
-    transformed += `// Wrapped object exports (build-time instrumentation for nested methods)\n${objectReexports}\n`;
+  if (classInstrumentations.length > 0) {
+    trailer += `// In-place class instrumentation (preserves hoisting)\n${classInstrumentations.join("\n")}\n`;
   }
 
-  if (classInstrumentations) {
-    transformed += `// In-place class instrumentation (preserves hoisting)\n${classInstrumentations}\n`;
+  // Aliases and defaults are exported after the wrapped versions are defined
+  if (aliasExports.length > 0) {
+    trailer += `export { ${aliasExports.join(", ")} };\n`;
+  }
+
+  s.append(trailer);
+
+  return emit(s, { sourceMap, filename, moduleName, inputMap });
+}
+
+/**
+ * Serialize transformed source, with a source map when requested
+ * @param {MagicString} s - Transformed source
+ * @param {object} options - sourceMap, filename, moduleName and inputMap from transformSource
+ * @returns {string|{code: string, map: object}}
+ */
+function emit(s, { sourceMap, filename, moduleName, inputMap }) {
+  if (!sourceMap) {
+    return s.toString();
   }
 
-  // Add default exports at the end (after the wrapped versions are defined)
-  for (const name of defaultExports) {
-    transformed += `export default ${name};\n`;
+  // hires maps every character so stack trace columns stay exact
+  let map = s.generateMap({
+    source: filename || moduleName,
+    includeContent: true,
+    hires: true,
+  });
+  if (inputMap) {
+    map = remapping([map, inputMap], () => null);
   }
 
-  return transformed;
+  return { code: s.toString(), map };
 }
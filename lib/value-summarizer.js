@@ -0,0 +1,211 @@
+/**
+ * Value Summarizer - Shrinks traced args and results to a size budget
+ *
+ * Walks the value with depth, breadth and string-length limits instead of
+ * stringifying it, so a single huge field only shortens that field and the
+ * rest of the value stays readable. Limits are tightened step by step until
+ * the encoded summary fits the budget; the last step keeps just the top-level keys.
+ *
+ * Summaries keep their types (class instances, Map, Set, Error, Date, BigInt,
+ * cycles) for the trace serializer to encode:
+ * - long strings: 'abc...(5000 chars)'
+ * - long arrays and sets: [1, 2, 3, '...(97 more)']
+ * - wide objects and maps: { a: 1, '...': '(40 more)' }
+ * - collapsed values: '[Buffer: 2048 bytes]', '[Object: 12 keys]', '[Array: 40 items]'
+ */
+
+import { encodeValue } from './trace-serializer.js';
+
+/**
+ * Limits tried in order, from generous to top-level only
+ */
+const LEVELS = [
+  { depth: 5, keys: 50, items: 50, string: 1000, nodes: 1000 },
+  { depth: 3, keys: 20, items: 10, string: 200, nodes: 300 },
+  { depth: 2, keys: 10, items: 5, string: 100, nodes: 100 },
+  { depth: 1, keys: 25, items: 3, string: 40, nodes: 50 }
+];
+
+/**
+ * Summarize a value so its JSON fits in maxSize characters (best effort)
+ * @param {*} value
+ * @param {number} maxSize - Budget in JSON characters (0 or less = keep the value as is)
+ * @returns {*}
+ */
+export function summarizeValue(value, maxSize) {
+  return fit(value, maxSize, (limits) => summarize(value, limits, 0, newState(limits)));
+}
+
+/**
+ * Summarize an argument list. Each argument gets its own depth, so the
+ * top-level keys of object arguments survive the tightest level.
+ * @param {Array} args
+ * @param {number} maxSize
+ * @returns {Array}
+ */
+export function summarizeArgs(args, maxSize) {
+  if (!Array.isArray(args)) return summarizeValue(args, maxSize);
+
+  return fit(args, maxSize, (limits) => {
+    const state = newState(limits);
+    return args.map(arg => summarize(arg, limits, 0, state));
+  });
+}
+
+function fit(value, maxSize, summarizeAt) {
+  if (value === undefined || value === null) return value;
+  if (!(maxSize > 0)) return value; // 0 or negative means no limit
+
+  let summary;
+  for (const limits of LEVELS) {
+    summary = summarizeAt(limits);
+    // Summaries are bounded by the node limit, so encoding them is cheap
+    if (JSON.stringify(encodeValue(summary)).length <= maxSize) break;
+  }
+  return summary;
+}
+
+function newState(limits) {
+  return { nodes: limits.nodes, copies: new Map() }; // ancestor → its summary
+}
+
+function summarize(value, limits, depth, state) {
+  if (typeof value === 'string') {
+    return value.length > limits.string
+      ? `${value.slice(0, limits.string)}...(${value.length} chars)`
+      : value;
+  }
+  if (value === null || typeof value !== 'object') return value;
+
+  // Cycles point at the ancestor's summary, so the serializer still sees a cycle
+  if (state.copies.has(value)) return state.copies.get(value);
+
+  if (value instanceof Date || value instanceof RegExp || value instanceof Promise ||
+      value instanceof WeakMap || value instanceof WeakSet) {
+    return value;
+  }
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    return value.byteLength <= limits.string / 2 ? value : describeBinary(value);
+  }
+
+  if (depth >= limits.depth || state.nodes <= 0) {
+    return describeCollapsed(value, limits);
+  }
+  state.nodes--;
+
+  return summarizeObject(value, limits, depth, state);
+}
+
+function summarizeObject(value, limits, depth, state) {
+  const next = item => summarize(item, limits, depth + 1, state);
+  const copy = (target, fill) => {
+    state.copies.set(value, target);
+    try {
+      fill();
+    } finally {
+      state.copies.delete(value);
+    }
+    return target;
+  };
+
+  if (Array.isArray(value)) {
+    const items = [];
+    return copy(items, () => {
+      for (const item of value.slice(0, limits.items)) items.push(next(item));
+      if (value.length > limits.items) items.push(`...(${value.length - limits.items} more)`);
+    });
+  }
+
+  if (value instanceof Map) {
+    const map = new Map();
+    return copy(map, () => {
+      for (const [key, item] of value) {
+        if (map.size >= limits.items) break;
+        map.set(next(key), next(item));
+      }
+      if (value.size > limits.items) map.set('...', `(${value.size - limits.items} more)`);
+    });
+  }
+
+  if (value instanceof Set) {
+    const set = new Set();
+    return copy(set, () => {
+      for (const item of value) {
+        if (set.size >= limits.items) break;
+        set.add(next(item));
+      }
+      if (value.size > limits.items) set.add(`...(${value.size - limits.items} more)`);
+    });
+  }
+
+  if (value instanceof Error) {
+    const error = Object.create(Object.getPrototypeOf(value));
+    return copy(error, () => {
+      error.name = value.name;
+      error.message = next(String(value.message));
+      if (value.stack) error.stack = next(String(value.stack));
+      if (value.cause !== undefined) error.cause = next(value.cause);
+      for (const key of Object.keys(value)) {
+        if (!['name', 'message', 'stack', 'cause'].includes(key)) define(error, key, next(read(value, key)));
+      }
+    });
+  }
+
+  if (typeof value.toJSON === 'function') {
+    const json = read({ get json() { return value.toJSON(); } }, 'json');
+    return json === value ? {} : summarize(json, limits, depth, state);
+  }
+
+  // Same prototype, so the serializer can tell class instances apart
+  const result = Object.create(Object.getPrototypeOf(value));
+  return copy(result, () => {
+    const keys = Object.keys(value);
+    for (const key of keys.slice(0, limits.keys)) {
+      define(result, key, next(read(value, key)));
+    }
+    if (keys.length > limits.keys) define(result, '...', `(${keys.length - limits.keys} more)`);
+  });
+}
+
+/**
+ * Set an own property without running setters inherited from the prototype
+ */
+function define(object, key, value) {
+  Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+function read(object, key) {
+  try {
+    return object[key];
+  } catch (err) {
+    return `[Unreadable: ${err?.message ?? err}]`;
+  }
+}
+
+function describeBinary(value) {
+  const type = typeof Buffer !== 'undefined' && Buffer.isBuffer(value) ? 'Buffer' : typeName(value);
+  return `[${type}: ${value.byteLength} bytes]`;
+}
+
+/**
+ * Placeholder for an object past the depth or node limit
+ */
+function describeCollapsed(value, limits) {
+  if (Array.isArray(value)) return `[Array: ${value.length} items]`;
+  if (value instanceof Map) return `[Map: ${value.size} entries]`;
+  if (value instanceof Set) return `[Set: ${value.size} items]`;
+  if (value instanceof Error) return `[${value.name || 'Error'}: ${summarize(String(value.message), limits)}]`;
+  if (typeof value.toJSON === 'function') return `[${typeName(value)}]`;
+
+  const type = typeName(value);
+  const count = Object.keys(value).length;
+  return `[${type}: ${count} ${count === 1 ? 'key' : 'keys'}]`;
+}
+
+function typeName(value) {
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null) return 'Object';
+  return proto.constructor?.name || 'Object';
+}
+
+export default summarizeValue;
@@ -21,12 +21,15 @@
  */
 
 import { ToonFormatter } from './toon-formatter.js';
+import { ChromeTraceFormatter } from './chrome-trace-formatter.js';
 import { TraceCollector } from './trace-collector.js';
+import { loadRetentionConfig } from './trace-retention.js';
+import { ImpactMap, defaultImpactFile, collectTestCalls } from './impact-map.js';
 import fs from 'fs';
 
 /**
  * @typedef {Object} TaistReporterOptions
- * @property {'toon' | 'json' | 'compact'} [format='toon'] - Output format
+ * @property {'toon' | 'json' | 'compact' | 'chrome-trace'} [format='toon'] - Output format ('chrome-trace' writes only the trace timeline)
  * @property {boolean} [traceEnabled=true] - Enable execution tracing
  * @property {number} [traceDepth=3] - Trace depth level
  * @property {boolean} [showTrace=true] - Include traces in output
@@ -34,6 +37,7 @@ import fs from 'fs';
  * @property {string | null} [outputFile=null] - Write to file instead of stdout
  * @property {number} [maxTraceGroups=10] - Max request groups to show in trace output
  * @property {number} [traceGracePeriod=500] - Grace period in ms to wait for late-arriving traces before stopping collector
+ * @property {string | false} [impactMap] - Impact map file to update with each test's calls (default: TAIST_IMPACT_MAP or .taist/impact-map.json, false = off)
  */
 
 export class TaistReporter {
@@ -59,10 +63,12 @@ export class TaistReporter {
     this.collector = null;
     this.collectorReady = null;
     this.taskResults = new Map(); // Map task id to result
+    this.testCalls = null; // Distinct calls of each test, for the impact map
     this.results = {
-      stats: { total: 0, passed: 0, failed: 0, skipped: 0 },
+      stats: { total: 0, passed: 0, failed: 0, skipped: 0, flaky: 0 },
       tests: [], // Individual test results for enhanced output
       failures: [],
+      flaky: [], // Tests that passed on a retry (Vitest `retry` option)
       duration: 0,
       trace: []
     };
@@ -79,15 +85,21 @@ export class TaistReporter {
     // Start trace collector if tracing is enabled
     if (this.options.traceEnabled) {
       this.collector = new TraceCollector({
-        maxTraces: 10000
+        maxTraces: 10000,
+        retention: loadRetentionConfig()
       });
 
+      if (this.options.impactMap !== false) {
+        this.testCalls = collectTestCalls(this.collector);
+      }
+
       // Start collector and store the promise
       this.collectorReady = this.collector.start().then(() => {
         // Set environment variables so instrumented code can connect
         process.env.TAIST_ENABLED = 'true';
         process.env.TAIST_DEPTH = String(this.options.traceDepth);
         process.env.TAIST_COLLECTOR_SOCKET = this.collector.getSocketPath();
+        process.env.TAIST_SPOOL_DIR = this.collector.getSpoolDir();
       }).catch(err => {
         console.error('[taist] Failed to start trace collector:', err.message);
         this.collector = null;
@@ -119,9 +131,10 @@ export class TaistReporter {
     this.results.duration = performance.now() - this.startTime;
 
     // Reset stats
-    this.results.stats = { total: 0, passed: 0, failed: 0, skipped: 0 };
+    this.results.stats = { total: 0, passed: 0, failed: 0, skipped: 0, flaky: 0 };
     this.results.tests = [];
     this.results.failures = [];
+    this.results.flaky = [];
 
     // Process all test files
     if (files) {
@@ -163,9 +176,13 @@ export class TaistReporter {
       // Get collected traces (after workers have flushed)
       if (this.options.showTrace) {
         this.results.trace = this.collector.getTraces();
+        const { sampledOut, evicted, tailDropped } = this.collector.getStats();
+        this.results.sampling = { sampledOut, evicted, tailDropped };
+        this._attachFailureTraces(this.results.trace);
       }
 
       this.collector = null;
+      this._updateImpactMap(files || []);
     }
 
     // Output results
@@ -196,11 +213,18 @@ export class TaistReporter {
       if (state === 'pass') {
         this.results.stats.total++;
         this.results.stats.passed++;
-        this.results.tests.push({
+        const test = {
           name: this._getTestName(task),
           duration: task.result?.duration || 0,
           state: 'pass'
-        });
+        };
+        // Passed, but only after failing at least once
+        if (task.result.retryCount > 0) {
+          test.flaky = true;
+          this.results.stats.flaky++;
+          this.results.flaky.push(this._formatFlaky(task, file));
+        }
+        this.results.tests.push(test);
       } else if (state === 'fail') {
         this.results.stats.total++;
         this.results.stats.failed++;
@@ -229,6 +253,7 @@ export class TaistReporter {
   _formatFailure(task, file) {
     const failure = {
       test: this._getTestName(task),
+      testId: task.id,
       location: this._getLocation(task, file)
     };
 
@@ -236,6 +261,7 @@ export class TaistReporter {
     if (error) {
       failure.error = error.message || String(error);
       failure.stack = error.stack;
+      if (error.replay) failure.replay = error.replay; // TAIST_MODE=replay miss
 
       // Extract diff if available
       if (error.expected !== undefined || error.actual !== undefined) {
@@ -249,6 +275,73 @@ export class TaistReporter {
     return failure;
   }
 
+  /**
+   * Format a test that passed on a retry
+   * @private
+   */
+  _formatFlaky(task, file) {
+    const error = task.result?.errors?.[0];
+
+    const flaky = {
+      test: this._getTestName(task),
+      location: this._getLocation(task, file),
+      retries: task.result.retryCount,
+      maxRetries: task.retry ?? task.result.retryCount
+    };
+
+    if (error) {
+      flaky.error = error.message || String(error);
+    }
+
+    return flaky;
+  }
+
+  /**
+   * Give each failure the traces its test produced. Traces carry a testId
+   * when the taist/vitest-setup file is loaded; without it failures get none.
+   * @private
+   */
+  _attachFailureTraces(traces) {
+    const byTest = new Map();
+    for (const trace of traces) {
+      if (!trace.testId) continue;
+      if (!byTest.has(trace.testId)) byTest.set(trace.testId, []);
+      byTest.get(trace.testId).push(trace);
+    }
+
+    for (const failure of this.results.failures) {
+      if (failure.testId && byTest.has(failure.testId)) {
+        failure.trace = byTest.get(failure.testId);
+      }
+    }
+  }
+
+  /**
+   * Record which functions and source files each test that ran called
+   * @private
+   */
+  _updateImpactMap(files) {
+    if (!this.testCalls?.size) return;
+
+    const tests = [];
+    const collect = (task, file) => {
+      if (task.type === 'test' && ['pass', 'fail'].includes(task.result?.state)) {
+        tests.push({ id: task.id, file: file.filepath, name: this._getTestName(task) });
+      }
+      for (const subtask of task.tasks || []) collect(subtask, file);
+    };
+    for (const file of files) collect(file, file);
+
+    const mapFile = this.options.impactMap || defaultImpactFile();
+    try {
+      const map = ImpactMap.load(mapFile);
+      if (map.update(tests, this.testCalls.values())) map.save(mapFile);
+    } catch (err) {
+      console.error('[taist] Failed to update the impact map:', err.message);
+    }
+    this.testCalls = null;
+  }
+
   /**
    * Get full test name including suite hierarchy
    * @private
@@ -291,6 +384,12 @@ export class TaistReporter {
       return;
     }
 
+    // Timeline for chrome://tracing / Perfetto instead of the TOON summary
+    if (this.options.format === 'chrome-trace') {
+      this._writeOutput(new ChromeTraceFormatter().format(this.results.trace));
+      return;
+    }
+
     // Format test results
     let output = this.formatter.format(this.results);
 
@@ -299,10 +398,19 @@ export class TaistReporter {
       output += '\n\n';
       output += this.formatter.formatTraceTree(this.results.trace, {
         maxGroups: this.options.maxTraceGroups,
-        showHeader: true
+        showHeader: true,
+        sampling: this.results.sampling
       });
     }
 
+    this._writeOutput(output);
+  }
+
+  /**
+   * Write output to the configured file, or stdout
+   * @private
+   */
+  _writeOutput(output) {
     if (this.options.outputFile) {
       fs.writeFileSync(this.options.outputFile, output);
     } else {
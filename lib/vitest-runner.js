@@ -6,13 +6,44 @@
 import { startVitest } from 'vitest/node';
 import { ExecutionTracer } from './execution-tracer.js';
 import { getGlobalTracer } from './service-tracer.js';
+import { SERVICE_SPOOL_PREFIX, readSpool } from './trace-spool.js';
+import { summarizeCoverage, COVERAGE_FILE } from './coverage-summary.js';
+import { changedFiles } from './git-changes.js';
+import { ImportGraph } from './import-graph.js';
+import { ImpactMap, collectTestCalls } from './impact-map.js';
+import { TraceCollector } from './trace-collector.js';
+import { loadRetentionConfig } from './trace-retention.js';
+import { matchGlob, getRelativePath } from './config-loader.js';
 import fs from 'fs';
+import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/** taist/vitest-setup, which attributes calls to the running test */
+const SETUP_FILE = fileURLToPath(new URL('./vitest-setup.js', import.meta.url));
 
 export class VitestRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.trace] - { enabled, depth }
+   * @param {ExecutionTracer} [options.tracer]
+   * @param {boolean|Object} [options.coverage] - Collect coverage; an object is merged
+   *   into Vitest's coverage options (the provider package must be installed)
+   * @param {number} [options.retry] - Rerun failing tests up to this many times;
+   *   tests that pass on a retry are reported as flaky
+   * @param {string} [options.importGraph] - Import graph file for `changed` runs
+   *   (default: TAIST_IMPORT_GRAPH or .taist/import-graph.json)
+   * @param {string} [options.impactMap] - Impact map file, updated by traced runs
+   *   and read by `impacted` runs (default: TAIST_IMPACT_MAP or .taist/impact-map.json)
+   */
   constructor(options = {}) {
     this.options = options;
     this.tracer = options.tracer || new ExecutionTracer(options.trace || {});
     this.results = null;
+    this.spoolDir = null; // Where this run's workers spool their traces
+    this.coverageDir = null; // Where the coverage provider writes its JSON report
+    this.collector = null; // Receives the traces of instrumented modules in traced runs
 
     // Set environment variables early so vitest.config.js can use them
     if (options.trace?.enabled) {
@@ -24,10 +55,35 @@ export class VitestRunner {
   /**
    * Run tests
    * @param {Object} config - Test configuration
+   * @param {string[]} [config.changed] - Only run the tests affected by these files
+   * @param {string[]} [config.impacted] - Only run the tests that called into these files
    * @returns {Object} Test results
    */
   async run(config = {}) {
-    const vitestConfig = this.buildVitestConfig(config);
+    let affected = null;
+    if (config.impacted) {
+      affected = this.selectImpactedTests(config.impacted, config);
+    } else if (config.changed) {
+      affected = this.selectAffectedTests(config.changed, config);
+    }
+    if (affected?.tests?.length === 0) {
+      this.results = {
+        stats: { total: 0, passed: 0, failed: 0, skipped: 0 },
+        failures: [],
+        duration: 0,
+        affected: this.describeAffected(affected)
+      };
+      return this.results;
+    }
+
+    if (this.options.coverage) {
+      this.coverageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-coverage-'));
+    }
+
+    // Impacted tests are picked by name, unless a whole file has to run
+    const vitestConfig = this.buildVitestConfig(affected?.names && !config.testNamePattern
+      ? { ...config, testNamePattern: testNamePattern(affected.names) }
+      : config);
 
     // Extract file patterns for the filter argument
     // Note: Vitest's filter argument uses substring matching, not glob patterns
@@ -37,7 +93,7 @@ export class VitestRunner {
 
     // Filter out glob patterns - vitest's filter doesn't support them
     // Glob patterns should be handled by vitest.config.js include option
-    const filterPatterns = filePatternArray.filter(p => !p.includes('*'));
+    const filterPatterns = affected?.tests || filePatternArray.filter(p => !p.includes('*'));
 
     // Setup tracing if enabled
     let globalTracer = null;
@@ -49,9 +105,24 @@ export class VitestRunner {
       });
 
       this.tracer.start();
+
+      // Workers inherit it: the collector ingests what their reporters spool,
+      // readTestTraceFile() what their service tracers do
+      this.spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-spool-'));
+      process.env.TAIST_SPOOL_DIR = this.spoolDir;
     }
 
+    // Instrumented modules in the workers report here, test by test
+    let testCalls = null;
     try {
+      if (this.options.trace?.enabled) {
+        testCalls = await this.startCollector();
+      }
+
+      if (this.options.coverage) {
+        this.checkCoverageProvider(vitestConfig.coverage.provider);
+      }
+
       // Suppress vitest's verbose output - taist provides TOON format
       const restoreOutput = this.suppressOutput();
 
@@ -75,6 +146,11 @@ export class VitestRunner {
       // Collect results
       this.results = this.collectResults(vitest);
 
+      if (affected) {
+        this.recordImports(vitest, affected.graph);
+        this.results.affected = this.describeAffected(affected);
+      }
+
       // Add trace data if enabled
       if (this.options.trace?.enabled) {
         // First try to get traces from the global ServiceTracer (auto-instrumented code)
@@ -93,11 +169,19 @@ export class VitestRunner {
           }
         }
 
+        // Then the traces instrumented modules sent the collector
+        await this.collector.stop();
+        if (!this.results.trace || this.results.trace.length === 0) {
+          this.results.trace = this.collector.getTraces();
+        }
+
         // Fall back to local execution tracer
         if (!this.results.trace || this.results.trace.length === 0) {
           this.results.trace = this.tracer.exportForToon();
         }
 
+        this.recordImpact(vitest, [...testCalls.values(), ...this.results.trace]);
+
         this.tracer.stop();
       }
 
@@ -117,13 +201,42 @@ export class VitestRunner {
         }],
         duration: 0
       };
+    } finally {
+      if (this.spoolDir) {
+        fs.rmSync(this.spoolDir, { recursive: true, force: true });
+        this.spoolDir = null;
+        delete process.env.TAIST_SPOOL_DIR;
+      }
+      if (this.collector) {
+        await this.collector.stop();
+        this.collector = null;
+        delete process.env.TAIST_COLLECTOR_SOCKET;
+      }
+      if (this.coverageDir) {
+        fs.rmSync(this.coverageDir, { recursive: true, force: true });
+        this.coverageDir = null;
+      }
     }
   }
 
+  /**
+   * Start a trace collector for the workers' instrumented modules
+   * @returns {Promise<Map<string, Object>>} - Calls of each test, for recordImpact()
+   */
+  async startCollector() {
+    this.collector = new TraceCollector({ retention: loadRetentionConfig(), spoolDir: this.spoolDir });
+    const testCalls = collectTestCalls(this.collector);
+    await this.collector.start();
+    process.env.TAIST_COLLECTOR_SOCKET = this.collector.getSocketPath();
+    return testCalls;
+  }
+
   /**
    * Build Vitest configuration
    */
   buildVitestConfig(config) {
+    // Taist picks the affected tests itself - Vitest has a `changed` option of its own
+    const { changed, impacted, ...options } = config;
     const include = config.tests || config.test || ['**/*.test.js', '**/*.spec.js'];
     const includeArray = Array.isArray(include) ? include : [include];
 
@@ -138,7 +251,7 @@ export class VitestRunner {
       // Suppress vitest output - taist provides its own TOON format
       reporter: 'dot',
       onConsoleLog: () => false,  // Suppress console.log from tests
-      ...config
+      ...options
     };
 
     // Add test name pattern filter if specified
@@ -146,13 +259,27 @@ export class VitestRunner {
       vitestConfig.testNamePattern = config.testNamePattern;
     }
 
+    if (this.options.retry > 0) {
+      vitestConfig.retry = this.options.retry;
+    }
+
+    // Traced runs record each test's calls in the impact map - without the setup file they'd have none
+    if (this.options.trace?.enabled || impacted) {
+      const setupFiles = [].concat(vitestConfig.setupFiles || []);
+      if (!setupFiles.includes('taist/vitest-setup')) setupFiles.push(SETUP_FILE);
+      vitestConfig.setupFiles = setupFiles;
+    }
+
     // Only add coverage if explicitly enabled
-    if (this.options.coverage === true) {
+    if (this.options.coverage) {
       vitestConfig.coverage = {
         enabled: true,
-        reporter: ['json-summary'],
+        provider: 'v8',
         all: true,
-        ...this.options.coverage
+        ...(typeof this.options.coverage === 'object' ? this.options.coverage : {}),
+        // extractCoverage() reads this report, whichever provider wrote it
+        reporter: ['json'],
+        reportsDirectory: this.coverageDir
       };
     }
 
@@ -214,10 +341,12 @@ export class VitestRunner {
       total: 0,
       passed: 0,
       failed: 0,
-      skipped: 0
+      skipped: 0,
+      flaky: 0
     };
 
     const failures = [];
+    const flaky = [];
     let totalDuration = 0;
 
     // Process all test files
@@ -231,6 +360,11 @@ export class VitestRunner {
 
         if (task.result?.state === 'pass') {
           stats.passed++;
+          // Passed, but only after failing at least once
+          if (task.result.retryCount > 0) {
+            stats.flaky++;
+            flaky.push(this.formatFlaky(task, file));
+          }
         } else if (task.result?.state === 'fail') {
           stats.failed++;
           failures.push(this.formatFailure(task, file));
@@ -247,12 +381,16 @@ export class VitestRunner {
     const results = {
       stats,
       failures,
+      flaky,
       duration: totalDuration
     };
 
-    // Add coverage if available
-    if (vitest.coverageProvider) {
-      results.coverage = this.extractCoverage(vitest);
+    // Add coverage if collected
+    if (this.options.coverage) {
+      const coverage = this.extractCoverage(vitest);
+      if (coverage) {
+        results.coverage = coverage;
+      }
     }
 
     return results;
@@ -289,6 +427,7 @@ export class VitestRunner {
     if (error) {
       failure.error = error.message || String(error);
       failure.stack = error.stack;
+      if (error.replay) failure.replay = error.replay; // TAIST_MODE=replay miss
 
       // Extract diff if available
       if (error.actual !== undefined || error.expected !== undefined) {
@@ -302,6 +441,26 @@ export class VitestRunner {
     return failure;
   }
 
+  /**
+   * Format a test that passed on a retry
+   */
+  formatFlaky(task, file) {
+    const error = task.result.errors?.[0];
+
+    const flaky = {
+      test: this.getTestName(task),
+      location: this.getLocation(task, file),
+      retries: task.result.retryCount,
+      maxRetries: task.retry ?? task.result.retryCount
+    };
+
+    if (error) {
+      flaky.error = error.message || String(error);
+    }
+
+    return flaky;
+  }
+
   /**
    * Get full test name
    */
@@ -335,88 +494,175 @@ export class VitestRunner {
   }
 
   /**
-   * Extract coverage information
+   * Pick the tests affected by changed files: known tests that transitively
+   * import one (see ImportGraph), and changed files that are tests. Without
+   * an import graph yet, every test is run (tests: null) to record one.
+   * @param {string[]} changed - Changed files
+   * @param {Object} [config] - Run configuration (its `tests` patterns limit the tests)
+   * @returns {Object} - { graph, changed, tests }
    */
-  extractCoverage(vitest) {
-    // This would extract coverage from vitest.coverageProvider
-    // For now, return placeholder
+  selectAffectedTests(changed, config = {}) {
+    const graph = ImportGraph.load(this.options.importGraph);
+    const files = changed.map(file => path.resolve(file));
+    if (graph.isEmpty()) {
+      return { graph, changed: files, tests: null };
+    }
+
+    const tests = new Set([...graph.affectedTests(files), ...files].filter(file => this.isTestFile(file, config)));
+    return { graph, changed: files, tests: [...tests].sort() };
+  }
+
+  /**
+   * Pick the tests that called a function in a changed file (see ImpactMap).
+   * Changed files no test called into are handled as in selectAffectedTests():
+   * changed tests and tests importing them run whole, and then every selected
+   * file runs whole. Without an impact map yet, every test is run to record one.
+   * @param {string[]} changed - Changed files
+   * @param {Object} [config] - Run configuration (its `tests` patterns limit the tests)
+   * @returns {Object} - { graph, changed, tests, names } - names: full test names, or null to run whole files
+   */
+  selectImpactedTests(changed, config = {}) {
+    const graph = ImportGraph.load(this.options.importGraph);
+    const files = changed.map(file => path.resolve(file));
+    const map = ImpactMap.load(this.options.impactMap);
+    if (map.isEmpty()) {
+      return { graph, changed: files, tests: null, names: null };
+    }
+
+    const impacted = map.testsForFiles(files);
+    const unknown = impacted.unknown.map(file => path.resolve(file));
+    const whole = [...(graph.isEmpty() ? [] : graph.affectedTests(unknown)), ...unknown]
+      .filter(file => this.isTestFile(file, config));
+
+    const tests = new Set([...impacted.tests.map(test => path.resolve(test.file)), ...whole]);
     return {
-      percent: 0,
-      covered: 0,
-      total: 0
+      graph,
+      changed: files,
+      tests: [...tests].filter(file => this.isTestFile(file, config)).sort(),
+      names: whole.length === 0 ? [...new Set(impacted.tests.map(test => test.name))].sort() : null
     };
   }
 
   /**
-   * Get results
+   * Whether a file exists and matches the run's test patterns
    */
-  getResults() {
-    return this.results;
+  isTestFile(file, config = {}) {
+    const include = [config.tests || config.test || ['**/*.test.js', '**/*.spec.js']].flat();
+    const relative = getRelativePath(file);
+    return fs.existsSync(file) &&
+      include.some(pattern => matchGlob(relative, pattern.replace(/^\.\//, '')));
   }
 
   /**
-   * Read and aggregate trace files from all worker processes
-   * The service-tracer writes traces to /tmp/taist-trace-{pid}.json
+   * Update the impact map with the calls each test of this traced run made
    */
-  readTestTraceFile() {
-    const traceDir = process.env.TAIST_TRACE_DIR || '/tmp';
-    const allTraces = [];
+  recordImpact(vitest, traces) {
+    const tests = [];
+    for (const file of vitest.state.getFiles()) {
+      for (const task of this.getAllTasks(file)) {
+        if (task.type !== 'test' || !['pass', 'fail'].includes(task.result?.state)) continue;
+        tests.push({ id: task.id, file: file.filepath, name: this.getTestName(task) });
+      }
+    }
 
     try {
-      // Find all taist trace files in the temp directory
-      const files = fs.readdirSync(traceDir);
-      const traceFiles = files.filter(f => f.startsWith('taist-trace-') && f.endsWith('.json'));
-
-      for (const fileName of traceFiles) {
-        const traceFile = `${traceDir}/${fileName}`;
-        try {
-          const content = fs.readFileSync(traceFile, 'utf-8');
-          const data = JSON.parse(content);
-
-          // Aggregate traces
-          if (data.traces && Array.isArray(data.traces)) {
-            allTraces.push(...data.traces);
-          } else if (Array.isArray(data)) {
-            allTraces.push(...data);
-          }
+      const map = ImpactMap.load(this.options.impactMap);
+      if (map.update(tests, traces || [])) map.save(this.options.impactMap);
+    } catch {
+      // Best-effort - the next impacted run selects from an older map
+    }
+  }
 
-          // Clean up the trace file after reading
-          fs.unlinkSync(traceFile);
-        } catch (error) {
-          // Skip invalid files
-          continue;
-        }
-      }
-    } catch (error) {
-      // Directory read failed, fall back to specific file locations
-      const specificFiles = [
-        process.env.TAIST_TEST_TRACE_FILE,
-        process.env.TAIST_OUTPUT_FILE,
-        '/tmp/taist-trace-internal.json',
-        '/tmp/taist-trace-api.json',
-        '/tmp/taist-test-traces.json',
-      ].filter(Boolean);
-
-      for (const traceFile of specificFiles) {
-        try {
-          if (!fs.existsSync(traceFile)) continue;
-
-          const content = fs.readFileSync(traceFile, 'utf-8');
-          if (content.startsWith('[TAIST]')) {
-            continue; // Skip TOON format files
-          }
+  /**
+   * Update the import graph with the test files and modules of this run
+   */
+  recordImports(vitest, graph) {
+    for (const file of vitest.state.getFiles()) {
+      graph.addTest(file.filepath);
+    }
 
-          const data = JSON.parse(content);
-          fs.unlinkSync(traceFile);
+    const servers = new Set([vitest.server, ...(vitest.projects || []).map(project => project.server)]);
+    for (const server of servers) {
+      if (server?.moduleGraph) graph.addModuleGraph(server.moduleGraph);
+    }
 
-          if (data.traces) {
-            allTraces.push(...data.traces);
-          } else if (Array.isArray(data)) {
-            allTraces.push(...data);
-          }
-        } catch (e) {
-          continue;
-        }
+    try {
+      graph.save(this.options.importGraph);
+    } catch {
+      // Best-effort - the next run just selects from an older graph
+    }
+  }
+
+  /**
+   * Changed files and the tests they selected, relative to the working
+   * directory; tests is null when every test ran. Impacted runs add the
+   * names of the tests run (impacted), null when whole files ran.
+   */
+  describeAffected({ changed, tests, names }) {
+    const affected = {
+      changed: changed.map(getRelativePath),
+      tests: tests ? tests.map(getRelativePath) : null
+    };
+    if (names !== undefined) affected.impacted = names;
+    return affected;
+  }
+
+  /**
+   * Vitest asks to install a missing coverage provider - on a terminal it
+   * would wait for an answer nobody sees, since its output is suppressed
+   */
+  checkCoverageProvider(provider = 'v8') {
+    const packages = { v8: '@vitest/coverage-v8', istanbul: '@vitest/coverage-istanbul' };
+    const name = packages[provider];
+    if (!name) return; // custom provider
+
+    try {
+      createRequire(path.join(process.cwd(), 'package.json')).resolve(name);
+    } catch {
+      throw new Error(`Install ${name} for --coverage`);
+    }
+  }
+
+  /**
+   * Summarize the coverage report written by the provider, per file
+   * @returns {Object|null} - See summarizeCoverage(); null without a report
+   */
+  extractCoverage(vitest) {
+    const dir = vitest.config?.coverage?.reportsDirectory || this.coverageDir;
+    const file = dir && path.join(dir, COVERAGE_FILE);
+    if (!file || !fs.existsSync(file)) return null;
+
+    const root = vitest.config?.root || process.cwd();
+    return summarizeCoverage(JSON.parse(fs.readFileSync(file, 'utf-8')), {
+      root,
+      changed: changedFiles({ cwd: root })
+    });
+  }
+
+  /**
+   * Get results
+   */
+  getResults() {
+    return this.results;
+  }
+
+  /**
+   * Read and aggregate the service tracer snapshots of all worker processes,
+   * including workers that crashed or were killed. What reporters spool is
+   * the collector's to ingest.
+   */
+  readTestTraceFile() {
+    if (!this.spoolDir) return null;
+
+    const allTraces = [];
+    for (const line of readSpool(this.spoolDir, { prefix: SERVICE_SPOOL_PREFIX })) {
+      try {
+        const message = JSON.parse(line);
+        // Values stay tagged, as in the collector
+        if (message.type === 'batch') allTraces.push(...message.data);
+      } catch {
+        // Cut off by a crash mid-write
+        continue;
       }
     }
 
@@ -433,4 +679,15 @@ export class VitestRunner {
   }
 }
 
+/**
+ * Vitest testNamePattern matching exactly these tests. Vitest matches it
+ * against the suite and test names joined by spaces.
+ * @param {string[]} names - Full test names ("Suite > test")
+ * @returns {string} - Regular expression source
+ */
+function testNamePattern(names) {
+  const escaped = names.map(name => name.split(' > ').join(' ').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return `(?:^|\\s)(?:${escaped.join('|')})$`;
+}
+
 export default VitestRunner;
@@ -0,0 +1,24 @@
+/**
+ * Vitest Setup File - attributes traces to the test that produced them
+ *
+ * Sets the running test's task id as the trace testId before each test, so
+ * the taist reporter can show each failing test's own calls under its failure.
+ *
+ * Usage in vitest.config.js:
+ *   setupFiles: ['taist/vitest-setup'],
+ *   reporters: ['taist/vitest-reporter']
+ *
+ * The id lives in the async context the test runs in, so `describe.concurrent`
+ * tests and work a test leaves running keep their own test's id.
+ */
+
+import { beforeEach, afterEach } from 'vitest';
+import { setTestId, clearTestId } from './trace-context.js';
+
+beforeEach((context) => {
+  setTestId(context.task.id);
+});
+
+afterEach(() => {
+  clearTestId();
+});
@@ -5,8 +5,17 @@
 
 import chokidar from 'chokidar';
 import { EventEmitter } from 'events';
+import { analyzeTrend } from './run-store.js';
 
 export class WatchHandler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} [options.ignore] - Paths to ignore
+   * @param {number} [options.delay] - Debounce delay in ms (default: 500)
+   * @param {number} [options.maxHistory] - In-memory history size (default: 10)
+   * @param {import('./run-store.js').RunStore} [options.store] - Persist each iteration,
+   *   and continue history from earlier sessions
+   */
   constructor(options = {}) {
     super();
 
@@ -17,8 +26,16 @@ export class WatchHandler extends EventEmitter {
       ...options
     };
 
+    this.store = this.options.store || null;
     this.watcher = null;
     this.history = [];
+    if (this.store) {
+      try {
+        this.history = this.store.list({ command: 'watch', limit: this.options.maxHistory });
+      } catch {
+        // History is best-effort - a corrupt index starts the session without it
+      }
+    }
     this.iteration = 0;
     this.isRunning = false;
     this.debounceTimer = null;
@@ -29,7 +46,8 @@ export class WatchHandler extends EventEmitter {
   /**
    * Start watching files
    * @param {Array} paths - Paths to watch
-   * @param {Function} onRun - Callback to run tests
+   * @param {Function} onRun - Callback to run tests, given the iteration's
+   *   changed paths (empty for the initial run)
    */
   async start(paths, onRun) {
     if (this.watcher) {
@@ -38,6 +56,15 @@ export class WatchHandler extends EventEmitter {
 
     this.onRun = onRun;
 
+    // Compare the first iteration against the last one of the previous session
+    if (this.store && !this.lastResults && this.history.length > 0) {
+      try {
+        this.lastResults = this.store.get(this.history[this.history.length - 1].id);
+      } catch {
+        // Run file pruned or unreadable - start fresh
+      }
+    }
+
     const watchPaths = Array.isArray(paths) ? paths : [paths];
 
     this.watcher = chokidar.watch(watchPaths, {
@@ -111,13 +138,14 @@ export class WatchHandler extends EventEmitter {
     try {
       this.emit('run-start', { iteration: this.iteration, changes });
 
-      const results = await this.onRun();
+      const results = await this.onRun(changes);
 
       const duration = Date.now() - startTime;
 
       // Create history entry
       const entry = this.createHistoryEntry(results, changes, duration);
       this.addToHistory(entry);
+      this.saveRun(results, entry);
 
       // Store results for comparison
       this.lastResults = results;
@@ -225,6 +253,25 @@ export class WatchHandler extends EventEmitter {
     }
   }
 
+  /**
+   * Persist an iteration to the run store, if one is configured
+   */
+  saveRun(results, entry) {
+    if (!this.store) return;
+
+    try {
+      const saved = this.store.save(results, {
+        command: 'watch',
+        changes: entry.changes,
+        duration: entry.duration,
+        iteration: entry.iteration
+      });
+      entry.id = saved.id;
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+
   /**
    * Get history
    */
@@ -249,16 +296,7 @@ export class WatchHandler extends EventEmitter {
    * Analyze trend in test results
    */
   analyzeTrend(entries) {
-    if (entries.length < 2) {
-      return 'stable';
-    }
-
-    const first = entries[0].summary.fail;
-    const last = entries[entries.length - 1].summary.fail;
-
-    if (last < first) return 'improving';
-    if (last > first) return 'degrading';
-    return 'stable';
+    return analyzeTrend(entries);
   }
 
   /**
@@ -0,0 +1,254 @@
+/**
+ * Wire Protocol - Framing between TraceReporter and TraceCollector
+ *
+ * Version 1 is NDJSON: one JSON message per line. It is what every reporter
+ * speaks when it connects, and all a reporter ever sends to an older collector.
+ *
+ * Version 2 is negotiated on connect. The reporter sends a hello line; a
+ * collector that understands it answers with a welcome line naming the
+ * version, compression and interning to use. From then on the reporter sends
+ * batches as length-prefixed binary frames:
+ *
+ *   [0x00 marker][flags: 1 byte][payload length: uint32 BE][payload]
+ *
+ * The payload is the batch message as JSON, gzip or brotli compressed when
+ * flags say so. No JSON line starts with 0x00, so a collector can read NDJSON
+ * lines and frames from the same connection.
+ *
+ * With interning, trace names, correlation IDs, test IDs and source files are
+ * sent once per connection: the batch that first uses a string lists it in
+ * `strings`, and later records refer to it by its index in the connection's
+ * string table.
+ */
+
+import zlib from 'node:zlib';
+import { encodeTrace } from './trace-serializer.js';
+
+/** Highest protocol version this build speaks (1 = NDJSON, 2 = binary frames) */
+export const PROTOCOL_VERSION = 2;
+
+/** First byte of every binary frame */
+export const FRAME_MARKER = 0x00;
+
+/** Frame flags: how the payload is compressed */
+export const COMPRESSION = { none: 0, gzip: 1, br: 2 };
+
+/** Trace fields sent as string table indexes when interning is on */
+export const INTERNED_FIELDS = ['name', 'correlationId', 'testId', 'file'];
+
+const HEADER_SIZE = 6;
+
+/** Strings past this many are sent as they are, to bound the table */
+const MAX_STRINGS = 65536;
+
+/** Smaller payloads are not worth compressing */
+const MIN_COMPRESS_SIZE = 512;
+
+/** Frames larger than this, compressed or not, are treated as a corrupt stream */
+const MAX_FRAME_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Hello message a reporter sends on connect
+ * @param {Object} [options]
+ * @param {'none'|'gzip'|'br'} [options.compression] - Preferred compression (default: 'none')
+ * @param {boolean} [options.intern] - Ask for string interning (default: true)
+ * @returns {Object}
+ */
+export function helloMessage(options = {}) {
+  const compression = options.compression && options.compression !== 'none'
+    ? [options.compression]
+    : [];
+  return {
+    type: 'hello',
+    protocols: [PROTOCOL_VERSION, 1],
+    compression,
+    intern: options.intern !== false
+  };
+}
+
+/**
+ * Collector's answer to a hello: the highest version both sides speak
+ * @param {Object} hello
+ * @returns {{type: 'welcome', protocol: number, compression: string, intern: boolean}}
+ */
+export function negotiate(hello) {
+  const protocols = Array.isArray(hello.protocols) ? hello.protocols : [1];
+  const protocol = Math.max(1, ...protocols.filter(v => v <= PROTOCOL_VERSION));
+  const compression = (hello.compression || []).find(name => name in COMPRESSION) || 'none';
+  return {
+    type: 'welcome',
+    protocol,
+    compression: protocol >= 2 ? compression : 'none',
+    intern: protocol >= 2 && hello.intern === true
+  };
+}
+
+/**
+ * Encodes batch messages as binary frames for one connection
+ */
+export class WireEncoder {
+  /**
+   * @param {Object} [options] - The collector's welcome
+   * @param {'none'|'gzip'|'br'} [options.compression]
+   * @param {boolean} [options.intern]
+   */
+  constructor(options = {}) {
+    this.compression = COMPRESSION[options.compression] ? options.compression : 'none';
+    this.intern = options.intern === true;
+    this.strings = new Map(); // string → index in the connection's table
+  }
+
+  /**
+   * Encode a message as a frame. Trace values are encoded as tagged JSON.
+   * @param {Object} message
+   * @returns {Buffer}
+   */
+  encode(message) {
+    const encoded = { ...message };
+    if (Array.isArray(message.data)) {
+      const added = [];
+      encoded.data = message.data.map(trace => this._intern(encodeTrace(trace), added));
+      if (added.length > 0) encoded.strings = added;
+    }
+    return this._frame(Buffer.from(JSON.stringify(encoded)));
+  }
+
+  /** @private */
+  _intern(trace, added) {
+    if (!this.intern) return trace;
+
+    for (const field of INTERNED_FIELDS) {
+      const value = trace[field];
+      if (typeof value !== 'string') continue;
+
+      let index = this.strings.get(value);
+      if (index === undefined && this.strings.size < MAX_STRINGS) {
+        index = this.strings.size;
+        this.strings.set(value, index);
+        added.push(value);
+      }
+      if (index !== undefined) trace[field] = index;
+    }
+    return trace;
+  }
+
+  /** @private */
+  _frame(payload) {
+    let flags = COMPRESSION.none;
+    if (this.compression !== 'none' && payload.length >= MIN_COMPRESS_SIZE) {
+      payload = this.compression === 'br'
+        ? zlib.brotliCompressSync(payload, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } })
+        : zlib.gzipSync(payload, { level: 1 });
+      flags = COMPRESSION[this.compression];
+    }
+
+    const header = Buffer.alloc(HEADER_SIZE);
+    header[0] = FRAME_MARKER;
+    header[1] = flags;
+    header.writeUInt32BE(payload.length, 2);
+    return Buffer.concat([header, payload]);
+  }
+}
+
+/**
+ * Splits one connection's byte stream into NDJSON lines and decoded frames
+ */
+export class WireDecoder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxFrameSize] - Largest frame, before and after decompression (default: 256 MB)
+   */
+  constructor(options = {}) {
+    this.maxFrameSize = options.maxFrameSize || MAX_FRAME_SIZE;
+    this.buffer = Buffer.alloc(0);
+    this.strings = []; // the connection's string table
+  }
+
+  /**
+   * Add received bytes
+   * @param {Buffer|string} chunk
+   * @returns {Array<{line: string}|{message: Object}|{error: Error, line: string}>} Complete items, in order
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0
+      ? Buffer.concat([this.buffer, Buffer.from(chunk)])
+      : Buffer.from(chunk);
+
+    const items = [];
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      if (this.buffer[offset] === FRAME_MARKER) {
+        if (this.buffer.length - offset < HEADER_SIZE) break;
+        const length = this.buffer.readUInt32BE(offset + 2);
+        if (length > this.maxFrameSize) {
+          // Lost sync - nothing after this can be trusted
+          items.push({ error: new Error(`Frame too large: ${length} bytes`), line: '<frame>' });
+          offset = this.buffer.length;
+          break;
+        }
+        if (this.buffer.length - offset < HEADER_SIZE + length) break;
+
+        const flags = this.buffer[offset + 1];
+        const payload = this.buffer.subarray(offset + HEADER_SIZE, offset + HEADER_SIZE + length);
+        items.push(this._decodeFrame(flags, payload));
+        offset += HEADER_SIZE + length;
+      } else {
+        const end = this.buffer.indexOf(0x0a, offset);
+        if (end === -1) break;
+        const line = this.buffer.toString('utf8', offset, end);
+        if (line.trim()) items.push({ line });
+        offset = end + 1;
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+    return items;
+  }
+
+  /**
+   * Take what is left when the connection closes. A last NDJSON line may
+   * lack its newline; an incomplete frame is dropped.
+   * @returns {Array<{line: string}>}
+   */
+  end() {
+    const rest = this.buffer;
+    this.buffer = Buffer.alloc(0);
+    if (rest.length === 0 || rest[0] === FRAME_MARKER) return [];
+
+    return rest.toString('utf8').split('\n')
+      .filter(line => line.trim())
+      .map(line => ({ line }));
+  }
+
+  /** @private */
+  _decodeFrame(flags, payload) {
+    try {
+      // Bounded, so a small compressed frame from the network can't expand without limit
+      const limit = { maxOutputLength: this.maxFrameSize };
+      if (flags === COMPRESSION.gzip) payload = zlib.gunzipSync(payload, limit);
+      else if (flags === COMPRESSION.br) payload = zlib.brotliDecompressSync(payload, limit);
+      else if (flags !== COMPRESSION.none) throw new Error(`Unknown frame flags: ${flags}`);
+
+      const message = JSON.parse(payload.toString('utf8'));
+      if (Array.isArray(message.strings)) {
+        this.strings.push(...message.strings);
+        delete message.strings;
+      }
+      if (Array.isArray(message.data)) {
+        for (const trace of message.data) this._resolve(trace);
+      }
+      return { message };
+    } catch (error) {
+      return { error, line: `<frame: ${payload.length} bytes>` };
+    }
+  }
+
+  /** @private */
+  _resolve(trace) {
+    for (const field of INTERNED_FIELDS) {
+      if (typeof trace[field] === 'number') trace[field] = this.strings[trace[field]];
+    }
+  }
+}
+
+export default { helloMessage, negotiate, WireEncoder, WireDecoder };
@@ -20,9 +20,16 @@ import { VitestRunner } from './lib/vitest-runner.js';
 import { OutputFormatter } from './lib/output-formatter.js';
 import { WatchHandler } from './lib/watch-handler.js';
 import { ExecutionTracer } from './lib/execution-tracer.js';
-import { ServiceTracer } from './lib/service-tracer.js';
+import { ServiceTracer, formatInsights } from './lib/service-tracer.js';
+import { TraceMonitor } from './lib/trace-monitor.js';
 import { TraceCollector, createDefaultFilter } from './lib/trace-collector.js';
+import { loadRetentionConfig } from './lib/trace-retention.js';
+import { ToonFormatter } from './lib/toon-formatter.js';
+import { loadRunTraces, diffRuns } from './lib/trace-diff.js';
+import { generateTests } from './lib/test-generator.js';
+import { RunStore } from './lib/run-store.js';
 import { loadConfig as loadTaistConfig } from './lib/config-loader.js';
+import { changedFiles } from './lib/git-changes.js';
 import { spawn } from 'child_process';
 
 const __dirname = fileURLToPath(new URL('.', import.meta.url));
@@ -48,17 +55,22 @@ program
   .option('-f, --file <files...>', 'Source file(s) to test', ['./src'])
   .option('-t, --test <tests...>', 'Test file(s) to run', ['./test/**/*.test.js', './src/**/*.test.js'])
   .option('-n, --name <pattern>', 'Filter tests by name pattern (regex)')
+  .option('--changed [ref]', 'Only run tests that import files changed since <ref> (default: HEAD)')
+  .option('--impacted [ref]', 'Only run tests whose traced calls reach files changed since <ref> (default: HEAD); implies --trace')
   .option('--format <format>', 'Output format (toon|json|compact)', 'toon')
   .option('--trace', 'Enable execution tracing', false)
   .option('-d, --depth <level>', 'Trace depth level (1-5)', '2')
+  .option('--retry <count>', 'Rerun failing tests up to <count> times; tests that pass on a retry are flaky')
+  .option('--coverage', 'Collect coverage (needs @vitest/coverage-v8) and list the least-covered changed files')
   .option('-o, --output-file <file>', 'Output file path (defaults to stdout)')
   .option('-c, --config <file>', 'Config file path', '.taistrc.json')
+  .option('--no-history', 'Do not record the run in .taist/runs')
   .action(async (options) => {
     try {
       const config = loadConfig(options.config);
       const mergedOptions = { ...config, ...options };
 
-      await runTests(mergedOptions);
+      await runTests(mergedOptions, 'test');
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -73,10 +85,14 @@ program
   .description('Run tests in watch mode')
   .option('-f, --file <files...>', 'Source file(s) to watch', ['./src'])
   .option('-t, --test <tests...>', 'Test file(s) to run', ['./test/**/*.test.js', './src/**/*.test.js'])
+  .option('--changed [ref]', 'Only run tests that import changed files: since <ref> at start (default: HEAD), then each batch')
+  .option('--impacted [ref]', 'Like --changed, picking tests by their traced calls; implies --trace')
   .option('--format <format>', 'Output format (toon|json|compact)', 'toon')
   .option('--trace', 'Enable execution tracing', false)
   .option('-d, --depth <level>', 'Trace depth level (1-5)', '2')
+  .option('--retry <count>', 'Rerun failing tests up to <count> times; tests that pass on a retry are flaky')
   .option('-c, --config <file>', 'Config file path', '.taistrc.json')
+  .option('--no-history', 'Do not record the run in .taist/runs')
   .action(async (options) => {
     try {
       const config = loadConfig(options.config);
@@ -97,11 +113,11 @@ program
   .description('Monitor a Node.js service with execution tracing')
   .option('--format <format>', 'Output format (toon|json|compact|human)', 'toon')
   .option('-d, --depth <level>', 'Trace depth level (1-5)', '3')
-  .option('-o, --output <file>', 'Output file for traces')
-  .option('-i, --interval <ms>', 'Output interval in milliseconds', '30000')
-  .option('--include <patterns>', 'Comma-separated patterns to include')
-  .option('--exclude <patterns>', 'Comma-separated patterns to exclude')
-  .option('--slow-threshold <ms>', 'Threshold for slow operations', '100')
+  .option('-o, --output <file>', 'Write the latest summary to a file instead of stdout')
+  .option('-i, --interval <ms>', 'Summary interval in milliseconds', '30000')
+  .option('--include <patterns>', 'Comma-separated module patterns to instrument (default: .taistrc.json include)')
+  .option('--exclude <patterns>', 'Comma-separated module patterns not to instrument')
+  .option('--slow-threshold <ms>', 'Calls at least this slow (ms) count as slow operations', '100')
   .action(async (script, options) => {
     try {
       await runMonitor(script, options);
@@ -120,16 +136,19 @@ program
   .option('-f, --file <files...>', 'Source file(s) to test', ['./src'])
   .option('-t, --test <tests...>', 'Test file(s) to run', ['./test/**/*.test.js', './src/**/*.test.js'])
   .option('-n, --name <pattern>', 'Filter tests by name pattern (regex)')
-  .option('--format <format>', 'Output format (toon|json|compact)', 'toon')
+  .option('--format <format>', 'Output format (toon|json|compact|chrome-trace)', 'toon')
   .option('-d, --depth <level>', 'Trace depth level (1-5)', '3')
+  .option('--retry <count>', 'Rerun failing tests up to <count> times; tests that pass on a retry are flaky')
+  .option('--coverage', 'Collect coverage (needs @vitest/coverage-v8) and list the least-covered changed files')
   .option('-o, --output-file <file>', 'Output file path (defaults to stdout)')
   .option('-c, --config <file>', 'Config file path', '.taistrc.json')
+  .option('--no-history', 'Do not record the run in .taist/runs')
   .action(async (options) => {
     try {
       const config = loadConfig(options.config);
       const mergedOptions = { ...config, ...options, trace: true };
 
-      await runTests(mergedOptions);
+      await runTests(mergedOptions, 'trace');
     } catch (error) {
       console.error('Error:', error.message);
       process.exit(1);
@@ -143,9 +162,15 @@ program
 program
   .command('run')
   .description('Run any test command with tracing (e.g., taist run -- vitest run)')
-  .option('--format <format>', 'Output format (toon|json|compact)', 'toon')
+  .option('--format <format>', 'Output format (toon|json|compact|chrome-trace)', 'toon')
   .option('-d, --depth <level>', 'Trace depth level (1-5)', '3')
   .option('-o, --output-file <file>', 'Output file path (defaults to stdout)')
+  .option('--otlp-file <file>', 'Also write traces as OpenTelemetry spans (OTLP/JSON)')
+  .option('--otlp-endpoint [url]', 'Also push traces to an OTLP/HTTP endpoint (default: http://localhost:4318/v1/traces)')
+  .option('--service-name <name>', 'service.name for exported spans (default: OTEL_SERVICE_NAME or taist)')
+  .option('--listen <[host:]port>', 'Also accept traces over TCP, e.g. from other containers (token: TAIST_COLLECTOR_TOKEN)')
+  .option('--http <[host:]port>', 'Also accept traces at HTTP POST /traces (token: TAIST_COLLECTOR_TOKEN)')
+  .option('--no-history', 'Do not record the run in .taist/runs')
   .allowUnknownOption(true)
   .action(async (options, command) => {
     try {
@@ -165,6 +190,186 @@ program
     }
   });
 
+/**
+ * Serve command - Watch traces live in the browser
+ */
+program
+  .command('serve')
+  .description('Watch traces live in the browser (e.g., taist serve -- npm run dev)')
+  .option('-p, --port <[host:]port>', 'Address of the trace viewer', '7070')
+  .option('-d, --depth <level>', 'Trace depth level (1-5)', '3')
+  .option('--listen <[host:]port>', 'Also accept traces over TCP, e.g. from other containers (token: TAIST_COLLECTOR_TOKEN)')
+  .option('--http <[host:]port>', 'Also accept traces at HTTP POST /traces (token: TAIST_COLLECTOR_TOKEN)')
+  .allowUnknownOption(true)
+  .action(async (options, command) => {
+    try {
+      await runServe(command.args, options);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Diff command - Compare the execution of two saved runs
+ */
+program
+  .command('diff <runA> <runB>')
+  .description('Compare the traces of two runs saved with --format json')
+  .option('--format <format>', 'Output format (toon|json)', 'toon')
+  .option('--threshold <percent>', 'Slowdown that counts as a duration regression', '20')
+  .option('--min-delta <ms>', 'Ignore slowdowns smaller than this', '1')
+  .option('-o, --output-file <file>', 'Output file path (defaults to stdout)')
+  .action((runA, runB, options) => {
+    try {
+      const diff = diffRuns(loadRunTraces(runA), loadRunTraces(runB), {
+        regressionThreshold: parseFloat(options.threshold) / 100,
+        minRegressionMs: parseFloat(options.minDelta)
+      });
+
+      const output = options.format === 'json'
+        ? JSON.stringify(diff, null, 2)
+        : new ToonFormatter().formatTraceDiff(diff);
+
+      if (options.outputFile) {
+        writeFileSync(options.outputFile, output);
+        console.error(`Diff written to: ${options.outputFile}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Gen-tests command - Regression tests from the recorded calls of a function
+ */
+program
+  .command('gen-tests')
+  .description('Generate Vitest tests that pin the recorded calls of a function')
+  .requiredOption('--from <run>', 'Run saved with --format json (or a .taist/runs file)')
+  .requiredOption('--fn <name>', 'Traced function name, e.g. OrderService.createOrder')
+  .option('--import <module>', 'Module to import the function from (default: its recorded source file)')
+  .option('--limit <count>', 'Max distinct calls to turn into tests', '20')
+  .option('-o, --output-file <file>', 'Output file path (defaults to stdout)')
+  .action((options) => {
+    try {
+      const generated = generateTests(loadRunTraces(options.from), {
+        fn: options.fn,
+        importPath: options.import,
+        outFile: options.outputFile,
+        from: options.from,
+        limit: parseInt(options.limit)
+      });
+
+      if (options.outputFile) {
+        writeFileSync(options.outputFile, generated.source);
+        const todo = generated.todo > 0 ? ` (+${generated.todo} todo)` : '';
+        console.error(`Generated ${generated.tests} tests${todo} for ${options.fn}: ${options.outputFile}`);
+      } else {
+        console.log(generated.source);
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * History command - List, show and prune recorded runs
+ */
+const history = program
+  .command('history')
+  .description('Show recorded runs from .taist/runs');
+
+history
+  .command('list', { isDefault: true })
+  .description('List recorded runs with the failure trend')
+  .option('-n, --limit <count>', 'Number of runs to show', '10')
+  .option('--command <name>', 'Only runs of this command (test|trace|run|watch)')
+  .action((options) => {
+    try {
+      const store = new RunStore();
+      const runs = store.list({ command: options.command, limit: parseInt(options.limit) });
+      console.log(new ToonFormatter().formatRunHistory(runs));
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+history
+  .command('show <id>')
+  .description('Show a recorded run (id, unique id prefix, or "latest")')
+  .option('--format <format>', 'Output format (toon|json|compact|chrome-trace)', 'toon')
+  .action((id, options) => {
+    try {
+      const run = new RunStore().get(id);
+      if (options.format === 'json') {
+        // The saved run as-is, including run metadata (id, command, exitCode, ...)
+        console.log(JSON.stringify(run, null, 2));
+        return;
+      }
+
+      const formatter = new OutputFormatter({ format: options.format });
+      let output = formatter.format(run);
+
+      if (options.format === 'toon' && run.trace.length > 0) {
+        output += '\n\n' + formatter.toonFormatter.formatTraceTree(run.trace);
+      }
+      console.log(output);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+history
+  .command('flaky')
+  .description('List tests that passed only on a retry (--retry) in recorded runs')
+  .option('-n, --limit <count>', 'Number of recent runs to look at', '100')
+  .option('--format <format>', 'Output format (toon|json)', 'toon')
+  .action((options) => {
+    try {
+      const store = new RunStore();
+      const limit = parseInt(options.limit);
+      const tests = store.flakyTests({ limit });
+
+      if (options.format === 'json') {
+        console.log(JSON.stringify(tests, null, 2));
+      } else {
+        const runs = store.list({ limit }).length;
+        console.log(new ToonFormatter().formatFlakyTests(tests, runs));
+      }
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
+history
+  .command('prune')
+  .description('Delete old runs')
+  .option('--keep <count>', 'Keep only the most recent runs')
+  .option('--older-than <days>', 'Delete runs older than this many days')
+  .action((options) => {
+    try {
+      if (options.keep === undefined && options.olderThan === undefined) {
+        throw new Error('Specify --keep <count> and/or --older-than <days>');
+      }
+      const removed = new RunStore().prune({
+        keep: options.keep !== undefined ? parseInt(options.keep) : undefined,
+        olderThan: options.olderThan !== undefined ? parseFloat(options.olderThan) * 24 * 60 * 60 * 1000 : undefined
+      });
+      console.log(`Pruned ${removed.length} runs`);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  });
+
 /**
  * Init command - create configuration file
  */
@@ -218,11 +423,39 @@ function loadConfig(configPath) {
   return {};
 }
 
+/**
+ * Record a run in the history store (unless --no-history).
+ * History is best-effort - failing to write it never fails the run.
+ */
+function recordRun(results, meta, options) {
+  if (options.history === false) return;
+
+  try {
+    new RunStore().save(results, meta);
+  } catch (error) {
+    console.error(`Warning: Failed to record run history: ${error.message}`);
+  }
+}
+
+/**
+ * Files changed since a ref for --changed and --impacted (bare, they compare with HEAD)
+ */
+function changedSince(ref) {
+  const files = changedFiles({ ref: ref === true ? 'HEAD' : ref });
+  if (!files) {
+    throw new Error(`--changed and --impacted need a git checkout and a valid ref (got ${ref === true ? 'HEAD' : ref})`);
+  }
+  return files;
+}
+
 /**
  * Run tests once
  */
-async function runTests(options) {
+async function runTests(options, command = 'test') {
   try {
+    // Impacted runs trace, to keep the impact map current
+    if (options.impacted) options.trace = true;
+
     const tracer = new ExecutionTracer({
       enabled: options.trace,
       depth: parseInt(options.depth)
@@ -233,7 +466,9 @@ async function runTests(options) {
         enabled: options.trace,
         depth: parseInt(options.depth)
       },
-      tracer
+      tracer,
+      retry: parseInt(options.retry || 0),
+      coverage: options.coverage
     });
 
     const formatter = new OutputFormatter({
@@ -244,7 +479,9 @@ async function runTests(options) {
 
     const results = await runner.run({
       tests: options.test,
-      testNamePattern: options.name
+      testNamePattern: options.name,
+      changed: options.changed ? changedSince(options.changed) : undefined,
+      impacted: options.impacted ? changedSince(options.impacted) : undefined
     });
 
     console.error('Formatting results...\n');
@@ -265,6 +502,7 @@ async function runTests(options) {
 
     // Exit with appropriate code
     const exitCode = results.stats?.failed > 0 ? 1 : 0;
+    recordRun(results, { command, exitCode }, options);
     process.exit(exitCode);
   } catch (error) {
     console.error('Fatal error:', error);
@@ -279,6 +517,9 @@ async function runTests(options) {
 async function runWatch(options) {
   console.error('Starting watch mode...\n');
 
+  // Impacted runs trace, to keep the impact map current
+  if (options.impacted) options.trace = true;
+
   const tracer = new ExecutionTracer({
     enabled: options.trace,
     depth: parseInt(options.depth)
@@ -289,7 +530,8 @@ async function runWatch(options) {
       enabled: options.trace,
       depth: parseInt(options.depth)
     },
-    tracer
+    tracer,
+    retry: parseInt(options.retry || 0)
   });
 
   const formatter = new OutputFormatter({
@@ -299,7 +541,8 @@ async function runWatch(options) {
 
   const watchHandler = new WatchHandler({
     ...options.watch,
-    delay: options.watch?.delay || 500
+    delay: options.watch?.delay || 500,
+    store: options.history !== false ? new RunStore() : null
   });
 
   // Watch paths
@@ -342,9 +585,13 @@ async function runWatch(options) {
   });
 
   // Start watching
-  await watchHandler.start(watchPaths, async () => {
+  // With --changed or --impacted, the first run takes git's changes and later runs each batch's
+  const changedFor = (ref, changes) => (changes.length > 0 ? changes : changedSince(ref));
+  await watchHandler.start(watchPaths, async (changes) => {
     return await runner.run({
-      tests: options.test
+      tests: options.test,
+      changed: options.changed ? changedFor(options.changed, changes) : undefined,
+      impacted: options.impacted ? changedFor(options.impacted, changes) : undefined
     });
   });
 
@@ -357,53 +604,55 @@ async function runWatch(options) {
 }
 
 /**
- * Run a service with monitoring
+ * Run a service with tracing, printing a summary of its calls every interval
  */
 async function runMonitor(script, options) {
-  console.log('Starting service monitoring...');
-  console.log(`Script: ${script}`);
-  console.log(`Format: ${options.format}`);
-  console.log(`Depth: ${options.depth}`);
+  const slowThreshold = parseInt(options.slowThreshold) || 100;
+  const interval = parseInt(options.interval) || 30000;
 
-  // Set environment variables for the child process
-  const env = {
-    ...process.env,
-    TAIST_ENABLED: 'true',
-    TAIST_DEPTH: options.depth || '3',
-    TAIST_FORMAT: options.format || 'toon',
-    TAIST_OUTPUT_FILE: options.output || '',
-    TAIST_OUTPUT_INTERVAL: options.interval || '30000',
-    TAIST_INCLUDE: options.include || '',
-    TAIST_EXCLUDE: options.exclude || '',
-    TAIST_SLOW_THRESHOLD: options.slowThreshold || '100'
-  };
+  const taistConfig = await loadTaistConfig();
+  if (!options.include && taistConfig.include.length === 0) {
+    console.error('Warning: nothing to instrument - pass --include or add include patterns to .taistrc.json');
+    console.error('Example: taist monitor server.js --include "src/**/*.js"');
+  }
 
-  // For now, run directly with instrumentation via require
-  // In production, would use a loader
-  console.log('\nNote: For production use, add instrumentation to your service.');
-  console.log('See examples/express-service for implementation details.\n');
+  const monitor = new TraceMonitor({ slowThreshold });
+  const env = { TAIST_SLOW_THRESHOLD: String(slowThreshold) };
+  if (options.include) env.TAIST_INCLUDE = options.include;
+  if (options.exclude) env.TAIST_EXCLUDE = options.exclude;
 
-  // Spawn the service
-  const child = spawn('node', [script], {
+  console.error(`Monitoring: ${script} (summary every ${interval}ms, slow >= ${slowThreshold}ms)`);
+  const { collector, exited } = await startTracedCommand(['node', script], options, {
     env,
-    stdio: 'inherit'
+    onTrace: (trace) => monitor.record(trace),
   });
 
-  // Handle exit
-  child.on('exit', (code) => {
-    console.log(`\nService exited with code ${code}`);
-    process.exit(code);
-  });
+  // Print (or write) a summary whenever calls came in since the last one
+  let reported = 0;
+  const printSummary = (force = false) => {
+    const insights = monitor.getInsights();
+    if (!force && insights.traces.total === reported) return;
+    reported = insights.traces.total;
 
-  // Handle errors
-  child.on('error', (error) => {
-    console.error('Failed to start service:', error);
-    process.exit(1);
-  });
+    const output = formatInsights(insights, { format: options.format, slowOpThreshold: slowThreshold });
+    if (options.output) {
+      writeFileSync(options.output, output + '\n');
+    } else {
+      console.log(output);
+    }
+  };
+  const timer = setInterval(printSummary, interval);
 
-  // Forward signals
-  process.on('SIGINT', () => child.kill('SIGINT'));
-  process.on('SIGTERM', () => child.kill('SIGTERM'));
+  const exitCode = await exited;
+
+  clearInterval(timer);
+  await collector.stop();
+  console.error(`\nService exited with code ${exitCode}`);
+  printSummary(true);
+  if (options.output) {
+    console.error(`Summary written to: ${options.output}`);
+  }
+  process.exit(exitCode);
 }
 
 /**
@@ -422,105 +671,222 @@ async function runWithCollector(args, options) {
     console.error('Example: { "include": ["src/**/*.js"] }');
   }
 
-  // Start trace collector
+  const startTime = Date.now();
+  const { collector, exited } = await startTracedCommand(args, options, { collector: { sessionId } });
+  const exitCode = await exited;
+
+  // Give traces time to arrive (socket writes are async)
+  // The child process may exit before all socket data is transmitted
+  await new Promise((resolve) => setTimeout(resolve, 500));
+
+  // Collect traces (stopping decides requests tail retention still holds)
+  await collector.stop();
+  const traces = collector.getTraces();
+  const { sampledOut, evicted, tailDropped } = collector.getStats();
+
+  console.error('');
+  const dropped = new ToonFormatter().formatDropped({ sampledOut, evicted, tailDropped });
+  console.error(`Collected ${traces.length} traces${dropped ? ` (${dropped})` : ''}`);
+
+  if (options.otlpFile || options.otlpEndpoint) {
+    await exportOtlp(collector, options);
+  }
+
+  // Build results object similar to VitestRunner output
+  const results = {
+    stats: { total: 0, passed: 0, failed: 0 },
+    tests: [],
+    trace: traces,
+    sampling: { sampledOut, evicted, tailDropped },
+  };
+
+  // Format and output results
+  if (traces.length > 0) {
+    const formatter = new OutputFormatter({
+      format: options.format,
+    });
+
+    const output = formatter.format(results);
+
+    if (options.outputFile) {
+      writeFileSync(options.outputFile, output);
+      console.error(`Results written to: ${options.outputFile}`);
+    } else {
+      console.log(output);
+    }
+  }
+
+  recordRun(results, {
+    command: 'run',
+    duration: Date.now() - startTime,
+    exitCode,
+    args: args.join(' '),
+  }, options);
+
+  process.exit(exitCode);
+}
+
+/**
+ * Collect traces with the live viewer on, from a command (e.g. a dev server)
+ * or from any process pointed at the collector, until the command exits or Ctrl+C
+ */
+async function runServe(args, options) {
+  const viewer = parseListenAddress(options.port);
+
+  // Ctrl+C reaches the command too - wait for it to exit, then stop
+  const interrupted = new Promise((resolve) => {
+    process.once('SIGINT', () => resolve(130));
+    process.once('SIGTERM', () => resolve(143));
+  });
+
+  const { collector, exited } = await startTracedCommand(args, options, {
+    collector: { viewerPort: viewer.port, viewerHost: viewer.host },
+  });
+
+  let exitCode;
+  if (exited) {
+    exitCode = await exited;
+  } else {
+    console.error('Start your processes with:');
+    console.error(`  TAIST_ENABLED=true TAIST_COLLECTOR_SOCKET=${collector.getSocketPath()} node --import taist/module-patcher <script>`);
+    console.error('Press Ctrl+C to stop.');
+    await interrupted;
+    exitCode = 0;
+  }
+
+  await collector.stop();
+  console.error(`Collected ${collector.getTraceCount()} traces`);
+  process.exit(exitCode);
+}
+
+/**
+ * Start a collector (listening on --listen / --http as well, if given) and
+ * the traced command reporting to it. Exits when the collector can't start.
+ * @param {string[]} args - Command to run; none to only start the collector
+ * @param {Object} options - CLI options: depth, listen, http
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onTrace] - Called with each trace the collector receives
+ * @param {Object} [hooks.collector] - More TraceCollector options
+ * @param {Object} [hooks.env] - More env vars for the command
+ * @returns {Promise<{collector: TraceCollector, exited: Promise<number>|null}>} - exited
+ *   resolves to the command's exit code (null without a command)
+ */
+async function startTracedCommand(args, options, { onTrace, collector: collectorOptions, env: extraEnv } = {}) {
+  const tcp = options.listen ? parseListenAddress(options.listen) : null;
+  const httpAddress = options.http ? parseListenAddress(options.http) : null;
   const collector = new TraceCollector({
-    sessionId,
     filter: createDefaultFilter(),
+    retention: loadRetentionConfig(),
+    host: tcp?.host || httpAddress?.host,
+    port: tcp?.port,
+    httpPort: httpAddress?.port,
+    ...collectorOptions,
   });
+  if (onTrace) collector.on('trace', onTrace);
 
   try {
     await collector.start();
-    console.error(`Trace collector started: ${collector.getSocketPath()}`);
   } catch (err) {
     console.error('Failed to start trace collector:', err.message);
     process.exit(1);
   }
 
-  // Set up environment for child process
+  console.error(`Trace collector started: ${collector.getSocketPath()}`);
+  if (collector.getViewerUrl()) {
+    console.error(`Trace viewer: ${collector.getViewerUrl()}`);
+  }
+  for (const url of [collector.getTcpUrl(), collector.getHttpUrl()].filter(Boolean)) {
+    console.error(`Accepting remote traces: TAIST_COLLECTOR_URL=${url}`);
+  }
+  if ((tcp || httpAddress) && !collector.token) {
+    console.error('Warning: no TAIST_COLLECTOR_TOKEN set - anyone who can reach the port can send traces');
+  }
+
+  if (args.length === 0) {
+    return { collector, exited: null };
+  }
+
   const env = {
     ...process.env,
     TAIST_ENABLED: 'true',
     TAIST_COLLECTOR_SOCKET: collector.getSocketPath(),
+    TAIST_SPOOL_DIR: collector.getSpoolDir(),
     TAIST_DEPTH: options.depth || '3',
+    ...extraEnv,
   };
-
-  // Build the command - prepend with node and module hooks
-  const modulePatcherPath = join(__dirname, 'lib', 'module-patcher.js');
-  const [cmd, ...cmdArgs] = args;
-
-  // Determine if we need to inject --import
-  let spawnCmd;
-  let spawnArgs;
-
-  if (cmd === 'node' || cmd.endsWith('/node')) {
-    // Direct node command - add --import flag
-    spawnCmd = cmd;
-    spawnArgs = ['--import', modulePatcherPath, ...cmdArgs];
-  } else if (cmd === 'vitest' || cmd === 'jest' || cmd === 'mocha' || cmd === 'npx' || cmd === 'yarn' || cmd === 'npm') {
-    // Test runner commands - use NODE_OPTIONS to inject
-    env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --import ${modulePatcherPath}`.trim();
-    spawnCmd = cmd;
-    spawnArgs = cmdArgs;
-  } else {
-    // Unknown command - try NODE_OPTIONS approach
-    env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --import ${modulePatcherPath}`.trim();
-    spawnCmd = cmd;
-    spawnArgs = cmdArgs;
-  }
-
+  const { spawnCmd, spawnArgs } = tracedCommand(args, env);
   console.error(`Running: ${spawnCmd} ${spawnArgs.join(' ')}`);
   console.error('');
 
-  // Spawn the test runner
-  const child = spawn(spawnCmd, spawnArgs, {
-    env,
-    stdio: 'inherit',
-  });
+  const child = spawn(spawnCmd, spawnArgs, { env, stdio: 'inherit' });
+
+  // Forward signals
+  process.on('SIGINT', () => child.kill('SIGINT'));
+  process.on('SIGTERM', () => child.kill('SIGTERM'));
 
-  // Wait for child to exit
-  const exitCode = await new Promise((resolve) => {
-    child.on('exit', (code) => resolve(code || 0));
+  const exited = new Promise((resolve) => {
+    child.on('exit', (code, signal) => resolve(code ?? (signal ? 1 : 0)));
     child.on('error', (err) => {
       console.error('Failed to start command:', err.message);
       resolve(1);
     });
   });
+  return { collector, exited };
+}
 
-  // Give traces time to arrive (socket writes are async)
-  // The child process may exit before all socket data is transmitted
-  await new Promise((resolve) => setTimeout(resolve, 500));
-
-  // Collect traces
-  const traces = collector.getTraces();
-  await collector.stop();
+/**
+ * Prepend the module hooks to a command, so the processes it starts are traced.
+ * Adds them to env.NODE_OPTIONS unless the command is node itself.
+ */
+function tracedCommand(args, env) {
+  const modulePatcherPath = join(__dirname, 'lib', 'module-patcher.js');
+  const [cmd, ...cmdArgs] = args;
 
-  console.error('');
-  console.error(`Collected ${traces.length} traces`);
+  if (cmd === 'node' || cmd.endsWith('/node')) {
+    // Direct node command - add --import flag
+    return { spawnCmd: cmd, spawnArgs: ['--import', modulePatcherPath, ...cmdArgs] };
+  }
 
-  // Format and output results
-  if (traces.length > 0) {
-    const formatter = new OutputFormatter({
-      format: options.format,
-    });
+  // Test runners, package managers and anything else - use NODE_OPTIONS to inject
+  env.NODE_OPTIONS = `${env.NODE_OPTIONS || ''} --import ${modulePatcherPath}`.trim();
+  return { spawnCmd: cmd, spawnArgs: cmdArgs };
+}
 
-    // Build results object similar to VitestRunner output
-    const results = {
-      stats: { total: 0, passed: 0, failed: 0 },
-      tests: [],
-      trace: traces,
-    };
+/**
+ * Parse a `--listen` / `--http` address: "7777", "0.0.0.0:7777" or "[::1]:7777"
+ */
+function parseListenAddress(value) {
+  const match = String(value).match(/^(?:\[?([^\]]*?)\]?:)?(\d+)$/);
+  if (!match) {
+    throw new Error(`Invalid address: ${value} (expected [host:]port)`);
+  }
+  return { host: match[1] || undefined, port: parseInt(match[2]) };
+}
 
-    const output = formatter.format(results);
+/**
+ * Export collector traces as OpenTelemetry spans for `run --otlp-*`.
+ * Export failures are reported but don't change the command's exit code.
+ */
+async function exportOtlp(collector, options) {
+  try {
+    const { push } = await collector.exportOtlp({
+      file: options.otlpFile,
+      push: Boolean(options.otlpEndpoint),
+      // Bare --otlp-endpoint uses the OTEL_EXPORTER_OTLP_* env vars or localhost
+      endpoint: typeof options.otlpEndpoint === 'string' ? options.otlpEndpoint : undefined,
+      serviceName: options.serviceName,
+    });
 
-    if (options.outputFile) {
-      writeFileSync(options.outputFile, output);
-      console.error(`Results written to: ${options.outputFile}`);
-    } else {
-      console.log(output);
+    if (options.otlpFile) {
+      console.error(`OTLP spans written to: ${options.otlpFile}`);
+    }
+    if (push) {
+      const rejected = push.rejectedSpans ? ` (${push.rejectedSpans} rejected)` : '';
+      console.error(`Pushed ${push.spans} spans via OTLP${rejected}`);
     }
+  } catch (err) {
+    console.error('OTLP export failed:', err.message);
   }
-
-  process.exit(exitCode);
 }
 
 // Parse arguments
@@ -0,0 +1,78 @@
+/**
+ * Throughput of the collector socket protocols: NDJSON (v1) against
+ * binary frames with interning (v2), plain and gzip-compressed.
+ *
+ * Each iteration sends a batch of traces from a reporter to a collector and
+ * waits until all of them were received, so traces/s = ops/s × BATCH.
+ * Run with `npm run bench`; not part of `npm test`.
+ */
+
+import { describe, bench, beforeAll, afterAll } from 'vitest';
+import { TraceCollector } from '../../lib/trace-collector.js';
+import { TraceReporter } from '../../lib/trace-reporter.js';
+
+const BATCH = 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const waitFor = async (condition, timeout = 10000) => {
+  const start = Date.now();
+  while (!condition() && Date.now() - start < timeout) {
+    await delay(1);
+  }
+  if (!condition()) throw new Error('Timed out waiting for the collector');
+};
+
+let collector;
+let received = 0;
+let sent = 0;
+
+const traceAt = (i) => ({
+  name: `OrderService.step${i % 5}`,
+  type: 'entry',
+  depth: i % 4,
+  timestamp: Date.now(),
+  id: `bench-${i}`,
+  correlationId: `req-${Math.floor(i / 20)}`,
+  args: [{ orderId: i, sku: 'SKU-123', note: 'standard shipping' }]
+});
+
+/**
+ * A connected reporter, and the benchmark function sending a batch through it
+ */
+function sender(options) {
+  const state = {};
+  state.setup = async () => {
+    state.reporter = new TraceReporter({ socketPath: collector.getSocketPath(), flushImmediate: false, batchSize: 500, ...options });
+    await state.reporter.connect();
+    if (options.protocol !== 'ndjson') await waitFor(() => state.reporter.encoder);
+  };
+  state.teardown = () => state.reporter.close();
+  state.send = async () => {
+    const target = received + BATCH;
+    for (let i = 0; i < BATCH; i++) state.reporter.report(traceAt(sent++));
+    await state.reporter.flush();
+    await waitFor(() => received >= target);
+  };
+  return state;
+}
+
+beforeAll(async () => {
+  collector = new TraceCollector({ maxTraces: BATCH });
+  collector.on('trace', () => received++);
+  await collector.start();
+});
+
+afterAll(async () => {
+  await collector.stop();
+});
+
+describe(`collector socket, ${BATCH} traces per op`, () => {
+  const ndjson = sender({ protocol: 'ndjson' });
+  const interned = sender({ compression: 'none' });
+  const gzip = sender({ compression: 'gzip' });
+
+  bench('ndjson (v1)', ndjson.send, { setup: ndjson.setup, teardown: ndjson.teardown, time: 2000 });
+  bench('frames, interned (v2)', interned.send, { setup: interned.setup, teardown: interned.teardown, time: 2000 });
+  bench('frames, interned + gzip (v2)', gzip.send, { setup: gzip.setup, teardown: gzip.teardown, time: 2000 });
+});
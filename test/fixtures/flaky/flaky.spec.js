@@ -0,0 +1,19 @@
+/**
+ * Flaky test fixture - fails on its first attempt, passes on a retry.
+ * Run with `taist test --retry <n>`; not part of the main suite.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+let attempts = 0;
+
+describe('flaky fixture', () => {
+  it('passes on the second try', () => {
+    attempts++;
+    expect(attempts).toBeGreaterThan(1);
+  });
+
+  it('always passes', () => {
+    expect(true).toBe(true);
+  });
+});
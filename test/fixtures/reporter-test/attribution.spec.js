@@ -0,0 +1,21 @@
+/**
+ * Fixture for per-test trace attribution in the reporter integration test.
+ * Not picked up by the main suite (.spec.js) - one test fails on purpose.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { CalculatorService } from './service.js';
+import { instrumentServiceWithContext } from '../../../instrument.js';
+
+const calculator = instrumentServiceWithContext(new CalculatorService(), 'CalculatorService');
+
+describe('attribution', () => {
+  it('adds', () => {
+    expect(calculator.add(2, 3)).toBe(5);
+  });
+
+  it('fails after dividing', () => {
+    calculator.multiply(3, 4);
+    expect(calculator.divide(10, 2)).toBe(4);
+  });
+});
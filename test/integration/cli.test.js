@@ -4,7 +4,9 @@
 
 import { describe, it, expect } from 'vitest';
 import { execSync } from 'child_process';
-import { existsSync, unlinkSync, readFileSync } from 'fs';
+import { existsSync, unlinkSync, readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
 
 // Helper to run CLI commands
 function runCLI(args, options = {}) {
@@ -170,6 +172,158 @@ describe('CLI Integration Tests', () => {
     });
   });
 
+  describe('diff command', () => {
+    let dir;
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    const saveRun = (name, result, duration) => {
+      const file = join(dir, name);
+      writeFileSync(file, JSON.stringify({
+        status: 'pass',
+        trace: [
+          { id: 'r', name: 'Api.get', type: 'entry', timestamp: 1, depth: 0 },
+          { id: 'c', name: 'Db.query', type: 'entry', timestamp: 2, depth: 1, parentId: 'r' },
+          { id: 'c', name: 'Db.query', type: 'exit', result, duration, timestamp: 3, depth: 1, parentId: 'r' },
+          { id: 'r', name: 'Api.get', type: 'exit', duration, timestamp: 4, depth: 0 }
+        ]
+      }));
+      return file;
+    };
+
+    it('should report execution changes between two runs in TOON', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-diff-'));
+      const before = saveRun('before.json', 1, 5);
+      const after = saveRun('after.json', 2, 50);
+
+      const result = runCLI(`diff ${before} ${after}`);
+
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('===DIFF: +0 -0 ~1 err:+0/-0 slow:2===');
+      expect(result.output).toContain('~ Api.get > Db.query ret:1→2');
+    });
+
+    it('should fail on files without traces', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-diff-'));
+      const file = join(dir, 'empty.json');
+      writeFileSync(file, '{}');
+
+      const result = runCLI(`diff ${file} ${file} 2>&1`);
+
+      expect(result.success).toBe(false);
+      expect(result.output).toContain('No traces');
+    });
+  });
+
+  describe('gen-tests command', () => {
+    let dir;
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write tests that pin the recorded calls of a function', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-gen-'));
+      const source = join(dir, 'math.js');
+      writeFileSync(source, 'export function add(a, b) { return a + b; }\n');
+      const run = join(dir, 'run.json');
+      writeFileSync(run, JSON.stringify({
+        trace: [
+          { id: 'a', name: 'Math.add', type: 'entry', args: [1, 2], file: source, timestamp: 1 },
+          { id: 'a', name: 'Math.add', type: 'exit', result: 3, timestamp: 2 }
+        ]
+      }));
+      const out = join(dir, 'math.pinned.test.js');
+
+      const result = runCLI(`gen-tests --from ${run} --fn Math.add -o ${out} 2>&1`);
+
+      expect(result.success).toBe(true);
+      expect(result.output).toContain(`Generated 1 tests for Math.add: ${out}`);
+      const generated = readFileSync(out, 'utf-8');
+      expect(generated).toContain("import { add } from './math.js';");
+      expect(generated).toContain('expect(await add(1, 2)).toEqual(3);');
+    });
+
+    it('should fail for functions without recorded calls', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-gen-'));
+      const run = join(dir, 'run.json');
+      writeFileSync(run, JSON.stringify({ trace: [] }));
+
+      const result = runCLI(`gen-tests --from ${run} --fn Math.add 2>&1`);
+
+      expect(result.success).toBe(false);
+      expect(result.output).toContain('No recorded calls of Math.add');
+    });
+  });
+
+  describe('history command', () => {
+    let dir;
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should record test runs and list, show and prune them', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-history-'));
+      const env = { ...process.env, TAIST_HISTORY_DIR: dir };
+
+      runCLI('test -t ./examples/calculator.test.js 2>/dev/null', { env });
+      runCLI('test -t ./examples/failing.test.js 2>/dev/null', { env });
+
+      const list = runCLI('history', { env });
+      expect(list.success).toBe(true);
+      expect(list.output).toContain('===HISTORY: 2 runs | trend: degrading===');
+      expect(list.output).toMatch(/ test .* fail:\d+/);
+
+      const show = runCLI('history show latest --format json', { env });
+      const run = JSON.parse(show.output);
+      expect(run.command).toBe('test');
+      expect(run.exitCode).toBe(1);
+      expect(run.stats.failed).toBeGreaterThan(0);
+
+      const prune = runCLI('history prune --keep 1', { env });
+      expect(prune.output).toContain('Pruned 1 run');
+      expect(runCLI('history', { env }).output).toContain('===HISTORY: 1 runs');
+    });
+
+    it('should report tests that pass on a retry as flaky and list them', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-history-'));
+      const env = { ...process.env, TAIST_HISTORY_DIR: dir };
+
+      const result = runCLI('test -t ./test/fixtures/flaky/flaky.spec.js --retry 2 2>/dev/null', { env });
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('~ passes on the second try (flaky 1/2)');
+
+      const flaky = runCLI('history flaky', { env });
+      expect(flaky.output).toContain('===FLAKY: 1 tests in 1 runs===');
+      expect(flaky.output).toContain('~ flaky fixture > passes on the second try flaky:1');
+    });
+
+    it('should not record runs with --no-history', () => {
+      dir = mkdtempSync(join(tmpdir(), 'taist-cli-history-'));
+      const env = { ...process.env, TAIST_HISTORY_DIR: dir };
+
+      runCLI('test -t ./examples/calculator.test.js --no-history 2>/dev/null', { env });
+
+      expect(existsSync(join(dir, 'index.json'))).toBe(false);
+    });
+  });
+
+  describe('monitor command', () => {
+    it('should instrument the script and print a summary of its calls', () => {
+      const result = runCLI('monitor examples/run-calculator.js --include examples/calculator.js --format compact --interval 60000', {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.output).toContain('5! = 120');
+      const summary = result.output.match(/TAIST: (\d+) calls, (\d+) errors/);
+      expect(Number(summary[1])).toBeGreaterThan(6);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle non-existent test files gracefully', () => {
       const result = runCLI('test -t ./non-existent-file.test.js 2>&1');
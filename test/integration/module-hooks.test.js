@@ -0,0 +1,206 @@
+/**
+ * Integration tests for the loader hooks (`--import taist/module-patcher`)
+ *
+ * Each test writes a small project with its own .taistrc.json to a temp
+ * directory and runs it in a child process with the module patcher loaded.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { spawnSync } from 'node:child_process';
+
+const modulePatcherPath = path.resolve(process.cwd(), 'lib/module-patcher.js');
+
+// Node 22.6+ can run TypeScript by stripping types after the loader hooks
+const [major, minor] = process.versions.node.split('.').map(Number);
+const canStripTypes = major > 22 || (major === 22 && minor >= 6);
+
+describe('Module Hooks', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-hooks-'));
+    fs.writeFileSync(
+      path.join(projectDir, '.taistrc.json'),
+      JSON.stringify({ include: ['**/*.mjs'], exclude: ['main.mjs'] })
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  const run = (entry, env = {}, nodeArgs = []) => {
+    const result = spawnSync(process.execPath, [...nodeArgs, '--import', modulePatcherPath, entry], {
+      cwd: projectDir,
+      env: { ...process.env, TAIST_ENABLED: 'true', TAIST_COLLECTOR_SOCKET: '', ...env },
+      encoding: 'utf-8',
+      timeout: 10000
+    });
+    return result.stdout + result.stderr;
+  };
+
+  describe('source maps', () => {
+    it('reports original file/line in stack traces of instrumented modules', () => {
+      fs.writeFileSync(path.join(projectDir, 'service.mjs'), [
+        "import { helper } from './helper.mjs';",
+        '',
+        'export function fail(reason) {',
+        '  throw new Error(`failed: ${reason}`);',
+        '}',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(projectDir, 'helper.mjs'), 'export const helper = () => 1;\n');
+      fs.writeFileSync(path.join(projectDir, 'main.mjs'), [
+        "import { fail } from './service.mjs';",
+        'try {',
+        "  fail('boom');",
+        '} catch (err) {',
+        '  console.log(err.stack);',
+        '}'
+      ].join('\n'));
+
+      const output = run('main.mjs');
+
+      expect(output).toContain('failed: boom');
+      expect(output).toMatch(/service\.mjs:4:9/);
+    });
+
+    it('chains an existing inline source map from an earlier compile step', () => {
+      // Hand-written map: generated line 2 comes from line 3 of service.ts
+      const map = {
+        version: 3,
+        sources: ['service.ts'],
+        names: [],
+        mappings: ';AAEA'
+      };
+      const inline = Buffer.from(JSON.stringify(map)).toString('base64');
+      fs.writeFileSync(path.join(projectDir, 'service.mjs'), [
+        '',
+        'export function fail() { throw new Error("compiled"); }',
+        `//# sourceMappingURL=data:application/json;base64,${inline}`,
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(projectDir, 'main.mjs'), [
+        "import { fail } from './service.mjs';",
+        'try { fail(); } catch (err) { console.log(err.stack); }'
+      ].join('\n'));
+
+      const output = run('main.mjs');
+
+      expect(output).toContain('compiled');
+      expect(output).toMatch(/service\.ts:3/);
+    });
+  });
+
+  describe('CommonJS modules', () => {
+    const write = (file, lines) => fs.writeFileSync(path.join(projectDir, file), lines.join('\n'));
+
+    // With TAIST_DEBUG the wrappers log "[taist] ENTRY: <name> depth: <n> ..." per call
+    const entries = (output) => [...output.matchAll(/\[taist\] ENTRY: (\S+) depth: (\d+)/g)]
+      .map(([, name, depth]) => `${name}@${depth}`);
+
+    beforeEach(() => {
+      fs.writeFileSync(
+        path.join(projectDir, '.taistrc.json'),
+        JSON.stringify({ include: ['**/*.mjs', '**/*.cjs'], exclude: ['main.*'] })
+      );
+      write('math.cjs', [
+        "'use strict';",
+        'class Calculator { add(a, b) { return a + b; } }',
+        'function square(x) { return x * x; }',
+        'module.exports = { square, Calculator, util: { twice: (x) => x * 2 } };'
+      ]);
+      write('area.cjs', [
+        "const math = require('./math.cjs');",
+        'module.exports = function area(r) { return math.square(r) * 3; };',
+        'module.exports.perimeter = (r) => r * 6;'
+      ]);
+    });
+
+    it('instruments required modules with ESM-style names and nesting', () => {
+      write('main.cjs', [
+        "const area = require('./area.cjs');",
+        "const { Calculator, util } = require('./math.cjs');",
+        'console.log(area(2), area.perimeter(1), new Calculator().add(1, 2), util.twice(4));'
+      ]);
+
+      const output = run('main.cjs', { TAIST_DEBUG: 'true' });
+
+      expect(output).toContain('12 6 3 8');
+      expect(entries(output)).toEqual([
+        'Area.area@0',
+        'Math.square@1',
+        'Area.perimeter@0',
+        'Math.Calculator.add@0',
+        'Math.util.twice@0'
+      ]);
+    });
+
+    it('shares trace context across ESM and CommonJS modules', () => {
+      write('service.mjs', [
+        "import area from './area.cjs';",
+        'export function compute(r) { return area(r) + 1; }'
+      ]);
+      write('main.mjs', [
+        "import { compute } from './service.mjs';",
+        'console.log(compute(2));'
+      ]);
+
+      const output = run('main.mjs', { TAIST_DEBUG: 'true' });
+
+      expect(output).toContain('13');
+      expect(entries(output)).toEqual(['Service.compute@0', 'Area.area@1', 'Math.square@2']);
+    });
+
+    it('reports original file/line in stack traces', () => {
+      write('fail.cjs', [
+        "'use strict';",
+        '',
+        'exports.fail = () => {',
+        "  throw new Error('cjs failure');",
+        '};'
+      ]);
+      write('main.cjs', [
+        "try { require('./fail.cjs').fail(); } catch (err) { console.log(err.stack); }"
+      ]);
+
+      const output = run('main.cjs');
+
+      expect(output).toContain('cjs failure');
+      expect(output).toMatch(/fail\.cjs:4:9/);
+    });
+  });
+
+  describe.skipIf(!canStripTypes)('TypeScript modules', () => {
+    it('instruments type-stripped .ts modules', () => {
+      fs.writeFileSync(
+        path.join(projectDir, '.taistrc.json'),
+        JSON.stringify({ include: ['**/*.ts', '**/*.mts'], exclude: ['main.*'] })
+      );
+      fs.writeFileSync(path.join(projectDir, 'shapes.ts'), [
+        'export interface Opts { factor: number }',
+        'export abstract class Shape { abstract area(): number; describe(): string { return `area ${this.area()}`; } }',
+        'export class Square extends Shape { side: number; constructor(side: number) { super(); this.side = side; } area(): number { return this.side ** 2; } }',
+        'export function scale(a: number, opts: Opts): number;',
+        'export function scale(a: any, opts: Opts) { return a * opts.factor; }',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(projectDir, 'main.mts'), [
+        "import { Square, scale } from './shapes.ts';",
+        'console.log(new Square(2).describe(), scale(2, { factor: 3 }));'
+      ].join('\n'));
+
+      const output = run('main.mts', { TAIST_DEBUG: 'true' }, ['--experimental-strip-types', '--no-warnings']);
+
+      expect(output).toContain('area 4 6');
+      expect([...output.matchAll(/\[taist\] ENTRY: (\S+)/g)].map(m => m[1])).toEqual([
+        'Shapes.Shape.describe',
+        'Shapes.Square.area',
+        'Shapes.scale'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Integration tests for OTLP export: traces travel reporter → collector → OTLP,
+ * and are checked against a local stub OTLP/HTTP receiver and file output.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { TraceCollector } from '../../lib/trace-collector.js';
+import { TraceReporter } from '../../lib/trace-reporter.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Minimal OTLP/HTTP receiver: records each request and answers like a real one
+ */
+async function startReceiver(respond = (res) => res.end('{}')) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.setHeader('Content-Type', 'application/json');
+      respond(res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    endpoint: `http://127.0.0.1:${server.address().port}/v1/traces`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+describe('OTLP Export', () => {
+  let collector;
+  let reporter;
+  let receiver;
+  let tempDir;
+
+  beforeEach(async () => {
+    collector = new TraceCollector();
+    await collector.start();
+    reporter = new TraceReporter({ socketPath: collector.getSocketPath(), flushImmediate: true });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-otlp-'));
+
+    // A request: Api.handler calls Repo.find, which fails
+    const now = Date.now();
+    const base = { traceId: 'root', correlationId: 'req-42' };
+    reporter.report({ ...base, id: 'root', name: 'Api.handler', type: 'entry', args: ['/orders'], timestamp: now, depth: 0 });
+    reporter.report({ ...base, id: 'child', name: 'Repo.find', type: 'entry', args: [7], timestamp: now + 1, depth: 1, parentId: 'root' });
+    reporter.report({ ...base, id: 'child', name: 'Repo.find', type: 'error', error: { name: 'Error', message: 'not found' }, duration: 2, timestamp: now + 3, depth: 1, parentId: 'root' });
+    reporter.report({ ...base, id: 'root', name: 'Api.handler', type: 'exit', result: { status: 404 }, duration: 5, timestamp: now + 5, depth: 0 });
+
+    await delay(100);
+    reporter.close();
+    await collector.stop();
+  });
+
+  afterEach(async () => {
+    await receiver?.close();
+    receiver = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('keeps entry and exit records of each call', () => {
+    expect(collector.getTraces().map(t => `${t.name}:${t.type}`)).toEqual([
+      'Api.handler:entry',
+      'Repo.find:entry',
+      'Repo.find:error',
+      'Api.handler:exit'
+    ]);
+  });
+
+  it('pushes spans that reconstruct the call tree to an OTLP/HTTP receiver', async () => {
+    receiver = await startReceiver();
+
+    const { push } = await collector.exportOtlp({
+      endpoint: receiver.endpoint,
+      serviceName: 'orders-api',
+      headers: { Authorization: 'Bearer local' }
+    });
+
+    expect(push).toEqual({ status: 200, spans: 2, rejectedSpans: 0 });
+    expect(receiver.requests).toHaveLength(1);
+
+    const [{ url, headers, body }] = receiver.requests;
+    expect(url).toBe('/v1/traces');
+    expect(headers['content-type']).toBe('application/json');
+    expect(headers.authorization).toBe('Bearer local');
+
+    const [resourceSpans] = body.resourceSpans;
+    expect(resourceSpans.resource.attributes).toContainEqual({ key: 'service.name', value: { stringValue: 'orders-api' } });
+
+    const [handler, find] = resourceSpans.scopeSpans[0].spans;
+    expect(handler.name).toBe('Api.handler');
+    expect(find.name).toBe('Repo.find');
+    expect(find.traceId).toBe(handler.traceId);
+    expect(find.parentSpanId).toBe(handler.spanId);
+    expect(find.status).toEqual({ code: 2, message: 'not found' });
+    expect(BigInt(handler.endTimeUnixNano) - BigInt(handler.startTimeUnixNano)).toBe(5000000n);
+  });
+
+  it('reports partial success from the receiver', async () => {
+    receiver = await startReceiver((res) => res.end(JSON.stringify({ partialSuccess: { rejectedSpans: '1' } })));
+    const { push } = await collector.exportOtlp({ endpoint: receiver.endpoint });
+    expect(push.rejectedSpans).toBe(1);
+  });
+
+  it('rejects when the receiver returns an error status', async () => {
+    receiver = await startReceiver((res) => {
+      res.statusCode = 503;
+      res.end();
+    });
+    await expect(collector.exportOtlp({ endpoint: receiver.endpoint })).rejects.toThrow('503');
+  });
+
+  it('writes the same request to a file as JSON Lines', async () => {
+    receiver = await startReceiver();
+    const file = path.join(tempDir, 'spans.jsonl');
+
+    const { request } = await collector.exportOtlp({ file, endpoint: receiver.endpoint });
+
+    const lines = fs.readFileSync(file, 'utf-8').trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0])).toEqual(request);
+    expect(receiver.requests[0].body).toEqual(request);
+  });
+});
@@ -119,6 +119,42 @@ describe('Vitest Reporter Integration', () => {
     });
   });
 
+  describe('per-test trace attribution', () => {
+    it('should attach each failing test\'s own traces to its failure', async () => {
+      const reporter = new TaistReporter({ traceEnabled: true, traceGracePeriod: 100 });
+
+      const vitest = await startVitest('test', ['test/fixtures/reporter-test/attribution.spec.js'], {
+        root: projectRoot,
+        reporters: [reporter],
+        watch: false,
+        include: ['test/fixtures/reporter-test/attribution.spec.js'],
+        setupFiles: [resolve(projectRoot, 'lib/vitest-setup.js')]
+      });
+
+      if (vitest) {
+        await vitest.close();
+      }
+
+      const results = reporter.getResults();
+      expect(results.stats.failed).toBe(1);
+
+      const [failure] = results.failures;
+      expect(failure.test).toBe('attribution > fails after dividing');
+      const names = [...new Set(failure.trace.map(t => t.name))];
+      expect(names).toEqual(['CalculatorService.multiply', 'CalculatorService.divide']);
+      expect(failure.trace.every(t => t.testId === failure.testId)).toBe(true);
+
+      // The passing test's calls are only in the overall trace
+      expect(results.trace.some(t => t.name === 'CalculatorService.add' && t.testId)).toBe(true);
+
+      const output = consoleSpy.mock.calls[0][0];
+      const failureBlock = output.slice(output.indexOf('✗ '), output.indexOf('TRACE OUTPUT'));
+      expect(failureBlock).toContain('  trace:');
+      expect(failureBlock).toContain('fn:CalculatorService.divide depth:0');
+      expect(failureBlock).not.toContain('CalculatorService.add');
+    });
+  });
+
   describe('output options', () => {
     it('should respect silent option', async () => {
       const reporter = new TaistReporter({ traceEnabled: false, silent: true });
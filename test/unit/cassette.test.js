@@ -0,0 +1,158 @@
+/**
+ * Unit tests for TAIST_MODE record/replay cassettes
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Cassette, CassetteMismatchError, createCassette, loadCassetteConfig } from '../../lib/cassette.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-cassette-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const cassette = (mode) => new Cassette({ mode, dir, functions: ['Db.*'] });
+
+describe('Cassette', () => {
+  it('should replay recorded results and errors without calling through', async () => {
+    const recorder = cassette('record');
+    let calls = 0;
+    const find = (id) => {
+      calls++;
+      if (id < 0) throw new RangeError(`bad id ${id}`);
+      return { id, at: new Date(0), tags: new Set(['a']) };
+    };
+    const findAsync = async (id) => find(id);
+
+    expect(recorder.call('Db.find', [1], () => find(1))).toEqual({ id: 1, at: new Date(0), tags: new Set(['a']) });
+    expect(() => recorder.call('Db.find', [-1], () => find(-1))).toThrow('bad id -1');
+    expect(await recorder.call('Db.findAsync', [{ id: 2 }], () => findAsync(2))).toMatchObject({ id: 2 });
+    expect(calls).toBe(3);
+
+    const player = cassette('replay');
+    const never = () => { throw new Error('called through'); };
+    expect(player.call('Db.find', [1], never)).toEqual({ id: 1, at: new Date(0), tags: new Set(['a']) });
+    expect(() => player.call('Db.find', [-1], never)).toThrow(RangeError);
+    const replayed = player.call('Db.findAsync', [{ id: 2 }], never);
+    expect(replayed).toBeInstanceOf(Promise);
+    expect(await replayed).toMatchObject({ id: 2 });
+  });
+
+  it('should replay repeated calls in order and repeat the last', () => {
+    const recorder = cassette('record');
+    let counter = 0;
+    recorder.call('Db.next', [], () => ++counter);
+    recorder.call('Db.next', [], () => ++counter);
+
+    const player = cassette('replay');
+    expect([1, 2, 3].map(() => player.call('Db.next', [], () => 0))).toEqual([1, 2, 2]);
+  });
+
+  it('should key calls by arguments regardless of key order', () => {
+    const recorder = cassette('record');
+    expect(recorder.file('Db.find', [{ a: 1, b: 2 }])).toBe(recorder.file('Db.find', [{ b: 2, a: 1 }]));
+    expect(recorder.file('Db.find', [1])).not.toBe(recorder.file('Db.find', [2]));
+    expect(path.basename(recorder.file('Db.find', [1]))).toMatch(/^Db\.find\.[0-9a-f]{12}\.ndjson$/);
+  });
+
+  it('should append each call and skip one cut off mid-write', () => {
+    const recorder = cassette('record');
+    recorder.call('Db.next', [], () => 1);
+    recorder.call('Db.next', [], () => 2);
+    const file = recorder.file('Db.next', []);
+    expect(fs.readFileSync(file, 'utf-8').trim().split('\n')).toHaveLength(3);
+
+    fs.appendFileSync(file, '{"result":');
+    const player = cassette('replay');
+    expect([1, 2, 3].map(() => player.call('Db.next', []))).toEqual([1, 2, 2]);
+  });
+
+  it('should call other functions through', () => {
+    const player = cassette('replay');
+    expect(player.call('Orders.create', [1], () => 'real')).toBe('real');
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('should replace older recordings when recording again', () => {
+    cassette('record').call('Db.find', [1], () => 'old');
+    cassette('record').call('Db.find', [1], () => 'new');
+
+    const player = cassette('replay');
+    expect([player.call('Db.find', [1]), player.call('Db.find', [1])]).toEqual(['new', 'new']);
+  });
+
+  it('should name the recorded arguments when replay finds no recording', async () => {
+    const recorder = cassette('record');
+    recorder.call('Db.find', [7], () => 'seven');
+    recorder.call('Db.find', [8], () => 'eight');
+    await recorder.call('Db.load', ['a'], async () => 'a');
+
+    const player = cassette('replay');
+    let error;
+    try {
+      player.call('Db.find', [42], () => 'real');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(CassetteMismatchError);
+    expect(error.message).toBe(`No recording of Db.find(42) in ${dir}`);
+    expect(error.replay).toEqual({ fn: 'Db.find', args: '42', recorded: expect.arrayContaining(['7', '8']), more: 0, dir });
+
+    await expect(player.call('Db.load', ['b'])).rejects.toThrow('No recording of Db.load("b")');
+    expect(() => player.call('Db.save', [])).toThrow(CassetteMismatchError);
+  });
+});
+
+describe('createCassette', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('should read the mode and functions from env', () => {
+    process.env.TAIST_MODE = 'replay';
+    process.env.TAIST_CASSETTE_FUNCTIONS = 'Db.*, Http.get';
+    process.env.TAIST_CASSETTE_DIR = dir;
+
+    expect(loadCassetteConfig(dir)).toEqual({ mode: 'replay', functions: ['Db.*', 'Http.get'], dir });
+    const created = createCassette();
+    expect(created).toMatchObject({ mode: 'replay', dir });
+    expect(created.matches('Http.get')).toBe(true);
+    expect(created.matches('Http.post')).toBe(false);
+  });
+
+  it('should stay off without a mode or functions', () => {
+    delete process.env.TAIST_MODE;
+    expect(createCassette({ functions: ['Db.*'] })).toBeNull();
+    expect(createCassette({ mode: 'replay' })).toBeNull();
+    expect(createCassette({ mode: 'rewind', functions: ['Db.*'] })).toBeNull();
+  });
+});
+
+describe('replay misses in TOON', () => {
+  it('should show the call and the recorded calls', () => {
+    const formatter = new ToonFormatter();
+    const failure = {
+      test: 'orders > finds',
+      error: 'No recording of Db.find(42) in .taist/cassettes',
+      replay: { fn: 'Db.find', args: '42', recorded: ['7', '8'], more: 0, dir: '.taist/cassettes' }
+    };
+
+    expect(formatter.formatFailure(failure)).toEqual([
+      '✗ orders > finds',
+      '  replay miss: Db.find(42)',
+      '  recorded: Db.find(7), Db.find(8)'
+    ]);
+    expect(formatter.formatFailure({ ...failure, replay: { ...failure.replay, recorded: [] } })[2])
+      .toBe('  recorded: none in .taist/cassettes (record with TAIST_MODE=record)');
+  });
+});
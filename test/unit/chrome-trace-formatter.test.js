@@ -0,0 +1,83 @@
+/**
+ * Unit tests for the Chrome trace-event formatter
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChromeTraceFormatter } from '../../lib/chrome-trace-formatter.js';
+import { resultsWithTrace } from '../fixtures/results.js';
+
+const start = 1700000000000;
+
+// Two overlapping requests from worker 101, one request from worker 202
+const traces = [
+  { id: 'a', name: 'Api.get', type: 'entry', args: [1], timestamp: start, depth: 0, correlationId: 'req-1', workerId: 101 },
+  { id: 'b', name: 'Api.get', type: 'entry', args: [2], timestamp: start + 1, depth: 0, correlationId: 'req-2', workerId: 101 },
+  { id: 'c', name: 'Db.query', type: 'entry', args: [], timestamp: start + 2, depth: 1, parentId: 'a', correlationId: 'req-1', workerId: 101 },
+  { id: 'c', name: 'Db.query', type: 'error', error: { name: 'Error', message: 'timeout' }, duration: 3, timestamp: start + 5, depth: 1, parentId: 'a', correlationId: 'req-1', workerId: 101 },
+  { id: 'a', name: 'Api.get', type: 'exit', result: null, duration: 6.5, timestamp: start + 6.5, depth: 0, correlationId: 'req-1', workerId: 101 },
+  { id: 'b', name: 'Api.get', type: 'exit', result: { ok: true }, duration: 4, timestamp: start + 5, depth: 0, correlationId: 'req-2', workerId: 101 },
+  { id: 'd', name: 'Job.run', type: 'entry', timestamp: start + 3, depth: 0, traceId: 'd', workerId: 202 }
+];
+
+describe('ChromeTraceFormatter', () => {
+  const formatter = new ChromeTraceFormatter();
+  const events = formatter.toEvents(traces);
+  const calls = events.filter(e => e.ph !== 'M');
+  const metadata = events.filter(e => e.ph === 'M');
+
+  it('emits one complete event per call, ordered by start time', () => {
+    expect(calls.map(e => `${e.name}:${e.ph}`)).toEqual([
+      'Api.get:X', 'Api.get:X', 'Db.query:X', 'Job.run:B'
+    ]);
+  });
+
+  it('converts timing to microseconds', () => {
+    const [first] = calls;
+    expect(first.ts).toBe(start * 1000);
+    expect(first.dur).toBe(6500);
+  });
+
+  it('puts each correlationId on its own track within its worker', () => {
+    const [req1, req2, query, job] = calls;
+    expect(req1.pid).toBe(101);
+    expect(query.pid).toBe(101);
+    expect(query.tid).toBe(req1.tid);
+    expect(req2.tid).not.toBe(req1.tid);
+    expect(job.pid).toBe(202);
+
+    expect(metadata).toContainEqual({ name: 'process_name', ph: 'M', pid: 101, tid: 0, args: { name: 'worker 101' } });
+    expect(metadata).toContainEqual({ name: 'thread_name', ph: 'M', pid: 101, tid: req2.tid, args: { name: 'req-2' } });
+    expect(metadata).toContainEqual({ name: 'thread_name', ph: 'M', pid: 202, tid: job.tid, args: { name: 'd' } });
+  });
+
+  it('records arguments, results and errors', () => {
+    const [req1, req2, query] = calls;
+    expect(req1.args).toEqual({ depth: 0, args: [1], result: null });
+    expect(req2.args).toEqual({ depth: 0, args: [2], result: { ok: true } });
+    expect(query.cat).toBe('taist,error');
+    expect(query.args.error).toEqual({ name: 'Error', message: 'timeout' });
+  });
+
+  it('leaves calls that never finished open', () => {
+    const job = calls[3];
+    expect(job.dur).toBeUndefined();
+    expect(job.ts).toBe((start + 3) * 1000);
+  });
+
+  it('lays out records without timestamps back to back', () => {
+    const laidOut = formatter.toEvents(resultsWithTrace.trace).filter(e => e.ph === 'X');
+    expect(laidOut.map(e => [e.name, e.ts, e.dur])).toEqual([
+      ['add', 0, 1500],
+      ['multiply', 1500, 800],
+      ['divide', 2300, 2100]
+    ]);
+    expect(laidOut[0].pid).toBe(0);
+    expect(laidOut[2].cat).toBe('taist,error');
+  });
+
+  it('formats a trace file that chrome://tracing and Perfetto accept', () => {
+    const file = JSON.parse(formatter.format(traces));
+    expect(file.displayTimeUnit).toBe('ms');
+    expect(file.traceEvents).toEqual(events);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Unit tests for coverage summaries
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { summarizeCoverage, coverageHotspots, formatRanges } from '../../lib/coverage-summary.js';
+import { VitestRunner } from '../../lib/vitest-runner.js';
+
+const root = '/project';
+
+/** Istanbul file coverage with one statement per [line, count] */
+function fileCoverage(file, lines, { functions = [], branches = [] } = {}) {
+  const statementMap = {};
+  const s = {};
+  lines.forEach(([line, count], i) => {
+    statementMap[i] = { start: { line, column: 0 }, end: { line, column: 10 } };
+    s[i] = count;
+  });
+  return {
+    path: path.join(root, file),
+    statementMap,
+    s,
+    f: Object.fromEntries(functions.map((count, i) => [i, count])),
+    b: Object.fromEntries(branches.map((counts, i) => [i, counts]))
+  };
+}
+
+const coverageMap = {
+  [path.join(root, 'src/orders.js')]: fileCoverage('src/orders.js',
+    [[1, 1], [2, 0], [4, 0], [6, 3], [7, 0], [9, 0], [10, 0]],
+    { functions: [1, 0], branches: [[1, 0]] }),
+  [path.join(root, 'src/users.js')]: fileCoverage('src/users.js',
+    [[1, 2], [2, 2], [3, 0], [3, 5]],
+    { functions: [2] }),
+  [path.join(root, 'src/empty.js')]: fileCoverage('src/empty.js', [])
+};
+
+describe('summarizeCoverage', () => {
+  it('should count lines, statements, functions and branches per file', () => {
+    const coverage = summarizeCoverage(coverageMap, { root });
+
+    const orders = coverage.files.find(file => file.file === 'src/orders.js');
+    expect(orders).toMatchObject({
+      percent: 28.57,
+      covered: 2,
+      total: 7,
+      statements: { covered: 2, total: 7 },
+      functions: { percent: 50, covered: 1, total: 2 },
+      branches: { percent: 50, covered: 1, total: 2 },
+      changed: null
+    });
+
+    // A line's count is its best statement's
+    const users = coverage.files.find(file => file.file === 'src/users.js');
+    expect(users).toMatchObject({ percent: 100, covered: 3, total: 3, uncovered: [] });
+    expect(users.statements).toEqual({ percent: 75, covered: 3, total: 4 });
+  });
+
+  it('should add up the totals', () => {
+    const coverage = summarizeCoverage(coverageMap, { root });
+
+    expect(coverage).toMatchObject({ percent: 50, covered: 5, total: 10 });
+    expect(coverage.functions).toEqual({ percent: 66.67, covered: 2, total: 3 });
+    expect(coverage.files.map(file => file.file)).toEqual(['src/empty.js', 'src/orders.js', 'src/users.js']);
+    expect(coverage.files[0].percent).toBe(100);
+  });
+
+  it('should merge uncovered lines up to the next covered line', () => {
+    const coverage = summarizeCoverage(coverageMap, { root });
+
+    const orders = coverage.files.find(file => file.file === 'src/orders.js');
+    expect(orders.uncovered).toEqual([[2, 4], [7, 10]]);
+    expect(formatRanges(orders.uncovered)).toBe('2-4,7-10');
+  });
+
+  it('should mark changed files', () => {
+    const coverage = summarizeCoverage(coverageMap, { root, changed: ['/project/src/users.js'] });
+
+    expect(coverage.files.filter(file => file.changed).map(file => file.file)).toEqual(['src/users.js']);
+  });
+});
+
+describe('coverageHotspots', () => {
+  const map = {
+    ...coverageMap,
+    [path.join(root, 'src/cart.js')]: fileCoverage('src/cart.js', [[1, 1], [2, 1], [3, 0]])
+  };
+
+  it('should list the least-covered files with uncovered lines', () => {
+    const hotspots = coverageHotspots(summarizeCoverage(map, { root }));
+    expect(hotspots.map(file => file.file)).toEqual(['src/orders.js', 'src/cart.js']);
+    expect(coverageHotspots(summarizeCoverage(map, { root }), 1)).toHaveLength(1);
+  });
+
+  it('should only list changed files when any changed', () => {
+    const coverage = summarizeCoverage(map, { root, changed: ['/project/src/cart.js', '/project/src/users.js'] });
+    expect(coverageHotspots(coverage).map(file => file.file)).toEqual(['src/cart.js']);
+  });
+});
+
+describe('VitestRunner.extractCoverage', () => {
+  it('should summarize the JSON report in the reports directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-coverage-test-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'coverage-final.json'), JSON.stringify(coverageMap));
+      const runner = new VitestRunner({ coverage: true });
+
+      const coverage = runner.extractCoverage({ config: { root, coverage: { reportsDirectory: dir } } });
+      expect(coverage).toMatchObject({ percent: 50, covered: 5, total: 10 });
+      expect(coverage.files).toHaveLength(3);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should return null without a report', () => {
+    const runner = new VitestRunner({ coverage: true });
+    expect(runner.extractCoverage({ config: { root, coverage: { reportsDirectory: '/nonexistent' } } })).toBeNull();
+  });
+
+  it('should read the JSON report whatever reporters were configured', () => {
+    const runner = new VitestRunner({ coverage: { provider: 'istanbul', reporter: ['html'] } });
+    runner.coverageDir = '/tmp/taist-coverage-x';
+
+    expect(runner.buildVitestConfig({}).coverage).toMatchObject({
+      enabled: true,
+      provider: 'istanbul',
+      reporter: ['json'],
+      reportsDirectory: '/tmp/taist-coverage-x'
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for `--impacted` test selection
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ImpactMap, collectTestCalls } from '../../lib/impact-map.js';
+import { ImportGraph } from '../../lib/import-graph.js';
+import { VitestRunner } from '../../lib/vitest-runner.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+
+const entry = (testId, name, file) => ({ testId, type: 'entry', name, file });
+
+describe('ImpactMap', () => {
+  const tests = [
+    { id: 't1', file: '/app/test/orders.test.js', name: 'Orders > creates' },
+    { id: 't2', file: '/app/test/orders.test.js', name: 'Orders > lists' },
+    { id: 't3', file: '/app/test/users.test.js', name: 'Users > renames' }
+  ];
+  const traces = [
+    entry('t1', 'Orders.create', '/app/src/orders.js'),
+    entry('t1', 'Db.insert', '/app/src/db.js'),
+    { ...entry('t1', 'Db.insert', '/app/src/db.js'), type: 'exit' },
+    entry('t2', 'Orders.list', '/app/src/orders.js'),
+    entry('t3', 'Users.rename', '/app/src/users.js'),
+    entry('t3', 'Db.update', '/app/src/db.js'),
+    entry(undefined, 'Orders.create', '/app/src/orders.js')
+  ];
+
+  it('should pick the tests that called into changed files', () => {
+    const map = new ImpactMap();
+    expect(map.update(tests, traces)).toBe(true);
+
+    expect(map.testsForFiles(['/app/src/orders.js']).tests.map(test => test.name))
+      .toEqual(['Orders > creates', 'Orders > lists']);
+    expect(map.testsForFiles(['/app/src/db.js']).tests.map(test => test.name))
+      .toEqual(['Orders > creates', 'Users > renames']);
+    expect(map.testsForFiles(['/app/src/users.js', '/app/src/cart.js']))
+      .toEqual({ tests: [{ file: '/app/test/users.test.js', name: 'Users > renames' }], unknown: ['/app/src/cart.js'] });
+  });
+
+  it('should not change without traces attributed to tests', () => {
+    const map = new ImpactMap();
+    expect(map.update(tests, [entry(undefined, 'Orders.create', '/app/src/orders.js')])).toBe(false);
+    expect(map.isEmpty()).toBe(true);
+  });
+
+  it('should replace the entries of the tests that ran and keep the others', () => {
+    const map = new ImpactMap();
+    map.update(tests, traces);
+    map.update([tests[0]], [entry('t9', 'Other.fn', '/app/src/other.js'), entry('t1', 'Cart.add', '/app/src/cart.js')]);
+
+    expect(map.testsForFiles(['/app/src/orders.js']).tests.map(test => test.name)).toEqual(['Orders > lists']);
+    expect(map.testsForFiles(['/app/src/cart.js']).tests.map(test => test.name)).toEqual(['Orders > creates']);
+    expect(map.testsForFiles(['/app/src/users.js']).tests).toHaveLength(1);
+  });
+
+  it('should index tests by function and by file', () => {
+    const map = new ImpactMap();
+    map.update(tests, traces);
+
+    expect(map.toJSON()).toEqual({
+      version: 1,
+      tests: [
+        { file: '/app/test/orders.test.js', name: 'Orders > creates' },
+        { file: '/app/test/orders.test.js', name: 'Orders > lists' },
+        { file: '/app/test/users.test.js', name: 'Users > renames' }
+      ],
+      functions: { 'Db.insert': [0], 'Db.update': [2], 'Orders.create': [0], 'Orders.list': [1], 'Users.rename': [2] },
+      files: { '/app/src/db.js': [0, 2], '/app/src/orders.js': [0, 1], '/app/src/users.js': [2] }
+    });
+  });
+
+  it('should keep each test\'s distinct calls as a collector receives them', () => {
+    const collector = new EventEmitter();
+    const calls = collectTestCalls(collector);
+    for (const trace of traces) collector.emit('trace', trace);
+
+    expect([...calls.values()]).toHaveLength(5);
+    expect([...calls.values()][1]).toEqual(entry('t1', 'Db.insert', '/app/src/db.js'));
+  });
+});
+
+describe('VitestRunner.selectImpactedTests', () => {
+  let dir;
+  let mapFile;
+  let graphFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-impact-'));
+    mapFile = path.join(dir, 'impact-map.json');
+    graphFile = path.join(dir, 'graph.json');
+    for (const file of ['test/a.test.js', 'test/b.test.js', 'test/new.test.js', 'src/a.js', 'src/b.js', 'src/c.js']) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '');
+    }
+
+    const map = new ImpactMap();
+    map.update([
+      { id: 'a1', file: file('test/a.test.js'), name: 'a > one' },
+      { id: 'a2', file: file('test/a.test.js'), name: 'a > two' },
+      { id: 'b1', file: file('test/b.test.js'), name: 'b > one' }
+    ], [
+      entry('a1', 'A.run', file('src/a.js')),
+      entry('a2', 'B.run', file('src/b.js')),
+      entry('b1', 'B.run', file('src/b.js'))
+    ]);
+    map.save(mapFile);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const file = (name) => path.join(dir, name);
+  const runner = () => new VitestRunner({ impactMap: mapFile, importGraph: graphFile });
+
+  it('should pick the impacted tests by name', () => {
+    const impacted = runner().selectImpactedTests([file('src/a.js')], { tests: ['**/*.test.js'] });
+
+    expect(impacted.tests).toEqual([file('test/a.test.js')]);
+    expect(impacted.names).toEqual(['a > one']);
+  });
+
+  it('should run whole files when a changed file was never called into', () => {
+    const graph = new ImportGraph();
+    graph.addTest(file('test/b.test.js'));
+    graph.setImports(file('test/b.test.js'), [file('src/c.js')]);
+    graph.save(graphFile);
+
+    const impacted = runner().selectImpactedTests([file('src/a.js'), file('src/c.js'), file('test/new.test.js')], { tests: ['**/*.test.js'] });
+
+    expect(impacted.tests).toEqual([file('test/a.test.js'), file('test/b.test.js'), file('test/new.test.js')]);
+    expect(impacted.names).toBeNull();
+  });
+
+  it('should run everything without an impact map', () => {
+    fs.rmSync(mapFile);
+    const impacted = runner().selectImpactedTests([file('src/a.js')]);
+
+    expect(impacted.tests).toBeNull();
+    expect(runner().describeAffected(impacted)).toEqual({ changed: [file('src/a.js')], tests: null, impacted: null });
+  });
+
+  it('should drop tests whose file was deleted', () => {
+    fs.rmSync(file('test/b.test.js'));
+    expect(ImpactMap.load(mapFile).testsForFiles([file('src/b.js')]).tests.map(test => test.name)).toEqual(['a > two']);
+  });
+
+  it('should keep the impacted files out of the Vitest config', () => {
+    const config = new VitestRunner().buildVitestConfig({ tests: ['test/a.test.js'], impacted: [file('src/a.js')] });
+    expect(config).not.toHaveProperty('impacted');
+    expect(config.setupFiles).toEqual([expect.stringMatching(/lib[\\/]vitest-setup\.js$/)]);
+  });
+
+  it('should add the setup file to traced runs only', () => {
+    const traced = new VitestRunner({ trace: { enabled: true } });
+    expect(traced.buildVitestConfig({ setupFiles: 'test/setup.js' }).setupFiles)
+      .toEqual(['test/setup.js', expect.stringMatching(/vitest-setup\.js$/)]);
+    expect(traced.buildVitestConfig({ setupFiles: ['taist/vitest-setup'] }).setupFiles).toEqual(['taist/vitest-setup']);
+    expect(new VitestRunner().buildVitestConfig({})).not.toHaveProperty('setupFiles');
+  });
+});
+
+describe('--impacted output', () => {
+  it('should show the selection in the TOON header', () => {
+    const formatter = new ToonFormatter();
+    const stats = { passed: 2, total: 5 };
+
+    expect(formatter.formatHeader({ stats, affected: { changed: ['src/a.js'], tests: ['test/a.test.js'], impacted: ['a > one', 'a > two'] } }))
+      .toBe('===TESTS: 2/5 | changed files: 1 | impacted tests: 2===');
+    expect(formatter.formatHeader({ stats, affected: { changed: ['src/a.js'], tests: ['test/a.test.js'], impacted: null } }))
+      .toBe('===TESTS: 2/5 | changed files: 1 | affected test files: 1===');
+    expect(formatter.formatHeader({ stats, affected: { changed: ['src/a.js'], tests: null, impacted: null } }))
+      .toBe('===TESTS: 2/5 | changed files: 1 | impacted tests: all (no impact map yet)===');
+  });
+});
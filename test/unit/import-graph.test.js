@@ -0,0 +1,142 @@
+/**
+ * Unit tests for `--changed` test selection
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ImportGraph } from '../../lib/import-graph.js';
+import { VitestRunner } from '../../lib/vitest-runner.js';
+import { WatchHandler } from '../../lib/watch-handler.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+
+/** Fake Vite module graph: { file: [imported files] } */
+function moduleGraph(imports) {
+  const modules = new Map();
+  const mod = (file) => {
+    if (!modules.has(file)) modules.set(file, { file, importedModules: new Set() });
+    return modules.get(file);
+  };
+  for (const [file, imported] of Object.entries(imports)) {
+    for (const dep of imported) mod(file).importedModules.add(mod(dep));
+  }
+  return { idToModuleMap: modules };
+}
+
+describe('ImportGraph', () => {
+  const graph = new ImportGraph();
+  graph.addTest('/app/test/orders.test.js');
+  graph.addTest('/app/test/users.test.js');
+  graph.addModuleGraph(moduleGraph({
+    '/app/test/orders.test.js': ['/app/src/orders.js', '/app/node_modules/lodash/index.js'],
+    '/app/test/users.test.js': ['/app/src/users.js'],
+    '/app/src/orders.js': ['/app/src/db.js', '/app/src/users.js'],
+    '/app/src/users.js': ['/app/src/db.js']
+  }));
+
+  it('should select tests that transitively import a changed file', () => {
+    expect(graph.affectedTests(['/app/src/db.js'])).toEqual(['/app/test/orders.test.js', '/app/test/users.test.js']);
+    expect(graph.affectedTests(['/app/src/orders.js'])).toEqual(['/app/test/orders.test.js']);
+    expect(graph.affectedTests(['/app/test/users.test.js'])).toEqual(['/app/test/users.test.js']);
+    expect(graph.affectedTests(['/app/README.md'])).toEqual([]);
+  });
+
+  it('should skip modules outside the project', () => {
+    expect(graph.toJSON().imports['/app/test/orders.test.js']).toEqual(['/app/src/orders.js']);
+  });
+
+  it('should replace a module\'s imports when it is loaded again', () => {
+    const copy = new ImportGraph();
+    copy.addTest('/app/test/orders.test.js');
+    copy.addModuleGraph(moduleGraph({ '/app/test/orders.test.js': ['/app/src/orders.js'] }));
+    copy.addModuleGraph(moduleGraph({ '/app/test/orders.test.js': ['/app/src/cart.js'] }));
+
+    expect(copy.affectedTests(['/app/src/orders.js'])).toEqual([]);
+    expect(copy.affectedTests(['/app/src/cart.js'])).toEqual(['/app/test/orders.test.js']);
+  });
+});
+
+describe('VitestRunner.selectAffectedTests', () => {
+  let dir;
+  let graphFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-graph-'));
+    graphFile = path.join(dir, 'graph.json');
+    for (const file of ['test/a.test.js', 'test/b.test.js', 'test/new.test.js', 'src/a.js', 'src/b.js']) {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), '');
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const file = (name) => path.join(dir, name);
+
+  it('should run everything without an import graph', () => {
+    const runner = new VitestRunner({ importGraph: graphFile });
+    const affected = runner.selectAffectedTests([file('src/a.js')]);
+
+    expect(affected.tests).toBeNull();
+    expect(runner.describeAffected(affected).tests).toBeNull();
+  });
+
+  it('should pick importing tests and changed test files from a saved graph', () => {
+    const graph = new ImportGraph();
+    graph.addTest(file('test/a.test.js'));
+    graph.addTest(file('test/b.test.js'));
+    graph.addModuleGraph(moduleGraph({
+      [file('test/a.test.js')]: [file('src/a.js')],
+      [file('test/b.test.js')]: [file('src/b.js')]
+    }));
+    graph.save(graphFile);
+
+    const runner = new VitestRunner({ importGraph: graphFile });
+    const affected = runner.selectAffectedTests([file('src/a.js'), file('test/new.test.js')], { tests: ['**/*.test.js'] });
+
+    expect(affected.tests).toEqual([file('test/a.test.js'), file('test/new.test.js')]);
+  });
+
+  it('should drop deleted tests from a saved graph', () => {
+    const graph = new ImportGraph();
+    graph.addTest(file('test/a.test.js'));
+    graph.addTest(file('test/gone.test.js'));
+    graph.save(graphFile);
+
+    expect([...ImportGraph.load(graphFile).tests]).toEqual([file('test/a.test.js')]);
+  });
+
+  it('should keep the changed files out of the Vitest config', () => {
+    const config = new VitestRunner().buildVitestConfig({ tests: ['test/a.test.js'], changed: [file('src/a.js')] });
+    expect(config).not.toHaveProperty('changed');
+    expect(config.include).toEqual(['test/a.test.js']);
+  });
+});
+
+describe('--changed output', () => {
+  it('should show the selection in the TOON header', () => {
+    const formatter = new ToonFormatter();
+    const stats = { passed: 2, total: 2 };
+
+    expect(formatter.formatHeader({ stats, affected: { changed: ['src/a.js', 'src/b.js'], tests: ['test/a.test.js'] } }))
+      .toBe('===TESTS: 2/2 | changed files: 2 | affected test files: 1===');
+    expect(formatter.formatHeader({ stats, affected: { changed: ['src/a.js'], tests: null } }))
+      .toBe('===TESTS: 2/2 | changed files: 1 | affected test files: all (no import graph yet)===');
+  });
+
+  it('should hand each watch batch to the run', async () => {
+    const handler = new WatchHandler();
+    const batches = [];
+    handler.onRun = async (changes) => {
+      batches.push(changes);
+      return { stats: { passed: 1, total: 1 } };
+    };
+
+    await handler.runTests([]);
+    await handler.runTests(['src/a.js', 'src/b.js']);
+    expect(batches).toEqual([[], ['src/a.js', 'src/b.js']]);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for the OTLP/JSON exporter
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { OtlpExporter, resolveOtlpEndpoint, DEFAULT_OTLP_ENDPOINT } from '../../lib/otlp-exporter.js';
+
+const start = 1700000000000;
+
+// One request: handler -> repo.find (ok) and handler -> repo.save (error)
+const traces = [
+  { id: 'h', name: 'Api.handler', type: 'entry', args: [{ id: 1 }], timestamp: start, depth: 0, parentId: null, traceId: 'h', correlationId: 'req-1' },
+  { id: 'f', name: 'Repo.find', type: 'entry', args: [1], timestamp: start + 1, depth: 1, parentId: 'h', traceId: 'h', correlationId: 'req-1' },
+  { id: 'f', name: 'Repo.find', type: 'exit', result: { id: 1 }, duration: 2.5, timestamp: start + 3.5, depth: 1, parentId: 'h', traceId: 'h', correlationId: 'req-1' },
+  { id: 's', name: 'Repo.save', type: 'entry', args: [], timestamp: start + 4, depth: 1, parentId: 'h', traceId: 'h', correlationId: 'req-1' },
+  { id: 's', name: 'Repo.save', type: 'error', error: { name: 'TypeError', message: 'boom' }, duration: 1, timestamp: start + 5, depth: 1, parentId: 'h', traceId: 'h', correlationId: 'req-1' },
+  { id: 'h', name: 'Api.handler', type: 'exit', result: 'ok', duration: 10, timestamp: start + 10, depth: 0, parentId: null, traceId: 'h', correlationId: 'req-1' }
+];
+
+const attr = (span, key) => span.attributes.find(a => a.key === key)?.value;
+
+describe('OtlpExporter', () => {
+  describe('toSpans', () => {
+    const spans = new OtlpExporter().toSpans(traces);
+    const [handler, find, save] = spans;
+
+    it('creates one span per call, ordered by start time', () => {
+      expect(spans.map(s => s.name)).toEqual(['Api.handler', 'Repo.find', 'Repo.save']);
+    });
+
+    it('uses hex OTLP ids and keeps parent links', () => {
+      expect(handler.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(handler.spanId).toMatch(/^[0-9a-f]{16}$/);
+      expect(handler.parentSpanId).toBeUndefined();
+      expect(find.parentSpanId).toBe(handler.spanId);
+      expect(save.parentSpanId).toBe(handler.spanId);
+      expect(new Set(spans.map(s => s.traceId)).size).toBe(1);
+    });
+
+    it('derives timing from the entry timestamp and duration', () => {
+      expect(handler.startTimeUnixNano).toBe('1700000000000000000');
+      expect(handler.endTimeUnixNano).toBe('1700000000010000000');
+      expect(find.startTimeUnixNano).toBe('1700000000001000000');
+      expect(find.endTimeUnixNano).toBe('1700000000003500000');
+    });
+
+    it('records args, result, depth and correlation id as attributes', () => {
+      expect(attr(find, 'code.function')).toEqual({ stringValue: 'Repo.find' });
+      expect(attr(find, 'taist.depth')).toEqual({ intValue: '1' });
+      expect(attr(find, 'taist.correlation_id')).toEqual({ stringValue: 'req-1' });
+      expect(attr(find, 'taist.args')).toEqual({ stringValue: '[1]' });
+      expect(attr(find, 'taist.result')).toEqual({ stringValue: '{"id":1}' });
+    });
+
+    it('marks errors with status and an exception event', () => {
+      expect(find.status).toEqual({ code: 0 });
+      expect(save.status).toEqual({ code: 2, message: 'boom' });
+      expect(save.events).toEqual([{
+        name: 'exception',
+        timeUnixNano: save.endTimeUnixNano,
+        attributes: [
+          { key: 'exception.type', value: { stringValue: 'TypeError' } },
+          { key: 'exception.message', value: { stringValue: 'boom' } }
+        ]
+      }]);
+    });
+
+    it('produces the same ids for the same run', () => {
+      expect(new OtlpExporter().toSpans(traces)).toEqual(spans);
+    });
+
+    it('handles calls with only an entry or only an exit record', () => {
+      const [pending, finished] = new OtlpExporter().toSpans([
+        { id: 'p', name: 'pending', type: 'entry', timestamp: start, depth: 0 },
+        { id: 'x', name: 'finished', type: 'exit', duration: 5, timestamp: start + 10, depth: 0 }
+      ]);
+      expect(attr(pending, 'taist.incomplete')).toEqual({ boolValue: true });
+      expect(pending.endTimeUnixNano).toBe(pending.startTimeUnixNano);
+      expect(finished.startTimeUnixNano).toBe('1700000000005000000');
+      expect(finished.endTimeUnixNano).toBe('1700000000010000000');
+    });
+  });
+
+  describe('toOtlp', () => {
+    it('wraps spans in an ExportTraceServiceRequest with resource attributes', () => {
+      const request = new OtlpExporter({ serviceName: 'orders', resourceAttributes: { env: 'dev' } }).toOtlp(traces);
+      const [resourceSpans] = request.resourceSpans;
+      expect(resourceSpans.resource.attributes).toEqual([
+        { key: 'service.name', value: { stringValue: 'orders' } },
+        { key: 'env', value: { stringValue: 'dev' } }
+      ]);
+      expect(resourceSpans.scopeSpans[0].scope).toEqual({ name: 'taist' });
+      expect(resourceSpans.scopeSpans[0].spans).toHaveLength(3);
+    });
+  });
+
+  describe('resolveOtlpEndpoint', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+      delete process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+      delete process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+      Object.assign(process.env, saved);
+    });
+
+    it('prefers the explicit endpoint, then the OpenTelemetry env vars', () => {
+      delete process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+      delete process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+      expect(resolveOtlpEndpoint()).toBe(DEFAULT_OTLP_ENDPOINT);
+
+      process.env.OTEL_EXPORTER_OTLP_ENDPOINT = 'http://tempo:4318/';
+      expect(resolveOtlpEndpoint()).toBe('http://tempo:4318/v1/traces');
+
+      process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT = 'http://jaeger:4318/v1/traces';
+      expect(resolveOtlpEndpoint()).toBe('http://jaeger:4318/v1/traces');
+
+      expect(resolveOtlpEndpoint('http://custom/v1/traces')).toBe('http://custom/v1/traces');
+    });
+  });
+});
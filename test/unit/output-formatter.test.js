@@ -129,6 +129,16 @@ describe('OutputFormatter', () => {
       expect(output).toContain('cov:85%');
     });
 
+    it('should include the flaky count', () => {
+      const formatter = new OutputFormatter({ format: 'compact' });
+      const output = formatter.format({
+        ...passingResults,
+        stats: { ...passingResults.stats, flaky: 2 }
+      });
+
+      expect(output).toContain('2 flaky');
+    });
+
     it('should include first error message for failures', () => {
       const formatter = new OutputFormatter({ format: 'compact' });
       const output = formatter.format(failingResults);
@@ -138,6 +148,29 @@ describe('OutputFormatter', () => {
     });
   });
 
+  describe('format - Chrome trace', () => {
+    it('should format traces as trace events', () => {
+      const formatter = new OutputFormatter({ format: 'chrome-trace' });
+      const output = formatter.format({
+        stats: { total: 0, passed: 0, failed: 0 },
+        trace: [
+          { id: 'a', name: 'Svc.run', type: 'entry', timestamp: 1, depth: 0 },
+          { id: 'a', name: 'Svc.run', type: 'exit', duration: 2, timestamp: 3, depth: 0 }
+        ]
+      });
+
+      const { traceEvents } = JSON.parse(output);
+      expect(traceEvents.filter(e => e.ph === 'X')).toEqual([
+        expect.objectContaining({ name: 'Svc.run', ts: 1000, dur: 2000 })
+      ]);
+    });
+
+    it('should produce an empty timeline without traces', () => {
+      const formatter = new OutputFormatter({ format: 'chrome-trace' });
+      expect(JSON.parse(formatter.format(passingResults)).traceEvents).toEqual([]);
+    });
+  });
+
   describe('format - Invalid', () => {
     it('should throw error for invalid format', () => {
       const formatter = new OutputFormatter({ format: 'invalid' });
@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the Rollup/Vite plugin
+ */
+
+import { describe, it, expect } from 'vitest';
+import path from 'node:path';
+import { SourceMap } from 'node:module';
+import { taistPlugin } from '../../lib/rollup-plugin.js';
+
+// Minimal plugin context - only warn() is used by the plugin
+const createContext = () => {
+  const warnings = [];
+  return { warnings, warn: (msg) => warnings.push(msg) };
+};
+
+const createPlugin = async (options = {}) => {
+  const plugin = taistPlugin({ include: ['src/**/*.js'], ...options });
+  await plugin.buildStart();
+  return plugin;
+};
+
+describe('taistPlugin', () => {
+  const id = path.join(process.cwd(), 'src/math.js');
+  const code = `export function add(a, b) {\n  return a + b;\n}\n`;
+
+  it('returns instrumented code with a source map', async () => {
+    const plugin = await createPlugin();
+    const result = plugin.transform.call(createContext(), code, id);
+
+    expect(result.code).toContain('__taist_wrap(__taist_orig_add');
+    expect(result.map).not.toBeNull();
+    expect(result.map.sources).toEqual([id]);
+
+    const lines = result.code.split('\n');
+    const line = lines.findIndex(l => l.includes('return a + b'));
+    const entry = new SourceMap(JSON.parse(JSON.stringify(result.map)))
+      .findEntry(line, lines[line].indexOf('return'));
+    expect(entry.originalLine).toBe(1);
+    expect(entry.originalColumn).toBe(2);
+  });
+
+  it('skips files without instrumentable exports', async () => {
+    const plugin = await createPlugin();
+    expect(plugin.transform.call(createContext(), 'export const answer = 42;\n', id)).toBeNull();
+  });
+
+  it('skips files outside the include patterns', async () => {
+    const plugin = await createPlugin();
+    const other = path.join(process.cwd(), 'other/math.js');
+    expect(plugin.transform.call(createContext(), code, other)).toBeNull();
+  });
+
+  it('instruments TypeScript sources', async () => {
+    const plugin = await createPlugin({ include: ['src/**/*.ts', 'src/**/*.mts'] });
+    const source = 'export interface Opts { a: number }\nexport function add(a: number, b: number): number {\n  return a + b;\n}\n';
+
+    for (const file of ['src/math.ts', 'src/math.mts']) {
+      const result = plugin.transform.call(createContext(), source, path.join(process.cwd(), file));
+      expect(result.code).toContain('function __taist_orig_add(a: number, b: number): number {');
+      expect(result.code).toContain('export interface Opts { a: number }');
+    }
+  });
+
+  it('warns and skips files that fail to parse', async () => {
+    const plugin = await createPlugin();
+    const context = createContext();
+    expect(plugin.transform.call(context, 'export function (', id)).toBeNull();
+    expect(context.warnings).toHaveLength(1);
+  });
+});
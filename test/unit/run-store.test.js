@@ -0,0 +1,242 @@
+/**
+ * Unit tests for the run history store
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { RunStore, summarizeResults, analyzeTrend } from '../../lib/run-store.js';
+import { WatchHandler } from '../../lib/watch-handler.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+import { loadRunTraces } from '../../lib/trace-diff.js';
+
+function results(failing = [], passed = 2) {
+  return {
+    stats: { total: passed + failing.length, passed, failed: failing.length, skipped: 0 },
+    failures: failing.map(test => ({ test, error: `${test} broke` })),
+    duration: 12,
+    trace: [{ id: 'a', name: 'add', type: 'exit', result: 3, duration: 1 }]
+  };
+}
+
+describe('RunStore', () => {
+  let dir;
+
+  const createStore = (options = {}) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-runs-'));
+    return new RunStore({ dir, ...options });
+  };
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('saves runs and lists them oldest first', () => {
+    const store = createStore();
+    const first = store.save(results(), { command: 'test', exitCode: 0 });
+    const second = store.save(results(['adds']), { command: 'trace', exitCode: 1 });
+
+    expect(first.id).toMatch(/^\d{8}-\d{6}-[0-9a-f]{4}$/);
+    expect(store.list().map(run => run.id)).toEqual([first.id, second.id]);
+    expect(store.list({ command: 'trace' })).toEqual([second]);
+    expect(store.list({ limit: 1 })).toEqual([second]);
+    expect(second).toMatchObject({ command: 'trace', exitCode: 1, duration: 12 });
+    expect(second.summary).toMatchObject({ pass: 2, fail: 1, total: 3, failed_tests: ['adds'] });
+  });
+
+  it('saves run files that taist diff can read', () => {
+    const store = createStore();
+    const entry = store.save(results());
+
+    const file = path.join(store.dir, `${entry.id}.json`);
+    expect(loadRunTraces(file)).toEqual(results().trace);
+    expect(store.get(entry.id).stats.passed).toBe(2);
+  });
+
+  it('resolves unique id prefixes and latest', () => {
+    const store = createStore();
+    const first = store.save(results());
+    const second = store.save(results(['adds']));
+
+    expect(store.get('latest').id).toBe(second.id);
+    // Shortest prefix of the first id that the second doesn't share (both may be saved in the same second)
+    expect(second.id).not.toBe(first.id);
+    let length = 1;
+    while (length < first.id.length && second.id.startsWith(first.id.slice(0, length))) length++;
+    expect(store.resolve(first.id.slice(0, length)).id).toBe(first.id);
+    expect(store.resolve(first.id)).toEqual(first);
+    expect(() => store.resolve('nope')).toThrow('No run matching "nope"');
+  });
+
+  it('rejects ambiguous prefixes', () => {
+    const store = createStore();
+    store.save(results());
+    store.save(results());
+
+    expect(() => store.resolve('2')).toThrow('matches 2 runs');
+  });
+
+  it('reports when nothing has been recorded', () => {
+    const store = createStore();
+
+    expect(store.list()).toEqual([]);
+    expect(() => store.get('latest')).toThrow('No runs recorded');
+  });
+
+  it('compares against the previous run of the same command, across instances', () => {
+    const store = createStore();
+    store.save(results(['adds', 'subtracts']), { command: 'test' });
+    store.save(results(), { command: 'watch' });
+
+    const entry = new RunStore({ dir }).save(results(['subtracts', 'divides']), { command: 'test' });
+
+    expect(entry.summary.new_failures).toEqual(['divides']);
+    expect(entry.summary.fixed).toEqual(['adds']);
+  });
+
+  it('prunes by count and by age', () => {
+    const store = createStore();
+    const ids = [1, 2, 3].map(() => store.save(results()).id);
+
+    expect(store.prune({ keep: 2 })).toEqual([ids[0]]);
+    expect(fs.existsSync(path.join(store.dir, `${ids[0]}.json`))).toBe(false);
+    expect(store.prune({ olderThan: 60_000 })).toEqual([]);
+
+    const index = JSON.parse(fs.readFileSync(path.join(store.dir, 'index.json'), 'utf-8'));
+    index.runs[0].timestamp = new Date(Date.now() - 120_000).toISOString();
+    fs.writeFileSync(path.join(store.dir, 'index.json'), JSON.stringify(index));
+
+    expect(store.prune({ olderThan: 60_000 })).toEqual([ids[1]]);
+    expect(store.list().map(run => run.id)).toEqual([ids[2]]);
+  });
+
+  it('keeps at most maxRuns runs', () => {
+    const store = createStore({ maxRuns: 2 });
+    [1, 2, 3].forEach(() => store.save(results()));
+
+    expect(store.list()).toHaveLength(2);
+    expect(fs.readdirSync(store.dir)).toHaveLength(3);
+  });
+
+  it('lists tests that were flaky across runs', () => {
+    const store = createStore();
+    const flaky = test => ({ ...results(), flaky: [{ test, retries: 1, maxRetries: 2 }] });
+    store.save(flaky('logs in'));
+    store.save(results(['logs in']));
+    store.save(flaky('logs in'));
+    store.save(flaky('uploads'));
+
+    expect(store.list()[0].summary.flaky).toEqual(['logs in']);
+    expect(store.flakyTests()).toMatchObject([
+      { test: 'logs in', flaky: 2, failed: 1, runs: 4 },
+      { test: 'uploads', flaky: 1, failed: 0, runs: 4 }
+    ]);
+    expect(store.flakyTests({ limit: 1 }).map(t => t.test)).toEqual(['uploads']);
+  });
+
+  it('reports the trend across sessions', () => {
+    const store = createStore();
+    store.save(results(['a', 'b']));
+    new RunStore({ dir }).save(results(['a']));
+
+    expect(new RunStore({ dir }).getSummary()).toMatchObject({ runs: 2, trend: 'improving' });
+  });
+});
+
+describe('summarizeResults', () => {
+  it('only reports new and fixed failures when there is a previous run', () => {
+    expect(summarizeResults(results(['a']), null)).toMatchObject({
+      new_failures: [],
+      fixed: [],
+      key_errors: ['a broke']
+    });
+    expect(summarizeResults(results(['a']), ['b'])).toMatchObject({
+      new_failures: ['a'],
+      fixed: ['b']
+    });
+  });
+});
+
+describe('analyzeTrend', () => {
+  const entry = fail => ({ summary: { fail } });
+
+  it('compares the first and last failure counts', () => {
+    expect(analyzeTrend([entry(1)])).toBe('stable');
+    expect(analyzeTrend([entry(3), entry(5), entry(1)])).toBe('improving');
+    expect(analyzeTrend([entry(0), entry(2)])).toBe('degrading');
+    expect(analyzeTrend([entry(2), entry(0), entry(2)])).toBe('stable');
+  });
+});
+
+describe('WatchHandler with a run store', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('continues history from earlier sessions and saves each iteration', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-runs-'));
+    const store = new RunStore({ dir });
+    store.save(results(['a', 'b']), { command: 'watch', iteration: 1 });
+    store.save(results(), { command: 'test' });
+
+    const handler = new WatchHandler({ store });
+    expect(handler.getHistory()).toHaveLength(1);
+
+    handler.onRun = async () => results(['a']);
+    handler.lastResults = store.get('latest');
+    await handler.runTests(['src/math.js']);
+
+    const watchRuns = store.list({ command: 'watch' });
+    expect(watchRuns).toHaveLength(2);
+    expect(watchRuns[1]).toMatchObject({ iteration: 1, changes: ['src/math.js'] });
+    expect(handler.getHistory()[1].id).toBe(watchRuns[1].id);
+    expect(handler.getSummary().trend).toBe('improving');
+  });
+  it('starts without history when the index is corrupt', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-runs-'));
+    fs.writeFileSync(path.join(dir, 'index.json'), '{not json');
+
+    expect(new WatchHandler({ store: new RunStore({ dir }) }).getHistory()).toEqual([]);
+  });
+});
+
+describe('ToonFormatter.formatRunHistory', () => {
+  it('prints one line per run with the trend', () => {
+    const output = new ToonFormatter().formatRunHistory([
+      {
+        id: '20261019-083712-a1b2', command: 'test', timestamp: '2026-10-19T08:37:12.345Z', duration: 812.4,
+        summary: { pass: 3, fail: 1, total: 4, new_failures: ['x'], fixed: [] }
+      },
+      {
+        id: '20261019-084001-c3d4', command: 'watch', timestamp: '2026-10-19T08:40:01.000Z', duration: 300,
+        summary: { pass: 4, fail: 0, total: 4, new_failures: [], fixed: ['x'] }
+      }
+    ]);
+
+    expect(output.split('\n')).toEqual([
+      '===HISTORY: 2 runs | trend: improving===',
+      '20261019-083712-a1b2 test 2026-10-19 08:37:12 3/4 fail:1 812ms new:1',
+      '20261019-084001-c3d4 watch 2026-10-19 08:40:01 4/4 300ms fixed:1'
+    ]);
+  });
+});
+
+describe('ToonFormatter.formatFlakyTests', () => {
+  it('prints one line per flaky test', () => {
+    const output = new ToonFormatter().formatFlakyTests([
+      { test: 'Auth > logs in', flaky: 2, failed: 1, runs: 4, lastSeen: '2026-10-19T08:37:12.345Z' },
+      { test: 'uploads', flaky: 1, failed: 0, runs: 4, lastSeen: '2026-10-19T08:40:01.000Z' }
+    ], 4);
+
+    expect(output.split('\n')).toEqual([
+      '===FLAKY: 2 tests in 4 runs===',
+      '~ Auth > logs in flaky:2 fail:1 last:2026-10-19 08:37',
+      '~ uploads flaky:1 last:2026-10-19 08:40'
+    ]);
+  });
+});
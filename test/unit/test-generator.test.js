@@ -0,0 +1,200 @@
+/**
+ * Unit tests for regression-test generation from recorded calls
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parse } from 'acorn';
+import { generateTests, toSource } from '../../lib/test-generator.js';
+import { TAG, encodeValue, decodeValue } from '../../lib/trace-serializer.js';
+
+let dir;
+let sourceFile;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-gen-'));
+  sourceFile = path.join(dir, 'src', 'orders.js');
+  fs.mkdirSync(path.dirname(sourceFile));
+  fs.writeFileSync(sourceFile, `
+    export class OrderService { async create(order) {} }
+    export function total(items) {}
+    export default function main() {}
+  `);
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Entry and exit (or error) records of one call */
+function call(id, name, args, outcome, extra = {}) {
+  const { parentId, file } = extra;
+  return [
+    { id, name, type: 'entry', args: encodeValue(args), timestamp: Number(id.replace(/\D/g, '')) || 0, parentId, file },
+    'error' in outcome
+      ? { id, name, type: 'error', error: { name: 'Error', message: outcome.error }, parentId }
+      : { id, name, type: 'exit', result: encodeValue(outcome.result), parentId }
+  ];
+}
+
+const outFile = () => path.join(dir, 'test', 'orders.pinned.test.js');
+
+describe('generateTests', () => {
+  it('should call class methods on a fresh instance and pin results and errors', () => {
+    const traces = [
+      ...call('c1', 'Orders.OrderService.create', [{ items: [1, 2] }], { result: { id: 7, at: new Date(0) } }, { file: sourceFile }),
+      ...call('c2', 'Db.insert', [{ items: [1, 2] }], { result: { id: 7 } }, { parentId: 'c1' }),
+      ...call('c3', 'Orders.OrderService.create', [{ items: [] }], { error: 'Order has no items' }, { file: sourceFile })
+    ];
+
+    const generated = generateTests(traces, { fn: 'Orders.OrderService.create', outFile: outFile(), from: 'run.json' });
+
+    expect(generated).toMatchObject({ tests: 2, todo: 0, skipped: 0 });
+    expect(generated.source).toContain("import { describe, it, expect, vi } from 'vitest';");
+    expect(generated.source).toContain("import { OrderService } from '../src/orders.js';");
+    expect(generated.source).toContain('const subject = () => new OrderService();');
+    expect(generated.source).toContain("expect(await subject().create({ items: [1, 2] })).toEqual({ id: 7, at: new Date('1970-01-01T00:00:00.000Z') });");
+    expect(generated.source).toContain("// vi.spyOn(Db, 'insert').mockResolvedValueOnce({ id: 7 });");
+    expect(generated.source).toContain("await expect(async () => subject().create({ items: [] })).rejects.toThrow('Order has no items');");
+    expect(() => parse(generated.source, { ecmaVersion: 'latest', sourceType: 'module' })).not.toThrow();
+  });
+
+  it('should import functions and default exports by name', () => {
+    const traces = [
+      ...call('c1', 'Orders.total', [[1, 2]], { result: 3 }, { file: sourceFile }),
+      ...call('c2', 'Orders.main', [], { result: 'ok' }, { file: sourceFile })
+    ];
+
+    const totals = generateTests(traces, { fn: 'Orders.total', outFile: outFile() }).source;
+    expect(totals).toContain("import { total } from '../src/orders.js';");
+    expect(totals).toContain("import { describe, it, expect } from 'vitest';");
+    expect(totals).toContain('expect(await total([1, 2])).toEqual(3);');
+
+    const main = generateTests(traces, { fn: 'Orders.main', outFile: outFile() }).source;
+    expect(main).toContain("import main from '../src/orders.js';");
+    expect(main).toContain("expect(await main()).toEqual('ok');");
+  });
+
+  it('should write one test per distinct call, up to the limit', () => {
+    const traces = [
+      ...call('c1', 'Orders.total', [[1]], { result: 1 }, { file: sourceFile }),
+      ...call('c2', 'Orders.total', [[1]], { result: 1 }, { file: sourceFile }),
+      ...call('c3', 'Orders.total', [[2]], { result: 2 }, { file: sourceFile }),
+      ...call('c4', 'Orders.total', [[3]], { result: 3 }, { file: sourceFile })
+    ];
+
+    expect(generateTests(traces, { fn: 'Orders.total' })).toMatchObject({ tests: 3, skipped: 0 });
+    const limited = generateTests(traces, { fn: 'Orders.total', limit: 2 });
+    expect(limited).toMatchObject({ tests: 2, skipped: 1 });
+    expect(limited.source).toContain('1 more distinct calls were left out (--limit 2).');
+  });
+
+  it('should write calls with summarized or redacted values as todos', () => {
+    const traces = [
+      ...call('c1', 'Orders.total', ['x'.repeat(10) + '...(5000 chars)'], { result: 1 }, { file: sourceFile }),
+      ...call('c2', 'Orders.total', [{ password: '[REDACTED]' }], { result: 1 }, { file: sourceFile }),
+      ...call('c3', 'Orders.total', [() => 1], { result: 1 }, { file: sourceFile }),
+      ...call('c4', 'Orders.total', ['Bearer [REDACTED:token]'], { result: 1 }, { file: sourceFile }),
+      ...call('c5', 'Orders.total', [new (class Cart { constructor() { this.items = []; } })()], { result: 1 }, { file: sourceFile })
+    ];
+
+    const generated = generateTests(traces, { fn: 'Orders.total' });
+    expect(generated).toMatchObject({ tests: 0, todo: 5 });
+    expect(generated.source).toContain('summarized value');
+    expect(generated.source).toContain("total(\"Bearer [REDACTED:token]\") - redacted value");
+    expect(generated.source).toContain('[Function: anonymous] value');
+    expect(generated.source).toContain('Cart instance');
+  });
+
+  it('should write tests that pass against the recorded code, class instances included', () => {
+    const root = fs.mkdtempSync(path.join(process.cwd(), '.taist-gen-'));
+    try {
+      const usersFile = path.join(root, 'src', 'users.js');
+      fs.mkdirSync(path.dirname(usersFile));
+      fs.writeFileSync(usersFile, `
+        export class User {
+          constructor(name) { this.name = name; this.tags = new Set(['new']); }
+          greet() { return 'hi ' + this.name; }
+        }
+        export function createUser(name) { return new User(name); }
+      `);
+
+      class User {
+        constructor(name) { this.name = name; this.tags = new Set(['new']); }
+      }
+      const traces = [
+        ...call('c1', 'Users.createUser', ['ada'], { result: new User('ada') }, { file: usersFile }),
+        ...call('c2', 'Users.createUser', ['bob'], { result: new User('bob') }, { file: usersFile })
+      ];
+      const testFile = path.join(root, 'test', 'users.pinned.test.js');
+      const generated = generateTests(traces, { fn: 'Users.createUser', outFile: testFile });
+      expect(generated).toMatchObject({ tests: 2, todo: 0 });
+      expect(generated.source).toContain("expect(await createUser('ada')).toEqual(expect.objectContaining({ name: 'ada', tags: new Set(['new']) }));");
+
+      fs.mkdirSync(path.dirname(testFile));
+      fs.writeFileSync(testFile, generated.source);
+      const vitest = path.join(process.cwd(), 'node_modules', 'vitest', 'vitest.mjs');
+      const result = spawnSync(process.execPath, [vitest, 'run', '--root', root], { encoding: 'utf-8', timeout: 60000 });
+      expect(result.status, result.stdout + result.stderr).toBe(0);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  }, 70000);
+
+  it('should use the given module for traces without a source file', () => {
+    const traces = call('c1', 'OrderService.create', [1], { result: 2 });
+
+    expect(() => generateTests(traces, { fn: 'OrderService.create' })).toThrow('Pass --import <module>');
+    const source = generateTests(traces, { fn: 'OrderService.create', importPath: '../src/order-service.js' }).source;
+    expect(source).toContain("import { OrderService } from '../src/order-service.js';");
+    expect(source).toContain('expect(await subject().create(1)).toEqual(2);');
+  });
+
+  it('should list the recorded functions when the function has no calls', () => {
+    const traces = call('c1', 'Orders.total', [], { result: 0 }, { file: sourceFile });
+    expect(() => generateTests(traces, { fn: 'Orders.sum' })).toThrow('No recorded calls of Orders.sum (recorded: Orders.total)');
+  });
+});
+
+describe('toSource', () => {
+  it('should recreate recorded values', () => {
+    const value = {
+      n: 1,
+      s: "it's",
+      'a-b': [null, undefined, -0, NaN],
+      big: 10n,
+      at: new Date(0),
+      re: /a+/g,
+      map: new Map([['k', new Set([1])]]),
+      buf: Buffer.from('hi'),
+      bytes: new Uint16Array([1, 2])
+    };
+    const recreated = new Function('Buffer', `return ${toSource(encodeValue(value))};`)(Buffer);
+
+    expect(recreated).toEqual(decodeValue(encodeValue(value)));
+  });
+
+  it('should only write tagged values as they are recorded', () => {
+    const tagged = (type, fields) => ({ [TAG]: type, ...fields });
+    expect(toSource(tagged('Number', { value: '-Infinity' }))).toBe('-Infinity');
+    expect(() => toSource(tagged('Number', { value: 'process.exit()' }))).toThrow('malformed Number value');
+    expect(toSource(tagged('BigInt', { value: '-12' }))).toBe('-12n');
+    expect(() => toSource(tagged('BigInt', { value: '1; process.exit()' }))).toThrow('malformed BigInt value');
+    expect(toSource(tagged('TypedArray', { type: 'Int8Array', data: 'AQ==' }))).toMatch(/^new Int8Array\(/);
+    expect(() => toSource(tagged('TypedArray', { type: 'Function', data: '' }))).toThrow('malformed TypedArray value');
+  });
+
+  it('should match class instances by their fields only in expected values', () => {
+    const user = { __type: 'User', id: 1 };
+    expect(toSource(user, 0, { expected: true })).toBe('expect.objectContaining({ id: 1 })');
+    expect(() => toSource(user)).toThrow('User instance');
+  });
+
+  it('should keep short values on one line', () => {
+    expect(toSource({ a: [1, 2], b: 'x' })).toBe("{ a: [1, 2], b: 'x' }");
+    expect(toSource({ text: 'y'.repeat(60) })).toBe(`{\n  text: '${'y'.repeat(60)}'\n}`);
+  });
+});
@@ -122,6 +122,35 @@ describe('ToonFormatter', () => {
       expect(lines.some(l => l.includes('exp:'))).toBe(true);
       expect(lines.some(l => l.includes('got:'))).toBe(true);
     });
+
+    it('should list the test\'s own calls under the failure', () => {
+      const failure = {
+        test: 'saves order',
+        error: 'expected 1 to be 2',
+        trace: [
+          { id: 'a', name: 'Orders.save', type: 'entry', timestamp: 1, depth: 0 },
+          { id: 'b', name: 'Db.insert', type: 'entry', timestamp: 2, depth: 1 },
+          { id: 'b', name: 'Db.insert', type: 'error', error: { message: 'duplicate key' }, duration: 2, timestamp: 4, depth: 1 },
+          { id: 'a', name: 'Orders.save', type: 'exit', result: 1, duration: 5, timestamp: 6, depth: 0 }
+        ]
+      };
+
+      expect(formatter.formatFailure(failure).slice(-3)).toEqual([
+        '  trace:',
+        '    fn:Orders.save depth:0 5ms 1',
+        '      fn:Db.insert depth:1 2ms ERR: duplicate key'
+      ]);
+    });
+
+    it('should cap the calls listed under a failure', () => {
+      const trace = Array.from({ length: 5 }, (_, i) => ({ name: `fn${i}`, type: 'exit', timestamp: i, depth: 0 }));
+      const lines = new ToonFormatter({ maxFailureTraces: 2 }).formatFailure({ test: 't', trace });
+      expect(lines.slice(-3)).toEqual([
+        '    fn:fn0 depth:0',
+        '    fn:fn1 depth:0',
+        '    ... and 3 more calls'
+      ]);
+    });
   });
 
   describe('formatCoverage', () => {
@@ -146,6 +175,27 @@ describe('ToonFormatter', () => {
       const result = formatter.formatCoverage(coverage);
       expect(result).toBe('COV: 0% (0/100)');
     });
+
+    it('should list the least-covered changed files with uncovered lines', () => {
+      const file = (name, percent, uncovered, changed) => ({ file: name, percent, covered: 1, total: 2, uncovered, changed });
+      const coverage = {
+        percent: 62.5,
+        covered: 5,
+        total: 8,
+        files: [
+          file('src/a.js', 20, [[3, 3]], false),
+          file('src/b.js', 75, [[4, 9], [12, 12]], true),
+          file('src/c.js', 40, [[1, 1], [3, 3], [5, 5], [7, 7], [9, 9], [11, 11], [13, 13], [15, 15]], true),
+          file('src/d.js', 100, [], true)
+        ]
+      };
+
+      expect(formatter.formatCoverage(coverage).split('\n')).toEqual([
+        'COV: 63% (5/8)',
+        '  src/c.js * 40% L1,3,5,7,9,11...+2',
+        '  src/b.js * 75% L4-9,12'
+      ]);
+    });
   });
 
   describe('format', () => {
@@ -183,6 +233,42 @@ describe('ToonFormatter', () => {
     });
   });
 
+  describe('formatTraceTree', () => {
+    const formatter = new ToonFormatter();
+
+    it('merges entry and exit records into one line per call', () => {
+      const traces = [
+        { id: 'a', name: 'Svc.run', type: 'entry', args: [1], timestamp: 1, depth: 0, traceId: 'a' },
+        { id: 'b', name: 'Svc.step', type: 'entry', args: [], timestamp: 2, depth: 1, traceId: 'a', parentId: 'a' },
+        { id: 'b', name: 'Svc.step', type: 'error', error: { message: 'nope' }, duration: 3, timestamp: 5, depth: 1, traceId: 'a', parentId: 'a' },
+        { id: 'a', name: 'Svc.run', type: 'exit', result: 42, duration: 9.4, timestamp: 10, depth: 0, traceId: 'a' }
+      ];
+
+      const output = formatter.formatTraceTree(traces);
+
+      expect(output).toContain('Traces: 2 | Requests: 1');
+      expect(output).toContain('  fn:Svc.run depth:0 9ms 42');
+      expect(output).toContain('    fn:Svc.step depth:1 3ms ERR: nope');
+    });
+
+    it('shows a call once even though its entry and exit records are both collected', () => {
+      const output = formatter.formatTraceTree([
+        { id: 'a', name: 'Svc.run', type: 'entry', args: [1], timestamp: 1, depth: 0, traceId: 'a' },
+        { id: 'a', name: 'Svc.run', type: 'exit', result: 2, duration: 4, timestamp: 5, depth: 0, traceId: 'a' }
+      ]);
+
+      expect(output).toContain('Traces: 1 | Requests: 1');
+      expect(output.match(/fn:Svc\.run/g)).toHaveLength(1);
+    });
+
+    it('keeps calls that never completed', () => {
+      const merged = formatter.mergeCallRecords([
+        { id: 'a', name: 'Svc.hang', type: 'entry', timestamp: 1, depth: 0 }
+      ]);
+      expect(merged).toEqual([{ id: 'a', name: 'Svc.hang', type: 'entry', timestamp: 1, depth: 0 }]);
+    });
+  });
+
   describe('abbreviatePath', () => {
     const formatter = new ToonFormatter();
 
@@ -342,5 +428,23 @@ describe('ToonFormatter', () => {
       expect(output).not.toContain('✓ failing test');
       expect(output).toContain('FAILURES:');
     });
+
+    it('should mark tests that passed on a retry as flaky', () => {
+      const results = {
+        stats: { total: 2, passed: 2, failed: 0, skipped: 0, flaky: 1 },
+        tests: [
+          { name: 'stable test', duration: 100, state: 'pass' },
+          { name: 'Suite > flaky test', duration: 50, state: 'pass', flaky: true }
+        ],
+        failures: [],
+        flaky: [{ test: 'Suite > flaky test', retries: 1, maxRetries: 3 }]
+      };
+
+      const output = formatter.format(results);
+
+      expect(output).toContain('✓ stable test (100ms)');
+      expect(output).not.toContain('✓ flaky test');
+      expect(output).toContain('~ flaky test (flaky 1/3)');
+    });
   });
 });
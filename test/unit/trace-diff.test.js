@@ -0,0 +1,177 @@
+/**
+ * Unit tests for trace diffing
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { diffRuns, indexCallsByPath, loadRunTraces } from '../../lib/trace-diff.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+
+let nextTimestamp = 0;
+
+/**
+ * Build entry/exit records for a call tree.
+ * call(name, { result, error, duration }, ...children)
+ */
+function call(name, outcome = {}, ...children) {
+  return { name, outcome, children };
+}
+
+function recordsFor(roots, prefix) {
+  const records = [];
+  let n = 0;
+  const visit = (node, depth, parentId) => {
+    const id = `${prefix}${n++}`;
+    records.push({ id, name: node.name, type: 'entry', args: [], timestamp: nextTimestamp++, depth, parentId });
+    for (const child of node.children) visit(child, depth + 1, id);
+    const { error, result, duration = 1 } = node.outcome;
+    records.push(error
+      ? { id, name: node.name, type: 'error', error: { name: 'Error', message: error }, duration, timestamp: nextTimestamp++, depth, parentId }
+      : { id, name: node.name, type: 'exit', result, duration, timestamp: nextTimestamp++, depth, parentId });
+  };
+  roots.forEach(root => visit(root, 0, null));
+  return records;
+}
+
+describe('indexCallsByPath', () => {
+  it('groups calls by their path through the call tree', () => {
+    const index = indexCallsByPath(recordsFor([
+      call('Api.get', {}, call('Repo.find', { result: 1 }), call('Repo.find', { result: 2 })),
+      call('Repo.find', { error: 'offline' })
+    ], 'a'));
+
+    expect([...index.keys()]).toEqual(['Api.get', 'Api.get > Repo.find', 'Repo.find']);
+    const nested = index.get('Api.get > Repo.find');
+    expect(nested.count).toBe(2);
+    expect(nested.results).toEqual(['1', '2']);
+    expect(index.get('Repo.find').errors).toEqual(['offline']);
+  });
+});
+
+describe('diffRuns', () => {
+  const before = recordsFor([
+    call('Api.get', { duration: 10 },
+      call('Cache.get', { result: null, duration: 1 }),
+      call('Db.query', { result: { id: 1 }, duration: 5 }),
+      call('Audit.log', { error: 'disk full' }))
+  ], 'a');
+
+  const after = recordsFor([
+    call('Api.get', { duration: 30 },
+      call('Cache.get', { result: { id: 1 }, duration: 1 }),
+      call('Db.queryV2', { result: { id: 1 }, duration: 5 }),
+      call('Db.queryV2', { result: { id: 1 }, duration: 5 }),
+      call('Audit.log', {}),
+      call('Mailer.send', { error: 'SMTP down' }))
+  ], 'b');
+
+  const diff = diffRuns(before, after);
+
+  it('reports new and disappeared calls', () => {
+    expect(diff.added).toEqual([
+      { path: 'Api.get > Db.queryV2', count: 2 },
+      { path: 'Api.get > Mailer.send', count: 1 }
+    ]);
+    expect(diff.removed).toEqual([{ path: 'Api.get > Db.query', count: 1 }]);
+  });
+
+  it('reports changed return values', () => {
+    expect(diff.changed).toEqual([
+      { path: 'Api.get > Cache.get', result: { before: null, after: { id: 1 } } }
+    ]);
+  });
+
+  it('reports new and fixed errors', () => {
+    expect(diff.newErrors).toEqual([{ path: 'Api.get > Mailer.send', error: 'SMTP down' }]);
+    expect(diff.fixedErrors).toEqual([{ path: 'Api.get > Audit.log', error: 'disk full' }]);
+  });
+
+  it('reports duration regressions above the threshold', () => {
+    expect(diff.regressions).toEqual([{ path: 'Api.get', before: 10, after: 30 }]);
+    expect(diffRuns(before, after, { regressionThreshold: 3 }).regressions).toEqual([]);
+    expect(diffRuns(before, after, { minRegressionMs: 50 }).regressions).toEqual([]);
+  });
+
+  it('reports call count changes', () => {
+    const twice = recordsFor([call('Api.get', {}, call('Db.query'), call('Db.query'))], 'c');
+    const once = recordsFor([call('Api.get', {}, call('Db.query'))], 'd');
+    expect(diffRuns(twice, once).changed).toEqual([
+      { path: 'Api.get > Db.query', calls: { before: 2, after: 1 } }
+    ]);
+  });
+
+  it('summarizes the diff', () => {
+    expect(diff.summary).toEqual({
+      callsBefore: 4,
+      callsAfter: 6,
+      added: 2,
+      removed: 1,
+      changed: 1,
+      newErrors: 1,
+      fixedErrors: 1,
+      regressions: 1
+    });
+  });
+
+  it('finds nothing between identical runs', () => {
+    const same = diffRuns(before, before);
+    expect(same.summary).toMatchObject({ added: 0, removed: 0, changed: 0, newErrors: 0, fixedErrors: 0, regressions: 0 });
+  });
+
+  it('formats as TOON', () => {
+    const output = new ToonFormatter().formatTraceDiff(diff);
+    expect(output.split('\n')).toEqual([
+      '===DIFF: +2 -1 ~1 err:+1/-1 slow:1===',
+      'calls: 4→6',
+      '',
+      'NEW:',
+      '  + Api.get > Db.queryV2 x2',
+      '  + Api.get > Mailer.send x1',
+      '',
+      'GONE:',
+      '  - Api.get > Db.query x1',
+      '',
+      'CHANGED:',
+      '  ~ Api.get > Cache.get ret:null→{"id":1}',
+      '',
+      'ERRORS:',
+      '  ! Api.get > Mailer.send ERR: SMTP down',
+      '',
+      'FIXED:',
+      '  ✓ Api.get > Audit.log was: disk full',
+      '',
+      'SLOW:',
+      '  ▲ Api.get 10ms→30ms (+200%)'
+    ]);
+  });
+});
+
+describe('loadRunTraces', () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  const write = (name, data) => {
+    dir ??= fs.mkdtempSync(path.join(os.tmpdir(), 'taist-diff-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+    return file;
+  };
+
+  it('reads JSON output, trace arrays and { traces }', () => {
+    const traces = [{ name: 'a', type: 'exit' }];
+    expect(loadRunTraces(write('run.json', { status: 'pass', trace: traces }))).toEqual(traces);
+    expect(loadRunTraces(write('array.json', traces))).toEqual(traces);
+    expect(loadRunTraces(write('session.json', { traces }))).toEqual(traces);
+  });
+
+  it('rejects files without traces', () => {
+    expect(() => loadRunTraces(write('toon.txt', '===TESTS: 1/1==='))).toThrow('Cannot read run file');
+    expect(() => loadRunTraces(write('stats.json', { stats: {} }))).toThrow('No traces');
+  });
+});
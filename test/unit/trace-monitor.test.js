@@ -0,0 +1,88 @@
+/**
+ * Unit tests for the `taist monitor` summary
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { TraceMonitor } from '../../lib/trace-monitor.js';
+import { formatInsights } from '../../lib/service-tracer.js';
+import { loadConfigSync } from '../../lib/config-loader.js';
+
+function call(monitor, name, { duration = 1, error } = {}) {
+  const id = `${name}-${Math.random()}`;
+  monitor.record({ id, name, type: 'entry', depth: 0 });
+  monitor.record(error
+    ? { id, name, type: 'error', depth: 0, duration, error: { name: 'Error', message: error } }
+    : { id, name, type: 'exit', depth: 0, duration });
+}
+
+describe('TraceMonitor', () => {
+  it('should count calls, errors and slow calls', () => {
+    const monitor = new TraceMonitor({ slowThreshold: 100 });
+    call(monitor, 'Orders.load');
+    call(monitor, 'Orders.load', { duration: 250 });
+    call(monitor, 'Orders.save', { duration: 120, error: 'conflict' });
+
+    const insights = monitor.getInsights();
+    expect(insights.stats).toMatchObject({ totalCalls: 3, totalErrors: 1, slowOperations: 2 });
+    expect(insights.traces.topFunctions).toEqual({ 'Orders.load': 2, 'Orders.save': 1 });
+    expect(insights.traces.errors).toEqual([expect.objectContaining({ method: 'Orders.save', error: 'conflict' })]);
+    expect(insights.traces.slowOps).toEqual([
+      { method: 'Orders.load', duration: 250 },
+      { method: 'Orders.save', duration: 120 }
+    ]);
+    expect(insights.traces.total).toBe(6);
+  });
+
+  it('should keep only the most recent errors', () => {
+    const monitor = new TraceMonitor();
+    for (let i = 0; i < 15; i++) call(monitor, 'Api.get', { error: `failure ${i}` });
+
+    const { stats, traces } = monitor.getInsights();
+    expect(stats.totalErrors).toBe(15);
+    expect(traces.errors).toHaveLength(10);
+    expect(traces.errors.at(-1).error).toBe('failure 14');
+  });
+});
+
+describe('formatInsights', () => {
+  it('should list the slowest operations in TOON', () => {
+    const monitor = new TraceMonitor({ slowThreshold: 100 });
+    call(monitor, 'Db.query', { duration: 150 });
+    call(monitor, 'Api.handle', { duration: 420 });
+    call(monitor, 'Cache.get');
+
+    const output = formatInsights(monitor.getInsights(), { slowOpThreshold: 100 });
+    expect(output).toContain('[TAIST] up:0s calls:3 err:0');
+    expect(output).toContain('[SLOW] 2 ops >100ms handle:420ms query:150ms');
+  });
+
+  it('should format compact and human summaries', () => {
+    const monitor = new TraceMonitor();
+    call(monitor, 'Db.query', { error: 'timeout' });
+
+    expect(formatInsights(monitor.getInsights(), { format: 'compact' })).toBe('TAIST: 1 calls, 1 errors, 0 slow, 0 bugs (0s)');
+    expect(formatInsights(monitor.getInsights(), { format: 'human' })).toContain('Db.query: 1');
+    expect(JSON.parse(formatInsights(monitor.getInsights(), { format: 'json' })).stats.totalErrors).toBe(1);
+  });
+});
+
+describe('config module patterns from the environment', () => {
+  const { TAIST_INCLUDE, TAIST_EXCLUDE } = process.env;
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries({ TAIST_INCLUDE, TAIST_EXCLUDE })) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('should replace include patterns and add exclude patterns', () => {
+    process.env.TAIST_INCLUDE = 'svc/**/*.js, lib/db.js';
+    process.env.TAIST_EXCLUDE = 'svc/generated/**';
+
+    const config = loadConfigSync();
+    expect(config.include).toEqual(['svc/**/*.js', 'lib/db.js']);
+    expect(config.exclude).toContain('**/node_modules/**');
+    expect(config.exclude).toContain('svc/generated/**');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for tail-based retention in the trace collector
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { TailRetention, loadRetentionConfig } from '../../lib/trace-retention.js';
+import { TraceCollector } from '../../lib/trace-collector.js';
+
+let nextId = 0;
+
+/** Records of one request: a root call and a child call */
+function request(correlationId, { rootDuration = 10, child = 'Db.query', childError } = {}) {
+  const rootId = `root-${++nextId}`;
+  const childId = `child-${nextId}`;
+  return [
+    { id: rootId, name: 'Api.handle', type: 'entry', depth: 0, parentId: null, correlationId },
+    { id: childId, name: child, type: 'entry', depth: 1, parentId: rootId, correlationId },
+    childError
+      ? { id: childId, name: child, type: 'error', depth: 1, parentId: rootId, correlationId, error: { name: 'Error', message: childError } }
+      : { id: childId, name: child, type: 'exit', depth: 1, parentId: rootId, correlationId, duration: 1 },
+    { id: rootId, name: 'Api.handle', type: 'exit', depth: 0, parentId: null, correlationId, duration: rootDuration }
+  ];
+}
+
+function addAll(retention, records) {
+  const kept = [];
+  for (const record of records) kept.push(...retention.add(record).kept);
+  return kept;
+}
+
+describe('TailRetention', () => {
+  it('holds a request until its root ends', () => {
+    const retention = new TailRetention({ functions: ['Db.*'] });
+    const records = request('r1');
+
+    for (const record of records.slice(0, 3)) {
+      expect(retention.add(record)).toEqual({ kept: [], dropped: [] });
+    }
+    expect(retention.getPendingCount()).toBe(1);
+    expect(retention.add(records[3]).kept).toEqual(records);
+    expect(retention.getPendingCount()).toBe(0);
+  });
+
+  it('keeps requests with errors, slow roots or matching functions', () => {
+    const retention = new TailRetention({ slowThreshold: 500, functions: ['Payments.*'] });
+
+    expect(addAll(retention, request('ok'))).toEqual([]);
+    expect(addAll(retention, request('failed', { childError: 'timeout' }))).toHaveLength(4);
+    expect(addAll(retention, request('slow', { rootDuration: 800 }))).toHaveLength(4);
+    expect(addAll(retention, request('paid', { child: 'Payments.charge' }))).toHaveLength(4);
+    expect(retention.dropped).toBe(4);
+  });
+
+  it('keeps a random sample of the other requests', () => {
+    const random = vi.fn().mockReturnValueOnce(0.01).mockReturnValueOnce(0.5);
+    const retention = new TailRetention({ sampleRate: 0.1, random });
+
+    expect(addAll(retention, request('lucky'))).toHaveLength(4);
+    expect(addAll(retention, request('unlucky'))).toEqual([]);
+  });
+
+  it('applies the decision to records that arrive after the root ended', () => {
+    const retention = new TailRetention();
+    addAll(retention, request('done', { childError: 'boom' }));
+    addAll(retention, request('dropped'));
+
+    const straggler = { id: 'late-1', name: 'Audit.log', type: 'exit', correlationId: 'done', duration: 1 };
+    const ignored = { id: 'late-2', name: 'Audit.log', type: 'exit', correlationId: 'dropped', duration: 1 };
+
+    expect(retention.add(straggler).kept).toEqual([straggler]);
+    expect(retention.add(ignored).dropped).toEqual([ignored]);
+  });
+
+  it('keeps errors that arrive after their request was dropped', () => {
+    const retention = new TailRetention();
+    addAll(retention, request('client'));
+
+    const serverError = { id: 'srv-1', name: 'Server.handle', type: 'error', correlationId: 'client', error: { name: 'Error', message: 'boom' } };
+    const serverExit = { id: 'srv-2', name: 'Server.respond', type: 'exit', correlationId: 'client', duration: 1 };
+
+    expect(retention.add(serverError).kept).toEqual([serverError]);
+    expect(retention.add(serverExit).kept).toEqual([serverExit]);
+  });
+
+  it('passes records outside any request straight through', () => {
+    const retention = new TailRetention();
+    const event = { name: 'startup', type: 'event' };
+
+    expect(retention.add(event).kept).toEqual([event]);
+  });
+
+  it('decides requests that never end on timeout, overflow and flush', () => {
+    vi.useFakeTimers();
+    try {
+      const retention = new TailRetention({ timeout: 1000, maxPending: 2, functions: ['Api.*'] });
+      const [a, b, c] = ['a', 'b', 'c'].map(id => request(id)[0]);
+
+      retention.add(a);
+      retention.add(b);
+      expect(retention.add(c).kept).toEqual([a]); // over maxPending
+
+      vi.advanceTimersByTime(1000);
+      const d = request('d')[0];
+      expect(retention.add(d).kept).toEqual([b, c]);
+      expect(retention.flush().kept).toEqual([d]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('loadRetentionConfig', () => {
+  afterEach(() => {
+    delete process.env.TAIST_RETENTION;
+    delete process.env.TAIST_RETENTION_SLOW_THRESHOLD;
+  });
+
+  it('lets env vars override the file', () => {
+    process.env.TAIST_RETENTION = 'tail';
+    process.env.TAIST_RETENTION_SLOW_THRESHOLD = '250';
+
+    expect(loadRetentionConfig()).toMatchObject({ mode: 'tail', slowThreshold: 250 });
+  });
+});
+
+describe('TraceCollector tail retention', () => {
+  it('spends maxTraces on interesting requests', () => {
+    const collector = new TraceCollector({ maxTraces: 8, retention: { mode: 'tail' } });
+
+    const failed = request('failed', { childError: 'boom' });
+    for (let i = 0; i < 20; i++) {
+      for (const record of request(`ok-${i}`)) collector._addTrace(record);
+    }
+    for (const record of failed) collector._addTrace(record);
+    for (const record of request('slow', { rootDuration: 300 })) collector._addTrace(record);
+
+    expect(collector.getTraces()).toHaveLength(8);
+    expect(collector.getTraces().slice(0, 4)).toEqual(failed);
+    expect(collector.getStats()).toMatchObject({ traces: 8, tailDropped: 80, evicted: 0, pending: 0 });
+  });
+
+  it('deduplicates held records and releases them on flush', () => {
+    const collector = new TraceCollector({ retention: { mode: 'tail', functions: ['*'] } });
+    const [entry] = request('open');
+
+    collector._addTrace(entry);
+    collector._addTrace({ ...entry });
+    expect(collector.getTraces()).toEqual([]);
+    expect(collector.getStats().pending).toBe(1);
+
+    collector.flushRetention();
+    expect(collector.getTraces()).toEqual([entry]);
+  });
+
+  it('decides overdue requests while no records arrive', async () => {
+    const collector = new TraceCollector({ retention: { mode: 'tail', timeout: 50, functions: ['*'] } });
+    await collector.start();
+    try {
+      const [entry] = request('hung');
+      collector._addTrace(entry);
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      expect(collector.getTraces()).toEqual([entry]);
+      expect(collector.getStats().pending).toBe(0);
+    } finally {
+      await collector.stop();
+    }
+  });
+
+  it('keeps the circular buffer without tail mode', () => {
+    const collector = new TraceCollector({ maxTraces: 4 });
+    for (const record of request('a')) collector._addTrace(record);
+    for (const record of request('b')) collector._addTrace(record);
+
+    expect(collector.getTraces().map(t => t.correlationId)).toEqual(['b', 'b', 'b', 'b']);
+    expect(collector.getStats()).toMatchObject({ evicted: 4, tailDropped: 0 });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for trace sampling and rate limiting
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { TraceSampler, loadSamplingConfig } from '../../lib/trace-sampler.js';
+import { TraceReporter } from '../../lib/trace-reporter.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+
+let nextId = 0;
+
+/** Entry and exit records of one call */
+function call(name, { correlationId, parentId = null, duration = 1, error } = {}) {
+  const id = `call-${++nextId}`;
+  const entry = { id, name, type: 'entry', correlationId, parentId, depth: parentId ? 1 : 0 };
+  const exit = error
+    ? { id, name, type: 'error', correlationId, parentId, duration, error: { name: 'Error', message: error } }
+    : { id, name, type: 'exit', correlationId, parentId, duration, result: 1 };
+  return { id, entry, exit };
+}
+
+const admitAll = (sampler, records) => records.flatMap(record => sampler.admit(record));
+
+describe('TraceSampler', () => {
+  it('keeps everything by default', () => {
+    const sampler = new TraceSampler();
+    const { entry, exit } = call('fn');
+
+    expect(sampler.enabled).toBe(false);
+    expect(admitAll(sampler, [entry, exit])).toEqual([entry, exit]);
+  });
+
+  it('keeps or drops whole requests by correlationId', () => {
+    const sampler = new TraceSampler({ rate: 0.3 });
+    let keptRequests = 0;
+
+    for (let i = 0; i < 200; i++) {
+      const correlationId = `req-${i}`;
+      const root = call('Api.handle', { correlationId });
+      const child = call('Db.query', { correlationId, parentId: root.id });
+      const kept = admitAll(sampler, [root.entry, child.entry, child.exit, root.exit]);
+
+      expect([0, 4]).toContain(kept.length);
+      if (kept.length === 4) keptRequests++;
+    }
+
+    expect(keptRequests).toBeGreaterThan(30);
+    expect(keptRequests).toBeLessThan(90);
+    expect(sampler.sampledOut).toBe((200 - keptRequests) * 4);
+  });
+
+  it('makes the same decision in every worker', () => {
+    const a = new TraceSampler({ rate: 0.5 });
+    const b = new TraceSampler({ rate: 0.5 });
+    const ids = Array.from({ length: 50 }, (_, i) => ({ correlationId: `req-${i}` }));
+
+    expect(ids.map(t => a.sampleRequest(t))).toEqual(ids.map(t => b.sampleRequest(t)));
+  });
+
+  it('always keeps errors and slow calls with their entry and running ancestors', () => {
+    const sampler = new TraceSampler({ rate: 0, slowThreshold: 100 });
+    const root = call('Api.handle', { correlationId: 'r1', duration: 50 });
+    const failing = call('Db.query', { correlationId: 'r1', parentId: root.id, error: 'timeout' });
+    const slow = call('Cache.get', { correlationId: 'r1', parentId: root.id, duration: 250 });
+    const fast = call('Cache.get', { correlationId: 'r1', parentId: root.id });
+
+    expect(admitAll(sampler, [root.entry, failing.entry])).toEqual([]);
+    expect(sampler.admit(failing.exit)).toEqual([root.entry, failing.entry, failing.exit]);
+    expect(admitAll(sampler, [slow.entry, slow.exit])).toEqual([slow.entry, slow.exit]);
+    expect(admitAll(sampler, [fast.entry, fast.exit])).toEqual([]);
+    // The root's entry was sent, so its exit is too
+    expect(sampler.admit(root.exit)).toEqual([root.exit]);
+    expect(sampler.sampledOut).toBe(2);
+  });
+
+  it('can drop errors too', () => {
+    const sampler = new TraceSampler({ rate: 0, keepErrors: false });
+    const failing = call('Db.query', { error: 'timeout' });
+
+    expect(admitAll(sampler, [failing.entry, failing.exit])).toEqual([]);
+  });
+
+  it('rate limits calls per function and drops their descendants', () => {
+    vi.useFakeTimers();
+    try {
+      const sampler = new TraceSampler({ rateLimits: { 'Cache.*': 2 } });
+      const records = [];
+      for (let i = 0; i < 5; i++) {
+        const get = call('Cache.get');
+        const inner = call('Redis.send', { parentId: get.id });
+        records.push(get.entry, inner.entry, inner.exit, get.exit);
+      }
+
+      expect(admitAll(sampler, records).map(t => t.name)).toEqual([
+        'Cache.get', 'Redis.send', 'Redis.send', 'Cache.get',
+        'Cache.get', 'Redis.send', 'Redis.send', 'Cache.get'
+      ]);
+      expect(sampler.sampledOut).toBe(12);
+
+      vi.advanceTimersByTime(1000);
+      const next = call('Cache.get');
+      expect(sampler.admit(next.entry)).toEqual([next.entry]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('loadSamplingConfig', () => {
+  let dir;
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete process.env.TAIST_SAMPLE_RATE;
+    delete process.env.TAIST_RATE_LIMIT;
+    delete process.env.TAIST_SAMPLE_SLOW_THRESHOLD;
+    delete process.env.TAIST_SLOW_THRESHOLD;
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it('reads the sampling section of .taistrc.json', () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-sampling-'));
+    const sampling = { rate: 0.25, rateLimits: { 'Db.*': 10 } };
+    fs.writeFileSync(path.join(dir, '.taistrc.json'), JSON.stringify({ sampling }));
+
+    expect(loadSamplingConfig(dir)).toMatchObject(sampling);
+  });
+
+  it('lets env vars override the file', () => {
+    process.env.TAIST_SAMPLE_RATE = '10%';
+    process.env.TAIST_RATE_LIMIT = 'Cache.*=50, Logger.log=5';
+
+    expect(loadSamplingConfig(os.tmpdir())).toMatchObject({
+      rate: 0.1,
+      rateLimits: { 'Cache.*': 50, 'Logger.log': 5 }
+    });
+
+    process.env.TAIST_RATE_LIMIT = '100';
+    expect(loadSamplingConfig(os.tmpdir()).rateLimits).toEqual({ '*': 100 });
+  });
+
+  it('has its own slow threshold variable', () => {
+    process.env.TAIST_SLOW_THRESHOLD = '500';
+    expect(loadSamplingConfig(os.tmpdir()).slowThreshold).toBeUndefined();
+
+    process.env.TAIST_SAMPLE_SLOW_THRESHOLD = '250';
+    expect(loadSamplingConfig(os.tmpdir()).slowThreshold).toBe(250);
+  });
+});
+
+describe('TraceReporter sampling', () => {
+  it('reports how many traces were sampled out with the next batch', () => {
+    const reporter = new TraceReporter({ sampling: { rate: 0 } });
+    const { entry, exit } = call('fn', { correlationId: 'r1' });
+    reporter.report(entry);
+    reporter.report(exit);
+    reporter.close();
+
+    expect(reporter.buffer).toEqual([]);
+    expect(reporter._hasPending()).toBe(true);
+    expect(JSON.parse(reporter._batchMessage([]))).toMatchObject({ type: 'batch', data: [], sampledOut: 2 });
+    expect(reporter._hasPending()).toBe(false);
+  });
+
+  it('holds entries with their args as passed, not as the call left them', () => {
+    const reporter = new TraceReporter({ sampling: { rate: 0 } });
+    const { entry, exit } = call('Orders.create', { correlationId: 'r1', error: 'out of stock' });
+    const order = { items: ['a'] };
+    entry.args = [order];
+
+    reporter.report(entry);
+    order.items.push('b');
+    order.status = 'failed';
+    reporter.report(exit);
+    reporter.close();
+
+    expect(reporter.buffer.map(record => record.type)).toEqual(['entry', 'error']);
+    expect(reporter.buffer[0].args).toEqual([{ items: ['a'] }]);
+  });
+});
+
+describe('ToonFormatter dropped trace counts', () => {
+  const formatter = new ToonFormatter();
+
+  it('adds sampled out and evicted counts to the headers', () => {
+    const sampling = { sampledOut: 120, evicted: 3 };
+
+    expect(formatter.formatHeader({ stats: { passed: 2, total: 2 }, sampling }))
+      .toBe('===TESTS: 2/2 | sampled out: 120 | evicted: 3===');
+    expect(formatter.formatTraceTree([{ name: 'fn', depth: 0, timestamp: 1 }], { sampling }))
+      .toContain('Traces: 1 | Requests: 1 | sampled out: 120 | evicted: 3');
+    expect(formatter.formatHeader({ stats: { passed: 2, total: 2 }, sampling: { sampledOut: 0 } }))
+      .toBe('===TESTS: 2/2===');
+  });
+});
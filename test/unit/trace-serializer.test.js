@@ -0,0 +1,209 @@
+/**
+ * Unit tests for the tagged JSON trace serializer
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  encodeValue,
+  decodeValue,
+  encodeTrace,
+  stringifyMessage,
+  toDisplayValue
+} from '../../lib/trace-serializer.js';
+import { ToonFormatter } from '../../lib/toon-formatter.js';
+
+const roundTrip = value => decodeValue(JSON.parse(JSON.stringify(encodeValue(value))));
+
+describe('encodeValue', () => {
+  it('tags values plain JSON cannot carry', () => {
+    expect(encodeValue({
+      big: 10n,
+      at: new Date(0),
+      pattern: /a+/g,
+      missing: [undefined],
+      nan: NaN,
+      fn: function handler() {},
+      sym: Symbol('id')
+    })).toEqual({
+      big: { __taist: 'BigInt', value: '10' },
+      at: { __taist: 'Date', value: '1970-01-01T00:00:00.000Z' },
+      pattern: { __taist: 'RegExp', source: 'a+', flags: 'g' },
+      missing: [{ __taist: 'Undefined' }],
+      nan: { __taist: 'Number', value: 'NaN' },
+      fn: { __taist: 'Function', name: 'handler' },
+      sym: { __taist: 'Symbol', description: 'id' }
+    });
+  });
+
+  it('drops undefined object properties like JSON', () => {
+    expect(encodeValue({ a: 1, b: undefined })).toEqual({ a: 1 });
+  });
+
+  it('encodes cycles as references to the ancestor', () => {
+    const value = { list: [] };
+    value.list.push(value);
+
+    expect(encodeValue(value)).toEqual({ list: [{ __taist: 'Circular', ref: 2 }] });
+  });
+
+  it('encodes Error cause chains and extra properties', () => {
+    const error = new TypeError('outer', { cause: new Error('inner') });
+    error.code = 'E_OUTER';
+
+    expect(encodeValue(error)).toMatchObject({
+      __taist: 'Error',
+      name: 'TypeError',
+      message: 'outer',
+      props: { code: 'E_OUTER' },
+      cause: { __taist: 'Error', name: 'Error', message: 'inner' }
+    });
+  });
+
+  it('replaces getters that throw', () => {
+    const value = {
+      ok: 1,
+      get broken() {
+        throw new Error('nope');
+      }
+    };
+
+    expect(encodeValue(value)).toEqual({ ok: 1, broken: { __taist: 'Unreadable', message: 'nope' } });
+  });
+
+  it('wraps objects that look like tags', () => {
+    expect(encodeValue({ __taist: 'BigInt', value: '1' })).toEqual({
+      __taist: 'Object',
+      value: { __taist: 'BigInt', value: '1' }
+    });
+  });
+
+  it('keeps the class name of instances', () => {
+    class User {
+      constructor() {
+        this.id = 1;
+      }
+    }
+
+    expect(encodeValue(new User())).toEqual({ __type: 'User', id: 1 });
+  });
+});
+
+describe('decodeValue', () => {
+  it('restores live values', () => {
+    const value = roundTrip({
+      big: 2n ** 70n,
+      at: new Date(5),
+      pattern: /x/i,
+      index: new Map([[1, { a: 'b' }]]),
+      ids: new Set(['a']),
+      buffer: Buffer.from('hello'),
+      floats: new Float32Array([1.5, 2]),
+      missing: [undefined],
+      inf: -Infinity
+    });
+
+    expect(value.big).toBe(2n ** 70n);
+    expect(value.at).toEqual(new Date(5));
+    expect(value.pattern).toEqual(/x/i);
+    expect(value.index).toEqual(new Map([[1, { a: 'b' }]]));
+    expect(value.ids).toEqual(new Set(['a']));
+    expect(value.buffer.toString()).toBe('hello');
+    expect(value.floats).toEqual(new Float32Array([1.5, 2]));
+    expect(value.missing).toEqual([undefined]);
+    expect(value.inf).toBe(-Infinity);
+  });
+
+  it('restores errors with their cause chain', () => {
+    const error = roundTrip(new RangeError('outer', { cause: new Error('inner') }));
+
+    expect(error).toBeInstanceOf(RangeError);
+    expect(error.message).toBe('outer');
+    expect(error.cause).toBeInstanceOf(Error);
+    expect(error.cause.message).toBe('inner');
+  });
+
+  it('restores cycles', () => {
+    const value = { name: 'root', children: [] };
+    value.children.push({ parent: value });
+
+    const decoded = roundTrip(value);
+
+    expect(decoded.children[0].parent).toBe(decoded);
+  });
+
+  it('decodes typed arrays only to built-in views', () => {
+    const data = Buffer.from([1, 0, 2, 0]).toString('base64');
+    expect(decodeValue({ __taist: 'TypedArray', type: 'Uint16Array', data })).toEqual(new Uint16Array([1, 2]));
+    expect(decodeValue({ __taist: 'TypedArray', type: 'Function', data })).toEqual(Buffer.from([1, 0, 2, 0]));
+    expect(decodeValue({ __taist: 'TypedArray', type: 'constructor', data })).toEqual(Buffer.from([1, 0, 2, 0]));
+    // 4 bytes can't hold a BigInt64Array
+    expect(decodeValue({ __taist: 'TypedArray', type: 'BigInt64Array', data })).toEqual(Buffer.from([1, 0, 2, 0]));
+  });
+
+  it('decodes errors with any name to errors', () => {
+    for (const name of ['toString', 'hasOwnProperty', 'constructor']) {
+      const error = decodeValue({ __taist: 'Error', name, message: 'odd' });
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toMatchObject({ name, message: 'odd' });
+    }
+  });
+
+  it('unwraps objects that looked like tags', () => {
+    expect(roundTrip({ __taist: 'BigInt', value: '1' })).toEqual({ __taist: 'BigInt', value: '1' });
+  });
+});
+
+describe('stringifyMessage', () => {
+  it('encodes batches that JSON.stringify would reject', () => {
+    const args = [{ id: 1n }];
+    args[0].self = args[0];
+    const message = { type: 'batch', workerId: 1, data: [{ name: 'fn', type: 'entry', args }] };
+
+    expect(() => JSON.stringify(message)).toThrow();
+
+    const parsed = JSON.parse(stringifyMessage(message));
+    expect(parsed.data[0]).toEqual({
+      name: 'fn',
+      type: 'entry',
+      args: [{ id: { __taist: 'BigInt', value: '1' }, self: { __taist: 'Circular', ref: 1 } }]
+    });
+  });
+
+  it('keeps the trace when one field cannot be encoded', () => {
+    const { proxy, revoke } = Proxy.revocable({}, {});
+    revoke();
+
+    const trace = encodeTrace({ name: 'fn', type: 'exit', args: [1], result: proxy });
+
+    expect(trace.args).toEqual([1]);
+    expect(trace.result).toMatchObject({ __taist: 'Unserializable' });
+  });
+});
+
+describe('displaying tagged values', () => {
+  it('turns tags into readable values', () => {
+    const display = toDisplayValue(encodeValue({
+      big: 10n,
+      at: new Date(0),
+      index: new Map([['a', 1]]),
+      error: new Error('boom'),
+      buffer: Buffer.alloc(4)
+    }));
+
+    expect(display).toEqual({
+      big: '10n',
+      at: '1970-01-01T00:00:00.000Z',
+      index: { __type: 'Map', size: 1, entries: { a: 1 } },
+      error: { __type: 'Error', message: 'boom' },
+      buffer: 'Buffer(4)'
+    });
+  });
+
+  it('shows tags in TOON trace lines and values', () => {
+    const formatter = new ToonFormatter();
+
+    expect(formatter.formatValue(encodeValue(10n))).toBe('10n');
+    expect(formatter.formatTraceLine({ name: 'count', depth: 0, result: encodeValue(10n) }, 0))
+      .toBe('fn:count depth:0  "10n"');
+  });
+});
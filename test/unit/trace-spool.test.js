@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the trace spool
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { TraceSpool, readSpool, removeSpoolDir, SPOOL_PREFIX } from '../../lib/trace-spool.js';
+import { VitestRunner } from '../../lib/vitest-runner.js';
+
+describe('TraceSpool', () => {
+  let dir;
+  const savedEnv = { ...process.env };
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'taist-spool-test-')), 'spool');
+    delete process.env.TAIST_SPOOL_DIR;
+    delete process.env.TAIST_SPOOL;
+  });
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  it('should be off without a directory', () => {
+    const spool = new TraceSpool();
+    expect(spool.enabled).toBe(false);
+    expect(spool.append('{"type":"batch","data":[]}')).toBe(false);
+  });
+
+  it('should append lines to a per-pid file, creating the directory', () => {
+    const spool = new TraceSpool({ dir, pid: 42 });
+    expect(spool.file).toBe(path.join(dir, `${SPOOL_PREFIX}42.ndjson`));
+
+    expect(spool.append('{"a":1}')).toBe(true);
+    expect(spool.append('{"a":2}\n')).toBe(true);
+
+    expect(fs.readFileSync(spool.file, 'utf-8')).toBe('{"a":1}\n{"a":2}\n');
+    expect(spool.written).toBe(2);
+  });
+
+  it('should read the directory and mode from the environment', () => {
+    process.env.TAIST_SPOOL_DIR = dir;
+    process.env.TAIST_SPOOL = 'always';
+    expect(new TraceSpool()).toMatchObject({ dir, mode: 'always', enabled: true });
+
+    process.env.TAIST_SPOOL = 'off';
+    expect(new TraceSpool().enabled).toBe(false);
+
+    process.env.TAIST_SPOOL = 'sometimes';
+    expect(new TraceSpool().mode).toBe('fallback');
+  });
+
+  it('should read and delete spool files', () => {
+    new TraceSpool({ dir, pid: 1 }).append('{"n":1}\n{"n":2}');
+    new TraceSpool({ dir, pid: 2 }).append('{"n":3}');
+    fs.writeFileSync(path.join(dir, 'service-3.ndjson'), '{"n":4}\n');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a spool file');
+
+    expect(readSpool(dir, { prefix: SPOOL_PREFIX, remove: false })).toEqual(['{"n":1}', '{"n":2}', '{"n":3}']);
+    expect(readSpool(dir, { prefix: SPOOL_PREFIX })).toHaveLength(3);
+    expect(fs.readdirSync(dir).sort()).toEqual(['notes.txt', 'service-3.ndjson']);
+
+    expect(readSpool(dir)).toEqual(['{"n":4}']);
+  });
+
+  it('should keep a line cut off mid-write for the reader to reject', () => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${SPOOL_PREFIX}7.ndjson`), '{"n":1}\n{"n":');
+
+    expect(readSpool(dir)).toEqual(['{"n":1}', '{"n":']);
+  });
+
+  it('should treat a missing directory as empty', () => {
+    expect(readSpool(path.join(dir, 'missing'))).toEqual([]);
+  });
+
+  it('should only remove empty directories', () => {
+    new TraceSpool({ dir }).append('{}');
+    removeSpoolDir(dir);
+    expect(fs.existsSync(dir)).toBe(true);
+
+    readSpool(dir);
+    removeSpoolDir(dir);
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+});
+
+describe('VitestRunner spool', () => {
+  it('should aggregate traces spooled by workers', () => {
+    const runner = new VitestRunner();
+    runner.spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-spool-'));
+
+    const batch = (pid, names) => JSON.stringify({ type: 'batch', workerId: pid, data: names.map(name => ({ name, depth: 0 })) });
+    fs.writeFileSync(path.join(runner.spoolDir, 'service-101.ndjson'), batch(101, ['Calc.add', 'Calc.sub']) + '\n');
+    // A worker killed mid-write
+    fs.writeFileSync(path.join(runner.spoolDir, 'service-102.ndjson'), batch(102, ['Calc.mul']) + '\n{"type":"ba');
+
+    // What reporters spool is left for the collector
+    fs.writeFileSync(path.join(runner.spoolDir, `${SPOOL_PREFIX}103.ndjson`), batch(103, ['Calc.div']) + '\n');
+
+    expect(runner.readTestTraceFile().map(t => t.name)).toEqual(['Calc.add', 'Calc.sub', 'Calc.mul']);
+    expect(fs.readdirSync(runner.spoolDir)).toEqual([`${SPOOL_PREFIX}103.ndjson`]);
+    fs.rmSync(runner.spoolDir, { recursive: true, force: true });
+  });
+
+  it('should remove the spool directory when a traced run fails', async () => {
+    const savedEnv = { ...process.env };
+    const runner = new VitestRunner({ trace: { enabled: true } });
+    let spoolDir;
+    runner.startCollector = async function () {
+      spoolDir = this.spoolDir;
+      throw new Error('no socket');
+    };
+
+    try {
+      const results = await runner.run({ tests: [] });
+      expect(results.failures[0].error).toBe('no socket');
+      expect(fs.existsSync(spoolDir)).toBe(false);
+      expect(process.env.TAIST_SPOOL_DIR).toBeUndefined();
+    } finally {
+      process.env = savedEnv;
+    }
+  });
+
+  it('should find nothing before a traced run', () => {
+    expect(new VitestRunner().readTestTraceFile()).toBeNull();
+  });
+});
@@ -0,0 +1,605 @@
+/**
+ * Unit tests for AST-based export discovery and rewriting in transform.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import os from 'node:os';
+import { SourceMap } from 'node:module';
+import { parse } from 'acorn';
+import MagicString from 'magic-string';
+import { findExports, hasExports, transformSource, COMMONJS_RUNTIME_KEY } from '../../lib/transform.js';
+import { getGlobalReporter, resetGlobalReporter } from '../../lib/trace-reporter.js';
+import { Cassette } from '../../lib/cassette.js';
+import { getContext, runWithContext, generateId, getCorrelationId } from '../../lib/trace-context.js';
+
+const reporterOptions = {
+  useReporter: true,
+  traceReporterPath: path.resolve(process.cwd(), 'lib/trace-reporter.js'),
+  traceContextPath: path.resolve(process.cwd(), 'lib/trace-context.js')
+};
+
+describe('transform.js', () => {
+  describe('findExports - export shapes', () => {
+    it('detects function declarations, including async and generators', () => {
+      const exports = findExports(`
+        export function a() {}
+        export async function b() {}
+        export function* c() {}
+      `);
+      expect(exports).toEqual([
+        { name: 'a', type: 'function', declaration: 'inline' },
+        { name: 'b', type: 'function', declaration: 'inline' },
+        { name: 'c', type: 'function', declaration: 'inline' }
+      ]);
+    });
+
+    it('detects const, let and var bindings by initializer', () => {
+      const exports = findExports(`
+        export const arrow = async (x) => x;
+        export let fn = function () {};
+        export var obj = { m() {} };
+        export const Cls = class {};
+        export let counter = 0;
+      `);
+      expect(exports.map(e => [e.name, e.type])).toEqual([
+        ['arrow', 'const'],
+        ['fn', 'const'],
+        ['obj', 'object'],
+        ['Cls', 'class'],
+        ['counter', 'unknown']
+      ]);
+    });
+
+    it('detects every name in a multi-declarator statement', () => {
+      const exports = findExports('export const a = () => 1, b = 2;');
+      expect(exports.map(e => [e.name, e.type])).toEqual([['a', 'const'], ['b', 'unknown']]);
+    });
+
+    it('detects destructured exports as unknown', () => {
+      const exports = findExports('export const { a, b: [c, ...d], e = 1 } = source;');
+      expect(exports.map(e => e.name)).toEqual(['a', 'c', 'd', 'e']);
+      expect(exports.every(e => e.type === 'unknown')).toBe(true);
+    });
+
+    it('detects default function and class declarations', () => {
+      expect(findExports('export default function main() {}')).toEqual([
+        { name: 'default', type: 'function', declaration: 'inline', local: 'main' }
+      ]);
+      expect(findExports('export default class Service {}')).toEqual([
+        { name: 'default', type: 'class', declaration: 'inline', local: 'Service' }
+      ]);
+    });
+
+    it('detects anonymous default exports', () => {
+      expect(findExports('export default function () {}')[0].type).toBe('function');
+      expect(findExports('export default async () => {}')[0].type).toBe('function');
+      expect(findExports('export default class {}')[0].type).toBe('class');
+      expect(findExports('export default { a() {} }')[0].type).toBe('object');
+      expect(findExports('export default 42')[0].type).toBe('unknown');
+    });
+
+    it('resolves aliased named exports to their local declaration', () => {
+      const exports = findExports(`
+        function impl() {}
+        const handlers = {};
+        class Service {}
+        export { impl as run, handlers, Service as default };
+      `);
+      expect(exports).toEqual([
+        { name: 'run', type: 'function', declaration: 'named', local: 'impl' },
+        { name: 'handlers', type: 'object', declaration: 'named' },
+        { name: 'default', type: 'class', declaration: 'named', local: 'Service' }
+      ]);
+    });
+
+    it('treats `export default name` like a named export', () => {
+      const exports = findExports('const run = () => {};\nexport default run;');
+      expect(exports).toEqual([
+        { name: 'default', type: 'const', declaration: 'named', local: 'run' }
+      ]);
+    });
+
+    it('detects re-exports without resolving them', () => {
+      const exports = findExports(`
+        export { a, b as c } from './other.js';
+        export * as ns from './ns.js';
+        export * from './all.js';
+      `);
+      expect(exports).toEqual([
+        { name: 'a', type: 'unknown', declaration: 'reexport', source: './other.js' },
+        { name: 'c', type: 'unknown', declaration: 'reexport', source: './other.js', local: 'b' },
+        { name: 'ns', type: 'unknown', declaration: 'reexport', source: './ns.js' },
+        { name: '*', type: 'unknown', declaration: 'reexport', source: './all.js' }
+      ]);
+    });
+
+    it('treats exported imports as unknown', () => {
+      const exports = findExports(`import { helper } from './helper.js';\nexport { helper };`);
+      expect(exports[0].type).toBe('unknown');
+    });
+
+    it('ignores export-like text in strings and comments', () => {
+      const source = `
+        // export function commented() {}
+        /* export class Hidden {} */
+        const text = "export const inString = () => {}";
+        const tpl = \`export { text }\`;
+      `;
+      expect(findExports(source)).toEqual([]);
+      expect(hasExports(source)).toBe(false);
+    });
+  });
+
+  describe('TypeScript sources', () => {
+    const ts = (source) => findExports(source, { typescript: true });
+
+    it('parses annotated exports', () => {
+      expect(ts(`
+        export function foo<T>(a: string, b?: number): Promise<T> { return null!; }
+        export const handler: Handler = async (x: number): Promise<number> => x;
+        export const routes = { get(id: string) { return id; } } satisfies Routes;
+        export const cast = ((x: unknown) => x) as Fn;
+      `).map(e => [e.name, e.type])).toEqual([
+        ['foo', 'function'],
+        ['handler', 'const'],
+        ['routes', 'object'],
+        ['cast', 'const']
+      ]);
+    });
+
+    it('skips type-only exports', () => {
+      expect(ts(`
+        import type { X } from './x';
+        export interface Foo { a: string }
+        export type Bar = string;
+        export declare function declared(): void;
+        export declare const version: string;
+        export type { X };
+        export type * from './types';
+        export default interface Config {}
+        const run = () => 1;
+        export { type Foo as Alias, run };
+      `)).toEqual([
+        { name: 'run', type: 'const', declaration: 'named' }
+      ]);
+    });
+
+    it('reports enums and namespaces as unknown', () => {
+      expect(ts(`
+        export enum Color { Red }
+        export const enum Flag { A }
+        export namespace Util { export const a = 1; }
+      `).map(e => [e.name, e.type])).toEqual([
+        ['Color', 'unknown'],
+        ['Flag', 'unknown'],
+        ['Util', 'unknown']
+      ]);
+    });
+
+    it('detects abstract and decorated classes', () => {
+      expect(ts(`
+        export abstract class Base<T> { abstract run(): T; helper(): number { return 1; } }
+        @Injectable()
+        export class Service { constructor(private readonly dep: Dep) {} @Log() go(): void {} }
+        export default @Component({}) class {}
+      `).map(e => [e.name, e.type])).toEqual([
+        ['Base', 'class'],
+        ['Service', 'class'],
+        ['default', 'class']
+      ]);
+    });
+
+    it('reports overloaded functions once', () => {
+      expect(ts(`
+        export function parse(a: string): string;
+        export function parse(a: number): number;
+        export function parse(a: any) { return a; }
+      `)).toEqual([{ name: 'parse', type: 'function', declaration: 'inline' }]);
+    });
+
+    it('picks the parser from the file extension', () => {
+      const source = 'export function f(a: string): string { return a; }';
+      for (const filename of ['a.ts', 'a.mts', 'a.cts']) {
+        expect(findExports(source, { filename })).toHaveLength(1);
+      }
+      expect(findExports('export const C = (p: Props) => <div>{p.a}</div>;', { filename: 'a.tsx' }))
+        .toEqual([{ name: 'C', type: 'const', declaration: 'inline' }]);
+      expect(hasExports(source, { filename: 'a.js' })).toBe(false);
+    });
+
+    it('rewrites exports and keeps type annotations for the TypeScript compiler', () => {
+      const code = transformSource(`
+export interface Opts { factor: number }
+export function scale(a: number, opts: Opts): number;
+export function scale(a: any, opts: Opts) { return a * opts.factor; }
+export const handler: Handler = (x: number): number => x;
+export abstract class Base { abstract name(): string; greet(): string { return this.name(); } }
+const impl = (a: string) => a;
+export { type Opts as Options, impl as run };
+`, { filename: '/src/svc.ts', useReporter: true });
+
+      expect(code).toContain('export interface Opts { factor: number }');
+      expect(code).toContain('function __taist_orig_scale(a: number, opts: Opts): number;');
+      expect(code).toContain('function __taist_orig_scale(a: any, opts: Opts) {');
+      expect(code).toContain('const __taist_orig_handler: Handler = (x: number): number => x;');
+      expect(code).toContain('export const scale = __taist_wrap(__taist_orig_scale, (__taist_module === "scale" ? "scale" : __taist_module + ".scale"));');
+      expect(code).toContain('__taist_instrumentClass(Base,');
+      expect(code).toContain('export { type Opts as Options };');
+      expect(code).toContain('export { impl as run };');
+      expect(code).toContain('const __taist_module = "Svc";');
+    });
+  });
+
+  describe('hasExports', () => {
+    it('returns false for modules with only unknown exports', () => {
+      expect(hasExports('export const a = 1; export * from "./x.js";')).toBe(false);
+    });
+
+    it('returns false for unparseable source', () => {
+      expect(hasExports('export function (')).toBe(false);
+    });
+  });
+
+  describe('transformSource - rewriting', () => {
+    const transform = (source) => transformSource(source, 'Mod', 'taist/lib/service-tracer.js');
+
+    it('produces valid modules for every export shape', () => {
+      const source = `
+        export default function main() { return helper(); }
+        export function helper() { return 1; }
+        export const { a, b } = { a: 1, b: 2 }, arrow = () => 2;
+        export let counter = 0;
+        export class Foo {}
+        const impl = () => 3;
+        export { impl as alias, impl };
+        export * from './other.js';
+      `;
+      const transformed = transform(source);
+      expect(() => parse(transformed, { ecmaVersion: 'latest', sourceType: 'module' })).not.toThrow();
+
+      const names = findExports(transformed)
+        .filter(e => e.declaration !== 'reexport')
+        .map(e => e.name)
+        .sort();
+      expect(names).toEqual(['Foo', 'a', 'alias', 'arrow', 'b', 'counter', 'default', 'helper', 'impl'].sort());
+    });
+
+    it('does not rewrite export-like text in strings or comments', () => {
+      const source = `// export function helper() {}
+const text = "export function helper() {}";
+export function helper() { return text; }`;
+      const transformed = transform(source);
+      expect(transformed).toContain('// export function helper() {}');
+      expect(transformed).toContain('const text = "export function helper() {}";');
+      expect(transformed).toContain('function __taist_orig_helper()');
+    });
+
+    it('keeps other declarators exported when one is wrapped', () => {
+      const transformed = transform('export const a = () => 1, b = 2;');
+      expect(transformed).toContain('const __taist_orig_a = () => 1, b = 2;');
+      expect(transformed).toContain('export const a = __taist_wrap(__taist_orig_a');
+      expect(transformed).toContain('export { b };');
+    });
+
+    it('preserves let/var binding kinds for wrapped exports', () => {
+      const transformed = transform('export let a = () => 1;\nexport var b = () => 2;');
+      expect(transformed).toContain('export let a = __taist_wrap(__taist_orig_a');
+      expect(transformed).toContain('export var b = __taist_wrap(__taist_orig_b');
+    });
+
+    it('exports aliases under their public name', () => {
+      const transformed = transform('const impl = () => 1;\nexport { impl as run };');
+      expect(transformed).toContain('const impl = __taist_wrap(__taist_orig_impl');
+      expect(transformed).toContain('export { impl as run };');
+      expect(transformed).not.toContain('export const impl');
+    });
+
+    it('keeps class specifiers in place and instruments them', () => {
+      const transformed = transform('class A {}\nconst f = () => 1;\nexport { A, f };');
+      expect(transformed).toContain('export { A };');
+      expect(transformed).toContain('__taist_instrumentClass(A');
+      expect(transformed).toContain('export const f = __taist_wrap(__taist_orig_f');
+    });
+
+    it('wraps anonymous default exports in place', () => {
+      expect(transform('export default function () {}\n(0);')).toMatch(/export default __taist_wrap\(function \(\) \{\}, .*\);\n\(0\);/);
+      expect(transform('export default class {}')).toContain('export default __taist_instrumentClass(class {}');
+      expect(transform('export default { a() {} };')).toContain('export default __taist_instrumentObject({ a() {} }');
+    });
+
+    it('leaves re-exports untouched', () => {
+      const source = `export { a } from './a.js';\nexport * from './b.js';`;
+      expect(transform(source)).toBe(source);
+    });
+
+    it('keeps the shebang on the first line', () => {
+      const transformed = transform('#!/usr/bin/env node\nexport function main() {}');
+      expect(transformed.startsWith('#!/usr/bin/env node\n')).toBe(true);
+      expect(transformed).toContain('// --- TAIST AUTO-INSTRUMENTATION ---');
+    });
+  });
+
+  describe('transformSource - source maps', () => {
+    const source = `import { db } from './db.js';
+
+export function add(a, b) {
+  return a + b;
+}
+
+export const resolvers = {
+  Query: { user: () => db.user() }
+};`;
+
+    // Find the original position (0-based) of the first occurrence of `text` in the output
+    const originalPositionOf = (code, map, text) => {
+      const lines = code.split('\n');
+      const line = lines.findIndex(l => l.includes(text));
+      const column = lines[line].indexOf(text);
+      return new SourceMap(JSON.parse(JSON.stringify(map))).findEntry(line, column);
+    };
+
+    it('returns a string unless a source map is requested', () => {
+      expect(typeof transformSource(source, { moduleName: 'Math' })).toBe('string');
+    });
+
+    it('returns code and map when sourceMap is enabled', () => {
+      const { code, map } = transformSource(source, { filename: '/src/math.js', sourceMap: true });
+      expect(code).toBe(transformSource(source, { filename: '/src/math.js' }));
+      expect(map.sources).toEqual(['/src/math.js']);
+      expect(map.sourcesContent).toEqual([source]);
+    });
+
+    it('maps rewritten code back to the original lines', () => {
+      const { code, map } = transformSource(source, { filename: '/src/math.js', sourceMap: true });
+
+      const returnPos = originalPositionOf(code, map, 'return a + b');
+      expect(returnPos.originalLine).toBe(3);
+      expect(returnPos.originalColumn).toBe(2);
+
+      // The renamed declaration still points at the original identifier
+      const renamedPos = originalPositionOf(code, map, '__taist_orig_add');
+      expect(renamedPos.originalLine).toBe(2);
+      expect(renamedPos.originalColumn).toBe(16);
+
+      const resolverPos = originalPositionOf(code, map, 'db.user()');
+      expect(resolverPos.originalLine).toBe(7);
+    });
+
+    it('chains an incoming source map', () => {
+      // Simulate an earlier compile step that stripped a leading banner line
+      const original = `/* banner */\n${source}`;
+      const compiled = new MagicString(original);
+      compiled.remove(0, '/* banner */\n'.length);
+      const inputMap = compiled.generateMap({ source: '/src/math.ts', includeContent: true, hires: true });
+
+      const { code, map } = transformSource(compiled.toString(), {
+        filename: '/src/math.js',
+        sourceMap: true,
+        inputMap
+      });
+
+      expect(map.sources).toEqual(['/src/math.ts']);
+      const returnPos = originalPositionOf(code, map, 'return a + b');
+      expect(returnPos.originalSource).toBe('/src/math.ts');
+      expect(returnPos.originalLine).toBe(4);
+    });
+
+    it('returns a null map when nothing is instrumented', () => {
+      const plain = 'export const answer = 42;';
+      expect(transformSource(plain, { sourceMap: true })).toEqual({ code: plain, map: null });
+    });
+  });
+
+  describe('transformSource - runtime behavior', () => {
+    let tempFiles = [];
+
+    beforeEach(() => {
+      resetGlobalReporter();
+    });
+
+    afterEach(() => {
+      resetGlobalReporter();
+      for (const file of tempFiles) {
+        try {
+          fs.unlinkSync(file);
+        } catch {
+          // Ignore
+        }
+      }
+      tempFiles = [];
+    });
+
+    const load = async (source, moduleName = 'Shapes') => {
+      const transformed = transformSource(source, { moduleName, ...reporterOptions });
+      const tempFile = path.join(os.tmpdir(), `taist-transform-${Date.now()}-${Math.random().toString(36).slice(2)}.mjs`);
+      fs.writeFileSync(tempFile, transformed);
+      tempFiles.push(tempFile);
+      return import(tempFile);
+    };
+
+    const entryNames = () => getGlobalReporter().buffer
+      .filter(t => t.type === 'entry')
+      .map(t => t.name);
+
+    it('wraps every instrumentable export shape', async () => {
+      const mod = await load(`
+        export default function main(x) { return helper(x) + 1; }
+        export function helper(x) { return x * 2; }
+        export const arrow = async () => 'arrow';
+        export class Foo { bar() { return 'bar'; } }
+        const impl = () => 'impl';
+        export { impl as alias };
+        export const obj = { nested: { m() { return 'm'; } } };
+      `);
+
+      expect(mod.default(2)).toBe(5);
+      expect(await mod.arrow()).toBe('arrow');
+      expect(new mod.Foo().bar()).toBe('bar');
+      expect(mod.alias()).toBe('impl');
+      expect(mod.obj.nested.m()).toBe('m');
+
+      expect(entryNames()).toEqual([
+        'Shapes.main',
+        'Shapes.helper',
+        'Shapes.arrow',
+        'Shapes.Foo.bar',
+        'Shapes.impl',
+        'Shapes.obj.nested.m'
+      ]);
+    });
+
+    it('wraps anonymous default exports', async () => {
+      const mod = await load('export default (a, b) => a + b;', 'Sum');
+      expect(mod.default(1, 2)).toBe(3);
+      expect(entryNames()).toEqual(['Sum.default']);
+    });
+
+    it('keeps unknown exports and their values intact', async () => {
+      const mod = await load(`
+        export const { a, b } = { a: 1, b: 2 }, run = () => a + b;
+        export let counter = 0;
+        export function increment() { counter++; return counter; }
+      `);
+      expect(mod.a).toBe(1);
+      expect(mod.b).toBe(2);
+      expect(mod.run()).toBe(3);
+      expect(mod.increment()).toBe(1);
+      expect(mod.counter).toBe(1);
+    });
+
+    it('names the source file in entry traces', async () => {
+      const transformed = transformSource('export function add(a, b) { return a + b; }', {
+        filename: 'file:///app/src/math.js?v=1', moduleName: 'Math', ...reporterOptions
+      });
+      const tempFile = path.join(os.tmpdir(), `taist-transform-${Date.now()}.mjs`);
+      fs.writeFileSync(tempFile, transformed);
+      tempFiles.push(tempFile);
+
+      const mod = await import(tempFile);
+      mod.add(1, 2);
+      const entry = getGlobalReporter().buffer.find(t => t.type === 'entry');
+      expect(entry).toMatchObject({ name: 'Math.add', file: '/app/src/math.js' });
+    });
+
+    it('records and replays calls through the reporter cassette', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taist-transform-cassette-'));
+      try {
+        const source = `
+          let rows = 0;
+          export async function query(sql) { rows++; return { sql, rows }; }
+        `;
+        getGlobalReporter().cassette = new Cassette({ mode: 'record', dir, functions: ['Db.*'] });
+        expect(await (await load(source, 'Db')).query('select 1')).toEqual({ sql: 'select 1', rows: 1 });
+
+        resetGlobalReporter();
+        getGlobalReporter().cassette = new Cassette({ mode: 'replay', dir, functions: ['Db.*'] });
+        const mod = await load(source, 'Db');
+        expect(await mod.query('select 1')).toEqual({ sql: 'select 1', rows: 1 });
+        await expect(mod.query('select 2')).rejects.toThrow('No recording of Db.query("select 2")');
+
+        const exit = getGlobalReporter().buffer.find(t => t.type === 'exit');
+        expect(exit).toMatchObject({ name: 'Db.query', result: { sql: 'select 1', rows: 1 } });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('transformSource - CommonJS', () => {
+    const cjsOptions = { format: 'commonjs', useReporter: true };
+
+    beforeEach(() => {
+      resetGlobalReporter();
+      globalThis[COMMONJS_RUNTIME_KEY] = { getGlobalReporter, getContext, runWithContext, generateId, getCorrelationId };
+    });
+
+    afterEach(() => {
+      resetGlobalReporter();
+      delete globalThis[COMMONJS_RUNTIME_KEY];
+    });
+
+    // Evaluate like Node's CommonJS wrapper does
+    const load = (source, moduleName = 'Shapes') => {
+      const code = transformSource(source, { moduleName, ...cjsOptions });
+      const module = { exports: {} };
+      new Function('module', 'exports', code)(module, module.exports);
+      return module.exports;
+    };
+
+    const entryNames = () => getGlobalReporter().buffer
+      .filter(t => t.type === 'entry')
+      .map(t => t.name);
+
+    it('requires the trace-reporter runtime', () => {
+      expect(() => transformSource('module.exports = {};', { format: 'commonjs' }))
+        .toThrow('CommonJS instrumentation requires useReporter');
+    });
+
+    it('returns source unchanged when it never touches exports', () => {
+      const source = 'console.log("side effect");';
+      expect(transformSource(source, cjsOptions)).toBe(source);
+    });
+
+    it('keeps the directive prologue first', () => {
+      const code = transformSource('"use strict";\nexports.a = () => 1;', cjsOptions);
+      expect(code.startsWith('"use strict";')).toBe(true);
+    });
+
+    it('parses top-level return', () => {
+      expect(() => transformSource('if (global.x) return;\nexports.a = 1;', cjsOptions)).not.toThrow();
+    });
+
+    it('instruments functions, classes and objects on module.exports', () => {
+      const exp = load(`
+        const helper = (x) => x * 2;
+        class Foo { bar() { return 'bar'; } }
+        exports.helper = helper;
+        exports.Foo = Foo;
+        exports.obj = { nested: { m() { return 'm'; } } };
+        exports.VERSION = 1;
+        exports.default = function main() { return 'main'; };
+        Object.defineProperty(exports, 'reexported', { enumerable: true, get: () => helper });
+      `);
+
+      expect(exp.helper(2)).toBe(4);
+      expect(new exp.Foo().bar()).toBe('bar');
+      expect(exp.obj.nested.m()).toBe('m');
+      expect(exp.VERSION).toBe(1);
+      expect(exp.default()).toBe('main');
+      expect(exp.reexported(1)).toBe(2);
+
+      expect(entryNames()).toEqual([
+        'Shapes.helper',
+        'Shapes.Foo.bar',
+        'Shapes.obj.nested.m',
+        'Shapes.main'
+      ]);
+    });
+
+    it('wraps a function assigned to module.exports and keeps its statics', () => {
+      const area = load(`
+        module.exports = function area(r) { return r * r; };
+        module.exports.perimeter = (r) => r * 4;
+      `, 'Square');
+
+      expect(area(3)).toBe(9);
+      expect(area.name).toBe('area');
+      expect(area.perimeter(3)).toBe(12);
+      expect(entryNames()).toEqual(['Square.area', 'Square.perimeter']);
+    });
+
+    it('propagates trace context between CommonJS exports', () => {
+      const exp = load(`
+        exports.inner = () => 1;
+        exports.outer = () => exports.inner() + 1;
+      `);
+
+      expect(exp.outer()).toBe(2);
+      const [outer, inner] = getGlobalReporter().buffer.filter(t => t.type === 'entry');
+      expect(inner.parentId).toBe(outer.id);
+      expect(inner.depth).toBe(outer.depth + 1);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Unit tests for structure-aware summarization of traced values
+ */
+
+import { describe, it, expect } from 'vitest';
+import { summarizeValue, summarizeArgs } from '../../lib/value-summarizer.js';
+import { encodeValue } from '../../lib/trace-serializer.js';
+import { TraceReporter } from '../../lib/trace-reporter.js';
+
+const size = value => JSON.stringify(value).length;
+
+describe('summarizeValue', () => {
+  it('keeps values that fit the budget', () => {
+    const value = { id: 1, tags: ['a', 'b'], nested: { ok: true } };
+
+    expect(summarizeValue(value, 1000)).toEqual(value);
+  });
+
+  it('returns the value as is without a budget', () => {
+    const value = { blob: 'x'.repeat(5000) };
+
+    expect(summarizeValue(value, 0)).toBe(value);
+    expect(summarizeValue(null, 100)).toBe(null);
+  });
+
+  it('shortens one big field instead of replacing the whole value', () => {
+    const summary = summarizeValue({ id: 42, status: 'active', html: '<p>'.repeat(10000) }, 1000);
+
+    expect(summary.id).toBe(42);
+    expect(summary.status).toBe('active');
+    expect(summary.html).toMatch(/^<p><p>.*\.\.\.\(30000 chars\)$/);
+    expect(size(summary)).toBeLessThanOrEqual(1000);
+  });
+
+  it('shortens long arrays and wide objects', () => {
+    const rows = Array.from({ length: 500 }, (_, i) => ({ id: i }));
+    const wide = Object.fromEntries(Array.from({ length: 200 }, (_, i) => [`k${i}`, i]));
+
+    const summary = summarizeValue({ rows, wide }, 1000);
+
+    expect(summary.rows.at(-1)).toMatch(/^\.\.\.\(\d+ more\)$/);
+    expect(summary.rows[0]).toEqual({ id: 0 });
+    expect(summary.wide['...']).toMatch(/^\(\d+ more\)$/);
+    expect(size(summary)).toBeLessThanOrEqual(1000);
+  });
+
+  it('keeps the top-level keys when nothing else fits', () => {
+    const deep = { a: { b: { c: { d: 'x'.repeat(100) } } } };
+    const summary = summarizeValue({ user: deep, orders: [deep, deep], count: 2 }, 60);
+
+    expect(Object.keys(summary)).toEqual(['user', 'orders', 'count']);
+    expect(summary).toMatchObject({ user: '[Object: 1 key]', orders: '[Array: 2 items]', count: 2 });
+  });
+
+  it('keeps types, cycles and small binaries for the serializer', () => {
+    class Order {
+      constructor() {
+        this.id = 7;
+        this.self = this;
+      }
+    }
+
+    const value = {
+      order: new Order(),
+      index: new Map([['a', { n: 1 }]]),
+      ids: new Set([1, 2]),
+      bytes: new Uint8Array(16),
+      file: Buffer.alloc(2048),
+      at: new Date(0),
+      big: 10n,
+      error: new Error('boom', { cause: new Error('root') })
+    };
+    const summary = summarizeValue(value, 1000);
+
+    expect(summary).not.toBe(value);
+    expect(summary.order).toBeInstanceOf(Order);
+    expect(summary.order.self).toBe(summary.order);
+    expect(summary.index).toEqual(new Map([['a', { n: 1 }]]));
+    expect(summary.ids).toEqual(new Set([1, 2]));
+    expect(summary.bytes).toBe(value.bytes);
+    expect(summary.file).toBe('[Buffer: 2048 bytes]');
+    expect(summary.at).toBe(value.at);
+    expect(summary.big).toBe(10n);
+    expect(summary.error).toBeInstanceOf(Error);
+    expect(summary.error.cause.message).toBe('root');
+  });
+
+  it('shortens maps and sets like arrays and objects', () => {
+    const map = new Map(Array.from({ length: 100 }, (_, i) => [`k${i}`, i]));
+    const set = new Set(Array.from({ length: 100 }, (_, i) => i));
+
+    const summary = summarizeValue({ map, set }, 400);
+
+    expect(summary.map.get('...')).toMatch(/^\(\d+ more\)$/);
+    expect([...summary.set].at(-1)).toMatch(/^\.\.\.\(\d+ more\)$/);
+    expect(size(encodeValue(summary))).toBeLessThanOrEqual(400);
+  });
+
+  it('marks repeated references only when they are cycles', () => {
+    const shared = { n: 1 };
+
+    expect(summarizeValue({ a: shared, b: shared }, 1000)).toEqual({ a: { n: 1 }, b: { n: 1 } });
+  });
+
+  it('bounds the work done on huge graphs', () => {
+    const root = { children: [] };
+    let level = [root];
+    for (let depth = 0; depth < 6; depth++) {
+      const nextLevel = [];
+      for (const node of level) {
+        node.children = Array.from({ length: 10 }, () => ({ payload: 'p'.repeat(50), children: [] }));
+        nextLevel.push(...node.children);
+      }
+      level = nextLevel;
+    }
+
+    const stringify = JSON.stringify;
+    let calls = 0;
+    JSON.stringify = (...args) => {
+      calls++;
+      return stringify(...args);
+    };
+    try {
+      const summary = summarizeValue(root, 1000);
+      expect(stringify(summary).length).toBeLessThanOrEqual(1000);
+    } finally {
+      JSON.stringify = stringify;
+    }
+    expect(calls).toBeLessThanOrEqual(4);
+  });
+});
+
+describe('summarizeArgs', () => {
+  it('gives each argument its own depth', () => {
+    const args = [{ user: { id: 1 }, note: 'n'.repeat(500) }, 'plain'];
+    const summary = summarizeArgs(args, 100);
+
+    expect(summary).toHaveLength(2);
+    expect(Object.keys(summary[0])).toEqual(['user', 'note']);
+    expect(summary[1]).toBe('plain');
+  });
+});
+
+describe('TraceReporter summarization', () => {
+  it('summarizes args and results to maxArgSize and maxResultSize', () => {
+    const reporter = new TraceReporter({ maxArgSize: 200, maxResultSize: 200 });
+
+    reporter.report({
+      name: 'Repo.save',
+      type: 'exit',
+      args: [{ id: 5, body: 'b'.repeat(5000) }],
+      result: { ok: true, rows: Array.from({ length: 1000 }, (_, i) => i) }
+    });
+    reporter.close();
+
+    const [trace] = reporter.buffer;
+    expect(trace.args[0].id).toBe(5);
+    expect(trace.result.ok).toBe(true);
+    expect(size(trace.args)).toBeLessThanOrEqual(200);
+    expect(size(trace.result)).toBeLessThanOrEqual(200);
+  });
+});
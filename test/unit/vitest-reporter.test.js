@@ -206,6 +206,28 @@ describe('TaistReporter', () => {
       expect(reporter.results.trace[0].name).toBe('TestService.method');
     });
 
+    it('should attach traces to the failing test that produced them', async () => {
+      const reporter = new TaistReporter({ traceEnabled: true, silent: true, traceGracePeriod: 0 });
+      reporter.onInit({});
+      await reporter.collectorReady;
+
+      for (const [id, testId] of [['t1', 'task-pass'], ['t2', 'task-fail'], ['t3', undefined]]) {
+        reporter.collector._addTrace({ id, name: `Svc.${id}`, type: 'exit', timestamp: Date.now(), depth: 0, testId });
+      }
+
+      await reporter.onFinished([{
+        filepath: 'test.js',
+        tasks: [
+          { id: 'task-pass', type: 'test', name: 'passes', result: { state: 'pass' } },
+          { id: 'task-fail', type: 'test', name: 'fails', result: { state: 'fail', errors: [{ message: 'boom' }] } }
+        ]
+      }], []);
+
+      expect(reporter.results.trace).toHaveLength(3);
+      expect(reporter.results.failures[0].testId).toBe('task-fail');
+      expect(reporter.results.failures[0].trace.map(t => t.name)).toEqual(['Svc.t2']);
+    });
+
     it('should stop collector after collecting traces', async () => {
       const reporter = new TaistReporter({ traceEnabled: true, silent: true });
       reporter.onInit({});
@@ -246,6 +268,27 @@ describe('TaistReporter', () => {
       expect(reporter.results.failures.length).toBe(1);
     });
 
+    it('should count tests that passed on a retry as flaky', () => {
+      const reporter = new TaistReporter({ traceEnabled: false });
+
+      reporter._processTask(
+        {
+          type: 'test',
+          name: 'test',
+          retry: 3,
+          result: { state: 'pass', retryCount: 1, errors: [{ message: 'timed out' }] }
+        },
+        { filepath: 'test.js' }
+      );
+
+      expect(reporter.results.stats.passed).toBe(1);
+      expect(reporter.results.stats.flaky).toBe(1);
+      expect(reporter.results.tests[0].flaky).toBe(true);
+      expect(reporter.results.flaky).toEqual([
+        { test: 'test', location: 'test.js', retries: 1, maxRetries: 3, error: 'timed out' }
+      ]);
+    });
+
     it('should process nested suites recursively', () => {
       const reporter = new TaistReporter({ traceEnabled: false });
 
@@ -444,6 +487,36 @@ describe('TaistReporter', () => {
       consoleSpy.mockRestore();
     });
 
+    it('should output only the trace timeline for chrome-trace format', async () => {
+      const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const reporter = new TaistReporter({ traceEnabled: false, format: 'chrome-trace' });
+      reporter.results = {
+        stats: { total: 1, passed: 1, failed: 0, skipped: 0 },
+        failures: [],
+        duration: 100,
+        trace: [{
+          id: 'call-1',
+          name: 'TestService.method',
+          type: 'exit',
+          timestamp: 1000,
+          depth: 0,
+          correlationId: 'test-1',
+          workerId: 4242,
+          duration: 50
+        }]
+      };
+
+      reporter._outputResults();
+
+      const { traceEvents } = JSON.parse(consoleSpy.mock.calls[0][0]);
+      expect(traceEvents).toContainEqual(expect.objectContaining({
+        name: 'TestService.method', ph: 'X', ts: 950000, dur: 50000, pid: 4242
+      }));
+
+      consoleSpy.mockRestore();
+    });
+
     it('should not output when silent is true', async () => {
       const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
 
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for the reporter ↔ collector wire protocol
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  WireEncoder,
+  WireDecoder,
+  helloMessage,
+  negotiate,
+  PROTOCOL_VERSION,
+  FRAME_MARKER
+} from '../../lib/wire-protocol.js';
+import { stringifyMessage } from '../../lib/trace-serializer.js';
+
+function makeTraces(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `call-${i}`,
+    name: `OrderService.step${i % 5}`,
+    type: i % 2 ? 'exit' : 'entry',
+    depth: i % 4,
+    timestamp: 1700000000000 + i,
+    correlationId: `req-${Math.floor(i / 20)}`,
+    testId: 'test/orders.test.js > places an order',
+    args: [{ orderId: i, sku: 'SKU-123', quantity: 2 }],
+    result: i % 2 ? { ok: true, total: 42.5 } : undefined
+  }));
+}
+
+const batch = (data) => ({ type: 'batch', workerId: 123, data });
+
+describe('negotiation', () => {
+  it('agrees on binary frames with the requested compression', () => {
+    const hello = helloMessage({ compression: 'gzip' });
+
+    expect(hello).toEqual({ type: 'hello', protocols: [PROTOCOL_VERSION, 1], compression: ['gzip'], intern: true });
+    expect(negotiate(hello)).toEqual({ type: 'welcome', protocol: 2, compression: 'gzip', intern: true });
+  });
+
+  it('falls back to NDJSON for reporters that only speak version 1', () => {
+    expect(negotiate({ type: 'hello', protocols: [1], compression: ['gzip'], intern: true }))
+      .toEqual({ type: 'welcome', protocol: 1, compression: 'none', intern: false });
+  });
+
+  it('ignores compression it does not know', () => {
+    expect(negotiate({ type: 'hello', protocols: [2], compression: ['zstd'] }).compression).toBe('none');
+  });
+});
+
+describe('WireEncoder / WireDecoder', () => {
+  it.each(['none', 'gzip', 'br'])('round-trips batches with %s compression', (compression) => {
+    const encoder = new WireEncoder({ compression, intern: true });
+    const decoder = new WireDecoder();
+    const traces = makeTraces(50);
+
+    const frame = encoder.encode(batch(traces));
+    expect(frame[0]).toBe(FRAME_MARKER);
+
+    const [item] = decoder.push(frame);
+    expect(item.message).toEqual(JSON.parse(stringifyMessage(batch(traces))));
+  });
+
+  it('sends each interned string once per connection', () => {
+    const encoder = new WireEncoder({ intern: true });
+    const decoder = new WireDecoder();
+    const [first, second] = [makeTraces(4), makeTraces(4)];
+
+    const frame1 = encoder.encode(batch(first));
+    const frame2 = encoder.encode(batch(second));
+
+    expect(frame2.length).toBeLessThan(frame1.length);
+    expect(JSON.parse(frame2.subarray(6).toString())).not.toHaveProperty('strings');
+
+    const [a] = decoder.push(frame1);
+    const [b] = decoder.push(frame2);
+    expect(a.message.data.map(t => t.name)).toEqual(first.map(t => t.name));
+    expect(b.message.data.map(t => t.correlationId)).toEqual(second.map(t => t.correlationId));
+  });
+
+  it('reads NDJSON lines and frames from the same stream, split anywhere', () => {
+    const encoder = new WireEncoder({ compression: 'gzip', intern: true });
+    const hello = JSON.stringify(helloMessage()) + '\n';
+    const line = stringifyMessage(batch(makeTraces(2))) + '\n';
+    const frames = [encoder.encode(batch(makeTraces(30))), encoder.encode(batch(makeTraces(3)))];
+    const stream = Buffer.concat([Buffer.from(hello + line), ...frames, Buffer.from(line)]);
+
+    const decoder = new WireDecoder();
+    const items = [];
+    for (let offset = 0; offset < stream.length; offset += 7) {
+      items.push(...decoder.push(stream.subarray(offset, offset + 7)));
+    }
+
+    expect(items.map(item => item.line ? JSON.parse(item.line).type : item.message.type))
+      .toEqual(['hello', 'batch', 'batch', 'batch', 'batch']);
+    expect(items[3].message.data[2].name).toBe('OrderService.step2');
+  });
+
+  it('keeps the last NDJSON line without a newline and drops a partial frame', () => {
+    const decoder = new WireDecoder();
+    decoder.push('{"type":"flush"}');
+    expect(decoder.end()).toEqual([{ line: '{"type":"flush"}' }]);
+
+    const frame = new WireEncoder().encode(batch(makeTraces(2)));
+    decoder.push(frame.subarray(0, 10));
+    expect(decoder.end()).toEqual([]);
+  });
+
+  it('reports corrupt frames', () => {
+    const corrupt = new WireEncoder({ compression: 'gzip' }).encode(batch(makeTraces(40)));
+    corrupt[corrupt.length - 3] ^= 0xff; // gzip length trailer
+    const unknown = new WireEncoder().encode(batch(makeTraces(1)));
+    unknown[1] = 9;
+
+    const items = new WireDecoder().push(Buffer.concat([corrupt, unknown]));
+    expect(items.map(item => item.error?.constructor.name)).toEqual(['Error', 'Error']);
+  });
+
+  it('rejects frames that decompress beyond the frame size limit', () => {
+    const padding = 'x'.repeat(64 * 1024);
+    const frame = new WireEncoder({ compression: 'gzip' }).encode(batch([{ id: 'big', name: padding }]));
+    expect(frame.length).toBeLessThan(1024);
+
+    const [item] = new WireDecoder({ maxFrameSize: 16 * 1024 }).push(frame);
+    expect(item.error.code).toBe('ERR_BUFFER_TOO_LARGE');
+    expect(new WireDecoder().push(frame)[0].message.data[0].name).toBe(padding);
+  });
+});
+
+describe('wire size', () => {
+  it('shrinks a large batch compared to NDJSON', () => {
+    const traces = makeTraces(2000);
+    const ndjson = Buffer.byteLength(stringifyMessage(batch(traces)) + '\n');
+    const interned = new WireEncoder({ intern: true }).encode(batch(traces)).length;
+    const gzip = new WireEncoder({ intern: true, compression: 'gzip' }).encode(batch(traces)).length;
+    const br = new WireEncoder({ intern: true, compression: 'br' }).encode(batch(traces)).length;
+
+    expect(interned).toBeLessThan(ndjson * 0.8);
+    expect(gzip).toBeLessThan(ndjson / 5);
+    expect(br).toBeLessThan(ndjson / 5);
+  });
+});
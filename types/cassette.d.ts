@@ -0,0 +1,77 @@
+/**
+ * Cassette Type Definitions
+ *
+ * TAIST_MODE=record saves the results of boundary calls (database, HTTP
+ * client wrappers) per function and argument list; TAIST_MODE=replay
+ * serves them instead of calling through.
+ */
+
+export type CassetteMode = 'record' | 'replay';
+
+/** What the TOON output shows for a replayed call that was never recorded */
+export interface ReplayMiss {
+  /** Trace name of the function */
+  fn: string;
+  /** Arguments of the call, as written in a call: 42, "a" */
+  args: string;
+  /** Arguments of the function's recordings (at most 5) */
+  recorded: string[];
+  /** Recordings beyond those listed */
+  more: number;
+  /** Cassette directory */
+  dir: string;
+}
+
+/** Thrown (or rejected, for functions recorded returning promises) on a replay miss */
+export declare class CassetteMismatchError extends Error {
+  constructor(name: string, args: unknown[], recorded: unknown[][], dir: string);
+  name: 'CassetteMismatchError';
+  replay: ReplayMiss;
+}
+
+export interface CassetteOptions {
+  mode: CassetteMode;
+  /** Trace names to record or replay (`*` wildcards), e.g. ['Db.*'] */
+  functions: string[];
+  /** Default: .taist/cassettes */
+  dir?: string;
+}
+
+/** The `cassettes` section of .taistrc.json, with the env overrides applied */
+export interface CassetteConfig {
+  /** TAIST_MODE */
+  mode?: string;
+  /** TAIST_CASSETTE_FUNCTIONS */
+  functions?: string[];
+  /** TAIST_CASSETTE_DIR */
+  dir?: string;
+}
+
+export declare class Cassette {
+  constructor(options: CassetteOptions);
+
+  readonly mode: CassetteMode;
+  readonly dir: string;
+
+  /** Whether calls of a function go through the cassette */
+  matches(name: string): boolean;
+
+  /**
+   * Cassette file of a call: <dir>/<name>.<args hash>.ndjson
+   * @param args Encoded arguments (see encodeValue)
+   */
+  file(name: string, args: unknown[]): string;
+
+  /**
+   * Make a call through the cassette: record what `invoke` returns or
+   * throws, or replay it. Functions that don't match are called directly.
+   * @throws CassetteMismatchError on replay when the arguments were never recorded
+   */
+  call<T>(name: string, args: unknown[], invoke: () => T): T;
+}
+
+/** Read the `cassettes` section of .taistrc.json and TAIST_MODE / TAIST_CASSETTE_* */
+export declare function loadCassetteConfig(startDir?: string): CassetteConfig;
+
+/** The cassette of a process, or null unless TAIST_MODE is record or replay and functions are set */
+export declare function createCassette(config?: CassetteConfig): Cassette | null;
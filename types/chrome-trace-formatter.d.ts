@@ -0,0 +1,63 @@
+/**
+ * ChromeTraceFormatter Type Definitions
+ *
+ * Converts collected traces into the Chrome Trace Event format
+ * (chrome://tracing, Perfetto).
+ */
+
+import { TraceObject } from './trace-collector';
+
+export interface ChromeTraceFormatterOptions {
+  /** Indent the JSON output (default: false) */
+  pretty?: boolean;
+}
+
+/** A Chrome trace event - timestamps and durations are in microseconds */
+export interface ChromeTraceEvent {
+  name: string;
+  /** 'X' = complete call, 'B' = call that never finished, 'M' = track metadata */
+  ph: 'X' | 'B' | 'M';
+  /** 'taist', or 'taist,error' for calls that threw */
+  cat?: string;
+  ts?: number;
+  dur?: number;
+  /** Worker pid (0 when unknown) */
+  pid: number | string;
+  /** Track within the worker - one per correlationId/traceId */
+  tid: number;
+  args: Record<string, unknown>;
+}
+
+export interface ChromeTraceFile {
+  traceEvents: ChromeTraceEvent[];
+  displayTimeUnit: 'ms';
+}
+
+/**
+ * ChromeTraceFormatter - Timeline view of a run
+ *
+ * One process per worker pid, one thread per correlationId, one complete
+ * event per call.
+ */
+export declare class ChromeTraceFormatter {
+  constructor(options?: ChromeTraceFormatterOptions);
+
+  options: ChromeTraceFormatterOptions;
+
+  /**
+   * Format traces as a Chrome Trace Event JSON document
+   */
+  format(traces: TraceObject[]): string;
+
+  /**
+   * Build the JSON object form
+   */
+  toTraceFile(traces: TraceObject[]): ChromeTraceFile;
+
+  /**
+   * Convert trace records into metadata and call events
+   */
+  toEvents(traces: TraceObject[]): ChromeTraceEvent[];
+}
+
+export default ChromeTraceFormatter;
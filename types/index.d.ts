@@ -12,8 +12,12 @@ export {
   TestResults,
   TestStats,
   TestFailure,
+  FlakyTest,
   TraceEntry,
   CoverageInfo,
+  CoverageCounts,
+  FileCoverage,
+  AffectedTests,
   LocationInfo,
   DiffInfo
 } from './taist';
@@ -37,5 +41,41 @@ export * from './testing';
 // Re-export trace-collector types
 export * from './trace-collector';
 
+// Re-export OTLP exporter types
+export * from './otlp-exporter';
+
+// Re-export Chrome trace formatter types
+export * from './chrome-trace-formatter';
+
+// Re-export trace diff types
+export * from './trace-diff';
+
+// Re-export test generator types
+export * from './test-generator';
+
+// Re-export cassette types
+export * from './cassette';
+
+// Re-export run store types
+export * from './run-store';
+
+// Re-export redaction types
+export * from './redaction';
+
+// Re-export trace serializer types
+export * from './trace-serializer';
+
+// Re-export trace sampler types
+export * from './trace-sampler';
+
+// Re-export trace retention types
+export * from './trace-retention';
+
+// Re-export trace spool types
+export * from './trace-spool';
+
+// Re-export wire protocol types
+export * from './wire-protocol';
+
 // Re-export vitest-reporter types
 export { TaistReporter, TaistReporterOptions } from './vitest-reporter';
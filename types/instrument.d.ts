@@ -347,4 +347,25 @@ export declare function setCorrelationId(id: string | null): void;
  */
 export declare function clearCorrelationId(): void;
 
+/**
+ * Get the ID of the currently running test, if a test runner set one
+ */
+export declare function getTestId(): string | null;
+
+/**
+ * Set the ID of the currently running test.
+ *
+ * Traces reported while it is set carry this `testId`, so reporters can
+ * attribute them to the test. `taist/vitest-setup` does this for Vitest.
+ * Stored in the caller's async context, so concurrent tests keep their own id.
+ *
+ * @param id The test ID to set (or null to clear)
+ */
+export declare function setTestId(id: string | null): void;
+
+/**
+ * Clear the current test ID. Call this after each test.
+ */
+export declare function clearTestId(): void;
+
 export default tracer;
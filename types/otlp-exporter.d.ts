@@ -0,0 +1,112 @@
+/**
+ * OtlpExporter Type Definitions
+ *
+ * Converts collected traces into OpenTelemetry spans (OTLP/JSON).
+ */
+
+import { TraceObject } from './trace-collector';
+
+/** Default OTLP/HTTP traces endpoint (local collector, Jaeger or Tempo) */
+export declare const DEFAULT_OTLP_ENDPOINT: string;
+
+export interface OtlpExporterOptions {
+  /** service.name resource attribute (default: OTEL_SERVICE_NAME or 'taist') */
+  serviceName?: string;
+  /** OTLP/HTTP traces endpoint (default: OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, OTEL_EXPORTER_OTLP_ENDPOINT + /v1/traces, or DEFAULT_OTLP_ENDPOINT) */
+  endpoint?: string;
+  /** Extra HTTP headers sent with push() */
+  headers?: Record<string, string>;
+  /** HTTP timeout in ms (default: 5000) */
+  timeout?: number;
+  /** Extra resource attributes */
+  resourceAttributes?: Record<string, string | number | boolean>;
+}
+
+export interface OtlpAnyValue {
+  stringValue?: string;
+  boolValue?: boolean;
+  /** int64 values are strings in OTLP/JSON */
+  intValue?: string;
+  doubleValue?: number;
+}
+
+export interface OtlpKeyValue {
+  key: string;
+  value: OtlpAnyValue;
+}
+
+export interface OtlpSpan {
+  /** 32 hex characters */
+  traceId: string;
+  /** 16 hex characters */
+  spanId: string;
+  parentSpanId?: string;
+  name: string;
+  /** SPAN_KIND_INTERNAL */
+  kind: 1;
+  startTimeUnixNano: string;
+  endTimeUnixNano: string;
+  attributes: OtlpKeyValue[];
+  /** 0 = unset, 2 = error */
+  status: { code: 0 | 2; message?: string };
+  events?: Array<{ name: string; timeUnixNano: string; attributes: OtlpKeyValue[] }>;
+}
+
+/** OTLP ExportTraceServiceRequest */
+export interface OtlpExportRequest {
+  resourceSpans: Array<{
+    resource: { attributes: OtlpKeyValue[] };
+    scopeSpans: Array<{
+      scope: { name: string };
+      spans: OtlpSpan[];
+    }>;
+  }>;
+}
+
+export interface OtlpPushResult {
+  /** HTTP status code */
+  status: number;
+  /** Number of spans sent */
+  spans: number;
+  /** Spans the receiver reported as rejected (partial success) */
+  rejectedSpans: number;
+}
+
+/**
+ * Resolve the OTLP/HTTP traces endpoint, honouring the standard OpenTelemetry env vars
+ */
+export declare function resolveOtlpEndpoint(endpoint?: string): string;
+
+/**
+ * OtlpExporter - Converts Taist trace records into OTLP spans
+ *
+ * Each traced call becomes one span; Taist IDs are hashed into OTLP trace/span
+ * IDs so parent links are preserved.
+ */
+export declare class OtlpExporter {
+  constructor(options?: OtlpExporterOptions);
+
+  options: Required<OtlpExporterOptions>;
+
+  /**
+   * Convert trace records into OTLP spans, ordered by start time
+   */
+  toSpans(traces: TraceObject[]): OtlpSpan[];
+
+  /**
+   * Build an OTLP ExportTraceServiceRequest
+   */
+  toOtlp(traces: TraceObject[]): OtlpExportRequest;
+
+  /**
+   * Write traces as OTLP/JSON (one request per line)
+   */
+  writeFile(traces: TraceObject[], filePath: string, options?: { append?: boolean }): OtlpExportRequest;
+
+  /**
+   * Push traces to an OTLP/HTTP receiver
+   */
+  push(traces: TraceObject[]): Promise<OtlpPushResult>;
+}
+
+export default OtlpExporter;
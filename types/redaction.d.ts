@@ -0,0 +1,77 @@
+/**
+ * Redaction Type Definitions
+ *
+ * Masks secrets and PII in trace args, results and errors before they
+ * leave the worker.
+ */
+
+/** Replacement for values under sensitive keys */
+export declare const REDACTED: '[REDACTED]';
+
+/** Built-in key patterns (case-insensitive regex sources) */
+export declare const DEFAULT_REDACT_KEYS: string[];
+
+/** Built-in value patterns */
+export declare const DEFAULT_REDACT_PATTERNS: Array<{
+  name: string;
+  pattern: string;
+  validate?: (match: string) => boolean;
+}>;
+
+export interface RedactFunctionRule {
+  /** false disables redaction for matching functions */
+  enabled?: boolean;
+  /** true redacts every argument; numbers redact those positions */
+  args?: boolean | number[];
+  /** Redact the whole return value */
+  result?: boolean;
+  /** Extra key patterns for matching functions */
+  keys?: string[];
+}
+
+/** The `redact` section of .taistrc.json */
+export interface RedactConfig {
+  /** Default: true */
+  enabled?: boolean;
+  /** Include the built-in keys and patterns (default: true) */
+  defaults?: boolean;
+  /** Extra key patterns (case-insensitive regex sources) */
+  keys?: string[];
+  /** Extra value patterns; unnamed ones are replaced with [REDACTED] */
+  patterns?: Array<string | { name: string; pattern: string }>;
+  /** Overrides by function name, `*` wildcards allowed (e.g. "AuthService.*") */
+  functions?: Record<string, RedactFunctionRule>;
+}
+
+export interface ResolvedRedactRule {
+  enabled: boolean;
+  args: boolean | number[];
+  result: boolean;
+  keys: RegExp[];
+}
+
+export declare class Redactor {
+  constructor(config?: RedactConfig | boolean);
+
+  enabled: boolean;
+
+  /** Redact a trace record's args, result, error and data in place */
+  redactTrace<T extends { name?: string }>(trace: T): T;
+
+  /** Resolve the rule applied to a function name */
+  ruleFor(name?: string): ResolvedRedactRule;
+
+  /** Copy of value with sensitive keys and substrings masked */
+  redactValue<T = unknown>(value: T, keys?: RegExp[]): T;
+
+  /** Mask value-pattern matches in a string */
+  redactString(text: string): string;
+}
+
+/** Redactor configured by .taistrc.json and TAIST_REDACT (one per process) */
+export declare function getGlobalRedactor(): Redactor;
+
+/** Reset the global redactor so the next call reloads config */
+export declare function resetGlobalRedactor(): void;
+
+export default Redactor;
@@ -0,0 +1,132 @@
+/**
+ * Run Store Type Definitions
+ *
+ * Persistent history of test and trace runs (.taist/runs).
+ */
+
+import type { TestResults } from './taist';
+
+export interface RunStoreOptions {
+  /** Store directory (default: TAIST_HISTORY_DIR or .taist/runs) */
+  dir?: string;
+  /** Oldest runs beyond this are pruned on save (default: 100) */
+  maxRuns?: number;
+}
+
+export interface RunSummary {
+  pass: number;
+  fail: number;
+  total: number;
+  /** Tests failing now that passed in the previous run of the same command */
+  new_failures: string[];
+  /** Tests that failed in the previous run and pass now */
+  fixed: string[];
+  key_errors: string[];
+  failed_tests: string[];
+  /** Tests that passed on a retry */
+  flaky?: string[];
+}
+
+export type RunCommand = 'test' | 'trace' | 'run' | 'watch';
+
+/** Index entry for one run */
+export interface RunEntry {
+  /** Sortable id, e.g. 20261019-083712-a1b2 */
+  id: string;
+  command: RunCommand | string;
+  /** ISO timestamp */
+  timestamp: string;
+  /** Duration in ms */
+  duration: number;
+  summary: RunSummary;
+  iteration?: number;
+  changes?: string[];
+  exitCode?: number;
+  /** Command line that was run (taist run) */
+  args?: string;
+}
+
+/** A saved run: index entry plus results (readable by `taist diff`) */
+export interface SavedRun extends RunEntry, Pick<TestResults, 'stats' | 'failures' | 'flaky' | 'trace' | 'coverage'> {
+  tests: unknown[];
+}
+
+export interface SaveRunMeta {
+  command?: RunCommand | string;
+  changes?: string[];
+  duration?: number;
+  iteration?: number;
+  exitCode?: number;
+  args?: string;
+}
+
+export interface ListRunsOptions {
+  /** Only runs of this command */
+  command?: string;
+  /** Only the most recent N runs */
+  limit?: number;
+}
+
+export interface PruneRunsOptions {
+  /** Keep only the most recent N runs */
+  keep?: number;
+  /** Delete runs older than this many ms */
+  olderThan?: number;
+}
+
+/** A test's flakiness across recorded runs */
+export interface FlakyTestHistory {
+  test: string;
+  /** Runs where it passed on a retry */
+  flaky: number;
+  /** Runs where it failed outright */
+  failed: number;
+  /** Runs looked at */
+  runs: number;
+  /** Timestamp of the last run where it was flaky */
+  lastSeen: string;
+}
+
+export type Trend = 'improving' | 'degrading' | 'stable';
+
+export declare class RunStore {
+  constructor(options?: RunStoreOptions);
+
+  /** Resolved store directory */
+  readonly dir: string;
+
+  /** Save a run and add it to the index */
+  save(results: Partial<TestResults>, meta?: SaveRunMeta): RunEntry;
+
+  /** List runs, oldest first */
+  list(options?: ListRunsOptions): RunEntry[];
+
+  /**
+   * Read a saved run
+   * @param id Run id, a unique prefix of one, or 'latest'
+   */
+  get(id: string): SavedRun;
+
+  /** Find the index entry for a run id, unique id prefix, or 'latest' */
+  resolve(id: string): RunEntry;
+
+  /**
+   * Delete old runs
+   * @returns Ids of deleted runs
+   */
+  prune(options?: PruneRunsOptions): string[];
+
+  /** Tests that were flaky in recorded runs, most often flaky first */
+  flakyTests(options?: ListRunsOptions): FlakyTestHistory[];
+
+  /** Summary of recent runs, with the trend across them */
+  getSummary(options?: ListRunsOptions): { runs: number; current: RunEntry | undefined; trend: Trend };
+}
+
+/** Summarize results for the history index */
+export declare function summarizeResults(results: Partial<TestResults>, previousFailures?: string[] | null): RunSummary;
+
+/** Trend in failure counts across history entries (oldest first) */
+export declare function analyzeTrend(entries: Array<{ summary: { fail: number } }>): Trend;
+
+export default RunStore;
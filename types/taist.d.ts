@@ -3,10 +3,14 @@
  */
 
 import { EventEmitter } from 'events';
+import type { TraceObject } from './trace-collector';
+import type { RunStore } from './run-store';
+import type { SamplingStats } from './trace-sampler';
+import type { ReplayMiss } from './cassette';
 
 export interface TaistOptions {
-  /** Output format: 'toon' | 'json' | 'compact' */
-  format?: 'toon' | 'json' | 'compact';
+  /** Output format: 'toon' | 'json' | 'compact' | 'chrome-trace' */
+  format?: 'toon' | 'json' | 'compact' | 'chrome-trace';
   /** Enable execution tracing */
   trace?: boolean;
   /** Trace depth level (default: 2) */
@@ -21,6 +25,8 @@ export interface TaistOptions {
   watch?: WatchHandlerOptions;
   /** Watch paths */
   paths?: string[];
+  /** Rerun failing tests up to this many times; tests that pass on a retry are flaky */
+  retry?: number;
 }
 
 export interface RunConfig {
@@ -30,6 +36,10 @@ export interface RunConfig {
   tests?: string | string[];
   /** Test name pattern filter */
   testNamePattern?: string;
+  /** Only run the tests that are among, or transitively import, these changed files */
+  changed?: string[];
+  /** Only run the tests whose traced calls reached these changed files (see the impact map) */
+  impacted?: string[];
 }
 
 export interface WatchConfig extends RunConfig {
@@ -46,12 +56,27 @@ export interface TestResults {
   stats: TestStats;
   /** Array of test failures */
   failures: TestFailure[];
+  /** Tests that passed on a retry */
+  flaky?: FlakyTest[];
   /** Total duration in milliseconds */
   duration: number;
   /** Execution trace entries */
   trace?: TraceEntry[];
+  /** Traces dropped by sampling or the collector's maxTraces limit */
+  sampling?: SamplingStats | null;
   /** Code coverage information */
   coverage?: CoverageInfo;
+  /** What a `changed` or `impacted` run selected */
+  affected?: AffectedTests;
+}
+
+export interface AffectedTests {
+  /** Changed files, relative to the working directory */
+  changed: string[];
+  /** Test files run, or null when every test ran (no import graph or impact map yet) */
+  tests: string[] | null;
+  /** Impacted runs: full names of the tests run, or null when whole files ran */
+  impacted?: string[] | null;
 }
 
 export interface TestStats {
@@ -63,6 +88,8 @@ export interface TestStats {
   failed: number;
   /** Number of skipped tests */
   skipped: number;
+  /** Number of passed tests that needed a retry (included in passed) */
+  flaky?: number;
 }
 
 export interface TestFailure {
@@ -78,6 +105,26 @@ export interface TestFailure {
   stack?: string;
   /** Execution path */
   path?: string | ExecutionPathStep[];
+  /** Id of the failing test (Vitest task id) */
+  testId?: string;
+  /** Traces the test produced (Vitest reporter with taist/vitest-setup) */
+  trace?: TraceObject[];
+  /** A replayed call that was never recorded (TAIST_MODE=replay) */
+  replay?: ReplayMiss;
+}
+
+/** A test that failed, then passed on a retry */
+export interface FlakyTest {
+  /** Test name */
+  test: string;
+  /** File location */
+  location?: string | LocationInfo;
+  /** Retries it needed */
+  retries: number;
+  /** Retries allowed */
+  maxRetries: number;
+  /** Error of the first failed attempt */
+  error?: string;
 }
 
 export interface LocationInfo {
@@ -112,6 +159,8 @@ export interface TraceEntry {
   type: 'entry' | 'enter' | 'exit' | 'error' | 'event';
   /** Function arguments (may be truncated) */
   args?: unknown[];
+  /** Source file of the function, on entry records of transformed modules */
+  file?: string;
   /** Return value (may be truncated) */
   result?: unknown;
   /** Error details */
@@ -131,12 +180,38 @@ export interface TraceEntry {
 }
 
 export interface CoverageInfo {
-  /** Coverage percentage */
+  /** Line coverage percentage */
   percent: number;
-  /** Number of covered lines/branches */
+  /** Number of covered lines */
   covered: number;
-  /** Total lines/branches */
+  /** Total lines */
   total: number;
+  /** Statement coverage */
+  statements?: CoverageCounts;
+  /** Function coverage */
+  functions?: CoverageCounts;
+  /** Branch coverage */
+  branches?: CoverageCounts;
+  /** Per-file coverage, sorted by path */
+  files?: FileCoverage[];
+}
+
+export interface CoverageCounts {
+  percent: number;
+  covered: number;
+  total: number;
+}
+
+export interface FileCoverage extends CoverageCounts {
+  /** Path relative to the project root */
+  file: string;
+  /** Whether git reports the file changed or untracked (null outside a git checkout) */
+  changed: boolean | null;
+  statements: CoverageCounts;
+  functions: CoverageCounts;
+  branches: CoverageCounts;
+  /** Uncovered line ranges, [start, end] inclusive */
+  uncovered: Array<[number, number]>;
 }
 
 export interface OutputFormatterOptions {
@@ -151,6 +226,8 @@ export interface WatchHandlerOptions {
   ignore?: string[];
   /** Debounce delay in milliseconds */
   delay?: number;
+  /** Persist each iteration and continue history from earlier sessions */
+  store?: RunStore | null;
 }
 
 /**
@@ -272,7 +349,14 @@ export interface VitestRunnerOptions {
     depth?: number;
   };
   tracer?: ExecutionTracer;
+  /** Collect coverage; an object is merged into Vitest's coverage options */
   coverage?: boolean | object;
+  /** Rerun failing tests up to this many times; tests that pass on a retry are flaky */
+  retry?: number;
+  /** Import graph file for `changed` runs (default: TAIST_IMPORT_GRAPH or .taist/import-graph.json) */
+  importGraph?: string;
+  /** Impact map file, updated by traced runs and read by `impacted` runs (default: TAIST_IMPACT_MAP or .taist/impact-map.json) */
+  impactMap?: string;
 }
 
 export declare class OutputFormatter {
@@ -0,0 +1,47 @@
+/**
+ * Test Generator Type Definitions
+ *
+ * Turns the recorded calls of a function into Vitest regression tests.
+ */
+
+import { TraceObject } from './trace-collector';
+
+export interface GenerateTestsOptions {
+  /** Trace name of the function, e.g. 'OrderService.createOrder' */
+  fn: string;
+  /** Module to import it from (default: its recorded source file) */
+  importPath?: string;
+  /** Where the tests will be written; relative imports start there (default: the working directory) */
+  outFile?: string;
+  /** Run file, named in the header comment */
+  from?: string;
+  /** Max distinct calls to turn into tests (default: 20) */
+  limit?: number;
+}
+
+export interface GeneratedTests {
+  /** Vitest file source */
+  source: string;
+  /** Tests generated */
+  tests: number;
+  /** Calls that couldn't be recreated, written as it.todo */
+  todo: number;
+  /** Distinct calls left out beyond the limit */
+  skipped: number;
+}
+
+/**
+ * Generate a Vitest file for the recorded calls of a function
+ */
+export declare function generateTests(traces: TraceObject[], options: GenerateTestsOptions): GeneratedTests;
+
+/**
+ * JavaScript source that recreates a recorded (tagged) value.
+ * Throws for values that can't be recreated (summarized, redacted, functions, ...).
+ */
+export declare function toSource(
+  value: unknown,
+  depth?: number,
+  /** expected: the value is compared with toEqual, so class instances become expect.objectContaining */
+  options?: { expected?: boolean }
+): string;
@@ -4,8 +4,12 @@
  * Token-Optimized Output Notation formatter for AI consumption.
  */
 
-import type { TestResults, TestFailure, TraceEntry, CoverageInfo, LocationInfo } from './taist';
+import type { TestResults, TestFailure, TraceEntry, CoverageInfo, LocationInfo, AffectedTests } from './taist';
 import type { TraceObject } from './trace-collector';
+import type { TraceDiff } from './trace-diff';
+import type { RunEntry, FlakyTestHistory } from './run-store';
+import type { SamplingStats } from './trace-sampler';
+import type { ReplayMiss } from './cassette';
 
 export interface ToonFormatterOptions {
   /** Enable abbreviations (default: true) */
@@ -20,6 +24,12 @@ export interface ToonFormatterOptions {
   maxObjectKeys?: number;
   /** Maximum array items to display */
   maxArrayItems?: number;
+  /** Maximum calls shown under each failure that has a trace (default: 20, 0 hides them) */
+  maxFailureTraces?: number;
+  /** Least-covered files listed under the coverage line (default: 5) */
+  maxCoverageFiles?: number;
+  /** Uncovered line ranges shown per file (default: 6) */
+  maxCoverageRanges?: number;
 }
 
 export interface FormatTraceTreeOptions {
@@ -27,6 +37,8 @@ export interface FormatTraceTreeOptions {
   maxGroups?: number;
   /** Show header with stats (default: true) */
   showHeader?: boolean;
+  /** Dropped trace counts to show in the header */
+  sampling?: SamplingStats;
 }
 
 export interface PrintTraceTreeOptions extends FormatTraceTreeOptions {
@@ -58,6 +70,20 @@ export declare class ToonFormatter {
    */
   formatHeader(results: TestResults): string;
 
+  /**
+   * Describe a `--changed` or `--impacted` run's selection
+   * @param affected What the run selected
+   * @returns e.g. "changed files: 3 | affected test files: 2", or '' for a full run
+   */
+  formatAffected(affected?: AffectedTests | null): string;
+
+  /**
+   * Describe traces dropped by sampling or the collector's maxTraces limit
+   * @param sampling Dropped trace counts
+   * @returns e.g. "sampled out: 120 | evicted: 3", or '' when nothing was dropped
+   */
+  formatDropped(sampling?: SamplingStats | null): string;
+
   /**
    * Format a single test failure
    * @param failure Test failure object
@@ -65,6 +91,19 @@ export declare class ToonFormatter {
    */
   formatFailure(failure: TestFailure): string[];
 
+  /**
+   * Format a call replay found no recording of: the call and the recorded calls
+   * @returns Lines indented below the failure
+   */
+  formatReplayMiss(replay: ReplayMiss): string[];
+
+  /**
+   * Format the calls a failing test made
+   * @param traces The test's trace objects
+   * @returns Lines indented below the failure
+   */
+  formatFailureTrace(traces: TraceObject[]): string[];
+
   /**
    * Format trace entry with depth-based indentation
    * @param entry Trace entry
@@ -73,7 +112,8 @@ export declare class ToonFormatter {
   formatTraceEntry(entry: TraceEntry): string;
 
   /**
-   * Format coverage information
+   * Format coverage information: totals, then the least-covered changed
+   * files (or least-covered files, if none changed) with uncovered lines
    * @param coverage Coverage info
    * @returns Formatted coverage string
    */
@@ -107,6 +147,13 @@ export declare class ToonFormatter {
    */
   groupTracesByRequest(traces: TraceObject[]): Map<string, TraceObject[]>;
 
+  /**
+   * Merge each call's entry record with its exit/error record
+   * @param traces Array of trace objects
+   * @returns One trace object per call
+   */
+  mergeCallRecords(traces: TraceObject[]): TraceObject[];
+
   /**
    * Format a trace tree showing nested call hierarchy
    * @param traces Array of trace objects with depth, traceId
@@ -115,6 +162,36 @@ export declare class ToonFormatter {
    */
   formatTraceTree(traces: TraceObject[], options?: FormatTraceTreeOptions): string;
 
+  /**
+   * Format one call of a trace tree
+   * @param trace Merged trace object
+   * @param level Indentation level
+   * @returns Formatted line
+   */
+  formatTraceLine(trace: TraceObject, level: number): string;
+
+  /**
+   * Format a trace diff (see diffRuns)
+   * @param diff Result of diffRuns()
+   * @param options Formatting options
+   * @returns Formatted diff output
+   */
+  formatTraceDiff(diff: TraceDiff, options?: { maxItems?: number }): string;
+
+  /**
+   * Format run history (see RunStore.list), oldest first
+   * @param runs Run store index entries
+   * @returns Formatted history
+   */
+  formatRunHistory(runs: RunEntry[]): string;
+
+  /**
+   * Format chronically flaky tests (see RunStore.flakyTests)
+   * @param tests Result of RunStore.flakyTests()
+   * @param runs Number of runs the counts cover
+   */
+  formatFlakyTests(tests: FlakyTestHistory[], runs: number): string;
+
   /**
    * Print trace tree to console with optional TOON summary
    * @param traces Array of trace objects
@@ -5,6 +5,12 @@
  */
 
 import { EventEmitter } from 'events';
+import { OtlpExporterOptions, OtlpExportRequest, OtlpPushResult } from './otlp-exporter';
+import type { SamplingConfig, SamplingStats, TraceSampler } from './trace-sampler';
+import type { RetentionConfig } from './trace-retention';
+import type { WireCompression } from './wire-protocol';
+import type { TraceSpool } from './trace-spool';
+import type { Cassette } from './cassette';
 
 export interface TraceCollectorOptions {
   /** Session ID for the collector */
@@ -15,6 +21,22 @@ export interface TraceCollectorOptions {
   filter?: (trace: TraceObject) => boolean;
   /** Maximum traces to keep (circular buffer) */
   maxTraces?: number;
+  /** Tail-based retention: `{ mode: 'tail' }` keeps or drops whole requests when their root ends */
+  retention?: RetentionConfig;
+  /** Also listen on this TCP port (0 = any free port; default: off) */
+  port?: number;
+  /** Also accept HTTP POST /traces on this port (0 = any free port; default: off) */
+  httpPort?: number;
+  /** Address for the TCP and HTTP listeners (default: '127.0.0.1') */
+  host?: string;
+  /** Shared secret TCP and HTTP clients must send (default: TAIST_COLLECTOR_TOKEN) */
+  token?: string | null;
+  /** Directory workers spool to when they can't connect (default: <tmp>/taist-spool-<sessionId>) */
+  spoolDir?: string;
+  /** Serve the live trace viewer on this port (0 = any free port; default: off) */
+  viewerPort?: number;
+  /** Address for the viewer (default: '127.0.0.1') */
+  viewerHost?: string;
 }
 
 export interface TraceObject {
@@ -24,10 +46,10 @@ export interface TraceObject {
   name: string;
   /** Trace type: 'entry' for function start, 'exit' for completion, 'error' for exceptions */
   type: 'entry' | 'enter' | 'exit' | 'error' | 'event';
-  /** Function arguments (may be truncated) */
-  args?: unknown[] | TruncatedValue;
-  /** Return value (may be truncated) */
-  result?: unknown | TruncatedValue;
+  /** Function arguments (may be summarized to maxArgSize; exotic values are tagged, see trace-serializer) */
+  args?: unknown[];
+  /** Return value (may be summarized to maxResultSize; exotic values are tagged, see trace-serializer) */
+  result?: unknown;
   /** Error details */
   error?: { name: string; message: string } | string;
   /** Duration in milliseconds (only on exit/error traces) */
@@ -42,9 +64,16 @@ export interface TraceObject {
   traceId?: string;
   /** Correlation ID for grouping traces across async boundaries */
   correlationId?: string;
+  /** Test that was running when the trace was reported (set via setTestId) */
+  testId?: string;
+  /** Worker (reporter) that sent the trace - set by the collector, usually the process pid */
+  workerId?: number | string;
 }
 
-/** Placeholder for truncated values to prevent huge payloads */
+/**
+ * Placeholder for truncated values
+ * @deprecated Large values are now summarized (long strings, arrays and objects shortened in place)
+ */
 export interface TruncatedValue {
   __truncated: true;
   /** Original JSON string length */
@@ -53,19 +82,30 @@ export interface TruncatedValue {
   preview: string;
 }
 
-/** Placeholder for unserializable values */
+/**
+ * Placeholder for unserializable values
+ * @deprecated Values are summarized without serializing them
+ */
 export interface UnserializableValue {
   __error: 'unserializable';
 }
 
+export interface OtlpExportOptions extends OtlpExporterOptions {
+  /** Write the spans to this file (JSON Lines) */
+  file?: string;
+  /** Push to the OTLP/HTTP endpoint (implied when `endpoint` is set) */
+  push?: boolean;
+}
+
 export interface TraceCollectorEvents {
-  started: { socketPath: string };
+  started: { socketPath: string; tcpUrl: string | null; httpUrl: string | null; viewerUrl: string | null };
   stopped: void;
   trace: TraceObject;
   flush: { workerId: string };
   error: Error;
   connectionError: Error;
   parseError: { error: Error; line: string };
+  authError: { remoteAddress?: string };
 }
 
 /**
@@ -73,7 +113,8 @@ export interface TraceCollectorEvents {
  *
  * Architecture:
  * - Main process starts the collector before spawning test workers
- * - Workers connect via Unix socket and send NDJSON trace messages
+ * - Workers connect via Unix socket and send NDJSON trace messages, or binary
+ *   frames once negotiated (see wire-protocol)
  * - Collector aggregates, deduplicates, and filters traces
  * - After tests complete, main process retrieves aggregated traces
  */
@@ -92,25 +133,67 @@ export declare class TraceCollector extends EventEmitter {
 
   /**
    * Get all collected traces
+   * @param options.decode - Decode tagged values (BigInt, Date, Map, Error, ...) in args/result/error/data into live values
    * @returns Copy of the traces array
    */
-  getTraces(): TraceObject[];
+  getTraces(options?: { decode?: boolean }): TraceObject[];
 
   /**
    * Get the number of collected traces
    */
   getTraceCount(): number;
 
+  /**
+   * Count collected traces and traces dropped on the way
+   */
+  getStats(): Required<SamplingStats> & { traces: number; pending: number };
+
+  /**
+   * Decide every request tail retention is still holding (done on stop)
+   */
+  flushRetention(): void;
+
   /**
    * Clear all collected traces
    */
   clearTraces(): void;
 
+  /**
+   * Export collected traces as OpenTelemetry spans (OTLP/JSON)
+   */
+  exportOtlp(options?: OtlpExportOptions): Promise<{ request: OtlpExportRequest; push?: OtlpPushResult }>;
+
   /**
    * Get the socket path for this collector
    */
   getSocketPath(): string;
 
+  /**
+   * Directory workers spool to, for TAIST_SPOOL_DIR
+   */
+  getSpoolDir(): string;
+
+  /**
+   * Read and delete the workers' spool files, adding their traces (done on stop)
+   * @returns Spooled messages read
+   */
+  ingestSpool(): number;
+
+  /**
+   * URL of the TCP listener for TAIST_COLLECTOR_URL (e.g. "tcp://127.0.0.1:7777"), or null
+   */
+  getTcpUrl(): string | null;
+
+  /**
+   * URL of the HTTP ingest endpoint for TAIST_COLLECTOR_URL (e.g. "http://127.0.0.1:7778/traces"), or null
+   */
+  getHttpUrl(): string | null;
+
+  /**
+   * URL of the live trace viewer page (e.g. "http://127.0.0.1:7070/"), or null without a viewerPort
+   */
+  getViewerUrl(): string | null;
+
   /**
    * Check if the collector is running
    */
@@ -149,6 +232,10 @@ export default TraceCollector;
 export interface TraceReporterOptions {
   /** Socket path to connect to (defaults to TAIST_COLLECTOR_SOCKET env var) */
   socketPath?: string;
+  /** TCP or HTTP collector, tcp://host:port or http://host:port/traces (defaults to TAIST_COLLECTOR_URL when no socket is set) */
+  url?: string;
+  /** Shared secret for TCP/HTTP collectors (defaults to TAIST_COLLECTOR_TOKEN) */
+  token?: string | null;
   /** Number of traces to buffer before auto-flush (default: 100) */
   batchSize?: number;
   /** Flush interval in ms (default: 1000) */
@@ -161,24 +248,46 @@ export interface TraceReporterOptions {
   workerId?: string | number;
   /** Flush traces immediately instead of batching (default: true) */
   flushImmediate?: boolean;
-  /** Max size for args JSON before truncation (default: 1000, 0 = no truncation) */
+  /** Size budget in JSON chars that args are summarized to (default: 1000, 0 = no limit) */
   maxArgSize?: number;
-  /** Max size for result JSON before truncation (default: 1000, 0 = no truncation) */
+  /** Size budget in JSON chars that results are summarized to (default: 1000, 0 = no limit) */
   maxResultSize?: number;
+  /** Sampling config (default: the `sampling` section of .taistrc.json and TAIST_SAMPLE_RATE/TAIST_RATE_LIMIT) */
+  sampling?: SamplingConfig;
+  /** Sampler instance to use instead of one built from `sampling` */
+  sampler?: TraceSampler;
+  /** 'binary' offers length-prefixed frames to the collector, 'ndjson' never does (default: TAIST_WIRE_PROTOCOL or 'binary') */
+  protocol?: 'binary' | 'ndjson';
+  /** Compression for binary frames (default: TAIST_WIRE_COMPRESSION or 'none') */
+  compression?: WireCompression;
+  /** Send trace names, correlation IDs and test IDs once per connection (default: true) */
+  intern?: boolean;
+  /** Spool batches the collector can't take to this directory (default: TAIST_SPOOL_DIR; none = no spooling) */
+  spoolDir?: string;
+  /** Spool instance to use instead of one built from `spoolDir` */
+  spool?: TraceSpool;
+  /** Records or replays instrumented calls (default: from TAIST_MODE, see createCassette; null = call through) */
+  cassette?: Cassette | null;
 }
 
 /**
  * TraceReporter - Client that runs in worker processes to send traces to the collector.
  *
  * Features:
- * - Connects to collector via Unix domain socket
+ * - Connects to collector via Unix domain socket, or TCP/HTTP with TAIST_COLLECTOR_URL
  * - Buffers traces locally for batched sending
  * - Auto-flushes on process exit
- * - Handles connection failures gracefully
+ * - Samples and rate limits traces before sending (see trace-sampler)
+ * - Negotiates binary frames with interning and compression, falling back to NDJSON
+ * - Spools to disk when the collector can't be reached (see trace-spool)
+ * - Records or replays boundary calls with TAIST_MODE (see cassette)
  */
 export declare class TraceReporter extends EventEmitter {
   constructor(options?: TraceReporterOptions);
 
+  /** Instrumented calls go through it when set */
+  cassette: Cassette | null;
+
   /**
    * Connect to the collector socket
    */
@@ -225,6 +334,16 @@ export declare class TraceReporter extends EventEmitter {
  */
 export declare function getGlobalReporter(options?: TraceReporterOptions): TraceReporter;
 
+/**
+ * Parse TAIST_COLLECTOR_URL: tcp://host:port or http(s)://host:port/traces
+ */
+export declare function parseCollectorUrl(url?: string): {
+  transport: 'tcp' | 'http';
+  url: string;
+  host?: string;
+  port?: number;
+} | null;
+
 /**
  * Report a trace using the global reporter
  */
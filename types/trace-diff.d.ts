@@ -0,0 +1,69 @@
+/**
+ * Trace Diff Type Definitions
+ *
+ * Compares the execution of two runs by aligning calls on their call tree path.
+ */
+
+import { TraceObject } from './trace-collector';
+
+export interface DiffRunsOptions {
+  /** Relative slowdown that counts as a regression (default: 0.2) */
+  regressionThreshold?: number;
+  /** Ignore slowdowns smaller than this many ms (default: 1) */
+  minRegressionMs?: number;
+}
+
+/** All calls that share one call tree path ("Root > Child > name") */
+export interface CallPathNode {
+  path: string;
+  name: string;
+  count: number;
+  /** JSON-encoded return values, in call order */
+  results: string[];
+  /** Error messages, in call order */
+  errors: string[];
+  /** Durations in ms */
+  durations: number[];
+}
+
+export interface TraceDiff {
+  summary: {
+    callsBefore: number;
+    callsAfter: number;
+    added: number;
+    removed: number;
+    changed: number;
+    newErrors: number;
+    fixedErrors: number;
+    regressions: number;
+  };
+  /** Call paths only in the new run */
+  added: Array<{ path: string; count: number }>;
+  /** Call paths only in the baseline run */
+  removed: Array<{ path: string; count: number }>;
+  /** Call paths whose call count or (first differing) return value changed */
+  changed: Array<{
+    path: string;
+    calls?: { before: number; after: number };
+    result?: { before: unknown; after: unknown };
+  }>;
+  newErrors: Array<{ path: string; error: string }>;
+  fixedErrors: Array<{ path: string; error: string }>;
+  /** Average duration regressions in ms, worst first */
+  regressions: Array<{ path: string; before: number; after: number }>;
+}
+
+/**
+ * Read the traces of a saved run (`--format json` output, `{ traces }`, or an array)
+ */
+export declare function loadRunTraces(filePath: string): TraceObject[];
+
+/**
+ * Index calls by their call tree path
+ */
+export declare function indexCallsByPath(traces: TraceObject[]): Map<string, CallPathNode>;
+
+/**
+ * Compare the calls of two runs
+ */
+export declare function diffRuns(before: TraceObject[], after: TraceObject[], options?: DiffRunsOptions): TraceDiff;
@@ -0,0 +1,66 @@
+/**
+ * Trace Retention Type Definitions
+ *
+ * Tail-based retention: the collector holds each request's traces until its
+ * root call ends, then keeps or drops the whole request.
+ */
+
+import type { TraceObject } from './trace-collector';
+
+/** The `retention` section of .taistrc.json */
+export interface RetentionConfig {
+  /** 'tail' holds and decides whole requests; 'buffer' (default) keeps the newest maxTraces */
+  mode?: 'tail' | 'buffer';
+  /** Keep requests with an error (default: true) */
+  keepErrors?: boolean;
+  /** Keep requests whose root took at least this long, in ms (default: 100, 0 = off) */
+  slowThreshold?: number;
+  /** Keep requests that called these functions (`*` wildcards) */
+  functions?: string[];
+  /** Fraction of the other requests to keep, 0-1 (default: 0) */
+  sampleRate?: number;
+  /** Decide requests whose root hasn't ended after this long, in ms (default: 30000) */
+  timeout?: number;
+  /** Max requests waiting for their root (default: 1000) */
+  maxPending?: number;
+  /** Random number source for sampleRate (default: Math.random) */
+  random?: () => number;
+}
+
+export interface RetentionResult {
+  kept: TraceObject[];
+  dropped: TraceObject[];
+}
+
+export declare class TailRetention {
+  constructor(config?: RetentionConfig);
+
+  /** Records dropped with their request so far */
+  dropped: number;
+
+  /**
+   * Add a record
+   * @returns Records decided by this call - the whole request when its root ended
+   */
+  add(trace: TraceObject): RetentionResult;
+
+  /** Decide the requests that waited longer than `timeout` */
+  expire(): RetentionResult;
+
+  /** Decide every pending request now */
+  flush(): RetentionResult;
+
+  /** Keep or drop a request */
+  shouldKeep(group: { records: TraceObject[]; root: TraceObject | null }): boolean;
+
+  /** Number of requests waiting for their root to end */
+  getPendingCount(): number;
+}
+
+/**
+ * Read retention config from .taistrc.json, overridden by
+ * TAIST_RETENTION and TAIST_RETENTION_SLOW_THRESHOLD
+ */
+export declare function loadRetentionConfig(startDir?: string): RetentionConfig;
+
+export default TailRetention;
@@ -0,0 +1,59 @@
+/**
+ * Trace Sampler Type Definitions
+ *
+ * Head sampling and per-function rate limits applied in the trace reporter.
+ */
+
+import { TraceObject } from './trace-collector';
+
+/** The `sampling` section of .taistrc.json */
+export interface SamplingConfig {
+  /** Fraction of requests (by correlationId) to keep completely, 0-1 (default: 1) */
+  rate?: number;
+  /** Max calls per second by function name, `*` wildcards (e.g. { 'Cache.*': 50 }) */
+  rateLimits?: Record<string, number>;
+  /** Always keep failed calls (default: true) */
+  keepErrors?: boolean;
+  /** Always keep calls at least this slow, in ms (default: 100, 0 = off) */
+  slowThreshold?: number;
+}
+
+/** Traces dropped before they reached the output */
+export interface SamplingStats {
+  /** Dropped by sampling or rate limits in the workers */
+  sampledOut: number;
+  /** Dropped by the collector's maxTraces limit */
+  evicted: number;
+  /** Dropped with their request by tail retention */
+  tailDropped?: number;
+}
+
+export declare class TraceSampler {
+  constructor(config?: SamplingConfig);
+
+  /** False when every trace is kept */
+  readonly enabled: boolean;
+  /** Number of traces dropped so far */
+  sampledOut: number;
+
+  /**
+   * Decide what to send for a trace record
+   * @returns Records to send now - empty when dropped, or held ancestor entries
+   *   followed by the record when a slow or failed call is kept
+   */
+  admit(trace: TraceObject): TraceObject[];
+
+  /** Head sampling decision for the request a record belongs to */
+  sampleRequest(trace: TraceObject): boolean;
+
+  /** True for errors and slow calls, which are kept even when sampled out */
+  mustKeep(trace: TraceObject): boolean;
+}
+
+/**
+ * Read sampling config from .taistrc.json, overridden by
+ * TAIST_SAMPLE_RATE, TAIST_RATE_LIMIT and TAIST_SAMPLE_SLOW_THRESHOLD
+ */
+export declare function loadSamplingConfig(startDir?: string): SamplingConfig;
+
+export default TraceSampler;
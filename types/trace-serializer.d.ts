@@ -0,0 +1,72 @@
+/**
+ * Trace Serializer Type Definitions
+ *
+ * Tagged JSON used for captured values on the reporter → collector protocol.
+ */
+
+/** Key that marks a tagged value */
+export declare const TAG: '__taist';
+
+/** Trace fields that carry captured values */
+export declare const VALUE_FIELDS: ['args', 'result', 'error', 'data'];
+
+export type TaggedValue =
+  | { __taist: 'Undefined' }
+  | { __taist: 'Number'; value: 'NaN' | 'Infinity' | '-Infinity' }
+  | { __taist: 'BigInt'; value: string }
+  | { __taist: 'Symbol'; description: string | null }
+  | { __taist: 'Function'; name: string }
+  | { __taist: 'Date'; value: string | null }
+  | { __taist: 'RegExp'; source: string; flags: string }
+  | { __taist: 'Buffer'; data: string }
+  | { __taist: 'TypedArray'; type: string; data: string }
+  | { __taist: 'Map'; entries: Array<[unknown, unknown]> }
+  | { __taist: 'Set'; values: unknown[] }
+  | {
+      __taist: 'Error';
+      name: string;
+      message: string;
+      stack?: string;
+      cause?: unknown;
+      props?: Record<string, unknown>;
+    }
+  | { __taist: 'Circular'; ref: number }
+  | { __taist: 'Object'; value: Record<string, unknown> }
+  | { __taist: 'Unreadable'; message: string }
+  | { __taist: 'Unserializable'; message: string }
+  | { __taist: 'Promise' | 'WeakMap' | 'WeakSet' };
+
+/** Views a TypedArray tag can be decoded to, by constructor name (other names decode to a Buffer) */
+export declare const TYPED_ARRAYS: Readonly<Record<string, new (buffer: ArrayBuffer) => ArrayBufferView>>;
+
+/** Encode a value as JSON-safe tagged data */
+export declare function encodeValue(value: unknown): unknown;
+
+/** Turn tagged data back into live values (cycles are restored) */
+export declare function decodeValue(value: unknown): unknown;
+
+/** Encode the captured values (args, result, error, data) of one trace record */
+export declare function encodeTrace<T extends object>(trace: T): T;
+
+/** Serialize a protocol message ({ type, workerId, data }) to a JSON line, without the newline */
+export declare function stringifyMessage(message: { type: string; data?: unknown; [key: string]: unknown }): string;
+
+/** Check whether a value is a tag produced by encodeValue */
+export declare function isTagged(value: unknown): value is TaggedValue;
+
+/** Replace tags with readable values, for printing or JSON output */
+export declare function toDisplayValue(value: unknown): unknown;
+
+/** One-line description of a tag, e.g. '10n', '/a+/g', 'Buffer(16)' */
+export declare function describeTag(value: TaggedValue): string;
+
+declare const _default: {
+  encodeValue: typeof encodeValue;
+  decodeValue: typeof decodeValue;
+  encodeTrace: typeof encodeTrace;
+  stringifyMessage: typeof stringifyMessage;
+  toDisplayValue: typeof toDisplayValue;
+  describeTag: typeof describeTag;
+  isTagged: typeof isTagged;
+};
+export default _default;
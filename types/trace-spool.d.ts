@@ -0,0 +1,70 @@
+/**
+ * Trace Spool Type Definitions
+ *
+ * Durable fallback: reporters that can't reach the collector append their
+ * batches to a per-pid NDJSON file, which the collector ingests on stop.
+ */
+
+/** TAIST_SPOOL: spool only what can't be sent, also every batch before sending it, or never */
+export type SpoolMode = 'fallback' | 'always' | 'off';
+
+/** File name prefix of reporter spool files: traces-<pid>.ndjson */
+export declare const SPOOL_PREFIX: 'traces-';
+
+/** File name prefix of service tracer snapshots: service-<pid>.ndjson */
+export declare const SERVICE_SPOOL_PREFIX: 'service-';
+
+export interface TraceSpoolOptions {
+  /** Spool directory (default: TAIST_SPOOL_DIR; none = spooling off) */
+  dir?: string;
+  /** Default: TAIST_SPOOL or 'fallback' */
+  mode?: SpoolMode;
+  /** Names the file (default: process.pid) */
+  pid?: number;
+}
+
+export declare class TraceSpool {
+  constructor(options?: TraceSpoolOptions);
+
+  readonly mode: SpoolMode;
+  readonly dir: string | null;
+  /** This process's spool file */
+  readonly file: string | null;
+  /** Lines appended so far */
+  written: number;
+  /** A directory is set and mode isn't 'off' */
+  readonly enabled: boolean;
+
+  /**
+   * Append NDJSON messages synchronously (works in exit handlers)
+   * @returns Whether the lines were written
+   */
+  append(lines: string): boolean;
+}
+
+/**
+ * Directory service tracer snapshots are spooled to:
+ * TAIST_SPOOL_DIR or <tmp>/taist-spool
+ */
+export declare function defaultSpoolDir(): string;
+
+/**
+ * Read the spool files in a directory
+ * @returns NDJSON lines, file by file; a line cut off by a crash is included as is
+ */
+export declare function readSpool(
+  dir: string,
+  options?: {
+    /** Only files starting with this (default: all .ndjson files) */
+    prefix?: string;
+    /** Delete files after reading (default: true) */
+    remove?: boolean;
+  }
+): string[];
+
+/**
+ * Remove a spool directory if nothing is left in it
+ */
+export declare function removeSpoolDir(dir: string): void;
+
+export default TraceSpool;
@@ -13,8 +13,8 @@
 import type { TestResults, TestFailure } from './taist';
 
 export interface TaistReporterOptions {
-  /** Output format (default: 'toon') */
-  format?: 'toon' | 'json' | 'compact';
+  /** Output format (default: 'toon'); 'chrome-trace' writes only the trace timeline */
+  format?: 'toon' | 'json' | 'compact' | 'chrome-trace';
   /** Enable execution tracing (default: true) */
   traceEnabled?: boolean;
   /** Trace depth level (default: 3) */
@@ -27,6 +27,8 @@ export interface TaistReporterOptions {
   outputFile?: string | null;
   /** Max request groups to show in trace output (default: 10) */
   maxTraceGroups?: number;
+  /** Impact map file to update with each test's calls (default: TAIST_IMPACT_MAP or .taist/impact-map.json, false = off) */
+  impactMap?: string | false;
 }
 
 /**
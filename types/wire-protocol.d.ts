@@ -0,0 +1,64 @@
+/**
+ * Wire Protocol Type Definitions
+ *
+ * Framing between TraceReporter and TraceCollector: NDJSON (version 1) or
+ * negotiated length-prefixed binary frames (version 2).
+ */
+
+/** Highest protocol version this build speaks */
+export declare const PROTOCOL_VERSION: 2;
+
+/** First byte of every binary frame */
+export declare const FRAME_MARKER: 0x00;
+
+/** Frame flags: how the payload is compressed */
+export declare const COMPRESSION: { none: 0; gzip: 1; br: 2 };
+
+/** Trace fields sent as string table indexes when interning is on */
+export declare const INTERNED_FIELDS: string[];
+
+export type WireCompression = 'none' | 'gzip' | 'br';
+
+export interface HelloMessage {
+  type: 'hello';
+  protocols: number[];
+  compression: WireCompression[];
+  intern: boolean;
+}
+
+export interface WelcomeMessage {
+  type: 'welcome';
+  protocol: number;
+  compression: WireCompression;
+  intern: boolean;
+}
+
+/** Hello message a reporter sends on connect */
+export declare function helloMessage(options?: { compression?: WireCompression; intern?: boolean }): HelloMessage;
+
+/** Collector's answer to a hello: the highest version both sides speak */
+export declare function negotiate(hello: Partial<HelloMessage>): WelcomeMessage;
+
+/** Encodes batch messages as binary frames for one connection */
+export declare class WireEncoder {
+  constructor(options?: { compression?: WireCompression; intern?: boolean });
+  readonly compression: WireCompression;
+  readonly intern: boolean;
+  /** Encode a message as a frame (trace values as tagged JSON) */
+  encode(message: { type: string; data?: unknown[]; [key: string]: unknown }): Buffer;
+}
+
+export type WireItem =
+  | { line: string }
+  | { message: Record<string, unknown> }
+  | { error: Error; line: string };
+
+/** Splits one connection's byte stream into NDJSON lines and decoded frames */
+export declare class WireDecoder {
+  /** @param options.maxFrameSize Largest frame, before and after decompression (default: 256 MB) */
+  constructor(options?: { maxFrameSize?: number });
+  /** Add received bytes; returns the complete items, in order */
+  push(chunk: Buffer | string): WireItem[];
+  /** Take what is left when the connection closes */
+  end(): Array<{ line: string }>;
+}